@@ -63,7 +63,8 @@ const createRedisClient = () => {
       redisClient = new Redis(config);
     }
 
-    // Subscriber client (for pub/sub)
+    // Subscriber client (for pub/sub) - used by the Socket.IO Redis adapter,
+    // so it must not be used for regular commands
     if (config.url) {
       subscriberClient = new Redis(config.url, {
         retryStrategy: config.retryStrategy,
@@ -154,16 +155,60 @@ const KEY_PREFIXES = {
   ROOMS_WAITING: 'rooms:waiting',
   PLAYER: 'player:',
   PLAYER_SESSION: 'player:session:',
+  RATING: 'rating:',
+  SEASON_CURRENT: 'season:current',
   MATCHMAKING_QUEUE: 'matchmaking:queue',
+  PARTY_QUEUE: 'matchmaking:party-queue',
+  MATCH_PROPOSAL: 'matchmaking:proposal:',
+  MATCH_PROPOSAL_ACCEPTED: 'matchmaking:proposal-accepted:',
+  MATCH_PROPOSAL_DEADLINES: 'matchmaking:proposal-deadlines',
+  USER_MATCH_PROPOSAL: 'matchmaking:user-proposal:',
+  QUEUE_COOLDOWN: 'matchmaking:cooldown:',
+  PARTY_QUEUE_ENTRY: 'matchmaking:party:',
+  PARTY: 'party:',
+  USER_PARTY: 'party:user:',
+  PARTY_INVITE: 'party:invite:',
+  PENALTY_LEDGER: 'penalty:ledger:',
+  CHAT_MUTE: 'chat:mute:',
+  CHAT_RATE: 'chat:rate:',
+  CHAT_LAST_MESSAGE: 'chat:last:',
+  USER_BLOCKS: 'blocks:',
   LEADERBOARD_GLOBAL: 'leaderboard:global',
   LEADERBOARD_WEEKLY: 'leaderboard:weekly',
+  LEADERBOARD_MONTHLY: 'leaderboard:monthly',
+  LEADERBOARD_WIN_RATE: 'leaderboard:winrate',
+  LEADERBOARD_GAME_TYPE: 'leaderboard:gametype:',
+  LEADERBOARD_GAME_TYPES: 'leaderboard:gametypes',
+  LEADERBOARD_ENTRY: 'leaderboard:entry:',
+  LEADERBOARD_READY: 'leaderboard:ready',
+  LEADERBOARD_REBUILDING: 'leaderboard:rebuilding',
+  LEADERBOARD_DIRTY: 'leaderboard:dirty',
+  LEADERBOARD_SUBSCRIPTIONS: 'leaderboard:subscriptions',
+  LEADERBOARD_SNAPSHOT: 'leaderboard:snapshot:',
   ROOM_PLAYERS: 'room:players:',
   ROOM_EVENTS: 'room:events:',
   GAME_STATE: 'game:state:',
+  GAME_CLOCK: 'game:clock:',
+  GAME_CLOCKS_ACTIVE: 'game:clocks:active',
+  GAME_FINISHING: 'game:finishing:',
+  ROOM_SCORING: 'room:scoring:',
+  ROOM_SCORING_TIMES: 'room:scoring-times:',
+  ROOM_HINTS: 'room:hints:',
+  ROOM_AUDIT: 'room:audit:',
+  ROOM_ANSWERS: 'room:answers:',
+  ROOM_SCORES: 'room:scores:',
+  ROOM_SPECTATORS: 'room:spectators:',
   USER_PRESENCE: 'presence:',
+  USER_SOCKETS: 'presence:sockets:',
+  USERS_ONLINE: 'users:online',
+  RECONNECT: 'reconnect:user:',
+  RECONNECT_DEADLINES: 'reconnect:deadlines',
   ACHIEVEMENT_ALL: 'achievements:all',
   USER_ACHIEVEMENTS: 'user:achievements',
-  ACHIEVEMENT: 'achievement'
+  ACHIEVEMENT: 'achievement',
+  NOTIFICATIONS_UNREAD: 'notifications:unread:',
+  NOTIFICATIONS_HYDRATED: 'notifications:hydrated:',
+  LOCK: 'lock:'
 };
 
 // TTL configurations (in seconds)
@@ -175,6 +220,8 @@ const TTL = {
   GAME_STATE: 7200,        // 2 hours
   MATCHMAKING_QUEUE: 600,  // 10 minutes
   USER_PRESENCE: 600,      // 5 minutes
+  PARTY: 86400,            // 24 hours
+  NOTIFICATIONS: 2592000,  // 30 days
   LONG: 3600,
   MEDIUM: 1800
 };
@@ -9,10 +9,14 @@ module.exports = ({ socket, io, db }) => {
     try {
       const { useCache = true } = data || {};
       
-      const achievements = await achievementService.getAllAchievements(useCache);
+      const [achievements, userAchievements] = await Promise.all([
+        achievementService.getActiveAchievements(useCache),
+        achievementService.getUserAchievements(socket.userId)
+      ]);
+      const unlockedIds = new Set(userAchievements.filter(ua => ua.unlockedAt).map(ua => ua.achievementId));
       
       socket.emit('achievements-list', {
-        achievements: achievements,
+        achievements: achievementService.presentAchievements(achievements, unlockedIds),
         count: achievements.length,
         timestamp: new Date()
       });
@@ -32,9 +36,11 @@ module.exports = ({ socket, io, db }) => {
       const { useCache = true } = data || {};
       
       const userAchievements = await achievementService.getUserAchievements(userId, useCache);
+      const tiers = await achievementService.getTierProgress(userId, userAchievements);
       
       socket.emit('my-achievements', {
-        achievements: userAchievements,
+        achievements: achievementService.presentUserAchievements(userAchievements),
+        tiers: tiers,
         count: userAchievements.length,
         timestamp: new Date()
       });
@@ -56,79 +62,14 @@ module.exports = ({ socket, io, db }) => {
       if (socket.userId !== userId) {
         return socket.emit('achievement-error', { message: 'Unauthorized' });
       }
-      const result = await achievementService.updateDailyStreak(userId, currentStreak, admin.firestore.FieldValue.serverTimestamp());
-      
-      if (result.success && result.achievements.length > 0) {
-        const unlocked = result.achievements.filter(a => a.unlocked);
-        if (unlocked.length > 0) {
-          socket.emit('achievements-unlocked-batch', {
-            achievements: unlocked.map(a => a.achievement),
-            count: unlocked.length
-          });
-        }
-      }
+      // Streak achievements are evaluated from the resulting event and
+      // delivered to the user's room
+      await achievementService.updateDailyStreak(userId, currentStreak, admin.firestore.FieldValue.serverTimestamp(), socket.username);
     } catch (error) {
       console.error('Error updating daily streak:', error);
     }
   });
   
-  // Update achievement progress
-  socket.on('update-achievement-progress', async (data) => {
-    try {
-      const { achievementId, progress } = data;
-      const userId = socket.userId;
-      
-      if (!achievementId || progress === undefined) {
-        socket.emit('achievement-error', { 
-          message: 'Achievement ID and progress are required' 
-        });
-        return;
-      }
-      
-      const result = await achievementService.updateAchievementProgress(
-        userId, 
-        achievementId, 
-        progress
-      );
-      
-      if (result.success) {
-        socket.emit('achievement-progress-updated', {
-          achievementId: achievementId,
-          progress: result.progress,
-          unlocked: result.unlocked
-        });
-        
-        // If unlocked, broadcast
-        if (result.unlocked) {
-          const achievement = await achievementService.getAchievementById(achievementId);
-          
-          socket.emit('achievement-unlocked', {
-            achievement: achievement,
-            points: achievement.points,
-            timestamp: new Date()
-          });
-          
-          io.emit('user-achievement-unlocked', {
-            userId: userId,
-            username: socket.username,
-            achievement: achievement,
-            timestamp: new Date()
-          });
-        }
-      } else {
-        socket.emit('achievement-error', {
-          message: result.message
-        });
-      }
-      
-    } catch (error) {
-      console.error('Error updating achievement progress:', error);
-      socket.emit('achievement-error', {
-        message: 'Failed to update achievement progress'
-      });
-    }
-  });
-  
   // Check and unlock achievements based on user stats
   socket.on('check-achievements', async (data) => {
     try {
@@ -151,32 +92,10 @@ module.exports = ({ socket, io, db }) => {
       // Check achievements
       const result = await achievementService.checkAndUnlockAchievements(userId, userStats);
       
-      if (result.success && result.newlyUnlocked.length > 0) {
-        // Notify user of all newly unlocked achievements
-        socket.emit('achievements-unlocked-batch', {
-          achievements: result.newlyUnlocked,
-          count: result.count,
-          timestamp: new Date()
-        });
-        
-        // Broadcast each achievement
-        for (const achievement of result.newlyUnlocked) {
-          io.emit('user-achievement-unlocked', {
-            userId: userId,
-            username: username,
-            achievement: achievement,
-            timestamp: new Date()
-          });
-        }
-        
-        // Update user's total achievement points
-        const totalPoints = result.newlyUnlocked.reduce((sum, a) => sum + (a.points || 0), 0);
-        const userRef = db.collection('users').doc(userId);
-        await userRef.update({
-          achievementPoints: admin.firestore.FieldValue.increment(totalPoints),
-          totalAchievements: admin.firestore.FieldValue.increment(result.count),
-          lastAchievementUnlockedAt: admin.firestore.FieldValue.serverTimestamp()
-        });
+      // Only unlocks made by this check are announced; ones another event
+      // got to first were already delivered
+      if (result.success) {
+        await achievementService.deliverUnlocks(userId, username, result.newlyUnlocked);
       }
       
       socket.emit('achievement-check-complete', {
@@ -205,8 +124,15 @@ module.exports = ({ socket, io, db }) => {
       const achievement = await achievementService.getAchievementById(achievementId);
       
       if (achievement) {
+        const userAchievements = await achievementService.getUserAchievements(socket.userId);
+        const unlockedIds = new Set(userAchievements.filter(ua => ua.unlockedAt).map(ua => ua.achievementId));
+        // Presented with the full list so an unlocked tier reveals its hidden siblings
+        const allAchievements = await achievementService.getAllAchievements();
+        const shown = achievementService.presentAchievements(allAchievements, unlockedIds)
+          .find(a => a.achievementId === achievementId) || achievementService.presentAchievement(achievement, false);
+        
         socket.emit('achievement-details', {
-          achievement: achievement
+          achievement: shown
         });
       } else {
         socket.emit('achievement-error', {
@@ -1,20 +1,112 @@
 const redisService = require('../services/redisService');
+const eventBus = require('../services/eventBus');
+const moderationService = require('../services/moderationService');
+const blockService = require('../services/blockService');
 const { isRedisAvailable } = require('../config/redis.config');
+const { EVENT_TYPES } = eventBus;
+
+const MAX_EMOJI_LENGTH = 16;
+const MAX_REACTIONS_PER_MESSAGE = 20; // Distinct emoji
+const REPLY_PREVIEW_LENGTH = 100;
+
+// Messages from a blocked sender are stored with hiddenFor set to the
+// receiver; the sender sees them as usual, without the marker
+const withoutHidden = ({ hiddenFor, ...message }) => message;
+
+// Redis key of the conversation a message lives in; for friend chats roomId is the friend's id
+const getChatKey = (chatType, roomId, userId) => {
+  if (chatType === 'room') return `room:${roomId}`;
+  return `conversation:${[userId, roomId].sort().join('_')}`;
+};
 
 module.exports = ({ socket, io }) => {
   
   // Helper function to use Redis or fallback to memory
   const useRedis = isRedisAvailable();
   
+  // Run a message through moderation. Returns the text to store (possibly
+  // masked), or null after telling the sender why it was blocked.
+  const moderate = async (context) => {
+    const verdict = await moderationService.moderate({
+      userId: socket.userId,
+      username: socket.username,
+      ...context
+    });
+    
+    if (!verdict.allowed) {
+      socket.emit('chat-error', {
+        code: verdict.code,
+        message: verdict.reason,
+        retryAfter: verdict.retryAfter
+      });
+      return null;
+    }
+    
+    return verdict.message;
+  };
+  
+  // Thread fields for a reply. Replies to replies join the original thread.
+  const buildReply = async (chatKey, replyToId) => {
+    const parent = await redisService.getChatMessage(chatKey, replyToId);
+    if (!parent) return null;
+    
+    return {
+      threadId: parent.threadId || parent.id,
+      replyTo: {
+        id: parent.id,
+        userId: parent.userId || parent.senderId,
+        username: parent.username || null,
+        preview: parent.message.slice(0, REPLY_PREVIEW_LENGTH)
+      }
+    };
+  };
+  
+  // Nothing reaches a friend who has blocked this user
+  const emitToFriend = async (friendId, event, payload) => {
+    if (await blockService.hasBlocked(friendId, socket.userId)) return;
+    io.to(`user_${friendId}`).emit(event, payload);
+  };
+  
+  // Everyone in a room, or both people in a friend chat
+  const emitToChat = async (chatType, roomId, event, payload) => {
+    if (chatType === 'room') {
+      io.to(roomId).emit(event, payload);
+    } else {
+      io.to(`user_${socket.userId}`).emit(event, payload);
+      await emitToFriend(roomId, event, payload);
+    }
+  };
+  
+  // Room chats are for room members; friend chats are always the user's own
+  const canAccessChat = async (chatType, roomId) => {
+    if (chatType === 'friend') return true;
+    const roomData = await redisService.getRoom(roomId);
+    return !!roomData?.participants?.includes(socket.userId);
+  };
+  
+  // Reaction counts, the viewer's own reactions and thread reply counts for a page of history
+  const withThreadContext = async (chatKey, messages) => {
+    const messageIds = messages.map(msg => msg.id);
+    const [reactions, replyCounts] = await Promise.all([
+      redisService.getMessageReactions(chatKey, messageIds, socket.userId),
+      redisService.getThreadReplyCounts(chatKey, messageIds)
+    ]);
+    
+    return messages.map(msg => ({
+      ...msg,
+      reactions: reactions[msg.id].counts,
+      myReactions: reactions[msg.id].mine,
+      replyCount: replyCounts[msg.id] || 0
+    }));
+  };
+  
   // Send message to specific room
   socket.on('send-room-message', async (data) => {
     try {
-      const { roomId, message } = data;
+      const { roomId, message, replyTo } = data;
       const userId = socket.userId;
       const username = socket.username;
       
-      // Helper function to use Redis or fallback to memory
-
       // Validate inputs
       if (!roomId || !message || message.trim().length === 0) {
         socket.emit('chat-error', { message: 'Room ID and message are required' });
@@ -43,16 +135,28 @@ module.exports = ({ socket, io }) => {
         return;
       }
       
-      // Create message object
-      const messageId = `msg_${Date.now()}_${userId}`;
+      const text = await moderate({ message: message.trim(), chatType: 'room', roomId });
+      if (text === null) return;
+      
+      const chatKey = getChatKey('room', roomId);
+      const reply = replyTo ? await buildReply(chatKey, replyTo) : null;
+      if (replyTo && !reply) {
+        socket.emit('chat-error', { message: 'The message you replied to no longer exists' });
+        return;
+      }
+      
+      // Create message object (the id carries the timestamp it is stored under)
+      const timestamp = Date.now();
+      const messageId = `msg_${timestamp}_${userId}`;
       const messageData = {
         id: messageId,
         userId: userId,
         username: username,
-        message: message.trim(),
+        message: text,
         roomId: roomId,
-        timestamp: Date.now(),
-        edited: false
+        timestamp: timestamp,
+        edited: false,
+        ...reply
       };
       
       // Save to Redis
@@ -61,6 +165,17 @@ module.exports = ({ socket, io }) => {
       // Broadcast to room members only
       io.to(roomId).emit('new-room-message', messageData);
       
+      if (reply) {
+        const replyCount = await redisService.addThreadReply(chatKey, reply.threadId, messageData);
+        io.to(roomId).emit('thread-updated', {
+          threadId: reply.threadId,
+          roomId: roomId,
+          chatType: 'room',
+          replyCount: replyCount,
+          lastReply: messageData
+        });
+      }
+      
       // Confirm to sender
       socket.emit('message-sent', {
         messageId: messageId,
@@ -68,6 +183,8 @@ module.exports = ({ socket, io }) => {
         timestamp: messageData.timestamp
       });
       
+      eventBus.publish(EVENT_TYPES.MESSAGE_SENT, { userId, username, roomId });
+      
     } catch (error) {
       console.error('Error sending room message:', error);
       socket.emit('chat-error', {
@@ -79,7 +196,7 @@ module.exports = ({ socket, io }) => {
   // Send message to friend (private chat)
   socket.on('send-friend-message', async (data) => {
     try {
-      const { friendId, message } = data;
+      const { friendId, message, replyTo } = data;
       const userId = socket.userId;
 
       if (!friendId || !message || message.trim().length === 0 || message.length > 1000) {
@@ -92,25 +209,67 @@ module.exports = ({ socket, io }) => {
         return;
       }
 
+      const { blockedByMe, blockedMe } = await blockService.getBlockStatus(userId, friendId);
+      if (blockedByMe) {
+        socket.emit('chat-error', { message: 'Unblock this player to message them' });
+        return;
+      }
+
       const conversationId = [userId, friendId].sort().join('_');
-      const messageId = `msg_${Date.now()}_${userId}`;
+      const text = await moderate({ message: message.trim(), chatType: 'friend', friendId });
+      if (text === null) return;
+
+      const timestamp = Date.now();
+      const messageId = `msg_${timestamp}_${userId}`;
+
+      const chatKey = getChatKey('friend', friendId, userId);
+      const reply = replyTo ? await buildReply(chatKey, replyTo) : null;
+      if (replyTo && !reply) {
+        socket.emit('chat-error', { message: 'The message you replied to no longer exists' });
+        return;
+      }
 
       const messageData = {
         id: messageId,
         conversationId: conversationId,
         senderId: userId,
         receiverId: friendId,
-        message: message.trim(),
-        timestamp: Date.now(),
+        message: text,
+        timestamp: timestamp,
+        ...reply,
+        ...(blockedMe && { hiddenFor: friendId })
       };
 
       // Save to Redis
       await redisService.saveFriendMessage(conversationId, messageData);
 
+      // Blocked senders see their message go out as usual; it never reaches the friend
+      if (blockedMe) {
+        socket.emit('new-friend-message', withoutHidden(messageData));
+        return;
+      }
+
       // Broadcast message
       socket.emit('new-friend-message', messageData);
       io.to(`user_${friendId}`).emit('new-friend-message', messageData);
 
+      // One more unread message for the friend
+      await redisService.incrementUnread(friendId, userId);
+      io.to(`user_${friendId}`).emit('unread-counts-updated', await redisService.getUnreadSummary(friendId));
+
+      if (reply) {
+        const replyCount = await redisService.addThreadReply(chatKey, reply.threadId, messageData);
+        await emitToChat('friend', friendId, 'thread-updated', {
+          threadId: reply.threadId,
+          conversationId: conversationId,
+          chatType: 'friend',
+          replyCount: replyCount,
+          lastReply: messageData
+        });
+      }
+
+      eventBus.publish(EVENT_TYPES.MESSAGE_SENT, { userId, username: socket.username, friendId });
+
     } catch (error) {
       console.error('Error sending message:', error);
       socket.emit('chat-error', { message: 'Failed to send message.' });
@@ -132,9 +291,13 @@ module.exports = ({ socket, io }) => {
 
       // Get messages from Redis
       const allMessages = await redisService.getFriendMessages(conversationId, limit, before);
+      const visibleMessages = allMessages
+        .filter(msg => msg.hiddenFor !== userId)
+        .map(withoutHidden);
 
       socket.emit('friend-chat-history', {
-        messages: allMessages,
+        messages: await withThreadContext(getChatKey('friend', friendId, userId), visibleMessages),
+        readCursors: await redisService.getReadCursors(conversationId),
         hasMore: allMessages.length === limit,
       });
     } catch (error) {
@@ -162,7 +325,7 @@ module.exports = ({ socket, io }) => {
       
       socket.emit('room-chat-history', {
         roomId: roomId,
-        messages: messages,
+        messages: await withThreadContext(getChatKey('room', roomId), messages),
         hasMore: messages.length === limit
       });
       
@@ -221,9 +384,18 @@ module.exports = ({ socket, io }) => {
         return;
       }
       
+      // Edits go through the word filter and mutes too
+      const text = await moderate({
+        message: newMessage.trim(),
+        chatType: chatType,
+        ...(chatType === 'room' ? { roomId } : { friendId: roomId }),
+        isEdit: true
+      });
+      if (text === null) return;
+      
       // Update message
       const updatedFields = {
-        message: newMessage.trim(),
+        message: text,
         edited: true,
         editedAt: Date.now()
       };
@@ -236,8 +408,10 @@ module.exports = ({ socket, io }) => {
       } else if (chatType === 'friend') {
         let conversationId = [userId, roomId].sort().join('_');
         await redisService.updateFriendMessage(conversationId, messageId, updatedFields);
-        socket.emit('message-edited', updatedMessage);
-        io.to(`user_${messageData.receiverId}`).emit('message-edited', updatedMessage);
+        socket.emit('message-edited', withoutHidden(updatedMessage));
+        if (!messageData.hiddenFor) {
+          io.to(`user_${messageData.receiverId}`).emit('message-edited', updatedMessage);
+        }
       }
       
       socket.emit('edit-success', { messageId: messageId });
@@ -308,11 +482,22 @@ module.exports = ({ socket, io }) => {
       } else if (chatType === 'friend') {
         let conversationId = [userId, roomId].sort().join('_');
         await redisService.deleteFriendMessage(conversationId, messageId);
-        io.to(`user_${messageData.receiverId}`).emit('message-deleted', { 
-          messageId: messageId, 
-          conversationId: conversationId,
-          chatType: 'friend'
-        });
+        
+        // The receiver never saw a message hidden by a block
+        if (!messageData.hiddenFor) {
+          // A deleted message no longer counts as unread
+          const cursors = await redisService.getReadCursors(conversationId);
+          if (messageData.timestamp > (cursors[messageData.receiverId] || 0)) {
+            const unreadCount = await redisService.countUnread(conversationId, messageData.receiverId, userId);
+            await redisService.setUnreadCount(messageData.receiverId, userId, unreadCount);
+            io.to(`user_${messageData.receiverId}`).emit('unread-counts-updated', await redisService.getUnreadSummary(messageData.receiverId));
+          }
+          io.to(`user_${messageData.receiverId}`).emit('message-deleted', { 
+            messageId: messageId, 
+            conversationId: conversationId,
+            chatType: 'friend'
+          });
+        }
         socket.emit('message-deleted', { 
           messageId: messageId, 
           roomId: roomId,
@@ -320,6 +505,19 @@ module.exports = ({ socket, io }) => {
         });
       }
       
+      // Drop its reactions and take it out of the thread it replied in
+      const chatKey = getChatKey(chatType, roomId, userId);
+      await redisService.clearMessageReactions(chatKey, messageId);
+      if (messageData.threadId) {
+        const replyCount = await redisService.removeThreadReply(chatKey, messageData.threadId, messageId);
+        await emitToChat(chatType, roomId, 'thread-updated', {
+          threadId: messageData.threadId,
+          chatType: chatType,
+          ...(chatType === 'room' ? { roomId } : { conversationId: messageData.conversationId }),
+          replyCount: replyCount
+        });
+      }
+      
       socket.emit('delete-success', { messageId: messageId });
       
     } catch (error) {
@@ -330,6 +528,277 @@ module.exports = ({ socket, io }) => {
     }
   });
   
+  // Mute someone in chat until the mute expires: in a room by its host (or an
+  // admin), everywhere by an admin (no roomId)
+  socket.on('mute-user', async (data) => {
+    try {
+      const { targetUserId, roomId = null, durationSeconds, reason = null } = data || {};
+      const userId = socket.userId;
+      
+      if (!targetUserId || targetUserId === userId) {
+        socket.emit('chat-error', { message: 'Invalid user to mute' });
+        return;
+      }
+
+      if (!useRedis) {
+        socket.emit('chat-error', { message: 'Chat service unavailable' });
+        return;
+      }
+      
+      if (roomId) {
+        const roomData = await redisService.getRoom(roomId);
+        if (!roomData) {
+          socket.emit('chat-error', { message: 'Room does not exist' });
+          return;
+        }
+        if (roomData.createdBy !== userId && !socket.isAdmin) {
+          socket.emit('chat-error', { message: 'Only the room host can mute players' });
+          return;
+        }
+      } else if (!socket.isAdmin) {
+        socket.emit('chat-error', { message: 'Only admins can mute players everywhere' });
+        return;
+      }
+      
+      const mute = await moderationService.muteUser(targetUserId, { roomId, durationSeconds, reason, mutedBy: userId });
+      const mutePayload = { userId: targetUserId, ...mute };
+      
+      io.to(`user_${targetUserId}`).emit('chat-muted', mutePayload);
+      if (roomId) {
+        io.to(roomId).emit('user-muted', mutePayload);
+      }
+      socket.emit('mute-success', mutePayload);
+      
+    } catch (error) {
+      console.error('Error muting user:', error);
+      socket.emit('chat-error', {
+        message: 'Failed to mute user'
+      });
+    }
+  });
+  
+  socket.on('unmute-user', async (data) => {
+    try {
+      const { targetUserId, roomId = null } = data || {};
+      const userId = socket.userId;
+      
+      if (!targetUserId) {
+        socket.emit('chat-error', { message: 'Invalid user to unmute' });
+        return;
+      }
+
+      if (!useRedis) {
+        socket.emit('chat-error', { message: 'Chat service unavailable' });
+        return;
+      }
+      
+      if (roomId) {
+        const roomData = await redisService.getRoom(roomId);
+        if (!roomData || (roomData.createdBy !== userId && !socket.isAdmin)) {
+          socket.emit('chat-error', { message: 'Only the room host can unmute players' });
+          return;
+        }
+      } else if (!socket.isAdmin) {
+        socket.emit('chat-error', { message: 'Only admins can lift a global mute' });
+        return;
+      }
+      
+      const unmuted = await moderationService.unmuteUser(targetUserId, { roomId, unmutedBy: userId });
+      const unmutePayload = { userId: targetUserId, scope: roomId ? 'room' : 'global', roomId };
+      
+      if (unmuted) {
+        io.to(`user_${targetUserId}`).emit('chat-unmuted', unmutePayload);
+        if (roomId) {
+          io.to(roomId).emit('user-unmuted', unmutePayload);
+        }
+      }
+      socket.emit('unmute-success', { ...unmutePayload, wasMuted: unmuted });
+      
+    } catch (error) {
+      console.error('Error unmuting user:', error);
+      socket.emit('chat-error', {
+        message: 'Failed to unmute user'
+      });
+    }
+  });
+  
+  // Mark a friend conversation read up to a message, or everything so far.
+  // The friend gets a read receipt; the reader's tabs get new unread counts.
+  socket.on('mark-conversation-read', async (data) => {
+    try {
+      const { friendId, messageId } = data || {};
+      const userId = socket.userId;
+      
+      if (!friendId) {
+        socket.emit('chat-error', { message: 'Friend ID is required' });
+        return;
+      }
+
+      if (!useRedis) {
+        socket.emit('chat-error', { message: 'Chat service unavailable' });
+        return;
+      }
+      
+      const conversationId = [userId, friendId].sort().join('_');
+      let readUpTo = Date.now();
+      
+      if (messageId) {
+        const messageData = await redisService.getChatMessage(getChatKey('friend', friendId, userId), messageId);
+        if (!messageData) {
+          socket.emit('chat-error', { message: 'Message not found' });
+          return;
+        }
+        readUpTo = messageData.timestamp;
+      }
+      
+      const readAt = await redisService.setReadCursor(conversationId, userId, readUpTo);
+      const unreadCount = await redisService.countUnread(conversationId, userId, friendId);
+      await redisService.setUnreadCount(userId, friendId, unreadCount);
+      
+      io.to(`user_${friendId}`).emit('message-read', {
+        conversationId: conversationId,
+        readerId: userId,
+        readUpTo: readAt
+      });
+      io.to(`user_${userId}`).emit('unread-counts-updated', await redisService.getUnreadSummary(userId));
+      
+    } catch (error) {
+      console.error('Error marking conversation read:', error);
+      socket.emit('chat-error', {
+        message: 'Failed to mark conversation read'
+      });
+    }
+  });
+  
+  // Unread message counts across all friend conversations
+  socket.on('get-unread-counts', async () => {
+    try {
+      if (!useRedis) {
+        socket.emit('chat-error', { message: 'Chat service unavailable' });
+        return;
+      }
+      
+      socket.emit('unread-counts', await redisService.getUnreadSummary(socket.userId));
+      
+    } catch (error) {
+      console.error('Error getting unread counts:', error);
+      socket.emit('chat-error', {
+        message: 'Failed to get unread counts'
+      });
+    }
+  });
+  
+  // React to a message with an emoji, or take the reaction back with remove: true.
+  // Everyone in the chat gets the change as a delta.
+  socket.on('react-to-message', async (data) => {
+    try {
+      // for friend chat roomId is friendId
+      const { messageId, chatType, roomId, emoji, remove = false } = data || {};
+      const userId = socket.userId;
+      
+      if (!messageId || !roomId || !['room', 'friend'].includes(chatType)) {
+        socket.emit('chat-error', { message: 'Invalid chat type or missing ID' });
+        return;
+      }
+      
+      if (typeof emoji !== 'string' || emoji.trim().length === 0 || emoji.length > MAX_EMOJI_LENGTH) {
+        socket.emit('chat-error', { message: 'Invalid reaction' });
+        return;
+      }
+
+      if (!useRedis) {
+        socket.emit('chat-error', { message: 'Chat service unavailable' });
+        return;
+      }
+      
+      if (!(await canAccessChat(chatType, roomId))) {
+        socket.emit('chat-error', { message: 'You are not a member of this room' });
+        return;
+      }
+      
+      const chatKey = getChatKey(chatType, roomId, userId);
+      const messageData = await redisService.getChatMessage(chatKey, messageId);
+      if (!messageData) {
+        socket.emit('chat-error', { message: 'Message not found' });
+        return;
+      }
+      
+      const reaction = emoji.trim();
+      if (!remove) {
+        const { counts } = (await redisService.getMessageReactions(chatKey, [messageId], userId))[messageId];
+        if (!counts[reaction] && Object.keys(counts).length >= MAX_REACTIONS_PER_MESSAGE) {
+          socket.emit('chat-error', { message: `A message can have at most ${MAX_REACTIONS_PER_MESSAGE} different reactions` });
+          return;
+        }
+      }
+      
+      const result = await redisService.setMessageReaction(chatKey, messageId, userId, reaction, !remove);
+      if (!result.changed) return;
+      
+      await emitToChat(chatType, roomId, 'message-reaction-updated', {
+        messageId: messageId,
+        chatType: chatType,
+        ...(chatType === 'room' ? { roomId } : { conversationId: messageData.conversationId }),
+        emoji: reaction,
+        userId: userId,
+        username: socket.username,
+        delta: remove ? -1 : 1,
+        count: result.count
+      });
+      
+    } catch (error) {
+      console.error('Error reacting to message:', error);
+      socket.emit('chat-error', {
+        message: 'Failed to react to message'
+      });
+    }
+  });
+  
+  // Get a thread: the message that started it and its replies
+  socket.on('get-message-thread', async (data) => {
+    try {
+      // for friend chat roomId is friendId
+      const { threadId, chatType, roomId, limit = 50, before } = data || {};
+      const userId = socket.userId;
+      
+      if (!threadId || !roomId || !['room', 'friend'].includes(chatType)) {
+        socket.emit('chat-error', { message: 'Invalid chat type or missing ID' });
+        return;
+      }
+
+      if (!useRedis) {
+        socket.emit('chat-error', { message: 'Chat service unavailable' });
+        return;
+      }
+      
+      if (!(await canAccessChat(chatType, roomId))) {
+        socket.emit('chat-error', { message: 'You are not a member of this room' });
+        return;
+      }
+      
+      const chatKey = getChatKey(chatType, roomId, userId);
+      const [root, replies] = await Promise.all([
+        redisService.getChatMessage(chatKey, threadId),
+        redisService.getThreadReplies(chatKey, threadId, limit, before)
+      ]);
+      
+      socket.emit('message-thread', {
+        threadId: threadId,
+        chatType: chatType,
+        // The root may have been deleted or expired while replies remain
+        root: root ? (await withThreadContext(chatKey, [root]))[0] : null,
+        replies: await withThreadContext(chatKey, replies),
+        hasMore: replies.length === limit
+      });
+      
+    } catch (error) {
+      console.error('Error getting message thread:', error);
+      socket.emit('chat-error', {
+        message: 'Failed to load thread'
+      });
+    }
+  });
+  
   // Typing indicator
   socket.on('typing-start', (data) => {
     // for friend chat roomId is friendId
@@ -343,7 +812,8 @@ module.exports = ({ socket, io }) => {
     if (chatType === 'room' && roomId) {
       socket.to(roomId).emit('user-typing', { ...typingData, roomId: roomId, chatType: 'room' });
     } else if (chatType === 'friend' && roomId) {
-      io.to(`user_${roomId}`).emit('user-typing', { ...typingData, friendId: socket.userId, chatType: 'friend' });
+      emitToFriend(roomId, 'user-typing', { ...typingData, friendId: socket.userId, chatType: 'friend' })
+        .catch(error => console.error('Error sending typing indicator:', error));
     }
   });
   
@@ -358,7 +828,8 @@ module.exports = ({ socket, io }) => {
     if (chatType === 'room' && roomId) {
       socket.to(roomId).emit('user-stopped-typing', { ...typingData, roomId: roomId, chatType: 'room' });
     } else if (chatType === 'friend' && roomId) {
-      io.to(`user_${roomId}`).emit('user-stopped-typing', { ...typingData, friendId: socket.userId, chatType: 'friend' });
+      emitToFriend(roomId, 'user-stopped-typing', { ...typingData, friendId: socket.userId, chatType: 'friend' })
+        .catch(error => console.error('Error sending typing indicator:', error));
     }
   });
 };
\ No newline at end of file
@@ -1,5 +1,11 @@
 const admin = require('firebase-admin');
-const achievementService = require('../services/achievementService');
+const eventBus = require('../services/eventBus');
+const presenceService = require('../services/presenceService');
+const notificationService = require('../services/notificationService');
+const blockService = require('../services/blockService');
+const matchmakingService = require('../services/matchmakingService');
+const redisService = require('../services/redisService');
+const { EVENT_TYPES } = eventBus;
 
 // Helper: Batch fetch user profiles from Firestore
 const fetchUserProfiles = async (db, userIds) => {
@@ -35,7 +41,7 @@ const fetchUserProfiles = async (db, userIds) => {
   }
 };
 
-module.exports = ({ socket, io, db, activeUsers }) => {
+module.exports = ({ socket, io, db }) => {
   const userId = socket.userId;
 
   // ✅ Send Friend Request
@@ -43,6 +49,12 @@ module.exports = ({ socket, io, db, activeUsers }) => {
     try {
       if (!targetUserId || targetUserId === userId) return;
 
+      const { blockedByMe, blockedMe } = await blockService.getBlockStatus(userId, targetUserId);
+      if (blockedByMe) {
+        socket.emit('friend-error', { message: 'Unblock this player to send them a friend request' });
+        return;
+      }
+
       await db.collection('userFriends').doc(userId).set({
         [targetUserId]: { 
           senderId: userId, 
@@ -51,6 +63,12 @@ module.exports = ({ socket, io, db, activeUsers }) => {
         }
       }, { merge: true });
 
+      // Blocked senders see the request as pending forever, like an ignored one
+      if (blockedMe) {
+        socket.emit('friend-request-sent', { to: targetUserId });
+        return;
+      }
+
       await db.collection('userFriends').doc(targetUserId).set({
         [userId]: { 
           senderId: userId, 
@@ -63,8 +81,8 @@ module.exports = ({ socket, io, db, activeUsers }) => {
       const userProfiles = await fetchUserProfiles(db, [userId]);
       const senderProfile = userProfiles[userId] || {};
 
-      // Notify target user with full sender info
-      io.to(`user_${targetUserId}`).emit('friend-request-received', {
+      // Notify target user with full sender info (kept for them if offline)
+      await notificationService.notify(targetUserId, 'friend-request-received', {
         from: userId,
         username: senderProfile.username || socket.username,
         avatar: senderProfile.avatar,
@@ -81,39 +99,35 @@ module.exports = ({ socket, io, db, activeUsers }) => {
 
   socket.on('accept-friend-request', async ({ targetUserId }) => {
     try {
+      // Either side having blocked the other leaves nothing to accept
+      const { blockedByMe, blockedMe } = await blockService.getBlockStatus(userId, targetUserId);
+      if (blockedByMe || blockedMe) {
+        socket.emit('friend-error', { message: 'Failed to accept request' });
+        return;
+      }
+
       // Update friend statuses
       await db.collection('userFriends').doc(userId).update({ [`${targetUserId}.status`]: 'accepted' });
       await db.collection('userFriends').doc(targetUserId).update({ [`${userId}.status`]: 'accepted' });
 
-      // Fetch acceptor's profile to send complete data
-      const userProfiles = await fetchUserProfiles(db, [userId]);
+      // Fetch both profiles: the acceptor's to send complete data, the sender's for achievement announcements
+      const userProfiles = await fetchUserProfiles(db, [userId, targetUserId]);
       const acceptorProfile = userProfiles[userId] || {};
 
-      io.to(`user_${targetUserId}`).emit('friend-request-accepted', {
+      await notificationService.notify(targetUserId, 'friend-request-accepted', {
         from: userId,
         username: acceptorProfile.username || socket.username,
         avatar: acceptorProfile.avatar,
         showStats: acceptorProfile.showStats
       });
 
-      const targetUserPresence = activeUsers.get(targetUserId);
+      const targetUserPresence = await presenceService.getUser(targetUserId);
 
-      socket.emit('friend-accepted', { friendId: targetUserId, presence: targetUserPresence.presence || 'offline' });
+      socket.emit('friend-accepted', { friendId: targetUserId, presence: targetUserPresence?.presence || 'offline' });
 
-      // Update friend counts and check achievements for both users
-      const [userResult, targetResult] = await Promise.all([
-        achievementService.updateFriendCount(userId, admin.firestore.FieldValue.increment(1)),
-        achievementService.updateFriendCount(targetUserId, admin.firestore.FieldValue.increment(1))
-      ]);
-
-      // Notify users about newly unlocked achievements
-      if (userResult.achievements?.some(a => a.unlocked)) {
-        socket.emit('achievements-unlocked', { achievements: userResult.achievements.filter(a => a.unlocked) });
-      }
-
-      if (targetResult.achievements?.some(a => a.unlocked)) {
-        io.to(`user_${targetUserId}`).emit('achievements-unlocked', { achievements: targetResult.achievements.filter(a => a.unlocked) });
-      }
+      // Friend counts and friend achievements are updated for both users
+      eventBus.publish(EVENT_TYPES.FRIEND_ADDED, { userId, username: socket.username, friendId: targetUserId });
+      eventBus.publish(EVENT_TYPES.FRIEND_ADDED, { userId: targetUserId, username: userProfiles[targetUserId]?.username, friendId: userId });
       
     } catch (err) {
       console.error('Error accepting friend request:', err);
@@ -144,6 +158,113 @@ module.exports = ({ socket, io, db, activeUsers }) => {
     }
   });
 
+  // ✅ Block User
+  // Ends any friendship and pending match invites between the two. The blocked
+  // user only sees what an unfriend or a declined invite would look like.
+  socket.on('block-user', async ({ targetUserId }) => {
+    try {
+      if (!targetUserId || targetUserId === userId) {
+        socket.emit('friend-error', { message: 'Invalid user to block' });
+        return;
+      }
+
+      await blockService.blockUser(userId, targetUserId);
+
+      const friendsDoc = await db.collection('userFriends').doc(userId).get();
+      const wasFriend = friendsDoc.exists && !!friendsDoc.data()[targetUserId];
+
+      await db.collection('userFriends').doc(userId).set({
+        [targetUserId]: admin.firestore.FieldValue.delete()
+      }, { merge: true });
+      await db.collection('userFriends').doc(targetUserId).set({
+        [userId]: admin.firestore.FieldValue.delete()
+      }, { merge: true });
+
+      if (wasFriend) {
+        io.to(`user_${targetUserId}`).emit('friend-removed', { by: userId });
+        socket.emit('friend-removed', { by: targetUserId });
+      }
+
+      const [sentInvites, receivedInvites] = await Promise.all([
+        matchmakingService.getUserSentInvites(userId),
+        matchmakingService.getUserReceivedInvites(userId)
+      ]);
+
+      for (const invite of sentInvites.filter(i => i.receiverId === targetUserId)) {
+        await matchmakingService.deleteInvite(invite.id);
+        io.to(`user_${targetUserId}`).emit('friend-invite-cancelled', {
+          inviteId: invite.id,
+          message: 'Invite was cancelled'
+        });
+      }
+
+      for (const invite of receivedInvites.filter(i => i.senderId === targetUserId)) {
+        await matchmakingService.deleteInvite(invite.id);
+        io.to(`user_${targetUserId}`).emit('friend-invite-declined', {
+          inviteId: invite.id,
+          receiverUsername: socket.username,
+          message: `${socket.username} declined your invite`
+        });
+      }
+
+      // Their messages no longer count as unread
+      await redisService.setUnreadCount(userId, targetUserId, 0);
+      io.to(`user_${userId}`).emit('unread-counts-updated', await redisService.getUnreadSummary(userId));
+
+      // Nor do the friend requests and match invites they sent
+      const cleared = await notificationService.markReadFrom(userId, targetUserId);
+      if (cleared) {
+        io.to(`user_${userId}`).emit('notifications-marked-read', cleared);
+      }
+
+      socket.emit('user-blocked', { userId: targetUserId });
+
+    } catch (err) {
+      console.error('Error blocking user:', err);
+      socket.emit('friend-error', { message: 'Failed to block user' });
+    }
+  });
+
+  // ✅ Unblock User (friendships are not restored)
+  socket.on('unblock-user', async ({ targetUserId }) => {
+    try {
+      if (!targetUserId) {
+        socket.emit('friend-error', { message: 'Invalid user to unblock' });
+        return;
+      }
+
+      await blockService.unblockUser(userId, targetUserId);
+
+      socket.emit('user-unblocked', { userId: targetUserId });
+
+    } catch (err) {
+      console.error('Error unblocking user:', err);
+      socket.emit('friend-error', { message: 'Failed to unblock user' });
+    }
+  });
+
+  // ✅ Get Blocked Users
+  socket.on('get-blocked-users', async () => {
+    try {
+      const blocks = await blockService.getBlocks(userId);
+      const blockedIds = Object.keys(blocks);
+      const userProfiles = await fetchUserProfiles(db, blockedIds);
+
+      socket.emit('blocked-users', {
+        users: blockedIds.map(bid => ({
+          uid: bid,
+          username: userProfiles[bid]?.username || 'Unknown',
+          avatar: userProfiles[bid]?.avatar || null,
+          blockedAt: blocks[bid].blockedAt
+        }))
+      });
+
+    } catch (err) {
+      console.error('Error getting blocked users:', err);
+      socket.emit('friend-error', { message: 'Failed to get blocked users' });
+    }
+  });
+
   // ✅ Get Friend List (Enhanced with user profiles)
   socket.on('get-friends', async () => {
     try {
@@ -153,15 +274,16 @@ module.exports = ({ socket, io, db, activeUsers }) => {
       // Extract all friend UIDs
       const friendIds = Object.keys(friends);
       
-      // Batch fetch all user profiles at once
+      // Batch fetch all user profiles and presence at once
       const userProfiles = await fetchUserProfiles(db, friendIds);
+      const presences = await presenceService.getUsers(friendIds);
 
       const accepted = [];
       const pending = [];
 
       friendIds.forEach(fid => {
         const f = friends[fid];
-        const onlineUser = activeUsers.get(fid);
+        const onlineUser = presences[fid];
         const profile = userProfiles[fid] || {};
 
         const friendData = {
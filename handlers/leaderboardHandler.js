@@ -1,208 +1,118 @@
 // handlers/leaderboardHandler.js - Leaderboard Management with Redis
-const admin = require('firebase-admin');
 const redisService = require('../services/redisService');
+const seasonService = require('../services/seasonService');
+const leaderboardService = require('../services/leaderboardService');
 const { isRedisAvailable } = require('../config/redis.config');
 
+// get-leaderboard timeframes backed by period boards
+const PERIOD_TIMEFRAMES = {
+  week: 'weekly',
+  month: 'monthly'
+};
+
+// Live leaderboard subscriptions one socket may hold at once
+const MAX_SUBSCRIPTIONS_PER_SOCKET = 5;
+
+// Most players listed on each side of the caller by get-leaderboard-around-me
+const MAX_AROUND_RANGE = 25;
+
+// The board a request reads: an all-time board, or the current weekly/monthly period
+const resolveView = ({ gameType = 'all', sortBy = 'totalScore', timeframe = 'all' }) => {
+  const type = PERIOD_TIMEFRAMES[timeframe];
+  if (type) {
+    const period = leaderboardService.getPeriod(type);
+    return { periodType: type, periodId: period.id, period };
+  }
+  if (timeframe !== 'all') return null;
+  return { board: leaderboardService.resolveBoard(gameType, sortBy) };
+};
+
 module.exports = ({ socket, io, db }) => {
   // Helper function to use Redis or fallback to memory
   const useRedis = isRedisAvailable();
   
-  // Update score
-  socket.on('update-score', async (data) => {
-    try {
-      const { points, reason, gameType = 'general' } = data;
-      const userId = socket.userId;
-      const username = socket.username;
-      
-      if (!points || isNaN(points)) {
-        socket.emit('leaderboard-error', { message: 'Valid points value is required' });
-        return;
-      }
-      
-      // Get or create user leaderboard entry
-      const userLeaderboardRef = db.collection('leaderboard').doc(userId);
-      const userLeaderboardDoc = await userLeaderboardRef.get();
-      
-      let currentData = {
-        userId: userId,
-        username: username,
-        totalScore: 0,
-        gamesPlayed: 0,
-        wins: 0,
-        losses: 0,
-        averageScore: 0,
-        lastPlayed: null,
-        achievements: [],
-        gameTypeScores: {},
-        currentWinStreak: 0
-      };
-      
-      if (userLeaderboardDoc.exists) {
-        currentData = { ...currentData, ...userLeaderboardDoc.data() };
-      }
-      
-      // Update scores
-      const newTotalScore = currentData.totalScore + points;
-      const newGamesPlayed = currentData.gamesPlayed + 1;
-      const newAverageScore = newTotalScore / newGamesPlayed;
-      
-      // Update game type specific scores
-      const gameTypeScores = currentData.gameTypeScores || {};
-      gameTypeScores[gameType] = {
-        score: (gameTypeScores[gameType]?.score || 0) + points,
-        gamesPlayed: (gameTypeScores[gameType]?.gamesPlayed || 0) + 1
-      };
-      
-      const updatedData = {
-        userId: userId,
-        username: username,
-        totalScore: newTotalScore,
-        gamesPlayed: newGamesPlayed,
-        averageScore: Math.round(newAverageScore * 100) / 100,
-        lastPlayed: admin.firestore.FieldValue.serverTimestamp(),
-        gameTypeScores: gameTypeScores,
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-      };
-      
-      // Save to Firebase (primary persistent storage)
-      await userLeaderboardRef.set(updatedData, { merge: true });
-      
-      // Prepare broadcast data
-      const broadcastData = {
-        userId: userId,
-        username: username,
-        points: points,
-        totalScore: newTotalScore,
-        reason: reason,
-        gameType: gameType,
-        timestamp: new Date()
-      };
-      
-      // Broadcast score update
-      io.emit('score-updated', broadcastData);
-      
-      // Check for achievements (using your existing function)
-      const achievements = await checkAchievements(updatedData);
-      if (achievements.length > 0) {
-        await userLeaderboardRef.update({
-          achievements: admin.firestore.FieldValue.arrayUnion(...achievements)
-        });
-        
-        io.emit('achievements-unlocked', {
-          userId: userId,
-          username: username,
-          achievements: achievements
-        });
-      }
-      
-      // Notify user
-      socket.emit('score-update-success', {
-        points: points,
-        totalScore: newTotalScore,
-        newAchievements: achievements
-      });
-      
-    } catch (error) {
-      console.error('Error updating score:', error);
-      socket.emit('leaderboard-error', {
-        message: 'Failed to update score'
-      });
-    }
-  });
+  // Live leaderboard subscriptions held by this socket
+  const subscriptions = new Set();
   
-  // Get leaderboard
-  socket.on('get-leaderboard', async (data) => {
+  // Get leaderboard (a page of the global, per-game-type or win-rate board)
+  socket.on('get-leaderboard', async (data = {}) => {
     try {
       const { 
         limit = 50, 
         gameType = 'all', 
         sortBy = 'totalScore',
-        timeframe = 'all' 
+        timeframe = 'all',
+        periodId = null,
+        cursor = null
       } = data;
       
-      let leaderboard = [];
-      let query = await db.collection('leaderboard'); 
-      // let userAchievement = new Map();
-      // let queryAchievement = await db.collection('userAchievements').where('unlockedAt', '!=', null).get();
-
-      // // create user achievements array
-      // queryAchievement.forEach((doc)=>{
-      //   const data = doc.data();
-      //   const userId = data.userId;
-      //   if (!userAchievement.has(userId)) {
-      //     userAchievement.set(userId, []);
-      //   }
-
-      //   // Push current achievement into that user's array
-      //   userAchievement.get(userId).push({
-      //     id: doc.id,
-      //     ...data,
-      //   });
-      // })
-
-      // Timeframe filter (using your existing getTimeLimit function)
-      if (timeframe !== 'all') {
-        const timeLimit = getTimeLimit(timeframe);
-        query = query.where('lastPlayed', '>=', timeLimit);
-      }
-
-      // If sorting by winRate, we can't do it in Firestore
-      if (sortBy !== 'winRate') {
-        query = query.orderBy(sortBy, 'desc').limit(limit);
+      if (timeframe !== 'all' && !PERIOD_TIMEFRAMES[timeframe]) {
+        socket.emit('leaderboard-error', { message: `Unsupported timeframe: ${timeframe}` });
+        return;
       }
-
-      const snapshot = await query.get();
-      let docs = snapshot.docs.map(doc => doc.data());
-
-      // Handle winRate sorting manually
-      if (sortBy === 'winRate') {
-        docs = docs.sort((a, b) => {
-          const winRateA = a.gamesPlayed > 0 ? ((a.wins || 0) / a.gamesPlayed) * 100 : 0;
-          const winRateB = b.gamesPlayed > 0 ? ((b.wins || 0) / b.gamesPlayed) * 100 : 0;
-          return winRateB - winRateA;
-        }).slice(0, limit);
+      
+      // Rebuilds from Firestore if Redis lost the boards
+      const rebuilding = !(await leaderboardService.isReady());
+      if (rebuilding) {
+        leaderboardService.ensureBuilt().catch(error => {
+          console.error('Error rebuilding leaderboards:', error);
+        });
       }
-
-      // Build leaderboard array
-      leaderboard = docs.map((data, index) => {
-        const rank = index + 1;
-
-        // Game-type specific score
-        let displayScore = data.totalScore;
-        if (gameType !== 'all' && data.gameTypeScores && data.gameTypeScores[gameType]) {
-          displayScore = data.gameTypeScores[gameType].score;
+      
+      // Weekly/monthly boards rank points earned in the period only
+      if (PERIOD_TIMEFRAMES[timeframe]) {
+        const type = PERIOD_TIMEFRAMES[timeframe];
+        const currentPeriod = leaderboardService.getPeriod(type);
+        
+        // Past periods are served from their archive
+        if (periodId && periodId !== currentPeriod.id) {
+          const archive = await leaderboardService.getArchivedPeriod(type, periodId);
+          if (!archive) {
+            socket.emit('leaderboard-error', { message: 'No archived leaderboard for that period' });
+            return;
+          }
+          
+          socket.emit('leaderboard-data', {
+            leaderboard: archive.standings,
+            timeframe,
+            period: { id: archive.periodId, startsAt: archive.startsAt, endsAt: archive.endsAt, timezone: archive.timezone },
+            archived: true,
+            nextCursor: null,
+            totalEntries: archive.totalPlayers,
+            lastUpdated: new Date(),
+            source: 'firebase'
+          });
+          return;
         }
-
-        // Compute winRate
-        const winRate = data.gamesPlayed > 0
-          ? Math.round(((data.wins || 0) / data.gamesPlayed) * 100)
-          : 0;
-
-        return {
-          rank,
-          userId: data.userId,
-          username: data.username,
-          totalScore: data.totalScore,
-          displayScore,
-          gamesPlayed: data.gamesPlayed,
-          averageScore: data.averageScore,
-          wins: data.wins || 0,
-          losses: data.losses || 0,
-          winRate,
-          lastPlayed: data.lastPlayed?.toDate(),
-          achievements: data.achievements || [], //userAchievement.get(data.userId)
-          gameTypeScores: data.gameTypeScores || {}
-        };
-      });
+        
+        const page = await leaderboardService.getPeriodPage(type, currentPeriod.id, { limit, cursor });
+        socket.emit('leaderboard-data', {
+          leaderboard: page.entries,
+          timeframe,
+          period: currentPeriod,
+          archived: false,
+          nextCursor: page.nextCursor,
+          totalEntries: page.total,
+          rebuilding,
+          lastUpdated: new Date(),
+          source: 'redis'
+        });
+        return;
+      }
+      
+      const board = leaderboardService.resolveBoard(gameType, sortBy);
+      const page = await leaderboardService.getPage(board, { limit, cursor });
 
       socket.emit('leaderboard-data', {
-        leaderboard,
+        leaderboard: page.entries,
         gameType,
-        sortBy,
+        sortBy: board === 'winRate' ? 'winRate' : 'totalScore',
         timeframe,
-        totalEntries: leaderboard.length,
+        nextCursor: page.nextCursor,
+        totalEntries: page.total,
+        rebuilding,
         lastUpdated: new Date(),
-        source: 'firebase'
+        source: 'redis'
       });
 
     } catch (error) {
@@ -214,136 +124,255 @@ module.exports = ({ socket, io, db }) => {
   });
 
   // Get user's leaderboard position
-  socket.on('get-my-position', async (data) => {
+  socket.on('get-my-position', async (data = {}) => {
     try {
-      const { gameType = 'all' } = data;
+      const { gameType = 'all', sortBy = 'totalScore', timeframe = 'all' } = data;
       const userId = socket.userId;
       
-      // Fallback to Firebase
-      const userDoc = await db.collection('leaderboard').doc(userId).get();
+      const type = PERIOD_TIMEFRAMES[timeframe];
+      const period = type ? leaderboardService.getPeriod(type) : null;
+      const board = leaderboardService.resolveBoard(gameType, sortBy);
+      const { position, total, entry, displayScore } = period
+        ? await leaderboardService.getPeriodPosition(type, period.id, userId)
+        : await leaderboardService.getPosition(board, userId);
       
-      if (!userDoc.exists) {
+      if (!entry || position === null) {
         socket.emit('my-position', {
           position: 'Unranked',
-          totalScore: 0,
-          gamesPlayed: 0,
-          source: 'firebase'
+          totalScore: entry?.totalScore || 0,
+          gamesPlayed: entry?.gamesPlayed || 0,
+          gameType: gameType,
+          timeframe: period ? timeframe : 'all',
+          source: 'redis'
         });
         return;
       }
       
-      const userData = userDoc.data();
+      socket.emit('my-position', {
+        position: position,
+        totalPlayers: total,
+        losses: entry.losses,
+        wins: entry.wins,
+        winRate: entry.winRate,
+        totalScore: entry.totalScore,
+        gameTypeScore: !period && gameType !== 'all' ? displayScore : undefined,
+        periodScore: period ? displayScore : undefined,
+        period: period,
+        gamesPlayed: entry.gamesPlayed,
+        averageScore: entry.averageScore,
+        achievements: entry.achievements,
+        gameType: gameType,
+        timeframe: period ? timeframe : 'all',
+        source: 'redis'
+      });
       
-      // Count users with higher scores
-      let query = db.collection('leaderboard');
+    } catch (error) {
+      console.error('Error getting user position:', error);
+      socket.emit('leaderboard-error', {
+        message: 'Failed to get your position'
+      });
+    }
+  });
+
+  // How the caller ranks among their accepted friends
+  socket.on('get-friends-leaderboard', async (data = {}) => {
+    try {
+      const { gameType = 'all', sortBy = 'totalScore', timeframe = 'all' } = data;
+      const userId = socket.userId;
       
-      if (gameType === 'all') {
-        query = query.where('totalScore', '>', userData.totalScore);
-      } else {
-        // For specific game type, we need to get all docs and filter
-        const allUsersSnapshot = await db.collection('leaderboard').get();
-        let higherScoreCount = 0;
-        
-        const userGameTypeScore = userData.gameTypeScores?.[gameType]?.score || 0;
-        
-        allUsersSnapshot.forEach(doc => {
-          const docData = doc.data();
-          const docGameTypeScore = docData.gameTypeScores?.[gameType]?.score || 0;
-          if (docGameTypeScore > userGameTypeScore) {
-            higherScoreCount++;
-          }
-        });
-        
-        socket.emit('my-position', {
-          position: higherScoreCount + 1,
-          totalScore: userData.totalScore,
-          gameTypeScore: userGameTypeScore,
-          gamesPlayed: userData.gamesPlayed,
-          averageScore: userData.averageScore,
-          achievements: userData.achievements || [],
-          gameType: gameType,
-          source: 'firebase'
-        });
+      const view = resolveView({ gameType, sortBy, timeframe });
+      if (!view) {
+        socket.emit('leaderboard-error', { message: `Unsupported timeframe: ${timeframe}` });
         return;
       }
       
-      const higherScoreSnapshot = await query.get();
-      const position = higherScoreSnapshot.size + 1;
+      const friendsDoc = await db.collection('userFriends').doc(userId).get();
+      const friends = friendsDoc.exists ? friendsDoc.data() || {} : {};
+      const friendIds = Object.keys(friends).filter(id => friends[id]?.status === 'accepted');
       
-      socket.emit('my-position', {
-        position: position,
-        losses: userData.losses,
-        wins: userData.wins,
-        totalScore: userData.totalScore,
-        gamesPlayed: userData.gamesPlayed,
-        averageScore: userData.averageScore,
-        achievements: userData.achievements || [],
-        source: 'firebase'
+      const entries = await leaderboardService.getGroupStanding(view, [userId, ...friendIds]);
+      const me = entries.find(entry => entry.userId === userId);
+      
+      socket.emit('friends-leaderboard', {
+        leaderboard: entries.map(entry => ({ ...entry, isCurrentUser: entry.userId === userId })),
+        myRank: me ? me.rank : null,
+        totalFriends: friendIds.length,
+        gameType,
+        sortBy: view.board === 'winRate' ? 'winRate' : 'totalScore',
+        timeframe,
+        period: view.period || null,
+        lastUpdated: new Date(),
+        source: 'redis'
       });
       
     } catch (error) {
-      console.error('Error getting user position:', error);
+      console.error('Error getting friends leaderboard:', error);
       socket.emit('leaderboard-error', {
-        message: 'Failed to get your position'
+        message: 'Failed to get friends leaderboard'
       });
     }
   });
-  
-  // Record game result (win/loss)
-  socket.on('record-game-result', async (data) => {
+
+  // The players directly above and below the caller
+  socket.on('get-leaderboard-around-me', async (data = {}) => {
     try {
-      const { result, roomId, finalScore, gameType = 'general' } = data;
+      const { gameType = 'all', sortBy = 'totalScore', timeframe = 'all', range = 5 } = data;
       const userId = socket.userId;
       
-      if (!['win', 'loss', 'draw'].includes(result)) {
-        socket.emit('leaderboard-error', { message: 'Invalid game result' });
+      const view = resolveView({ gameType, sortBy, timeframe });
+      if (!view) {
+        socket.emit('leaderboard-error', { message: `Unsupported timeframe: ${timeframe}` });
         return;
       }
       
-      const userLeaderboardRef = db.collection('leaderboard').doc(userId);
-      const userDoc = await userLeaderboardRef.get();
+      const span = Math.min(Math.max(parseInt(range) || 5, 1), MAX_AROUND_RANGE);
+      const { position, total, entries } = await leaderboardService.getAroundPlayer(view, userId, span);
+      
+      socket.emit('leaderboard-around-me', {
+        leaderboard: entries,
+        position: position === null ? 'Unranked' : position,
+        totalPlayers: total,
+        range: span,
+        gameType,
+        sortBy: view.board === 'winRate' ? 'winRate' : 'totalScore',
+        timeframe,
+        period: view.period || null,
+        lastUpdated: new Date(),
+        source: 'redis'
+      });
       
-      let updateData = {};
+    } catch (error) {
+      console.error('Error getting leaderboard around player:', error);
+      socket.emit('leaderboard-error', {
+        message: 'Failed to get leaderboard around you'
+      });
+    }
+  });
+
+  // Receive rank changes for the top of a board as they happen
+  socket.on('subscribe-leaderboard', async (data = {}) => {
+    try {
+      const { gameType = 'all', sortBy = 'totalScore', timeframe = 'all', limit = 100 } = data;
       
-      if (result === 'win') {
-        updateData.wins = admin.firestore.FieldValue.increment(1);
-      } else if (result === 'loss') {
-        updateData.losses = admin.firestore.FieldValue.increment(1);
+      const view = resolveView({ gameType, sortBy, timeframe });
+      if (!view) {
+        socket.emit('leaderboard-error', { message: `Unsupported timeframe: ${timeframe}` });
+        return;
       }
       
-      updateData.lastPlayed = admin.firestore.FieldValue.serverTimestamp();
+      const size = leaderboardService.getSubscriptionSize(limit);
+      const subscriptionId = leaderboardService.subscriptionId(view, size);
       
-      await userLeaderboardRef.update(updateData);
+      if (!subscriptions.has(subscriptionId) && subscriptions.size >= MAX_SUBSCRIPTIONS_PER_SOCKET) {
+        socket.emit('leaderboard-error', { message: `You can follow at most ${MAX_SUBSCRIPTIONS_PER_SOCKET} leaderboards at once` });
+        return;
+      }
       
-      // Log game result
-      await db.collection('gameResults').add({
-        userId: userId,
-        username: socket.username,
-        result: result,
-        roomId: roomId,
-        finalScore: finalScore,
-        gameType: gameType,
-        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      let version;
+      if (subscriptions.has(subscriptionId)) {
+        version = (await leaderboardService.getSnapshot(subscriptionId))?.version || 0;
+      } else {
+        subscriptions.add(subscriptionId);
+        socket.join(leaderboardService.subscriptionRoom(subscriptionId));
+        version = await leaderboardService.addSubscriber(subscriptionId);
+      }
+      
+      const page = await leaderboardService.readPage(leaderboardService.viewKey(view), { limit: size }, leaderboardService.viewScore(view));
+      
+      // Apply leaderboard-diff events with a higher version on top of this
+      socket.emit('leaderboard-subscribed', {
+        subscriptionId,
+        version,
+        leaderboard: page.entries,
+        totalEntries: page.total,
+        size,
+        gameType,
+        sortBy: view.board === 'winRate' ? 'winRate' : 'totalScore',
+        timeframe,
+        period: view.period || null
       });
       
-      // Broadcast game result
-      io.emit('game-result-recorded', {
-        userId: userId,
-        username: socket.username,
-        result: result,
-        finalScore: finalScore,
-        gameType: gameType
+    } catch (error) {
+      console.error('Error subscribing to leaderboard:', error);
+      socket.emit('leaderboard-error', {
+        message: 'Failed to subscribe to leaderboard'
       });
+    }
+  });
+
+  socket.on('unsubscribe-leaderboard', async (data = {}) => {
+    try {
+      const { subscriptionId } = data;
+      
+      if (!subscriptions.has(subscriptionId)) {
+        socket.emit('leaderboard-error', { message: 'Not subscribed to that leaderboard' });
+        return;
+      }
+      
+      subscriptions.delete(subscriptionId);
+      socket.leave(leaderboardService.subscriptionRoom(subscriptionId));
+      await leaderboardService.removeSubscriber(subscriptionId);
+      
+      socket.emit('leaderboard-unsubscribed', { subscriptionId });
       
-      socket.emit('game-result-success', {
-        result: result,
-        message: `Game result recorded: ${result}`
+    } catch (error) {
+      console.error('Error unsubscribing from leaderboard:', error);
+      socket.emit('leaderboard-error', {
+        message: 'Failed to unsubscribe from leaderboard'
+      });
+    }
+  });
+
+  socket.on('disconnect', async () => {
+    try {
+      for (const subscriptionId of subscriptions) {
+        await leaderboardService.removeSubscriber(subscriptionId);
+      }
+      subscriptions.clear();
+    } catch (error) {
+      console.error('Error removing leaderboard subscriptions on disconnect:', error);
+    }
+  });
+
+  // Past weekly/monthly boards with their winners
+  socket.on('get-leaderboard-history', async (data = {}) => {
+    try {
+      const { timeframe = 'week', limit = 10 } = data;
+      const type = PERIOD_TIMEFRAMES[timeframe];
+      
+      if (!type) {
+        socket.emit('leaderboard-error', { message: `Unsupported timeframe: ${timeframe}` });
+        return;
+      }
+      
+      const periods = await leaderboardService.listArchivedPeriods(type, limit);
+      
+      socket.emit('leaderboard-history', {
+        timeframe,
+        periods
       });
       
     } catch (error) {
-      console.error('Error recording game result:', error);
+      console.error('Error getting leaderboard history:', error);
       socket.emit('leaderboard-error', {
-        message: 'Failed to record game result'
+        message: 'Failed to get leaderboard history'
+      });
+    }
+  });
+
+  // Season standing for yourself or another player: tier, division and placements
+  socket.on('get-ranked-profile', async (data = {}) => {
+    try {
+      const userId = data.userId || socket.userId;
+      
+      const profile = await seasonService.getRankedProfile(userId);
+      
+      socket.emit('ranked-profile', profile);
+      
+    } catch (error) {
+      console.error('Error getting ranked profile:', error);
+      socket.emit('leaderboard-error', {
+        message: 'Failed to get ranked profile'
       });
     }
   });
@@ -435,89 +464,3 @@ module.exports = ({ socket, io, db }) => {
     }
   });
 };
-
-// Helper function to check for achievements
-async function checkAchievements(userData) {
-  const newAchievements = [];
-  const currentAchievements = userData.achievements || [];
-  
-  // Score milestones
-  const scoreMilestones = [
-    { score: 100, name: 'First Century', description: 'Reached 100 points' },
-    { score: 500, name: 'Rising Star', description: 'Reached 500 points' },
-    { score: 1000, name: 'Champion', description: 'Reached 1000 points' },
-    { score: 5000, name: 'Legend', description: 'Reached 5000 points' },
-    { score: 10000, name: 'Grandmaster', description: 'Reached 10,000 points' }
-  ];
-  
-  for (const milestone of scoreMilestones) {
-    if (userData.totalScore >= milestone.score && 
-        !currentAchievements.some(a => a.name === milestone.name)) {
-      newAchievements.push({
-        ...milestone,
-        unlockedAt: new Date(),
-        type: 'score_milestone'
-      });
-    }
-  }
-  
-  // Games played milestones
-  const gamesMilestones = [
-    { games: 10, name: 'Getting Started', description: 'Played 10 games' },
-    { games: 50, name: 'Regular Player', description: 'Played 50 games' },
-    { games: 100, name: 'Dedicated Gamer', description: 'Played 100 games' },
-    { games: 500, name: 'Veteran', description: 'Played 500 games' }
-  ];
-  
-  for (const milestone of gamesMilestones) {
-    if (userData.gamesPlayed >= milestone.games && 
-        !currentAchievements.some(a => a.name === milestone.name)) {
-      newAchievements.push({
-        ...milestone,
-        unlockedAt: new Date(),
-        type: 'games_milestone'
-      });
-    }
-  }
-  
-  // Win streak achievements (would need additional tracking)
-  const wins = userData.wins || 0;
-  const winRate = userData.gamesPlayed > 0 ? wins / userData.gamesPlayed : 0;
-  
-  if (winRate >= 0.8 && userData.gamesPlayed >= 20 && 
-      !currentAchievements.some(a => a.name === 'Dominator')) {
-    newAchievements.push({
-      name: 'Dominator',
-      description: '80% win rate with 20+ games',
-      unlockedAt: new Date(),
-      type: 'performance'
-    });
-  }
-  
-  return newAchievements;
-}
-
-// Helper function to get time limit for timeframe filtering
-function getTimeLimit(timeframe) {
-  const now = new Date();
-  const timeLimit = new Date();
-  
-  switch (timeframe) {
-    case 'today':
-      timeLimit.setHours(0, 0, 0, 0);
-      break;
-    case 'week':
-      timeLimit.setDate(now.getDate() - 7);
-      break;
-    case 'month':
-      timeLimit.setMonth(now.getMonth() - 1);
-      break;
-    case 'year':
-      timeLimit.setFullYear(now.getFullYear() - 1);
-      break;
-    default:
-      return null;
-  }
-  
-  return timeLimit;
-}
\ No newline at end of file
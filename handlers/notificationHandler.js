@@ -0,0 +1,45 @@
+// handlers/notificationHandler.js - Notification Inbox Socket Handler
+const notificationService = require('../services/notificationService');
+
+module.exports = ({ socket, io }) => {
+
+  // Page through notification history, newest first
+  socket.on('get-notifications', async (data) => {
+    try {
+      const { before = null, limit } = data || {};
+
+      const page = await notificationService.getHistory(socket.userId, { before, limit });
+
+      socket.emit('notifications', page);
+
+    } catch (error) {
+      console.error('Error getting notifications:', error);
+      socket.emit('notification-error', {
+        message: 'Failed to get notifications'
+      });
+    }
+  });
+
+  // Mark some notifications read, or all of them when no ids are given
+  socket.on('mark-notifications-read', async (data) => {
+    try {
+      const { notificationIds = null } = data || {};
+
+      if (notificationIds !== null && !Array.isArray(notificationIds)) {
+        socket.emit('notification-error', { message: 'notificationIds must be an array' });
+        return;
+      }
+
+      const result = await notificationService.markRead(socket.userId, notificationIds);
+
+      // Keep the user's other tabs in sync
+      io.to(`user_${socket.userId}`).emit('notifications-marked-read', result);
+
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+      socket.emit('notification-error', {
+        message: 'Failed to mark notifications read'
+      });
+    }
+  });
+};
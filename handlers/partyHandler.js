@@ -0,0 +1,297 @@
+// handlers/partyHandler.js - Party Invites and Party Matchmaking
+const partyService = require('../services/partyService');
+const matchmakingService = require('../services/matchmakingService');
+const presenceService = require('../services/presenceService');
+const gameService = require('../services/gameService');
+const { PENALTY_TYPES } = require('../services/penaltyService');
+
+module.exports = ({ socket, io, db }) => {
+
+  // Create a party with this user as leader
+  socket.on('create-party', async () => {
+    try {
+      const result = await partyService.createParty(socket.userId, socket.username);
+
+      if (!result.success) {
+        socket.emit('party-error', { message: result.message });
+        return;
+      }
+
+      io.in(`user_${socket.userId}`).socketsJoin(partyService.getPartyRoom(result.party.id));
+      socket.emit('party-created', { party: result.party });
+
+    } catch (error) {
+      console.error('Error creating party:', error);
+      socket.emit('party-error', {
+        message: 'Failed to create party'
+      });
+    }
+  });
+
+  // Leader invites a friend
+  socket.on('invite-to-party', async (data) => {
+    try {
+      const { targetUserId } = data;
+      const userId = socket.userId;
+
+      if (!targetUserId) {
+        socket.emit('party-error', { message: 'Target user is required' });
+        return;
+      }
+
+      const party = await partyService.getUserParty(userId);
+      if (!party || party.leaderId !== userId) {
+        socket.emit('party-error', { message: 'Only the party leader can invite players' });
+        return;
+      }
+
+      // Parties are for friends only
+      const friendsDoc = await db.collection('userFriends').doc(userId).get();
+      const friends = friendsDoc.exists ? friendsDoc.data() || {} : {};
+      if (friends[targetUserId]?.status !== 'accepted') {
+        socket.emit('party-error', { message: 'You can only invite friends to your party' });
+        return;
+      }
+
+      if (!(await presenceService.isOnline(targetUserId))) {
+        socket.emit('party-error', { message: 'Friend is not online' });
+        return;
+      }
+
+      const result = await partyService.createInvite(party, socket.username, targetUserId);
+      if (!result.success) {
+        socket.emit('party-error', { message: result.message });
+        return;
+      }
+
+      io.to(`user_${targetUserId}`).emit('party-invite', {
+        ...result.invite,
+        memberCount: party.members.length
+      });
+
+      socket.emit('party-invite-sent', {
+        partyId: party.id,
+        targetUserId
+      });
+
+    } catch (error) {
+      console.error('Error inviting to party:', error);
+      socket.emit('party-error', {
+        message: 'Failed to send party invite'
+      });
+    }
+  });
+
+  // Accept a party invite
+  socket.on('accept-party-invite', async (data) => {
+    try {
+      const { partyId } = data;
+
+      const result = await partyService.acceptInvite(partyId, socket.userId, socket.username);
+      if (!result.success) {
+        socket.emit('party-error', { message: result.message });
+        return;
+      }
+
+      io.in(`user_${socket.userId}`).socketsJoin(partyService.getPartyRoom(partyId));
+      partyService.notifyParty(result.party);
+
+    } catch (error) {
+      console.error('Error accepting party invite:', error);
+      socket.emit('party-error', {
+        message: 'Failed to join party'
+      });
+    }
+  });
+
+  // Decline a party invite
+  socket.on('decline-party-invite', async (data) => {
+    try {
+      const { partyId } = data;
+
+      const invite = await partyService.declineInvite(partyId, socket.userId);
+
+      if (invite) {
+        io.to(`user_${invite.inviterId}`).emit('party-invite-declined', {
+          partyId,
+          userId: socket.userId,
+          username: socket.username
+        });
+      }
+
+    } catch (error) {
+      console.error('Error declining party invite:', error);
+      socket.emit('party-error', {
+        message: 'Failed to decline party invite'
+      });
+    }
+  });
+
+  // Leave the current party
+  socket.on('leave-party', async () => {
+    try {
+      const result = await partyService.leaveParty(socket.userId);
+
+      if (!result) {
+        socket.emit('party-error', { message: 'You are not in a party' });
+        return;
+      }
+
+      socket.emit('party-left', { disbanded: result.disbanded });
+
+    } catch (error) {
+      console.error('Error leaving party:', error);
+      socket.emit('party-error', {
+        message: 'Failed to leave party'
+      });
+    }
+  });
+
+  // Leader removes a member
+  socket.on('kick-party-member', async (data) => {
+    try {
+      const { targetUserId } = data;
+      const userId = socket.userId;
+
+      const party = await partyService.getUserParty(userId);
+      if (!party || party.leaderId !== userId) {
+        socket.emit('party-error', { message: 'Only the party leader can remove players' });
+        return;
+      }
+
+      if (targetUserId === userId) {
+        socket.emit('party-error', { message: 'Use leave-party to leave your own party' });
+        return;
+      }
+
+      const result = await partyService.removeMember(party.id, targetUserId, 'kicked');
+      if (!result) {
+        socket.emit('party-error', { message: 'Player is not in your party' });
+        return;
+      }
+
+      io.to(`user_${targetUserId}`).emit('party-kicked', {
+        partyId: party.id,
+        kickedBy: socket.username
+      });
+
+    } catch (error) {
+      console.error('Error kicking party member:', error);
+      socket.emit('party-error', {
+        message: 'Failed to remove party member'
+      });
+    }
+  });
+
+  // Get the current party
+  socket.on('get-party', async () => {
+    try {
+      const party = await partyService.getUserParty(socket.userId);
+      socket.emit('party-details', { party });
+
+    } catch (error) {
+      console.error('Error getting party:', error);
+      socket.emit('party-error', {
+        message: 'Failed to get party'
+      });
+    }
+  });
+
+  // Leader puts the whole party into matchmaking
+  socket.on('party-queue', async (data = {}) => {
+    try {
+      const { gameSettings } = data;
+      const userId = socket.userId;
+
+      const party = await partyService.getUserParty(userId);
+      if (!party || party.leaderId !== userId) {
+        socket.emit('party-error', { message: 'Only the party leader can start matchmaking' });
+        return;
+      }
+
+      if (party.members.length < 2) {
+        socket.emit('party-error', { message: 'Invite at least one friend before queueing as a party' });
+        return;
+      }
+
+      if (party.status !== 'idle') {
+        socket.emit('party-error', { message: 'Party is already queued or in a game' });
+        return;
+      }
+
+      // Members who recently left or dodged a match have to sit out their cooldown
+      for (const member of party.members) {
+        const cooldown = await matchmakingService.getQueueCooldown(member.userId);
+        if (cooldown > 0) {
+          socket.emit('party-error', {
+            message: `${member.username} can't queue for another ${cooldown}s`,
+            code: 'QUEUE_COOLDOWN',
+            retryAfter: cooldown
+          });
+          return;
+        }
+      }
+
+      // Everyone must be online and not already in a room
+      const members = await presenceService.getUsers(party.members.map(m => m.userId));
+      const unavailable = party.members.filter(m => !members[m.userId] || members[m.userId].currentRoom);
+      if (unavailable.length > 0) {
+        socket.emit('party-error', {
+          message: 'Some party members are offline or in a game',
+          userIds: unavailable.map(m => m.userId)
+        });
+        return;
+      }
+
+      const result = await matchmakingService.queueParty(party, { gameSettings });
+      await partyService.setStatus(party.id, 'queued');
+
+      io.to(partyService.getPartyRoom(party.id)).emit('party-queued', {
+        partyId: party.id,
+        teamSize: result.teamSize,
+        averageSkill: result.averageSkill
+      });
+
+    } catch (error) {
+      console.error('Error queueing party:', error);
+      socket.emit('party-error', {
+        message: 'Failed to queue party'
+      });
+    }
+  });
+
+  // Any member can take the party out of matchmaking
+  socket.on('party-cancel-queue', async () => {
+    try {
+      const party = await partyService.getUserParty(socket.userId);
+      if (!party || party.status !== 'queued') {
+        socket.emit('party-error', { message: 'Party is not in matchmaking' });
+        return;
+      }
+
+      // Backing out of a proposed team match is a dodge, as it is solo
+      const proposal = await matchmakingService.getUserProposal(socket.userId);
+      if (proposal) {
+        const result = await matchmakingService.declineProposal(proposal.id, socket.userId, PENALTY_TYPES.DODGE);
+        if (result.success) {
+          await gameService.notifyProposalCancelled(result.proposal, result, 'dodged');
+        }
+      }
+
+      await matchmakingService.removePartyFromQueue(party.id);
+      await partyService.setStatus(party.id, 'idle');
+
+      io.to(partyService.getPartyRoom(party.id)).emit('party-queue-cancelled', {
+        partyId: party.id,
+        reason: 'cancelled',
+        cancelledBy: socket.username
+      });
+
+    } catch (error) {
+      console.error('Error cancelling party queue:', error);
+      socket.emit('party-error', {
+        message: 'Failed to cancel party matchmaking'
+      });
+    }
+  });
+};
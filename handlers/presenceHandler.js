@@ -1,19 +1,15 @@
-// handlers/presenceHandler.js - Minimal In-Memory Presence Management
-module.exports = ({ socket, activeUsers }) => {
+// handlers/presenceHandler.js - Presence Management Shared Across Instances
+const presenceService = require('../services/presenceService');
+
+module.exports = ({ socket }) => {
   
   // Update user presence status
-  socket.on('update-presence', (data) => {
+  socket.on('update-presence', async (data) => {
     try {
       const { status } = data;
       const userId = socket.userId;
       
-      // Update in memory only
-      const userData = activeUsers.get(userId);
-      if (userData) {
-        userData.presence = status;
-        userData.lastActivity = Date.now();
-        activeUsers.set(userId, userData);
-      }
+      await presenceService.setPresence(userId, status);
       
       socket.emit('presence-update-success', { status });
       
@@ -26,10 +22,10 @@ module.exports = ({ socket, activeUsers }) => {
   });
   
   // Get specific user's presence
-  socket.on('get-user-presence', (data) => {
+  socket.on('get-user-presence', async (data) => {
     try {
       const { userId } = data;
-      const userData = activeUsers.get(userId);
+      const userData = await presenceService.getUser(userId);
       
       socket.emit('user-presence', {
         userId,
@@ -43,13 +39,14 @@ module.exports = ({ socket, activeUsers }) => {
   });
   
   // Get multiple users' presence (for friend lists)
-  socket.on('get-users-presence', (data) => {
+  socket.on('get-users-presence', async (data) => {
     try {
       const { userIds } = data;
       const presences = {};
+      const users = await presenceService.getUsers(userIds);
       
       userIds.forEach(uid => {
-        const userData = activeUsers.get(uid);
+        const userData = users[uid];
         presences[uid] = userData ? userData.presence : 'offline';
       });
       
@@ -61,16 +58,11 @@ module.exports = ({ socket, activeUsers }) => {
   });
   
   // Handle user going idle
-  socket.on('user-idle', () => {
+  socket.on('user-idle', async () => {
     try {
       const userId = socket.userId;
-      const userData = activeUsers.get(userId);
       
-      if (userData) {
-        userData.presence = 'idle';
-        userData.lastActivity = Date.now();
-        activeUsers.set(userId, userData);
-      }
+      await presenceService.setPresence(userId, 'idle');
       
       socket.emit('idle-confirmed', { userId });
       
@@ -80,16 +72,11 @@ module.exports = ({ socket, activeUsers }) => {
   });
   
   // Handle user coming back from idle
-  socket.on('user-active', () => {
+  socket.on('user-active', async () => {
     try {
       const userId = socket.userId;
-      const userData = activeUsers.get(userId);
       
-      if (userData) {
-        userData.presence = 'online';
-        userData.lastActivity = Date.now();
-        activeUsers.set(userId, userData);
-      }
+      await presenceService.setPresence(userId, 'online');
       
       socket.emit('active-confirmed', { userId });
       
@@ -99,17 +86,11 @@ module.exports = ({ socket, activeUsers }) => {
   });
   
   // Set user presence on connection
-  socket.on('set-initial-presence', () => {
+  socket.on('set-initial-presence', async () => {
     try {
       const userId = socket.userId;
       
-      activeUsers.set(userId, {
-        id: userId,
-        username: socket.username,
-        presence: 'online',
-        joinedAt: Date.now(),
-        lastActivity: Date.now()
-      });
+      await presenceService.connect(userId, socket.username, socket.id);
       
       socket.emit('initial-presence-set', {
         userId,
@@ -122,19 +103,12 @@ module.exports = ({ socket, activeUsers }) => {
   });
   
   // Get presence statistics
-  socket.on('get-presence-stats', () => {
+  socket.on('get-presence-stats', async () => {
     try {
-      const stats = { online: 0, idle: 0, away: 0 };
-      
-      activeUsers.forEach(user => {
-        if (stats[user.presence] !== undefined) {
-          stats[user.presence]++;
-        }
-      });
+      const stats = await presenceService.getPresenceStats();
       
       socket.emit('presence-stats', {
         ...stats,
-        total: activeUsers.size,
         timestamp: Date.now()
       });
       
@@ -3,17 +3,57 @@ const admin = require('firebase-admin');
 const redisService = require('../services/redisService');
 const matchmakingService = require('../services/matchmakingService');
 const { isRedisAvailable } = require('../config/redis.config');
-const achievementService = require('../services/achievementService');
-
-module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
+const scoringService = require('../services/scoringService');
+const presenceService = require('../services/presenceService');
+const gameService = require('../services/gameService');
+const gameClockService = require('../services/gameClockService');
+const partyService = require('../services/partyService');
+const penaltyService = require('../services/penaltyService');
+const eventBus = require('../services/eventBus');
+const notificationService = require('../services/notificationService');
+const blockService = require('../services/blockService');
+const { PENALTY_TYPES } = penaltyService;
+const { EVENT_TYPES } = eventBus;
+
+const MAX_SPECTATORS = 50;
+// Room types players can create themselves; none of them are rated
+const CREATABLE_ROOM_TYPES = ['public', 'private'];
+const getSpectatorRoom = (roomId) => gameService.getSpectatorRoom(roomId);
+
+module.exports = ({ socket, io, db }) => {
   
   // Helper function to use Redis or fallback to memory
   const useRedis = isRedisAvailable();
+
+  // Room this socket is currently watching, if any
+  let spectatingRoomId = null;
+
+  // Why this user can't join the solo queue right now, or null if they can
+  const getQueueBlocker = async (userId) => {
+    if (await partyService.getUserParty(userId)) {
+      return { message: 'Leave your party to queue on your own' };
+    }
+    
+    if (await matchmakingService.getUserProposal(userId)) {
+      return { message: 'Accept or decline your pending match first' };
+    }
+    
+    const cooldown = await matchmakingService.getQueueCooldown(userId);
+    if (cooldown > 0) {
+      return {
+        message: `You recently left or dodged a match. Try again in ${cooldown}s`,
+        code: 'QUEUE_COOLDOWN',
+        retryAfter: cooldown
+      };
+    }
+    
+    return null;
+  };
   
   // Create new match room
   socket.on('create-room', async (data) => {
     try {
-      const { roomName, roomType = 'public', maxPlayers = 5, gameSettings = {}, skillLevel } = data;
+      const { roomName, roomType = 'public', maxPlayers = 5, gameSettings = {}, skillLevel, allowSpectators = true } = data;
       const userId = socket.userId;
       const username = socket.username;
       
@@ -28,6 +68,12 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
         return;
       }
       
+      // Matchmade (rated) room types are only ever created by the server
+      if (!CREATABLE_ROOM_TYPES.includes(roomType)) {
+        socket.emit('room-error', { message: `Room type must be one of: ${CREATABLE_ROOM_TYPES.join(', ')}` });
+        return;
+      }
+      
       // Generate unique room ID
       const roomId = `room_${Date.now()}_${userId}`;
       
@@ -51,12 +97,15 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
         }],
         status: 'waiting',
         gameSettings: gameSettings,
+        allowSpectators: allowSpectators !== false,
+        spectators: [],
         createdAt: Date.now(),
         lastActivity: Date.now()
       };
       
       // Save to Redis (primary) and Firebase (backup)
       if (useRedis) {
+        roomData.gameSettings = await scoringService.assignQuestions(roomId, gameSettings);
         await redisService.createRoom(roomData);
       }
       
@@ -64,17 +113,7 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
       socket.join(roomId);
       
       // Update user's current room
-      const userData = activeUsers.get(userId);
-      if (userData) {
-        userData.currentRoom = roomId;
-        activeUsers.set(userId, userData);
-      }
-      
-      // Track room users
-      roomUsers.set(roomId, new Set([userId]));
-      
-      // Store in memory (fallback)
-      activeRooms.set(roomId, roomData);
+      await presenceService.setCurrentRoom(userId, roomId);
       
       // Notify creator
       socket.emit('room-created', {
@@ -131,14 +170,15 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
         return;
       }
       
+      // Stop watching this room if the user was spectating it
+      if (spectatingRoomId === roomId) {
+        await stopSpectating('joined-as-player');
+      }
+      
       // Leave current room if in one
-      const userData = activeUsers.get(userId);
+      const userData = await presenceService.getUser(userId);
       if (userData && userData.currentRoom) {
         socket.leave(userData.currentRoom);
-        const prevRoomUsers = roomUsers.get(userData.currentRoom);
-        if (prevRoomUsers) {
-          prevRoomUsers.delete(userId);
-        }
       }
       
       // Join socket room
@@ -151,18 +191,7 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
       }
       
       // Update user's current room
-      if (userData) {
-        userData.currentRoom = roomId;
-        activeUsers.set(userId, userData);
-      }
-      
-      // Track room users
-      let roomUserSet = roomUsers.get(roomId);
-      if (!roomUserSet) {
-        roomUserSet = new Set();
-        roomUsers.set(roomId, roomUserSet);
-      }
-      roomUserSet.add(userId);
+      await presenceService.setCurrentRoom(userId, roomId);
       
       // Notify user
       socket.emit('room-joined', { room: roomData });
@@ -216,11 +245,7 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
         });
         
         // Clean up user's room reference
-        const userData = activeUsers.get(userId);
-        if (userData) {
-          userData.currentRoom = null;
-          activeUsers.set(userId, userData);
-        }
+        await presenceService.setCurrentRoom(userId, null);
         return;
       }
 
@@ -233,62 +258,14 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
       // Leave socket room
       socket.leave(roomId);
 
-      // Remove from room tracking
-      const roomUserSet = roomUsers.get(roomId);
-      if (roomUserSet) {
-        roomUserSet.delete(userId);
-      }
-
-      // Update active user data
-      const userData = activeUsers.get(userId);
-      if (userData) {
-        userData.currentRoom = null;
-        activeUsers.set(userId, userData);
-      }
-
-      // Remove player from Redis room
-      let roomDeleted = false;
-      let remainingPlayers = [];
-      
-      if (useRedis) {
-        const result = await redisService.removePlayerFromRoom(roomId, userId);
-        roomDeleted = result.roomDeleted;
-        
-        // Refresh room data if not deleted
-        if (!roomDeleted) {
-          roomData = await redisService.getRoom(roomId);
-          remainingPlayers = roomData.participantDetails;
-        }
-      }
+      // Remove player from Redis room (ends the game by forfeit if only one player is left)
+      const { remainingPlayers, gameEnded } = await gameService.removePlayerFromGame(
+        roomId, roomData, userId, username,
+        { triggeredBy: 'player-left' }
+      );
 
       // CASE 1: Room was deleted (last player left) OR only 1 player remains
-      // In multiplayer, if one player leaves, the other should win by forfeit
-      if (roomData.status === 'playing' && (roomDeleted || remainingPlayers.length === 1)) {
-        console.log(`Player left room ${roomId} - ending game (${roomDeleted ? 'room empty' : 'only 1 player left'})`);
-        
-        // If there's still 1 player, they win by forfeit
-        if (remainingPlayers.length === 1) {
-          const winner = remainingPlayers[0];
-          
-          // Give winner their points
-          await handleGameFinished(roomId, {
-            ...roomData,
-            participantDetails: [
-              { ...winner, score: winner.score || 50 }, // Winner gets points
-              { 
-                userId: userId, 
-                username: username, 
-                score: 0 // Leaving player gets 0
-              }
-            ]
-          }, {
-            reason: 'player-forfeit',
-            triggeredBy: 'player-left',
-            forfeitedBy: userId,
-            winnerId: winner.userId
-          });
-        }
-        
+      if (gameEnded) {
         // Notify the leaving player
         socket.emit('room-left', {
           roomId: roomId,
@@ -332,264 +309,6 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
     }
   });
 
-  // ==================== GAME FINISHED HELPER ====================
-  async function handleGameFinished(roomId, roomData, finishContext = {}) {
-    try {
-      // Update room status in Redis
-      if (useRedis) {
-        await redisService.updateRoom(roomId, {
-          status: 'finished',
-          gameFinishedAt: Date.now()
-        });
-      }
-      
-      // If room is empty or has no valid participants, just clean up
-      if (!roomData || !roomData.participantDetails || roomData.participantDetails.length === 0) {
-        
-        // Clean up room
-        if (useRedis) {
-          await redisService.deleteRoom(roomId);
-        }
-        io.emit('room-deleted', { roomId: roomId });
-        return;
-      }
-
-      // Sort participants by score
-      const finalScores = roomData.participantDetails
-        .sort((a, b) => (b.score || 0) - (a.score || 0))
-        .map((p, index) => ({
-          ...p,
-          rank: index + 1,
-          isWinner: index === 0
-        }));
-
-      // Determine winners (handle ties)
-      const highestScore = finalScores[0]?.score || 0;
-      const winners = finalScores.filter(p => p.score === highestScore);
-
-      const gameType = roomData.gameSettings?.mode || 'quiz';
-      console.log(gameType)
-      // Prepare all player results
-      const playerResults = finalScores.map(participant => {
-        let result = 'loss';
-        if (winners.some(w => w.userId === participant.userId)) {
-          result = winners.length > 1 ? 'draw' : 'win';
-        }
-
-        return {
-          userId: participant.userId,
-          username: participant.username,
-          result: result,
-          finalScore: participant.score || 0,
-          rank: participant.rank,
-          totalParticipants: finalScores.length,
-          points: participant.score || 0
-        };
-      });
-
-      // Use a single batch for ALL Firebase operations
-      const batch = db.batch();
-
-      for (const participant of finalScores) {
-        const userId = participant.userId;
-        const userScore = participant.score || 0;
-
-        // Determine result for this participant
-        let result = 'loss';
-        if (winners.some(w => w.userId === userId)) {
-          result = winners.length > 1 ? 'draw' : 'win';
-        }
-
-        // 1. GET CURRENT LEADERBOARD DATA
-        const userLeaderboardRef = db.collection('leaderboard').doc(userId);
-        const userDoc = await userLeaderboardRef.get();
-        
-        let currentLeaderboardData = {
-          userId: userId,
-          username: participant.username,
-          totalScore: 0,
-          gamesPlayed: 0,
-          wins: 0, losses: 0,
-          gameTypeScores: {},
-          currentWinStreak: 0,
-          perfectGames: 0,
-        };
-        
-        if (userDoc.exists) {
-          currentLeaderboardData = { ...currentLeaderboardData, ...userDoc.data() };
-        }
-
-        // Calculate new leaderboard values
-        const newTotalScore = currentLeaderboardData.totalScore + userScore;
-        const newGamesPlayed = currentLeaderboardData.gamesPlayed + 1;
-        const newAverageScore = newTotalScore / newGamesPlayed;
-
-        // Update game type scores
-        const gameTypeScores = currentLeaderboardData.gameTypeScores || {};
-        gameTypeScores[gameType] = {
-          score: (gameTypeScores[gameType]?.score || 0) + userScore,
-          gamesPlayed: (gameTypeScores[gameType]?.gamesPlayed || 0) + 1
-        };
-
-        // Update wins/losses and currentWinStreak
-        let wins = currentLeaderboardData.wins || 0;
-        let losses = currentLeaderboardData.losses || 0;
-        let currentWinStreak = currentLeaderboardData.currentWinStreak || 0;
-        
-        if (result === 'win') {
-          wins += 1;
-          currentWinStreak += 1;
-        } else if (result === 'loss') {
-          losses += 1;
-          currentWinStreak = 0;
-        }
-        
-        // Update perfect game 
-        let perfectGames = currentLeaderboardData.perfectGames || 0;
-        if(roomData.perfectScore === userScore){
-          perfectGames+=1
-        }
-
-        // Add leaderboard update to batch
-        batch.set(userLeaderboardRef, {
-          userId: userId,
-          username: participant.username,
-          totalScore: newTotalScore,
-          gamesPlayed: newGamesPlayed,
-          averageScore: Math.round(newAverageScore * 100) / 100,
-          wins: wins, losses: losses,
-          currentWinStreak: currentWinStreak,
-          gameTypeScores: gameTypeScores,
-          perfectGames: perfectGames,
-          lastPlayed: admin.firestore.FieldValue.serverTimestamp(),
-          updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        }, { merge: true });
-
-        // 2. GET CURRENT USER STATS
-        const userRef = db.collection('users').doc(userId);
-        const userSnapshot = await userRef.get();
-        
-        let currentUserStats = {
-          battlesWon: 0, quizzesTaken: 0, streak: 0, xp: 0
-        };
-
-        if (userSnapshot.exists && userSnapshot.data().stats) {
-          currentUserStats = { ...currentUserStats, ...userSnapshot.data().stats };
-        }
-
-        // Calculate streak
-        let newStreak = currentUserStats.streak || 0;
-        if (result === 'win') {
-          newStreak += 1;
-        } else if (result === 'loss') {
-          newStreak = 0;
-        }
-
-        // Add user stats update to batch
-        batch.set(userRef, {
-          stats: {
-            battlesWon: (currentUserStats.battlesWon || 0) + (result === 'win' ? 1 : 0),
-            quizzesTaken: (currentUserStats.quizzesTaken || 0) + 1,
-            streak: newStreak,
-            xp: (currentUserStats.xp || 0) + userScore
-          },
-          lastPlayedAt: admin.firestore.FieldValue.serverTimestamp(),
-          updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        }, { merge: true });
-
-        // 3. ADD GAME RESULT TO BATCH
-        const gameResultRef = db.collection('gameResults').doc();
-        batch.set(gameResultRef, {
-          userId: participant.userId,
-          username: participant.username,
-          result: result,
-          roomId: roomId,
-          finalScore: participant.score || 0,
-          rank: participant.rank,
-          gameType: gameType,
-          timestamp: admin.firestore.FieldValue.serverTimestamp()
-        });
-      }
-
-      await batch.commit();
-
-      // Broadcast game finished to all players in room
-      io.to(roomId).emit('game-finished', {
-        roomId: roomId,
-        finalScores: finalScores,
-        winners: winners.map(w => w.userId),
-        gameType: gameType,
-        allPlayerResults: playerResults,
-        finishReason: finishContext.reason || 'completed',
-        timestamp: Date.now()
-      });
-
-      // ============ CHECK ACHIEVEMENTS FOR ALL PLAYERS ============
-      for (const participant of finalScores) {
-        const userId = participant.userId;
-        
-        // Get updated user stats for achievement checking
-        const userLeaderboardDoc = await db.collection('leaderboard').doc(userId).get();
-        
-        if (userLeaderboardDoc.exists) {
-          const userStats = userLeaderboardDoc.data();
-          
-          // Check and unlock achievements
-          const achievementResult = await achievementService.checkAndUnlockAchievements(userId, userStats);
-          
-          if (achievementResult.success && achievementResult.newlyUnlocked.length > 0) {
-            // Find player's socket
-            const playerSocket = Array.from(io.sockets.sockets.values()).find(
-              s => s.userId === userId
-            );
-            
-            if (playerSocket) {
-              // Notify this player of unlocked achievements
-              playerSocket.emit('achievements-unlocked-batch', {
-                achievements: achievementResult.newlyUnlocked,
-                count: achievementResult.count,
-                timestamp: new Date()
-              });
-            }
-            
-            // Broadcast to all users
-            for (const achievement of achievementResult.newlyUnlocked) {
-              io.emit('user-achievement-unlocked', {
-                userId: userId,
-                username: participant.username,
-                achievement: achievement,
-                timestamp: new Date()
-              });
-            }
-            
-            // Update user's achievement points (separate from batch to avoid conflicts)
-            const totalPoints = achievementResult.newlyUnlocked.reduce((sum, a) => sum + (a.points || 0), 0);
-            await db.collection('users').doc(userId).update({
-              achievementPoints: admin.firestore.FieldValue.increment(totalPoints),
-              totalAchievements: admin.firestore.FieldValue.increment(achievementResult.count),
-              lastAchievementUnlockedAt: admin.firestore.FieldValue.serverTimestamp()
-            });
-          }
-        }
-      }
-
-      // Clean up room from Redis and notify lobby
-      if (useRedis) {
-        await redisService.deleteRoom(roomId);
-      }
-      io.emit('room-deleted', { roomId: roomId });
-
-    } catch (error) {
-      console.error('Error handling game-finished:', error);
-      
-      // Notify players about error
-      io.to(roomId).emit('game-error', {
-        message: 'Error finalizing game results',
-        error: error.message
-      });
-    }
-  }
-  
   // Get available rooms
   socket.on('get-available-rooms', async (data) => {
     try {
@@ -643,28 +362,8 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
         });
         
         if (result.allReady) {
-          // Start game countdown
-          io.to(roomId).emit('game-starting-countdown', {
-            roomId: roomId,
-            countdown: 5
-          });
-          
           // Start game after countdown
-          setTimeout(async () => {
-            try {
-              await redisService.updateRoom(roomId, {
-                status: 'playing',
-                gameStartedAt: Date.now()
-              });
-              
-              io.to(roomId).emit('game-started', {
-                roomId: roomId,
-                participants: result.participantDetails
-              });
-            } catch (error) {
-              console.error('Error starting game:', error);
-            }
-          }, 5000);
+          gameService.startGameCountdown(roomId);
         }
       }
       
@@ -688,6 +387,12 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
         return;
       }
       
+      // Games end on the server clock or by forfeit, never because a client says so
+      if (eventType === 'game-finished') {
+        socket.emit('room-error', { message: 'Games end when the server clock runs out' });
+        return;
+      }
+      
       // Verify user is in room
       let roomData = null;
       if (useRedis) {
@@ -718,82 +423,62 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
       switch (eventType) {
         case 'test-case-passed':
         case 'bug-solved':
-          const points = eventData.points || 10;
-          const prevScore = roomData.participantDetails.find(p => p.userId === userId)?.score || 0;
-
-          // Only update if score increased
-          if (points > prevScore) {
-            const updatedParticipantDetails = roomData.participantDetails.map(p => 
-              p.userId === userId ? { ...p, score: points } : p
-            );
+        case 'question-answered':
+          // Points are computed server-side; anything the client sent is ignored
+          const scoring = await scoringService.scoreEvent(roomData, userId, eventType, eventData || {});
+
+          if (!scoring.accepted) {
+            await scoringService.recordRejection({
+              roomId, userId, username, eventType, eventData,
+              code: scoring.code,
+              message: scoring.message
+            });
 
-            if (useRedis) {
-              await redisService.updateRoom(roomId, { participantDetails: updatedParticipantDetails });
-            }
-            
-            io.to(roomId).emit('score-updated', {
-              userId, username,
-              newScore: points, points,
-              reason: eventType
+            socket.emit('score-rejected', {
+              roomId,
+              eventType,
+              code: scoring.code,
+              message: scoring.message
             });
-            
-            if (useRedis) {
-              try {
-                await redisService.updateLeaderboard(userId, points, 'global');
-                const gameType = roomData.gameSettings?.mode || 'general';
-                await redisService.updateLeaderboard(userId, points, `gametype:${gameType}`);
-              } catch (redisError) {
-                console.error('Redis leaderboard update failed (non-critical):', redisError);
-              }
-            }
+            break;
           }
-          break;
-
-        case 'question-answered':
-          const qaPoints = eventData.points || 10;
-          const updatedQADetails = roomData.participantDetails.map(p => 
-            p.userId === userId ? { ...p, score: (p.score || 0) + qaPoints } : p
-          );
 
-          if (useRedis) {
-            await redisService.updateRoom(roomId, { participantDetails: updatedQADetails });
-          }
+          // HINCRBY, so concurrent events from other players can't overwrite this one
+          const newScore = await redisService.addScore(roomId, userId, scoring.points);
+          const latestRoom = await redisService.getRoom(roomId);
           
-          const qaNewScore = updatedQADetails.find(p => p.userId === userId).score;
-          io.to(roomId).emit('score-updated', {
+          io.to(roomId).to(getSpectatorRoom(roomId)).emit('score-updated', {
             userId,
             username,
-            newScore: qaNewScore,
-            points: qaPoints,
-            reason: eventType
+            newScore: newScore,
+            points: scoring.points,
+            isCorrect: scoring.isCorrect,
+            questionId: eventData.questionId,
+            reason: eventType,
+            // Team games also carry the running team totals
+            teamScores: latestRoom && gameService.isTeamGame(latestRoom)
+              ? gameService.getTeamScores(latestRoom)
+              : undefined
           });
           
+          // Breaking a tie during overtime ends the game
           if (useRedis) {
-            try {
-              await redisService.updateLeaderboard(userId, qaNewScore, 'global');
-              const gameType = roomData.gameSettings?.mode || 'general';
-              await redisService.updateLeaderboard(userId, qaNewScore, `gametype:${gameType}`);
-            } catch (redisError) {
-              console.error('Redis leaderboard update failed (non-critical):', redisError);
-            }
+            await gameService.checkSuddenDeath(roomId);
           }
           break;
 
         case 'timer-update':
-          io.to(roomId).emit('timer-updated', {
-            timeRemaining: eventData.timeRemaining,
-            totalTime: eventData.totalTime
-          });
+          // The server owns the clock; reply with its time instead of relaying the client's
+          const clock = await gameClockService.getClock(roomId);
+          if (clock) {
+            socket.emit('timer-updated', gameClockService.toPayload(clock));
+          }
           break;
           
-        case 'game-finished':
-          await handleGameFinished(roomId, roomData, {
-            reason: eventData?.reason || 'completed',
-            triggeredBy: eventData?.triggeredBy || 'game-event'
-          });
-          break;
-
         case 'hint-used':
+          // Hints reduce the points the server awards for the question
+          const hintCount = await scoringService.recordHint(roomId, userId, eventData?.questionId);
+
           // Track hint usage (optional - for analytics)
           await db.collection('gameAnalytics').add({
             userId: userId,
@@ -809,6 +494,13 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
             username: username,
             hintType: eventData.hintType
           });
+          
+          // Achievements count the first hint on each question the room was
+          // assigned during play, so repeating the event can't farm them
+          if (hintCount === 1 && roomData.status === 'playing' &&
+              (roomData.gameSettings?.questionIds || []).includes(eventData?.questionId)) {
+            eventBus.publish(EVENT_TYPES.HINT_USED, { userId, username, roomId, questionId: eventData.questionId });
+          }
           break;
           
         case 'player-ready-change':
@@ -858,6 +550,81 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
     }
   });
   
+  // Pause the game clock (host only)
+  socket.on('pause-game', async (data) => {
+    try {
+      const { roomId } = data;
+      
+      const roomData = useRedis ? await redisService.getRoom(roomId) : null;
+      if (!roomData || roomData.status !== 'playing') {
+        socket.emit('room-error', { message: 'Game is not in progress' });
+        return;
+      }
+      
+      if (roomData.createdBy !== socket.userId) {
+        socket.emit('room-error', { message: 'Only the host can pause the game' });
+        return;
+      }
+      
+      const result = await gameClockService.pauseClock(roomId);
+      if (!result.success) {
+        socket.emit('room-error', { message: result.message });
+        return;
+      }
+      
+      io.to(roomId).to(getSpectatorRoom(roomId)).emit('game-paused', {
+        roomId: roomId,
+        pausedBy: socket.userId,
+        username: socket.username,
+        maxPauseSeconds: Math.round(result.clock.maxPauseMs / 1000),
+        clock: gameClockService.toPayload(result.clock)
+      });
+      
+    } catch (error) {
+      console.error('Error pausing game:', error);
+      socket.emit('room-error', {
+        message: 'Failed to pause game'
+      });
+    }
+  });
+  
+  // Resume a paused game clock (host only)
+  socket.on('resume-game', async (data) => {
+    try {
+      const { roomId } = data;
+      
+      const roomData = useRedis ? await redisService.getRoom(roomId) : null;
+      if (!roomData || roomData.status !== 'playing') {
+        socket.emit('room-error', { message: 'Game is not in progress' });
+        return;
+      }
+      
+      if (roomData.createdBy !== socket.userId) {
+        socket.emit('room-error', { message: 'Only the host can resume the game' });
+        return;
+      }
+      
+      const result = await gameClockService.resumeClock(roomId);
+      if (!result.success) {
+        socket.emit('room-error', { message: result.message });
+        return;
+      }
+      
+      io.to(roomId).to(getSpectatorRoom(roomId)).emit('game-resumed', {
+        roomId: roomId,
+        resumedBy: socket.userId,
+        reason: 'host',
+        clock: gameClockService.toPayload(result.clock)
+      });
+      
+    } catch (error) {
+      console.error('Error resuming game:', error);
+      socket.emit('room-error', {
+        message: 'Failed to resume game'
+      });
+    }
+  });
+  
   // Get room details
   socket.on('get-room-details', async (data) => {
     try {
@@ -874,7 +641,11 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
         roomData = await redisService.getRoom(roomId);
       }
       
-      socket.emit('room-details', { room: roomData });
+      socket.emit('room-details', {
+        room: roomData,
+        spectators: roomData?.spectators || [],
+        spectatorCount: roomData?.spectators?.length || 0
+      });
       
     } catch (error) {
       console.error('Error getting room details:', error);
@@ -884,6 +655,234 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
     }
   });
   
+  // ============ RECONNECT ============
+  
+  // Take back a seat after dropping out of a game in progress
+  socket.on('rejoin-room', async (data) => {
+    try {
+      const { roomId } = data;
+      const userId = socket.userId;
+      const username = socket.username;
+      
+      if (!roomId) {
+        socket.emit('room-error', { message: 'Room ID is required' });
+        return;
+      }
+      
+      const roomData = await redisService.getRoom(roomId);
+      
+      if (!roomData || roomData.status === 'finished') {
+        socket.emit('room-error', { message: 'Game has already ended' });
+        return;
+      }
+      
+      if (!roomData.participants.includes(userId)) {
+        socket.emit('room-error', { message: 'You are not in this room' });
+        return;
+      }
+      
+      const snapshot = await gameService.resumePlayer(roomId, userId);
+      if (!snapshot) {
+        socket.emit('room-error', { message: 'Game has already ended' });
+        return;
+      }
+      
+      socket.join(roomId);
+      
+      socket.emit('room-rejoined', snapshot);
+      
+      socket.to(roomId).to(getSpectatorRoom(roomId)).emit('player-reconnected', {
+        userId,
+        username,
+        roomId
+      });
+      
+    } catch (error) {
+      console.error('Error rejoining room:', error);
+      socket.emit('room-error', {
+        message: 'Failed to rejoin room'
+      });
+    }
+  });
+  
+  // ============ SPECTATOR EVENTS ============
+  
+  async function stopSpectating(reason = 'left') {
+    const roomId = spectatingRoomId;
+    if (!roomId) return;
+    
+    spectatingRoomId = null;
+    socket.leave(getSpectatorRoom(roomId));
+    
+    let spectators = [];
+    let stillWatching = false;
+    if (useRedis) {
+      const result = await redisService.removeSpectator(roomId, socket.id, socket.userId);
+      spectators = result.spectators;
+      stillWatching = result.stillWatching;
+    }
+    
+    socket.emit('spectating-stopped', { roomId, reason });
+    
+    // The user may still be watching from another tab
+    if (stillWatching) return;
+    
+    io.to(roomId).emit('spectator-left', {
+      roomId,
+      userId: socket.userId,
+      username: socket.username,
+      spectatorCount: spectators.length
+    });
+  }
+  
+  // Watch a room without taking a seat
+  socket.on('spectate-room', async (data) => {
+    try {
+      const { roomId } = data;
+      const userId = socket.userId;
+      const username = socket.username;
+      
+      if (!roomId) {
+        socket.emit('room-error', { message: 'Room ID is required' });
+        return;
+      }
+      
+      let roomData = null;
+      if (useRedis) {
+        roomData = await redisService.getRoom(roomId);
+      }
+      
+      if (!roomData || roomData.status === 'finished') {
+        socket.emit('room-error', { message: 'Room not found' });
+        return;
+      }
+      
+      if (!roomData.allowSpectators) {
+        socket.emit('room-error', { message: 'Spectators are not allowed in this room' });
+        return;
+      }
+      
+      if (roomData.participants.includes(userId)) {
+        socket.emit('room-error', { message: 'You are already playing in this room' });
+        return;
+      }
+      
+      // Friend matches can only be watched by friends of one of the players
+      if (roomData.type === 'friend' || roomData.type === 'private') {
+        const friendsDoc = await db.collection('userFriends').doc(userId).get();
+        const friends = friendsDoc.exists ? friendsDoc.data() || {} : {};
+        const isFriendOfPlayer = roomData.participants.some(pid => friends[pid]?.status === 'accepted');
+        
+        if (!isFriendOfPlayer) {
+          socket.emit('room-error', { message: 'Only friends of the players can watch this match' });
+          return;
+        }
+      }
+      
+      // Switch away from any other room being watched
+      if (spectatingRoomId && spectatingRoomId !== roomId) {
+        await stopSpectating('switched-room');
+      }
+      
+      const { success, alreadyWatching, spectators } = await redisService.addSpectator(
+        roomId, socket.id, userId, username, MAX_SPECTATORS
+      );
+      if (!success) {
+        socket.emit('room-error', { message: 'Spectator limit reached' });
+        return;
+      }
+      
+      socket.join(getSpectatorRoom(roomId));
+      spectatingRoomId = roomId;
+      
+      socket.emit('spectating-started', {
+        room: { ...roomData, spectators },
+        spectatorCount: spectators.length
+      });
+      
+      if (alreadyWatching) return;
+      
+      io.to(roomId).emit('spectator-joined', {
+        roomId,
+        userId,
+        username,
+        spectatorCount: spectators.length
+      });
+      
+    } catch (error) {
+      console.error('Error spectating room:', error);
+      socket.emit('room-error', {
+        message: 'Failed to spectate room'
+      });
+    }
+  });
+  
+  socket.on('stop-spectating', async () => {
+    try {
+      await stopSpectating('left');
+    } catch (error) {
+      console.error('Error stopping spectating:', error);
+      socket.emit('room-error', {
+        message: 'Failed to stop spectating'
+      });
+    }
+  });
+  
+  // Host allows or forbids spectators for their room
+  socket.on('update-spectator-settings', async (data) => {
+    try {
+      const { roomId, allowSpectators } = data;
+      
+      if (!roomId || typeof allowSpectators !== 'boolean') {
+        socket.emit('room-error', { message: 'Room ID and allowSpectators are required' });
+        return;
+      }
+      
+      const roomData = await redisService.getRoom(roomId);
+      if (!roomData) {
+        socket.emit('room-error', { message: 'Room not found' });
+        return;
+      }
+      
+      if (roomData.createdBy !== socket.userId) {
+        socket.emit('room-error', { message: 'Only the host can change spectator settings' });
+        return;
+      }
+      
+      // Forbidding spectators removes everyone currently watching
+      if (!allowSpectators && roomData.spectators.length > 0) {
+        await redisService.clearSpectators(roomId);
+        io.to(getSpectatorRoom(roomId)).emit('spectating-stopped', {
+          roomId,
+          reason: 'spectators-disabled'
+        });
+        io.in(getSpectatorRoom(roomId)).socketsLeave(getSpectatorRoom(roomId));
+      }
+      
+      await redisService.updateRoom(roomId, { allowSpectators: allowSpectators ? 'true' : 'false' });
+      
+      io.to(roomId).emit('spectator-settings-updated', {
+        roomId,
+        allowSpectators,
+        spectatorCount: allowSpectators ? roomData.spectators.length : 0
+      });
+      
+    } catch (error) {
+      console.error('Error updating spectator settings:', error);
+      socket.emit('room-error', {
+        message: 'Failed to update spectator settings'
+      });
+    }
+  });
+  
+  socket.on('disconnect', async () => {
+    try {
+      await stopSpectating('disconnected');
+    } catch (error) {
+      console.error('Error removing spectator on disconnect:', error);
+    }
+  });
+  
   // ============ MATCHMAKING EVENTS ============
   
   // Quick match
@@ -891,55 +890,31 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
     try {
       const userId = socket.userId;
       const username = socket.username;
-      const { skillLevel = 1000, gameSettings } = data;
+      // Matching uses the player's server-side rating, not a client-supplied skill level
+      const { gameSettings } = data;
+
+      const blocker = await getQueueBlocker(userId);
+      if (blocker) {
+        socket.emit('matchmaking-error', blocker);
+        return;
+      }
 
       let tempGameSettings = {
         mode: 'quick',
         timeLimit: 600, // 10 minutes
         difficulty: 'medium',
-        ...gameSettings
+        ...matchmakingService.pickQueueSettings(gameSettings)
       }
 
       const result = await matchmakingService.quickMatch(userId, {
-        username, skillLevel, 
+        username,
         perfectScore: gameSettings?.xp || 50,
         gameSettings: tempGameSettings
       });
       
       if (result.matched) {
-        // Join both players to the created room
-        socket.join(result.roomId);
-
-        socket.emit('match-found', result);
-        
-        // Notify opponent
-        const opponentSockets = await io.in(`user_${result.opponentId}`).fetchSockets();
-        if (opponentSockets.length > 0) {
-          opponentSockets[0].join(result.roomId);
-          opponentSockets[0].emit('match-found', { ...result, gameSettings: tempGameSettings });
-          
-          // Start game after countdown
-          io.to(result.roomId).emit('game-starting-countdown', {
-            roomId: result.roomId,
-            countdown: 5
-          });
-
-          setTimeout(async () => {
-            try {
-              await redisService.updateRoom(result.roomId, {
-                status: 'playing',
-                gameStartedAt: Date.now()
-              });
-              
-              io.to(result.roomId).emit('game-started', {
-                roomId: result.roomId,
-                participants: result.participantDetails
-              });
-            } catch (error) {
-              console.error('Error starting game:', error);
-            }
-          }, 5000);
-        }
+        // Both players have to accept before the room is created
+        gameService.announceProposal(result.proposal);
       } else {
         socket.emit('matchmaking-queued', {
           message: result.message,
@@ -955,6 +930,92 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
     }
   });
 
+  // Ranked Match - narrower rating window, results always affect ratings
+  socket.on('ranked-match', async () => {
+    try {
+      const userId = socket.userId;
+      const username = socket.username;
+
+      const blocker = await getQueueBlocker(userId);
+      if (blocker) {
+        socket.emit('matchmaking-error', blocker);
+        return;
+      }
+
+      const result = await matchmakingService.rankedMatch(userId, { username });
+      
+      if (result.matched) {
+        // Both players have to accept before the room is created
+        gameService.announceProposal(result.proposal);
+      } else {
+        socket.emit('matchmaking-queued', {
+          message: result.message,
+          queueStatus: result.queueStatus
+        });
+      }
+      
+    } catch (error) {
+      console.error('Error in ranked match:', error);
+      socket.emit('matchmaking-error', {
+        message: 'Failed to find ranked match'
+      });
+    }
+  });
+
+  // Accept a proposed match (ready check)
+  socket.on('accept-match', async (data) => {
+    try {
+      const { proposalId } = data;
+      
+      const result = await matchmakingService.acceptProposal(proposalId, socket.userId);
+      if (!result.success) {
+        socket.emit('matchmaking-error', { message: result.message });
+        return;
+      }
+      
+      for (const player of result.proposal.players) {
+        io.to(`user_${player.userId}`).emit('match-accept-update', {
+          proposalId,
+          acceptedIds: result.acceptedIds,
+          total: result.proposal.players.length
+        });
+      }
+      
+      if (result.ready) {
+        await gameService.startProposedMatch(result.proposal, result.roomData);
+      } else if (result.cancelled) {
+        await gameService.notifyProposalCancelled(result.proposal, result, 'error');
+      }
+      
+    } catch (error) {
+      console.error('Error accepting match:', error);
+      socket.emit('matchmaking-error', {
+        message: 'Failed to accept match'
+      });
+    }
+  });
+
+  // Decline a proposed match; only the decliner is penalized, the rest go back into the queue
+  socket.on('decline-match', async (data) => {
+    try {
+      const { proposalId } = data;
+      
+      const result = await matchmakingService.declineProposal(proposalId, socket.userId);
+      if (!result.success) {
+        socket.emit('matchmaking-error', { message: result.message });
+        return;
+      }
+      
+      await gameService.notifyProposalCancelled(result.proposal, result, 'declined');
+      
+    } catch (error) {
+      console.error('Error declining match:', error);
+      socket.emit('matchmaking-error', {
+        message: 'Failed to decline match'
+      });
+    }
+  });
+
   // Friend Match Invite
   socket.on('friend-match-invite', async (data) => {
     try {
@@ -962,14 +1023,21 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
       const senderUsername = socket.username;
       const { friendId, friendUsername, gameSettings } = data;
 
-      // Create invite
+      const { blockedByMe, blockedMe } = await blockService.getBlockStatus(senderId, friendId);
+      if (blockedByMe) {
+        socket.emit('friend-invite-error', { message: 'Unblock this player to invite them' });
+        return;
+      }
+
+      // Create invite. If the friend blocked the sender it looks sent but is
+      // never delivered, so the sender can't tell they were blocked.
       const invite = await matchmakingService.createFriendInvite({
         senderId,
         senderUsername,
         receiverId: friendId,
         receiverUsername: friendUsername,
         gameSettings
-      });
+      }, { deliver: !blockedMe });
 
       // Notify sender
       socket.emit('friend-invite-sent', {
@@ -977,14 +1045,13 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
         message: `Invite sent to ${friendUsername}`
       });
 
-      // Notify receiver if online
-      const receiverSockets = await io.in(`user_${friendId}`).fetchSockets();
-      if (receiverSockets.length > 0) {
-        receiverSockets[0].emit('friend-invite-received', {
-          invite,
-          message: `${senderUsername} invited you to play`
-        });
-      }
+      if (blockedMe) return;
+
+      // Notify receiver, or keep it in their inbox if offline
+      await notificationService.notify(friendId, 'friend-invite-received', {
+        invite,
+        message: `${senderUsername} invited you to play`
+      });
 
     } catch (error) {
       console.error('Error sending friend invite:', error);
@@ -1057,10 +1124,13 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
         lastActivity: Date.now(),
       };
 
+      roomData.gameSettings = await scoringService.assignQuestions(roomData.id, roomData.gameSettings);
       await redisService.createRoom(roomData);
 
       // Join both players to room
       socket.join(roomData.id);
+      await presenceService.setCurrentRoom(userId, roomData.id);
+      await presenceService.setCurrentRoom(invite.senderId, roomData.id);
 
       // Notify receiver (current socket)
       socket.emit('friend-match-found', {
@@ -1072,44 +1142,21 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
       });
 
       // Notify sender
-      const senderSockets = await io.in(`user_${invite.senderId}`).fetchSockets();
-      if (senderSockets.length > 0) {
-        senderSockets[0].join(roomData.id);
-        senderSockets[0].emit('friend-match-found', {
-          roomId: roomData.id,
-          participantDetails: roomData.participantDetails,
-          gameSettings: roomData.gameSettings,
-          message: 'Your friend accepted!'
-        });
-        
-        senderSockets[0].emit('friend-invite-accepted', {
-          inviteId,
-          receiverUsername: username
-        });
-      }
-
-      // Start countdown
-      io.to(roomData.id).emit('game-starting-countdown', {
+      io.in(`user_${invite.senderId}`).socketsJoin(roomData.id);
+      io.to(`user_${invite.senderId}`).emit('friend-match-found', {
         roomId: roomData.id,
-        countdown: 5
+        participantDetails: roomData.participantDetails,
+        gameSettings: roomData.gameSettings,
+        message: 'Your friend accepted!'
+      });
+      
+      io.to(`user_${invite.senderId}`).emit('friend-invite-accepted', {
+        inviteId,
+        receiverUsername: username
       });
 
       // Start game after countdown
-      setTimeout(async () => {
-        try {
-          await redisService.updateRoom(roomData.id, {
-            status: 'playing',
-            gameStartedAt: Date.now()
-          });
-
-          io.to(roomData.id).emit('game-started', {
-            roomId: roomData.id,
-            participants: roomData.participantDetails
-          });
-        } catch (error) {
-          console.error('Error starting friend match game:', error);
-        }
-      }, 5000);
+      gameService.startGameCountdown(roomData.id);
 
       // Delete invite
       await matchmakingService.deleteInvite(inviteId);
@@ -1140,14 +1187,11 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
       await matchmakingService.updateInviteStatus(inviteId, 'declined');
 
       // Notify sender
-      const senderSockets = await io.in(`user_${invite.senderId}`).fetchSockets();
-      if (senderSockets.length > 0) {
-        senderSockets[0].emit('friend-invite-declined', {
-          inviteId,
-          receiverUsername: username,
-          message: `${username} declined your invite`
-        });
-      }
+      io.to(`user_${invite.senderId}`).emit('friend-invite-declined', {
+        inviteId,
+        receiverUsername: username,
+        message: `${username} declined your invite`
+      });
       
       // Confirm to receiver
       socket.emit('friend-invite-declined', {
@@ -1180,13 +1224,10 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
       }
 
       // Notify receiver
-      const receiverSockets = await io.in(`user_${invite.receiverId}`).fetchSockets();
-      if (receiverSockets.length > 0) {
-        receiverSockets[0].emit('friend-invite-cancelled', {
-          inviteId,
-          message: 'Invite was cancelled'
-        });
-      }
+      io.to(`user_${invite.receiverId}`).emit('friend-invite-cancelled', {
+        inviteId,
+        message: 'Invite was cancelled'
+      });
 
       // Confirm to sender
       socket.emit('friend-invite-cancelled', {
@@ -1210,6 +1251,15 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
     try {
       const userId = socket.userId;
       
+      // Backing out once a match has been found is a dodge
+      const proposal = await matchmakingService.getUserProposal(userId);
+      if (proposal) {
+        const result = await matchmakingService.declineProposal(proposal.id, userId, PENALTY_TYPES.DODGE);
+        if (result.success) {
+          await gameService.notifyProposalCancelled(result.proposal, result, 'dodged');
+        }
+      }
+      
       await matchmakingService.removeFromQueue(userId);
       
       socket.emit('matchmaking-cancelled', {
@@ -1240,4 +1290,19 @@ module.exports = ({ socket, io, db, activeUsers, activeRooms, roomUsers }) => {
       });
     }
   });
+
+  // Recent abandons/dodges and any cooldown they earned
+  socket.on('get-penalty-status', async () => {
+    try {
+      const status = await penaltyService.getPenaltyStatus(socket.userId);
+      
+      socket.emit('penalty-status', status);
+      
+    } catch (error) {
+      console.error('Error getting penalty status:', error);
+      socket.emit('matchmaking-error', {
+        message: 'Failed to get penalty status'
+      });
+    }
+  });
 };
\ No newline at end of file
@@ -2,9 +2,51 @@
 const express = require('express');
 const router = express.Router();
 const achievementService = require('../services/achievementService');
+const authService = require('../services/authService');
+
+// Admin endpoints take a Firebase ID token with the `admin` custom claim
+// as `Authorization: Bearer <token>`
+const requireAdmin = async (req, res, next) => {
+  try {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const user = await authService.authenticate(scheme === 'Bearer' ? token : null);
+    
+    if (!user.isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+    
+    req.user = user;
+    next();
+  } catch (error) {
+    if (error instanceof authService.AuthError) {
+      return res.status(401).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+    
+    console.error('Error authenticating admin request:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: error.message 
+    });
+  }
+};
+
+// Status code for a failed admin operation
+const failureStatus = (result) => {
+  if (result.notFound) return 404;
+  if (result.conflict) return 409;
+  if (result.unavailable) return 503;
+  return 400;
+};
 
 // Manual cache refresh endpoint
-router.post('/refresh-achievements-cache', async (req, res) => {
+router.post('/refresh-achievements-cache', requireAdmin, async (req, res) => {
   try {
     
     const result = await achievementService.refreshAchievementsCache();
@@ -35,11 +77,12 @@ router.post('/refresh-achievements-cache', async (req, res) => {
 router.get('/achievements', async (req, res) => {
   try {
     const useCache = req.query.cache !== 'false';
-    const achievements = await achievementService.getAllAchievements(useCache);
+    const achievements = await achievementService.getActiveAchievements(useCache);
     
+    // Nobody is signed in here, so hidden achievements are always masked
     res.json({
       success: true,
-      achievements: achievements,
+      achievements: achievementService.presentAchievements(achievements),
       count: achievements.length,
       cached: useCache
     });
@@ -63,7 +106,7 @@ router.get('/achievements/user/:userId', async (req, res) => {
     
     res.json({
       success: true,
-      achievements: userAchievements,
+      achievements: achievementService.presentUserAchievements(userAchievements),
       count: userAchievements.length,
       cached: useCache
     });
@@ -94,7 +137,7 @@ router.get('/achievements/:achievementId', async (req, res) => {
     
     res.json({
       success: true,
-      achievement: achievement
+      achievement: achievementService.presentAchievement(achievement, false)
     });
     
   } catch (error) {
@@ -106,4 +149,115 @@ router.get('/achievements/:achievementId', async (req, res) => {
   }
 });
 
+// ============ ADMIN ============
+
+// Create an achievement
+router.post('/admin/achievements', requireAdmin, async (req, res) => {
+  try {
+    const result = await achievementService.createAchievement(req.body || {}, req.user.userId);
+    
+    if (!result.success) {
+      return res.status(failureStatus(result)).json(result);
+    }
+    
+    res.status(201).json(result);
+    
+  } catch (error) {
+    console.error('Error creating achievement:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: error.message 
+    });
+  }
+});
+
+// Edit an achievement (partial update)
+router.patch('/admin/achievements/:achievementId', requireAdmin, async (req, res) => {
+  try {
+    const { achievementId } = req.params;
+    const result = await achievementService.updateAchievement(achievementId, req.body || {}, req.user.userId);
+    
+    if (!result.success) {
+      return res.status(failureStatus(result)).json(result);
+    }
+    
+    res.json(result);
+    
+  } catch (error) {
+    console.error('Error updating achievement:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: error.message 
+    });
+  }
+});
+
+// Retire an achievement; players keep it if they already earned it
+router.delete('/admin/achievements/:achievementId', requireAdmin, async (req, res) => {
+  try {
+    const { achievementId } = req.params;
+    const result = await achievementService.retireAchievement(achievementId, req.user.userId);
+    
+    if (!result.success) {
+      return res.status(failureStatus(result)).json(result);
+    }
+    
+    res.json(result);
+    
+  } catch (error) {
+    console.error('Error retiring achievement:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: error.message 
+    });
+  }
+});
+
+// Start granting an achievement to everyone who already qualifies
+router.post('/admin/achievements/:achievementId/grant', requireAdmin, async (req, res) => {
+  try {
+    const { achievementId } = req.params;
+    const result = await achievementService.startRetroactiveGrant(achievementId, req.user.userId);
+    
+    if (!result.success) {
+      return res.status(failureStatus(result)).json(result);
+    }
+    
+    res.status(202).json(result);
+    
+  } catch (error) {
+    console.error('Error starting retroactive grant:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: error.message 
+    });
+  }
+});
+
+// Progress of a retroactive grant
+router.get('/admin/achievement-grants/:jobId', requireAdmin, async (req, res) => {
+  try {
+    const job = await achievementService.getGrantJob(req.params.jobId);
+    
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grant job not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      job: job
+    });
+    
+  } catch (error) {
+    console.error('Error getting grant job:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: error.message 
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
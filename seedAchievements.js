@@ -1,5 +1,6 @@
 const admin = require('firebase-admin');
 require('dotenv').config();
+const achievementRules = require('./services/achievementRules');
 
 // Initialize Firebase Admin SDK
 const serviceAccount = {
@@ -144,6 +145,112 @@ const achievements = [
     "rarity": "epic",
     "category": "progression",
     "criteria": { "type": "achievements_unlocked", "target": 40, "metric": null }
+  },
+  {
+    "achievementId": "weekly_warrior",
+    "name": "Weekly Warrior",
+    "description": "Win 10 games within 7 days",
+    "icon": "Swords",
+    "points": 600,
+    "rarity": "rare",
+    "category": "performance",
+    "criteria": { "metric": "wins", "target": 10, "withinDays": 7 }
+  },
+  {
+    "achievementId": "flawless_quiz",
+    "name": "Flawless",
+    "description": "Finish a 'quiz' game with a perfect score",
+    "icon": "Sparkles",
+    "points": 400,
+    "rarity": "rare",
+    "category": "mastery",
+    "criteria": { "metric": "perfect_games", "target": 1, "gameType": "quiz", "inSingleGame": true }
+  },
+  {
+    "achievementId": "on_fire",
+    "name": "On Fire",
+    "description": "Win 5 games in a row, or 5 games in a single day",
+    "icon": "Flame",
+    "points": 700,
+    "rarity": "rare",
+    "category": "performance",
+    "criteria": {
+      "any": [
+        { "metric": "win_streak", "target": 5 },
+        { "metric": "wins", "target": 5, "withinDays": 1 }
+      ]
+    }
+  },
+  {
+    "achievementId": "all_rounder",
+    "name": "All-Rounder",
+    "description": "Score 5,000 points in each of 'quiz', 'debugger-challenge' and 'coding-battle'",
+    "icon": "Shapes",
+    "points": 2500,
+    "rarity": "epic",
+    "category": "mastery",
+    "criteria": {
+      "all": [
+        { "metric": "total_score", "target": 5000, "gameType": "quiz" },
+        { "metric": "total_score", "target": 5000, "gameType": "debugger-challenge" },
+        { "metric": "total_score", "target": 5000, "gameType": "coding-battle" }
+      ]
+    }
+  },
+  {
+    "achievementId": "veteran",
+    "name": "Veteran",
+    "description": "Keep coming back for more games",
+    "icon": "Medal",
+    "rarity": "common",
+    "category": "progression",
+    "criteria": { "metric": "games_played" },
+    "tiers": [
+      { "tier": "bronze", "target": 25, "points": 100 },
+      { "tier": "silver", "target": 250, "points": 400, "rarity": "rare" },
+      { "tier": "gold", "target": 1000, "points": 1500, "rarity": "epic" }
+    ]
+  },
+  {
+    "achievementId": "chatterbox",
+    "name": "Chatterbox",
+    "description": "Send messages to your rooms and friends",
+    "icon": "MessagesSquare",
+    "rarity": "common",
+    "category": "social",
+    "criteria": { "metric": "messages_sent" },
+    "tiers": [
+      { "tier": "bronze", "target": 50, "points": 50 },
+      { "tier": "silver", "target": 500, "points": 250, "rarity": "rare" },
+      { "tier": "gold", "target": 5000, "points": 1000, "rarity": "epic" }
+    ]
+  },
+  {
+    "achievementId": "never_give_up",
+    "name": "Never Give Up",
+    "description": "Lose 100 games and keep playing",
+    "icon": "HeartCrack",
+    "points": 500,
+    "rarity": "rare",
+    "category": "progression",
+    "hidden": true,
+    "criteria": { "metric": "losses", "target": 100 }
+  },
+  {
+    "achievementId": "self_taught",
+    "name": "Self-Taught",
+    "description": "Win 10 games in a single day without a single hint",
+    "icon": "GraduationCap",
+    "points": 1200,
+    "rarity": "epic",
+    "category": "mastery",
+    "hidden": true,
+    "criteria": {
+      "all": [
+        { "metric": "wins", "target": 10, "withinDays": 1 },
+        { "metric": "game_hints", "op": "==", "target": 0, "withinDays": 1 }
+      ]
+    }
   }
 ]
 
@@ -151,6 +258,14 @@ async function seedAchievements() {
   try {
     console.log('🌱 Seeding achievements...');
     
+    // Refuse to seed criteria the rule engine can't evaluate
+    for (const achievement of achievements) {
+      const errors = achievementRules.validateAchievement(achievement);
+      if (errors.length > 0) {
+        throw new Error(`Invalid criteria for ${achievement.achievementId}: ${errors.join('; ')}`);
+      }
+    }
+    
     const batch = db.batch();
     
     for (const achievement of achievements) {
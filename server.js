@@ -2,6 +2,7 @@
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
 const cors = require('cors');
 const admin = require('firebase-admin');
 const helmet = require('helmet');
@@ -15,6 +16,9 @@ const {
   isRedisAvailable 
 } = require('./config/redis.config.js');
 const redisService = require('./services/redisService');
+const presenceService = require('./services/presenceService');
+const gameService = require('./services/gameService');
+const partyService = require('./services/partyService');
 const matchmakingService = require('./services/matchmakingService');
 const presenceHandler = require('./handlers/presenceHandler');
 const chatHandler = require('./handlers/chatHandler');
@@ -22,8 +26,20 @@ const roomHandler = require('./handlers/roomHandler');
 const leaderboardHandler = require('./handlers/leaderboardHandler');
 const friendHandler = require('./handlers/friendHandler');
 const achievementHandler = require('./handlers/achievementHandler');
+const partyHandler = require('./handlers/partyHandler');
+const notificationHandler = require('./handlers/notificationHandler');
 const achievementRoutes = require('./routes/achievementRoutes');
 const achievementService = require('./services/achievementService');
+const authService = require('./services/authService');
+const scoringService = require('./services/scoringService');
+const ratingService = require('./services/ratingService');
+const penaltyService = require('./services/penaltyService');
+const { PENALTY_TYPES } = penaltyService;
+const seasonService = require('./services/seasonService');
+const leaderboardService = require('./services/leaderboardService');
+const notificationService = require('./services/notificationService');
+const moderationService = require('./services/moderationService');
+const blockService = require('./services/blockService');
 
 // Initialize Express app
 const app = express();
@@ -52,6 +68,15 @@ admin.initializeApp({
 const db = admin.firestore();
 
 achievementService.initializeFirebase(admin); 
+authService.initializeFirebase(admin);
+scoringService.initializeFirebase(admin);
+ratingService.initializeFirebase(admin);
+penaltyService.initializeFirebase(admin);
+seasonService.initializeFirebase(admin);
+leaderboardService.initializeFirebase(admin);
+notificationService.initializeFirebase(admin);
+moderationService.initializeFirebase(admin);
+blockService.initializeFirebase(admin);
 
 // Initialize Socket.IO with CORS
 const io = socketIo(server, {
@@ -64,6 +89,16 @@ const io = socketIo(server, {
   pingInterval: parseInt(process.env.SOCKET_PING_INTERVAL) || 25000
 });
 
+// Share rooms and broadcasts between server instances through Redis
+if (redisClient && subscriberClient) {
+  io.adapter(createAdapter(redisClient, subscriberClient));
+}
+
+gameService.initialize({ io, db });
+achievementService.initialize({ io });
+partyService.initialize({ io });
+notificationService.initialize({ io });
+
 // Middleware
 app.use(helmet());
 app.use(compression());
@@ -78,11 +113,6 @@ app.use('/api', achievementRoutes);
 app.set('io', io);
 
 
-// Store for active users and rooms
-const activeUsers = new Map();
-const activeRooms = new Map();
-const roomUsers = new Map(); // roomId -> Set of userIds
-
 // Redis status endpoint
 app.get('/redis/status', async (req, res) => {
   try {
@@ -111,41 +141,18 @@ app.get('/matchmaking/stats', async (req, res) => {
   }
 });
 
-// Middleware for check user data 
-io.use((socket, next) => {
-  const userId = socket.handshake.auth.userId;
-  const username = socket.handshake.auth.username;
-  
-  if (!userId || !username) {
-    return next(new Error('Authentication error'));
-  }
-  
-  socket.userId = userId;
-  socket.username = username;
-  next();
-});
+// Middleware for verifying the Firebase ID token sent in the handshake
+io.use((socket, next) => authService.authenticateSocket(socket, next));
 
 // Main connection handler
 io.on('connection', async (socket) => {
   console.log(`User connected: ${socket.username} (${socket.userId})`);
   
-  // Initialize user data
-  const userData = {
-    id: socket.userId,
-    username: socket.username,
-    socketId: socket.id,
-    presence: 'online',
-    joinedAt: new Date(),
-    currentRoom: null
-  };
-  
-  activeUsers.set(socket.userId, userData);
-
   // Join user's personal room for direct messaging
   socket.join(`user_${socket.userId}`);
   
   // Initialize handlers with context
-  const context = { socket, io, db, activeUsers, activeRooms, roomUsers };
+  const context = { socket, io, db };
   
   // Register all event handlers
   presenceHandler(context);
@@ -154,6 +161,8 @@ io.on('connection', async (socket) => {
   leaderboardHandler(context);
   friendHandler(context);
   achievementHandler(context);
+  partyHandler(context);
+  notificationHandler(context);
 
   // Handle disconnection
   socket.on('disconnect', async () => {
@@ -163,12 +172,30 @@ io.on('connection', async (socket) => {
     
     // Leave user's personal room
     socket.leave(`user_${userId}`);
+
+    // The user may still be connected from another tab or server instance
+    const { offline, userData } = await presenceService.disconnect(userId, socket.id);
+    if (!offline) {
+      return;
+    }
     
-    // Remove from active rooms
-    if (userData.currentRoom) {
-      const roomUserSet = roomUsers.get(userData.currentRoom);
-      if (roomUserSet) {
-        roomUserSet.delete(userId);
+    // Notify the room the user was in
+    if (userData && userData.currentRoom) {
+      const room = await redisService.getRoom(userData.currentRoom);
+      
+      if (room && room.status === 'playing' && room.participants.includes(userId)) {
+        // Hold the seat so the player can come back and resume
+        const pending = await gameService.markDisconnected(room.id, userId);
+        if (pending) {
+          io.to(room.id).to(gameService.getSpectatorRoom(room.id)).emit('player-disconnected', {
+            userId: userId,
+            username: username,
+            roomId: room.id,
+            graceSeconds: pending.graceSeconds,
+            expiresAt: pending.expiresAt
+          });
+        }
+      } else {
         socket.to(userData.currentRoom).emit('user-left-room', {
           userId: userId,
           username: username,
@@ -177,43 +204,46 @@ io.on('connection', async (socket) => {
       }
     }
     
-    // Remove from active users
-    activeUsers.delete(userId);
+    // Walking away from a found match is a dodge, same as cancel-matchmaking
+    const proposal = await matchmakingService.getUserProposal(userId);
+    if (proposal) {
+      const result = await matchmakingService.declineProposal(proposal.id, userId, PENALTY_TYPES.DODGE);
+      if (result.success) {
+        await gameService.notifyProposalCancelled(result.proposal, result, 'disconnected');
+      }
+    }
+    
     // Remove from matchmaking queue if present
     await matchmakingService.removeFromQueue(userId);
 
+    // Leave any party (a queued party drops out of matchmaking)
+    await partyService.leaveParty(userId, 'disconnected');
+
     // ========= Cancel all pending friend match invites ==========
     if (userId) {
+      // Collect the invites before they are deleted so both sides can be notified
+      const sentInvites = await matchmakingService.getUserSentInvites(userId);
+      const receivedInvites = await matchmakingService.getUserReceivedInvites(userId);
       const cancelledCount = await matchmakingService.cancelAllUserInvites(userId);
       
       if (cancelledCount > 0) {
         console.log(`Cancelled ${cancelledCount} pending invites for user ${userId}`);
         
-        // Notify affected users
-        const sentInvites = await matchmakingService.getUserSentInvites(userId);
-        const receivedInvites = await matchmakingService.getUserReceivedInvites(userId);
-        
         // Notify receivers of cancelled sent invites
         for (const invite of sentInvites) {
-          const receiverSockets = await io.in(`user_${invite.receiverId}`).fetchSockets();
-          if (receiverSockets.length > 0) {
-            receiverSockets[0].emit('friend-invite-cancelled', {
-              inviteId: invite.id,
-              message: `${username} went offline`
-            });
-          }
+          io.to(`user_${invite.receiverId}`).emit('friend-invite-cancelled', {
+            inviteId: invite.id,
+            message: `${username} went offline`
+          });
         }
         
         // Notify senders of declined received invites
         for (const invite of receivedInvites) {
-          const senderSockets = await io.in(`user_${invite.senderId}`).fetchSockets();
-          if (senderSockets.length > 0) {
-            senderSockets[0].emit('friend-invite-declined', {
-              inviteId: invite.id,
-              receiverUsername: username,
-              message: `${username} went offline`
-            });
-          }
+          io.to(`user_${invite.senderId}`).emit('friend-invite-declined', {
+            inviteId: invite.id,
+            receiverUsername: username,
+            message: `${username} went offline`
+          });
         }
       }
     }
@@ -222,22 +252,61 @@ io.on('connection', async (socket) => {
     io.emit('user-disconnected', {
       userId: userId,
       username: username,
-      activeUsersCount: activeUsers.size
+      activeUsersCount: await presenceService.getActiveUsersCount()
     });
   });
   
+  // Register this socket in the shared presence store
+  await presenceService.connect(socket.userId, socket.username, socket.id);
+  const activeUsersCount = await presenceService.getActiveUsersCount();
+
   // Send initial data to newly connected user
   socket.emit('connection-established', {
     userId: socket.userId,
-    activeUsersCount: activeUsers.size,
+    activeUsersCount: activeUsersCount,
     serverTime: new Date()
   });
+
+  // Deliver whatever arrived while the user was offline
+  try {
+    const [unread, unreadCount] = await Promise.all([
+      notificationService.getUnread(socket.userId),
+      notificationService.getUnreadCount(socket.userId)
+    ]);
+    socket.emit('notifications-unread', {
+      notifications: unread,
+      unreadCount: unreadCount
+    });
+  } catch (error) {
+    console.error('Error sending unread notifications:', error);
+  }
+
+  // Unread friend messages, per conversation
+  if (isRedisAvailable()) {
+    try {
+      socket.emit('unread-counts', await redisService.getUnreadSummary(socket.userId));
+    } catch (error) {
+      console.error('Error sending unread message counts:', error);
+    }
+  }
+
+  // Rejoin the party room from this socket too
+  const party = await partyService.getUserParty(socket.userId);
+  if (party) {
+    socket.join(partyService.getPartyRoom(party.id));
+  }
+
+  // Let a player who dropped out of a game know they can still rejoin
+  const pendingReconnect = await gameService.getPendingReconnect(socket.userId);
+  if (pendingReconnect) {
+    socket.emit('rejoin-available', pendingReconnect);
+  }
   
   // Broadcast new user connection
   socket.broadcast.emit('user-connected', {
     userId: socket.userId,
     username: socket.username,
-    activeUsersCount: activeUsers.size
+    activeUsersCount: activeUsersCount
   });
 });
 
@@ -249,23 +318,152 @@ app.get('/health', async (req, res) => {
     status: 'OK',
     redis: redisHealthy ? 'connected' : 'disconnected',
     firebase: 'connected',
-    activeUsers: activeUsers.size,
-    activeRooms: activeRooms.size,
+    activeUsers: await presenceService.getActiveUsersCount(),
+    activeRooms: await redisService.getActiveRoomCount(),
     timestamp: new Date()
   });
 });
 
 // Get active users endpoint
-app.get('/api/active-users', (req, res) => {
-  const users = Array.from(activeUsers.values()).map(user => ({
-    id: user.id,
-    username: user.username,
-    presence: user.presence,
-    joinedAt: user.joinedAt
+app.get('/api/active-users', async (req, res) => {
+  try {
+    const activeUsers = await presenceService.getActiveUsers();
+    const users = activeUsers.map(user => ({
+      id: user.id,
+      username: user.username,
+      presence: user.presence,
+      joinedAt: user.joinedAt
+    }));
+    
+    res.json({ users, count: users.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Presence heartbeat - keeps this node's sockets alive in the shared store
+setInterval(async () => {
+  const sockets = Array.from(io.of('/').sockets.values()).map(s => ({
+    userId: s.userId,
+    socketId: s.id
   }));
+  await presenceService.heartbeat(sockets);
+}, parseInt(process.env.PRESENCE_HEARTBEAT_INTERVAL) || 60000);
+
+// Forfeit players whose reconnect grace window has run out
+setInterval(async () => {
+  try {
+    if (isRedisAvailable()) {
+      await gameService.processExpiredReconnects();
+    }
+  } catch (error) {
+    console.error('Error processing expired reconnects:', error);
+  }
+}, parseInt(process.env.RECONNECT_SWEEP_INTERVAL) || 5000);
+
+// Background matchmaking - one instance pairs up queued players as their skill windows widen
+const MATCHMAKING_INTERVAL = parseInt(process.env.MATCHMAKING_INTERVAL) || 2000;
+setInterval(async () => {
+  try {
+    if (isRedisAvailable() && await redisService.acquireLock('matchmaking', MATCHMAKING_INTERVAL * 3)) {
+      const { proposals } = await matchmakingService.runMatchmakingCycle();
+      for (const proposal of proposals) {
+        gameService.announceProposal(proposal);
+      }
+
+      const { proposals: teamProposals } = await matchmakingService.runPartyMatchmakingCycle();
+      for (const proposal of teamProposals) {
+        gameService.announceProposal(proposal);
+      }
+    }
+  } catch (error) {
+    console.error('Error running matchmaking cycle:', error);
+  }
+}, MATCHMAKING_INTERVAL);
+
+// Cancel match proposals that weren't accepted in time
+setInterval(async () => {
+  try {
+    if (isRedisAvailable()) {
+      await gameService.processExpiredProposals();
+    }
+  } catch (error) {
+    console.error('Error processing expired match proposals:', error);
+  }
+}, parseInt(process.env.MATCH_PROPOSAL_SWEEP_INTERVAL) || 1000);
+
+// Game clocks - one instance holds the lock and ticks every room's clock. The
+// lock outlives a slow tick (ending a game writes to Firestore) and is renewed
+// before each room, so another instance never ticks the same clocks.
+const GAME_CLOCK_TICK_INTERVAL = parseInt(process.env.GAME_CLOCK_TICK_INTERVAL) || 1000;
+const GAME_CLOCK_LOCK_MS = parseInt(process.env.GAME_CLOCK_LOCK_MS) || 10000;
+const renewGameClockLock = () => redisService.acquireLock('game-clock', GAME_CLOCK_LOCK_MS);
+let tickingClocks = false;
+setInterval(async () => {
+  // The previous tick is still running
+  if (tickingClocks) return;
   
-  res.json({ users, count: users.length });
-});
+  tickingClocks = true;
+  try {
+    if (isRedisAvailable() && await renewGameClockLock()) {
+      await gameService.tickClocks(renewGameClockLock);
+    }
+  } catch (error) {
+    console.error('Error ticking game clocks:', error);
+  } finally {
+    tickingClocks = false;
+  }
+}, GAME_CLOCK_TICK_INTERVAL);
+
+// Leaderboards - rebuild the Redis boards from Firestore on startup or after Redis loses them
+const LEADERBOARD_CHECK_INTERVAL = parseInt(process.env.LEADERBOARD_CHECK_INTERVAL) || 30000;
+const ensureLeaderboards = async () => {
+  try {
+    if (isRedisAvailable()) {
+      await leaderboardService.ensureBuilt();
+    }
+  } catch (error) {
+    console.error('Error rebuilding leaderboards:', error);
+  }
+};
+setTimeout(ensureLeaderboards, 5000);
+setInterval(ensureLeaderboards, LEADERBOARD_CHECK_INTERVAL);
+
+// Leaderboard rollover - one instance archives weekly/monthly boards once they end
+const LEADERBOARD_ARCHIVE_INTERVAL = parseInt(process.env.LEADERBOARD_ARCHIVE_INTERVAL) || 60000;
+setInterval(async () => {
+  try {
+    if (isRedisAvailable() && await redisService.acquireLock('leaderboard-archive', LEADERBOARD_ARCHIVE_INTERVAL * 3)) {
+      await gameService.processLeaderboardRollover();
+    }
+  } catch (error) {
+    console.error('Error archiving leaderboard periods:', error);
+  }
+}, LEADERBOARD_ARCHIVE_INTERVAL);
+
+// Live leaderboards - one instance pushes throttled diffs to subscribers
+const LEADERBOARD_PUSH_INTERVAL = parseInt(process.env.LEADERBOARD_PUSH_INTERVAL) || 2000;
+setInterval(async () => {
+  try {
+    if (isRedisAvailable() && await redisService.acquireLock('leaderboard-push', LEADERBOARD_PUSH_INTERVAL * 3)) {
+      await gameService.pushLeaderboardDiffs();
+    }
+  } catch (error) {
+    console.error('Error pushing leaderboard updates:', error);
+  }
+}, LEADERBOARD_PUSH_INTERVAL);
+
+// Season rollover - one instance closes ended seasons and hands out rewards
+const SEASON_CHECK_INTERVAL = parseInt(process.env.SEASON_CHECK_INTERVAL) || 60000;
+setInterval(async () => {
+  try {
+    if (isRedisAvailable() && await redisService.acquireLock('seasons', SEASON_CHECK_INTERVAL * 3)) {
+      await gameService.processEndedSeasons();
+    }
+  } catch (error) {
+    console.error('Error closing ended seasons:', error);
+  }
+}, SEASON_CHECK_INTERVAL);
 
 // Cleanup job - runs every 10 minutes
 setInterval(async () => {
@@ -279,6 +477,9 @@ setInterval(async () => {
       // Cleanup matchmaking queue
       await matchmakingService.cleanupQueue();
       await matchmakingService.cleanupExpiredInvites();
+
+      // Cleanup presence left behind by crashed instances
+      await presenceService.cleanupStale();
     }
     
     console.log('✅ Cleanup job completed');
@@ -350,4 +551,4 @@ server.listen(PORT, () => {
   `);
 });
 
-module.exports = { io, db, activeUsers, activeRooms, roomUsers };
\ No newline at end of file
+module.exports = { io, db };
\ No newline at end of file
@@ -0,0 +1,357 @@
+// services/achievementRules.js - Declarative Achievement Criteria Evaluation
+//
+// Criteria are plain objects stored on each achievement:
+//   { metric: 'wins', target: 10 }                                  all-time stat
+//   { metric: 'total_score', target: 5000, gameType: 'quiz' }        per game type
+//   { metric: 'wins', target: 5, withinDays: 7 }                     recent games only
+//   { metric: 'game_score', target: 900, inSingleGame: true }        the game just played
+//   { all: [ ...criteria ] } / { any: [ ...criteria ] }              AND / OR
+// Older achievements use { type, target, metric } and are read through LEGACY_TYPES.
+//
+// Nothing here touches Firebase or Redis: callers pass everything in a context
+//   { stats, game, games, unlockedCount, friendCount, dailyStreak, messagesSent, hintsUsed, now }
+// where stats is the leaderboard document, game the result just recorded and
+// games the recent results ({ gameType, finalScore, result, perfect, hintsUsed, timestamp }).
+// hints_used is the all-time count; game_hints counts hints within the games.
+//
+// A tiered achievement lists its levels in `tiers`; each tier is unlocked (and
+// tracked) as its own achievement with the shared criteria at the tier's target:
+//   tiers: [{ tier: 'bronze', target: 25, points: 100 }, { tier: 'silver', target: 100, points: 300 }]
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const winRate = (wins, gamesPlayed) => (gamesPlayed > 0 ? (wins / gamesPlayed) * 100 : 0);
+
+// stats: value from the leaderboard document (undefined if it isn't tracked there)
+// game: value one game result contributes, combined across games by aggregate
+// context: value read straight from the context
+const METRICS = {
+  total_score: {
+    stats: (stats, gameType) => (gameType ? stats.gameTypeScores?.[gameType]?.score || 0 : stats.totalScore || 0),
+    game: game => game.finalScore || 0,
+    aggregate: 'sum'
+  },
+  games_played: {
+    stats: (stats, gameType) => (gameType ? stats.gameTypeScores?.[gameType]?.gamesPlayed || 0 : stats.gamesPlayed || 0),
+    game: () => 1,
+    aggregate: 'sum'
+  },
+  wins: {
+    stats: (stats, gameType) => (gameType ? undefined : stats.wins || 0),
+    game: game => (game.result === 'win' ? 1 : 0),
+    aggregate: 'sum'
+  },
+  losses: {
+    stats: (stats, gameType) => (gameType ? undefined : stats.losses || 0),
+    game: game => (game.result === 'loss' ? 1 : 0),
+    aggregate: 'sum'
+  },
+  win_rate: {
+    stats: (stats, gameType) => (gameType ? undefined : winRate(stats.wins || 0, stats.gamesPlayed || 0)),
+    game: game => (game.result === 'win' ? 1 : 0),
+    aggregate: 'rate'
+  },
+  win_streak: {
+    stats: (stats, gameType) => (gameType ? undefined : stats.currentWinStreak || 0),
+    game: game => (game.result === 'win' ? 1 : 0),
+    aggregate: 'streak'
+  },
+  perfect_games: {
+    stats: (stats, gameType) => (gameType ? undefined : stats.perfectGames || 0),
+    game: game => (game.perfect ? 1 : 0),
+    aggregate: 'sum'
+  },
+  // Best score in a single game
+  game_score: {
+    game: game => game.finalScore || 0,
+    aggregate: 'max'
+  },
+  game_hints: {
+    game: game => game.hintsUsed || 0,
+    aggregate: 'sum'
+  },
+  achievements_unlocked: { context: context => context.unlockedCount },
+  friends: { context: context => context.friendCount },
+  daily_streak: { context: context => context.dailyStreak },
+  messages_sent: { context: context => context.messagesSent },
+  hints_used: { context: context => context.hintsUsed }
+};
+
+// { type, target, metric } criteria from before rules could be combined
+const LEGACY_TYPES = {
+  total_score: 'total_score',
+  games_played: 'games_played',
+  wins: 'wins',
+  win_streak: 'win_streak',
+  perfect_score: 'perfect_games',
+  game_type_mastery: 'total_score', // legacy `metric` holds the game type
+  achievements_unlocked: 'achievements_unlocked',
+  friends: 'friends',
+  daily_streak: 'daily_streak'
+};
+
+const OPERATORS = {
+  '>=': (value, target) => value >= target,
+  '>': (value, target) => value > target,
+  '<=': (value, target) => value <= target,
+  '<': (value, target) => value < target,
+  '==': (value, target) => value === target
+};
+
+class AchievementRules {
+
+  // Rewrite legacy criteria into rule form. Returns null for criteria the
+  // engine doesn't evaluate (e.g. season rewards, which are granted directly).
+  normalize(criteria) {
+    if (!criteria) return null;
+
+    if (criteria.all || criteria.any) {
+      const key = criteria.all ? 'all' : 'any';
+      return { [key]: criteria[key].map(child => this.normalize(child)) };
+    }
+
+    if (criteria.type) {
+      const metric = LEGACY_TYPES[criteria.type];
+      if (!metric) return null;
+      return {
+        metric,
+        target: criteria.target,
+        gameType: criteria.type === 'game_type_mastery' ? criteria.metric : undefined
+      };
+    }
+
+    return criteria;
+  }
+
+  // Problems with a criteria definition, empty if it is valid
+  validate(criteria, path = 'criteria') {
+    if (!criteria || typeof criteria !== 'object') {
+      return [`${path} must be an object`];
+    }
+
+    if (criteria.all || criteria.any) {
+      const key = criteria.all ? 'all' : 'any';
+      if (!Array.isArray(criteria[key]) || criteria[key].length === 0) {
+        return [`${path}.${key} must be a non-empty array`];
+      }
+      return criteria[key].flatMap((child, index) => this.validate(child, `${path}.${key}[${index}]`));
+    }
+
+    if (criteria.type) {
+      return LEGACY_TYPES[criteria.type] || criteria.type === 'season_reward'
+        ? []
+        : [`${path}.type "${criteria.type}" is not supported`];
+    }
+
+    const errors = [];
+    const definition = METRICS[criteria.metric];
+    if (!definition) {
+      return [`${path}.metric "${criteria.metric}" is not supported`];
+    }
+    if (typeof criteria.target !== 'number') {
+      errors.push(`${path}.target must be a number`);
+    }
+    if (criteria.op && !OPERATORS[criteria.op]) {
+      errors.push(`${path}.op "${criteria.op}" is not supported`);
+    }
+    if (criteria.withinDays !== undefined && !(criteria.withinDays > 0)) {
+      errors.push(`${path}.withinDays must be a positive number`);
+    }
+    if (criteria.withinDays && criteria.inSingleGame) {
+      errors.push(`${path} can't use both withinDays and inSingleGame`);
+    }
+
+    const perGame = criteria.withinDays || criteria.inSingleGame;
+    if (definition.context && (perGame || criteria.gameType)) {
+      errors.push(`${path}.metric "${criteria.metric}" can't be scoped to games`);
+    }
+    if (!definition.context && !perGame && !definition.stats) {
+      errors.push(`${path}.metric "${criteria.metric}" needs withinDays or inSingleGame`);
+    }
+    if (definition.stats && !perGame && criteria.gameType && definition.stats({}, criteria.gameType) === undefined) {
+      errors.push(`${path}.metric "${criteria.metric}" isn't tracked per game type; add withinDays or inSingleGame`);
+    }
+
+    return errors;
+  }
+
+  // Problems with a whole achievement definition: its criteria and any tiers
+  validateAchievement(achievement) {
+    if (achievement.tiers === undefined) return this.validate(achievement.criteria);
+
+    // Tiers supply the target
+    const errors = this.validate({ target: 0, ...achievement.criteria });
+
+    if (!Array.isArray(achievement.tiers) || achievement.tiers.length === 0) {
+      return [...errors, 'tiers must be a non-empty array'];
+    }
+
+    const names = new Set();
+    let lastTarget = -Infinity;
+    achievement.tiers.forEach((tier, index) => {
+      const path = `tiers[${index}]`;
+      if (!tier.tier) {
+        errors.push(`${path}.tier is required`);
+      } else if (names.has(tier.tier)) {
+        errors.push(`${path}.tier "${tier.tier}" is repeated`);
+      }
+      names.add(tier.tier);
+
+      if (tier.criteria) {
+        errors.push(...this.validate(tier.criteria, `${path}.criteria`));
+      } else if (typeof tier.target !== 'number') {
+        errors.push(`${path} needs a numeric target or its own criteria`);
+      } else if (tier.target <= lastTarget) {
+        errors.push(`${path}.target must be higher than the tier before it`);
+      } else {
+        lastTarget = tier.target;
+      }
+    });
+    if (achievement.tiers.some(tier => !tier.criteria) && (achievement.criteria?.all || achievement.criteria?.any)) {
+      errors.push('tiers on combined criteria need their own criteria instead of a target');
+    }
+
+    return errors;
+  }
+
+  // One unlockable achievement per tier ('<achievementId>_<tier>'), or the
+  // achievement itself if it has no tiers
+  expandTiers(achievement) {
+    const { tiers, ...base } = achievement;
+    if (!Array.isArray(tiers) || tiers.length === 0) return [achievement];
+
+    return tiers.map((tier, index) => ({
+      ...base,
+      achievementId: `${base.achievementId}_${tier.tier}`,
+      baseAchievementId: base.achievementId,
+      tier: tier.tier,
+      tierLevel: index + 1,
+      tierCount: tiers.length,
+      points: tier.points !== undefined ? tier.points : base.points,
+      rarity: tier.rarity || base.rarity,
+      criteria: tier.criteria || { ...base.criteria, target: tier.target }
+    }));
+  }
+
+  // Metrics a rule reads, e.g. to index achievements by what can change them
+  getMetrics(criteria) {
+    const rule = this.normalize(criteria);
+    if (!rule) return [];
+    if (rule.all || rule.any) {
+      return [...new Set((rule.all || rule.any).flatMap(child => this.getMetrics(child)))];
+    }
+    return [rule.metric];
+  }
+
+  // Longest withinDays window in a rule, 0 if it needs no game history
+  getWindowDays(criteria) {
+    const rule = this.normalize(criteria);
+    if (!rule) return 0;
+    if (rule.all || rule.any) {
+      return Math.max(0, ...(rule.all || rule.any).map(child => this.getWindowDays(child)));
+    }
+    return rule.withinDays || 0;
+  }
+
+  // ============ EVALUATION ============
+
+  // { met, progress } where progress is 0-100, or undefined when the context
+  // doesn't carry what the rule needs (so no progress should be recorded)
+  evaluate(criteria, context = {}) {
+    const rule = this.normalize(criteria);
+    if (!rule) return { met: false };
+
+    if (rule.all) {
+      const results = rule.all.map(child => this.evaluate(child, context));
+      const tracked = results.filter(result => result.progress !== undefined);
+      return {
+        met: results.every(result => result.met),
+        progress: tracked.length > 0
+          ? Math.floor(results.reduce((sum, result) => sum + (result.progress || 0), 0) / results.length)
+          : undefined
+      };
+    }
+
+    if (rule.any) {
+      const results = rule.any.map(child => this.evaluate(child, context));
+      const tracked = results.filter(result => result.progress !== undefined);
+      return {
+        met: results.some(result => result.met),
+        progress: tracked.length > 0 ? Math.max(...tracked.map(result => result.progress)) : undefined
+      };
+    }
+
+    const value = this.getValue(rule, context);
+    if (value === undefined) return { met: false };
+
+    return this.compare(value, rule.target, rule.op || '>=');
+  }
+
+  compare(value, target, op) {
+    const met = OPERATORS[op] ? OPERATORS[op](value, target) : false;
+    if (met) return { met: true, progress: 100 };
+
+    // Only "reach at least" goals have meaningful partial progress
+    if ((op === '>=' || op === '>') && target > 0) {
+      return { met: false, progress: Math.floor(Math.min((value / target) * 100, 99)) };
+    }
+    return { met: false, progress: 0 };
+  }
+
+  // The metric value for one rule, or undefined if the context can't answer it
+  getValue(rule, context) {
+    const definition = METRICS[rule.metric];
+    if (!definition) return undefined;
+
+    if (definition.context) {
+      return definition.context(context);
+    }
+
+    if (rule.inSingleGame) {
+      if (!context.game) return undefined;
+      const games = this.filterGames([context.game], rule.gameType);
+      return this.aggregate(definition, games);
+    }
+
+    if (rule.withinDays) {
+      if (!context.games) return undefined;
+      const since = (context.now || Date.now()) - rule.withinDays * DAY_MS;
+      const recent = context.games.filter(game => game.timestamp >= since);
+      return this.aggregate(definition, this.filterGames(recent, rule.gameType));
+    }
+
+    if (!definition.stats || !context.stats) return undefined;
+    return definition.stats(context.stats, rule.gameType);
+  }
+
+  filterGames(games, gameType) {
+    return gameType ? games.filter(game => game.gameType === gameType) : games;
+  }
+
+  aggregate(definition, games) {
+    const values = [...games]
+      .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+      .map(game => definition.game(game));
+
+    switch (definition.aggregate) {
+      case 'max':
+        return values.length > 0 ? Math.max(...values) : 0;
+      case 'rate':
+        return winRate(values.filter(Boolean).length, values.length);
+      case 'streak': {
+        let best = 0;
+        let run = 0;
+        for (const value of values) {
+          run = value ? run + 1 : 0;
+          best = Math.max(best, run);
+        }
+        return best;
+      }
+      default:
+        return values.reduce((sum, value) => sum + value, 0);
+    }
+  }
+}
+
+module.exports = new AchievementRules();
+module.exports.METRICS = METRICS;
@@ -1,10 +1,55 @@
 // services/achievementService.js - Achievement Management with In-Memory Cache & Firebase
 const { redisClient, KEY_PREFIXES, TTL, isRedisAvailable } = require('../config/redis.config');
+const achievementRules = require('./achievementRules');
+const redisService = require('./redisService');
+const eventBus = require('./eventBus');
+const notificationService = require('./notificationService');
+const { EVENT_TYPES } = eventBus;
+
+// Metrics each event can change; an event only evaluates achievements whose
+// rules read one of them
+const EVENT_METRICS = {
+  [EVENT_TYPES.GAME_FINISHED]: ['total_score', 'games_played', 'wins', 'losses', 'win_rate', 'win_streak', 'perfect_games', 'game_score', 'game_hints'],
+  [EVENT_TYPES.FRIEND_ADDED]: ['friends'],
+  [EVENT_TYPES.MESSAGE_SENT]: ['messages_sent'],
+  [EVENT_TYPES.HINT_USED]: ['hints_used'],
+  [EVENT_TYPES.DAILY_STREAK_UPDATED]: ['daily_streak']
+};
+
+// Index key for achievements re-checked whenever something unlocks
+const UNLOCK_CASCADE = 'achievements-unlocked';
+
+const HIDDEN_PLACEHOLDER = {
+  name: 'Hidden achievement',
+  description: 'Keep playing to discover this achievement',
+  icon: 'Lock'
+};
+
+// Metrics read from the users document: rule context key and document field
+const USER_DOC_METRICS = {
+  friends: { key: 'friendCount', field: 'friendCount' },
+  daily_streak: { key: 'dailyStreak', field: 'dailyLoginStreak' },
+  messages_sent: { key: 'messagesSent', field: 'messagesSent' },
+  hints_used: { key: 'hintsUsed', field: 'hintsUsed' }
+};
+
+// Fields an admin can set on an achievement; achievementId is fixed at creation
+const EDITABLE_FIELDS = ['name', 'description', 'icon', 'points', 'rarity', 'category', 'criteria', 'tiers', 'hidden'];
+
+// Sent between instances (via the Socket.IO adapter) when an admin changes an achievement
+const ACHIEVEMENTS_CHANGED = 'achievements-changed';
+
+const GRANT_PAGE_SIZE = 200;
+const GRANT_LOCK_MS = 10 * 60 * 1000;
+
 class AchievementService {
   
   constructor() {
     // Don't initialize db here - it will be set when Firebase Admin is ready
     this.db = null;
+    // Set by initialize() to deliver unlocks from events
+    this.io = null;
+    this.eventIndex = null;
     
     // In-memory caches using Map
     this.achievementsCache = new Map(); // All achievements
@@ -41,22 +86,27 @@ class AchievementService {
   
   // ============ CACHE MANAGEMENT ============
   
+  setAchievementsCache(achievements) {
+    // Store in local Map cache
+    this.achievementsCache.set('all', achievements);
+    
+    // Also cache individual achievements
+    for (const achievement of achievements) {
+      this.achievementByIdCache.set(achievement.achievementId, achievement);
+    }
+  }
+  
   async cacheAllAchievements() {
     try {
       const db = this.ensureDb();
       const snapshot = await db.collection('achievements').get();
-      const achievements = snapshot.docs.map(doc => ({
+      // Tiered achievements are cached as one achievement per tier
+      const achievements = snapshot.docs.flatMap(doc => achievementRules.expandTiers({
         id: doc.id,
         ...doc.data()
       }));
       
-      // Store in local Map cache
-      this.achievementsCache.set('all', achievements);
-      
-      // Also cache individual achievements
-      for (const achievement of achievements) {
-        this.achievementByIdCache.set(achievement.achievementId, achievement);
-      }
+      this.setAchievementsCache(achievements);
       
       // Also cache in Redis if available (fallback)
       if (isRedisAvailable()) {
@@ -89,7 +139,7 @@ class AchievementService {
         if (cached) {
           const achievements = JSON.parse(cached);
           // Store in memory for next time
-          this.achievementsCache.set('all', achievements);
+          this.setAchievementsCache(achievements);
           return achievements;
         }
       }
@@ -103,50 +153,67 @@ class AchievementService {
     }
   }
 
+  // Achievements that can still be unlocked
+  async getActiveAchievements(useCache = true) {
+    const achievements = await this.getAllAchievements(useCache);
+    return achievements.filter(achievement => !achievement.retired);
+  }
+  
+  // Record partial progress. Reaching 100% unlocks the achievement.
   async updateAchievementProgress(userId, achievementId, progress) {
     try {
       const db = this.ensureDb();
       
-      // Find existing user achievement
-      const snapshot = await db.collection('userAchievements')
+      if (progress >= 100) {
+        const result = await this.unlockAchievement(userId, achievementId);
+        if (!result.success && !result.alreadyUnlocked) {
+          return result;
+        }
+        
+        return {
+          success: true,
+          unlocked: result.success,
+          progress: 100
+        };
+      }
+      
+      const progressRef = this.userAchievementRef(userId, achievementId);
+      // Entries written before unlocks had a fixed document id
+      const existingQuery = db.collection('userAchievements')
         .where('userId', '==', userId)
-        .where('achievementId', '==', achievementId)
-        .limit(1)
-        .get();
+        .where('achievementId', '==', achievementId);
       
-      if (snapshot.empty) {
-        // Create new progress entry
-        await db.collection('userAchievements').add({
+      // Same transaction as the unlock check, so progress written here can't
+      // land on top of an unlock that committed in between
+      const updated = await db.runTransaction(async (transaction) => {
+        const [progressDoc, existing] = await Promise.all([
+          transaction.get(progressRef),
+          transaction.get(existingQuery)
+        ]);
+        
+        if (progressDoc.data()?.unlockedAt || existing.docs.some(doc => doc.data().unlockedAt)) {
+          return false;
+        }
+        
+        transaction.set(progressRef, {
           userId: userId,
           achievementId: achievementId,
           unlockedAt: null,
           progress: progress
-        });
-      } else {
-        const doc = snapshot.docs[0];
-        const data = doc.data();
-        
-        // Update existing progress
-        await doc.ref.update({ progress: progress });
-        
-        // Auto-unlock if progress reaches 100%
-        if (progress >= 100 && !data.unlockedAt) {
-          await doc.ref.update({
-            unlockedAt: this.admin.firestore.FieldValue.serverTimestamp()
-          });
-          
-          // Invalidate cache
-          this.userAchievementsCache.delete(userId);
-          if (isRedisAvailable()) {
-            await redisClient.del(`${KEY_PREFIXES.USER_ACHIEVEMENTS}:${userId}`);
-          }
-          
-          return {
-            success: true,
-            unlocked: true,
-            progress: progress
-          };
-        }
+        }, { merge: true });
+        existing.docs
+          .filter(doc => doc.id !== progressRef.id)
+          .forEach(doc => transaction.delete(doc.ref));
+        return true;
+      });
+      
+      if (!updated) {
+        return {
+          success: true,
+          unlocked: false,
+          alreadyUnlocked: true,
+          progress: 100
+        };
       }
       
       // Invalidate cache
@@ -193,22 +260,14 @@ class AchievementService {
         }
       }
       
-      // Fallback to Firebase
-      const db = this.ensureDb();
-      const snapshot = await db.collection('achievements')
-        .where('achievementId', '==', achievementId)
-        .limit(1)
-        .get();
+      // Fallback to the full list: tier ids only exist once tiers are expanded
+      const achievements = await this.getAllAchievements(useCache);
+      const achievement = achievements.find(a => a.achievementId === achievementId);
       
-      if (snapshot.empty) {
+      if (!achievement) {
         return null;
       }
       
-      const achievement = {
-        id: snapshot.docs[0].id,
-        ...snapshot.docs[0].data()
-      };
-      
       // Cache in memory
       this.achievementByIdCache.set(achievementId, achievement);
       
@@ -294,25 +353,17 @@ class AchievementService {
     }
   }
   
+  // One document per user and achievement, so concurrent unlocks collide
+  userAchievementRef(userId, achievementId) {
+    return this.ensureDb().collection('userAchievements').doc(`${userId}_${achievementId}`);
+  }
+  
+  // Unlock exactly once: of any number of concurrent calls for the same
+  // achievement, only one returns success (and should be announced)
   async unlockAchievement(userId, achievementId) {
     try {
       const db = this.ensureDb();
       
-      // Check if user already has this achievement
-      const existingSnapshot = await db.collection('userAchievements')
-        .where('userId', '==', userId)
-        .where('achievementId', '==', achievementId)
-        .limit(1)
-        .get();
-      
-      if (!existingSnapshot.empty) {
-        return { 
-          success: false, 
-          message: 'Achievement already unlocked',
-          alreadyUnlocked: true 
-        };
-      }
-      
       // Get achievement details
       const achievement = await this.getAchievementById(achievementId);
       
@@ -323,14 +374,43 @@ class AchievementService {
         };
       }
       
-      // Create user achievement in Firebase
-      const userAchievementRef = await db.collection('userAchievements').add({
-        userId: userId,
-        achievementId: achievementId,
-        unlockedAt: this.admin.firestore.FieldValue.serverTimestamp(),
-        progress: 100
+      const unlockRef = this.userAchievementRef(userId, achievementId);
+      // Entries written before unlocks had a fixed document id
+      const existingQuery = db.collection('userAchievements')
+        .where('userId', '==', userId)
+        .where('achievementId', '==', achievementId);
+      
+      const unlocked = await db.runTransaction(async (transaction) => {
+        const [unlockDoc, existing] = await Promise.all([
+          transaction.get(unlockRef),
+          transaction.get(existingQuery)
+        ]);
+        
+        // A progress-only entry (unlockedAt null) is not an unlock
+        if (unlockDoc.data()?.unlockedAt || existing.docs.some(doc => doc.data().unlockedAt)) {
+          return false;
+        }
+        
+        transaction.set(unlockRef, {
+          userId: userId,
+          achievementId: achievementId,
+          unlockedAt: this.admin.firestore.FieldValue.serverTimestamp(),
+          progress: 100
+        });
+        existing.docs
+          .filter(doc => doc.id !== unlockRef.id)
+          .forEach(doc => transaction.delete(doc.ref));
+        return true;
       });
       
+      if (!unlocked) {
+        return { 
+          success: false, 
+          message: 'Achievement already unlocked',
+          alreadyUnlocked: true 
+        };
+      }
+      
       // Invalidate user achievements cache
       this.userAchievementsCache.delete(userId);
       if (isRedisAvailable()) {
@@ -341,7 +421,7 @@ class AchievementService {
         success: true,
         message: 'Achievement unlocked!',
         achievement: achievement,
-        userAchievementId: userAchievementRef.id,
+        userAchievementId: unlockRef.id,
         points: achievement.points
       };
       
@@ -354,145 +434,10 @@ class AchievementService {
     }
   }
   
-  async checkAndUnlockAchievements(userId, userStats) {
-    try {
-      const db = this.ensureDb();
-      const allAchievements = await this.getAllAchievements();
-      const userAchievements = await this.getUserAchievements(userId);
-      const unlockedIds = new Set(userAchievements.map(ua => ua.achievementId));
-      
-      // Create maps for existing achievements by achievementId
-      const existingAchievementsMap = new Map();
-      userAchievements.forEach(ua => {
-        existingAchievementsMap.set(ua.achievementId, ua);
-      });
-      
-      const newlyUnlocked = [];
-      const batch = db.batch();
-      let batchCount = 0;
-      const MAX_BATCH_SIZE = 500; // Firestore batch limit
-      let totalPointsEarned = 0;
-      
-      for (const achievement of allAchievements) {
-        const meetsCriteria = this.checkAchievementCriteria(achievement, userStats);
-        const existingAchievement = existingAchievementsMap.get(achievement.achievementId);
-        
-        // Case 1: Achievement meets criteria and not yet unlocked
-        if (meetsCriteria.met && !unlockedIds.has(achievement.achievementId)) {
-          if (existingAchievement && existingAchievement.docId) {
-            // Update existing document to unlocked
-            const docRef = db.collection('userAchievements').doc(existingAchievement.docId);
-            batch.update(docRef, {
-              unlockedAt: this.admin.firestore.FieldValue.serverTimestamp(),
-              progress: 100
-            });
-          } else {
-            // Create new unlocked achievement
-            const newDocRef = db.collection('userAchievements').doc();
-            batch.set(newDocRef, {
-              userId: userId,
-              achievementId: achievement.achievementId,
-              unlockedAt: this.admin.firestore.FieldValue.serverTimestamp(),
-              progress: 100
-            });
-          }
-          
-          newlyUnlocked.push({
-            ...achievement,
-            unlockedAt: new Date()
-          });
-          
-          // Accumulate points
-          totalPointsEarned += achievement.points || 0;
-          
-          batchCount++;
-        } 
-        // Case 2: Achievement has progress but not yet unlocked
-        else if (!meetsCriteria.met && meetsCriteria.progress !== undefined && !unlockedIds.has(achievement.achievementId)) {
-          if (existingAchievement && existingAchievement.docId) {
-            // Update existing progress only if changed
-            if (existingAchievement.progress !== meetsCriteria.progress) {
-              const docRef = db.collection('userAchievements').doc(existingAchievement.docId);
-              batch.update(docRef, {
-                progress: meetsCriteria.progress
-              });
-              batchCount++;
-            }
-          } else {
-            // Create new progress entry
-            const newDocRef = db.collection('userAchievements').doc();
-            batch.set(newDocRef, {
-              userId: userId,
-              achievementId: achievement.achievementId,
-              unlockedAt: null,
-              progress: meetsCriteria.progress
-            });
-            batchCount++;
-          }
-        }
-        
-        // Commit batch if reaching limit
-        if (batchCount >= MAX_BATCH_SIZE) {
-          await batch.commit();
-          batchCount = 0;
-        }
-      }
-      
-      // Add XP updates to batch if there are newly unlocked achievements
-      if (totalPointsEarned > 0) {
-        // Update user XP
-        const userRef = db.collection('users').doc(userId);
-        batch.update(userRef, {
-          'stats.xp': this.admin.firestore.FieldValue.increment(totalPointsEarned)
-        });
-        batchCount++;
-        
-        const userLeaderboardRef = db.collection('leaderboard').doc(userId);
-        // Update existing leaderboard entry
-        batch.update(userLeaderboardRef.ref, {
-          totalScore: this.admin.firestore.FieldValue.increment(totalPointsEarned),
-          lastUpdated: this.admin.firestore.FieldValue.serverTimestamp()
-        });
-        batchCount++;
-      }
-      
-      // Commit remaining operations
-      if (batchCount > 0) {
-        await batch.commit();
-      }
-      
-      // Invalidate cache once after all updates
-      if (newlyUnlocked.length > 0 || batchCount > 0) {
-        this.userAchievementsCache.delete(userId);
-        if (isRedisAvailable()) {
-          await redisClient.del(`${KEY_PREFIXES.USER_ACHIEVEMENTS}:${userId}`);
-          // Also invalidate leaderboard cache if exists
-          await redisClient.del(`${KEY_PREFIXES.LEADERBOARD}:*`);
-        }
-      }
-      
-      return {
-        success: true,
-        newlyUnlocked: newlyUnlocked,
-        count: newlyUnlocked.length,
-        pointsEarned: totalPointsEarned
-      };
-
-    } catch (error) {
-      console.error('Error checking achievements:', error);
-      return {
-        success: false,
-        newlyUnlocked: [],
-        count: 0,
-        pointsEarned: 0,
-        error: error.message
-      };
-    }
-  }
-  
-  // ============ CRITERIA-SPECIFIC UPDATE FUNCTIONS ============
+  // ============ PLAYER COUNTERS ============
   
-  async updateDailyStreak(userId, currentStreak, today) {
+  // Store the daily login streak; streak achievements are evaluated from the event
+  async updateDailyStreak(userId, currentStreak, today, username = null) {
     try {
       const db = this.ensureDb();
       
@@ -502,40 +447,11 @@ class AchievementService {
         lastSeen: today, 
       });
       
-      // Get all streak-based achievements
-      const allAchievements = await this.getAllAchievements();
-      const streakAchievements = allAchievements.filter(a => a.criteria?.type === 'daily_streak');
-      
-      const results = [];
-      for (const achievement of streakAchievements) {
-        const target = achievement.criteria.target;
-        const progress = Math.min((currentStreak / target) * 100, 100);
-        
-        if (currentStreak >= target) {
-          // Try to unlock
-          const result = await this.unlockAchievement(userId, achievement.achievementId);
-          if (result.success) {
-            results.push({
-              achievementId: achievement.achievementId,
-              unlocked: true,
-              achievement: result.achievement
-            });
-          }
-        } else {
-          // Update progress
-          await this.updateAchievementProgress(userId, achievement.achievementId, progress);
-          results.push({
-            achievementId: achievement.achievementId,
-            unlocked: false,
-            progress: progress
-          });
-        }
-      }
+      eventBus.publish(EVENT_TYPES.DAILY_STREAK_UPDATED, { userId, username, currentStreak });
       
       return {
         success: true,
-        currentStreak: currentStreak,
-        achievements: results
+        currentStreak: currentStreak
       };
       
     } catch (error) {
@@ -547,129 +463,353 @@ class AchievementService {
     }
   }
   
-  async updateFriendCount(userId, friendCount) {
-    try {
-      const db = this.ensureDb();
-      const batch = db.batch();
-      
-      // Update user's friend count
-      const userRef = db.collection('users').doc(userId);
-      batch.update(userRef, {
-        friendCount: friendCount,
-        updatedAt: this.admin.firestore.FieldValue.serverTimestamp()
-      });
-      
-      // Get all friend-based achievements
-      const allAchievements = await this.getAllAchievements();
-      const friendAchievements = allAchievements.filter(a => 
-        a.criteria?.type === 'friends'
-      );
-      
-      const results = [];
-      const userAchievementsRef = db.collection('userAchievements').doc(userId);
+  // Recount accepted friends from the friend graph and store the count
+  async updateFriendCount(userId) {
+    const db = this.ensureDb();
+    
+    const friendsDoc = await db.collection('userFriends').doc(userId).get();
+    const friends = friendsDoc.exists ? friendsDoc.data() || {} : {};
+    const friendCount = Object.values(friends).filter(friend => friend?.status === 'accepted').length;
+    
+    await db.collection('users').doc(userId).set({
+      friendCount: friendCount,
+      updatedAt: this.admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    
+    return friendCount;
+  }
+  
+  async incrementCounter(userId, field) {
+    const db = this.ensureDb();
+    await db.collection('users').doc(userId).set({
+      [field]: this.admin.firestore.FieldValue.increment(1)
+    }, { merge: true });
+  }
+  
+  // ============ EVENT-DRIVEN EVALUATION ============
+  
+  // Subscribe to domain events; io is used to deliver unlocks
+  initialize({ io }) {
+    if (!io) {
+      throw new Error('Socket.IO server must be provided.');
+    }
+    this.io = io;
+    
+    for (const type of Object.keys(EVENT_METRICS)) {
+      eventBus.subscribe(type, payload => this.handleEvent(type, payload));
+    }
+    
+    // The instance that made the change has already rewritten the Redis copy
+    io.on(ACHIEVEMENTS_CHANGED, () => this.clearCache());
+    console.log('AchievementService subscribed to events.');
+  }
+  
+  // Achievements grouped by the events that can change them, rebuilt
+  // whenever the achievement cache is reloaded
+  async getEventIndex() {
+    const achievements = await this.getAllAchievements();
+    if (this.eventIndex && this.eventIndex.source === achievements) {
+      return this.eventIndex.byEvent;
+    }
+    
+    const byEvent = new Map();
+    const add = (key, achievement) => {
+      if (!byEvent.has(key)) byEvent.set(key, []);
+      byEvent.get(key).push(achievement);
+    };
+    
+    for (const achievement of achievements) {
+      // Retired achievements can't be unlocked any more
+      if (achievement.retired) continue;
       
-      for (const achievement of friendAchievements) {
-        const target = achievement.criteria.target;
-        const progress = Math.min((friendCount / target) * 100, 100);
-        
-        if (friendCount >= target) {
-          // Check if already unlocked to avoid duplicate writes
-          const userAchievement = await userAchievementsRef.get();
-          const existingData = userAchievement.data()?.[achievement.achievementId];
-          
-          if (!existingData?.unlocked) {
-            batch.set(userAchievementsRef, {
-              [achievement.achievementId]: {
-                unlocked: true,
-                unlockedAt: this.admin.firestore.FieldValue.serverTimestamp(),
-                progress: 100
-              }
-            }, { merge: true });
-            
-            results.push({
-              achievementId: achievement.achievementId,
-              unlocked: true,
-              achievement: achievement
-            });
-          }
-        } else {
-          batch.set(userAchievementsRef, {
-            [achievement.achievementId]: {
-              progress: progress,
-              unlocked: false
-            }
-          }, { merge: true });
-          
-          results.push({
-            achievementId: achievement.achievementId,
-            unlocked: false,
-            progress: progress
-          });
+      const metrics = achievementRules.getMetrics(achievement.criteria);
+      for (const [type, eventMetrics] of Object.entries(EVENT_METRICS)) {
+        if (metrics.some(metric => eventMetrics.includes(metric))) {
+          add(type, achievement);
         }
       }
-      
-      // Commit all updates at once
-      await batch.commit();
-      
-      return {
-        success: true,
-        friendCount: friendCount,
-        achievements: results
-      };
-      
-    } catch (error) {
-      console.error('Error updating friend count:', error);
-      return {
-        success: false,
-        message: 'Failed to update friend count'
-      };
+      if (metrics.includes('achievements_unlocked')) {
+        add(UNLOCK_CASCADE, achievement);
+      }
     }
+    
+    this.eventIndex = { source: achievements, byEvent };
+    return byEvent;
   }
   
-  // ============ ACHIEVEMENT CHECKING ============
+  async handleEvent(type, payload) {
+    const { userId, username, ...provided } = payload;
+    
+    // Counters the rules read have to be current before evaluating
+    if (type === EVENT_TYPES.MESSAGE_SENT) {
+      await this.incrementCounter(userId, 'messagesSent');
+    } else if (type === EVENT_TYPES.HINT_USED) {
+      await this.incrementCounter(userId, 'hintsUsed');
+    } else if (type === EVENT_TYPES.FRIEND_ADDED) {
+      provided.friendCount = await this.updateFriendCount(userId);
+    } else if (type === EVENT_TYPES.DAILY_STREAK_UPDATED) {
+      provided.dailyStreak = provided.currentStreak;
+    }
+    
+    const index = await this.getEventIndex();
+    const candidates = index.get(type) || [];
+    if (candidates.length === 0) return;
+    
+    const result = await this.evaluateAchievements(userId, candidates, provided);
+    await this.deliverUnlocks(userId, username, result.newlyUnlocked);
+    this.deliverProgress(userId, result.progressUpdates);
+  }
   
-  async checkAndUnlockAchievements(userId, userStats) {
-    try {
-      const allAchievements = await this.getAllAchievements();
-      const userAchievements = await this.getUserAchievements(userId);
-      const unlockedIds = new Set(userAchievements.map(ua => ua.achievementId));
-      
-      const newlyUnlocked = [];
-      
-      for (const achievement of allAchievements) {
+  // Fill in whatever the rules need that the event didn't carry
+  async loadRuleContext(userId, achievements, provided) {
+    const db = this.ensureDb();
+    const metrics = new Set(achievements.flatMap(a => achievementRules.getMetrics(a.criteria)));
+    const context = { ...provided, now: Date.now() };
+    
+    const needsStats = [...metrics].some(metric => achievementRules.METRICS[metric]?.stats);
+    if (!context.stats && needsStats) {
+      const leaderboardDoc = await db.collection('leaderboard').doc(userId).get();
+      context.stats = leaderboardDoc.exists ? leaderboardDoc.data() : {};
+    }
+    
+    const missingUserFields = Object.entries(USER_DOC_METRICS)
+      .filter(([metric, { key }]) => metrics.has(metric) && context[key] === undefined);
+    if (missingUserFields.length > 0) {
+      const userDoc = await db.collection('users').doc(userId).get();
+      const userData = userDoc.exists ? userDoc.data() : {};
+      for (const [, { key, field }] of missingUserFields) {
+        context[key] = userData[field] || 0;
+      }
+    }
+    
+    // Only load game history if some rule looks at recent games
+    const windowDays = Math.max(0, ...achievements.map(a => achievementRules.getWindowDays(a.criteria)));
+    if (!context.games && windowDays > 0) {
+      context.games = await this.getRecentGames(userId, windowDays);
+    }
+    
+    return context;
+  }
+  
+  // Evaluate the given achievements for a player, unlocking the ones now met
+  // and recording progress on the rest. Unlocks can complete "unlock N
+  // achievements" goals, so those are evaluated again afterwards.
+  async evaluateAchievements(userId, achievements, provided = {}) {
+    const userAchievements = await this.getUserAchievements(userId);
+    const progressById = new Map(userAchievements.map(ua => [ua.achievementId, ua.progress]));
+    const unlockedIds = new Set(userAchievements.filter(ua => ua.unlockedAt).map(ua => ua.achievementId));
+    
+    const pending = achievements.filter(a => !unlockedIds.has(a.achievementId));
+    const ruleContext = await this.loadRuleContext(userId, pending, {
+      ...provided,
+      unlockedCount: unlockedIds.size
+    });
+    
+    const newlyUnlocked = [];
+    const progressUpdates = [];
+    const evaluated = new Set();
+    
+    const evaluate = async (list) => {
+      for (const achievement of list) {
         // Skip if already unlocked
-        if (unlockedIds.has(achievement.achievementId)) {
+        if (unlockedIds.has(achievement.achievementId) || evaluated.has(achievement.achievementId)) {
           continue;
         }
+        evaluated.add(achievement.achievementId);
         
-        // Check criteria
-        const meetsCriteria = this.checkAchievementCriteria(achievement, userStats);
+        const evaluation = achievementRules.evaluate(achievement.criteria, ruleContext);
         
-        if (meetsCriteria.met) {
+        if (evaluation.met) {
           const result = await this.unlockAchievement(userId, achievement.achievementId);
           
           if (result.success) {
+            ruleContext.unlockedCount++;
             newlyUnlocked.push({
               ...achievement,
               unlockedAt: new Date()
             });
           }
-        } else if (meetsCriteria.progress !== undefined) {
+        } else if (evaluation.progress !== undefined && evaluation.progress !== progressById.get(achievement.achievementId)) {
           // Update progress if partial
           await this.updateAchievementProgress(
             userId, 
             achievement.achievementId, 
-            meetsCriteria.progress
+            evaluation.progress
           );
+          progressById.set(achievement.achievementId, evaluation.progress);
+          progressUpdates.push(this.toProgressUpdate(achievement, evaluation.progress, false));
         }
       }
+    };
+    
+    await evaluate(pending);
+    
+    if (newlyUnlocked.length > 0) {
+      const index = await this.getEventIndex();
+      const cascade = index.get(UNLOCK_CASCADE) || [];
+      
+      newlyUnlocked.forEach(a => unlockedIds.add(a.achievementId));
+      Object.assign(ruleContext, await this.loadRuleContext(userId, cascade, ruleContext));
+      evaluated.clear();
+      await evaluate(cascade);
+    }
+    
+    return {
+      success: true,
+      newlyUnlocked: newlyUnlocked,
+      count: newlyUnlocked.length,
+      progressUpdates: progressUpdates
+    };
+  }
+  
+  // Tell the player (and everyone else) about new unlocks and credit their points.
+  // Called once per successful unlock, so nothing is announced twice. Pass
+  // broadcast: false to tell only the player (e.g. for retroactive grants).
+  async deliverUnlocks(userId, username, newlyUnlocked, { broadcast = true } = {}) {
+    if (!newlyUnlocked || newlyUnlocked.length === 0) return;
+    
+    // Notify this player of unlocked achievements (kept in their inbox if offline)
+    await notificationService.notify(userId, 'achievements-unlocked-batch', {
+      achievements: newlyUnlocked,
+      count: newlyUnlocked.length,
+      timestamp: new Date()
+    });
+    
+    if (this.io && broadcast) {
+      // Broadcast to all users (secrets stay secret for everyone else)
+      for (const achievement of newlyUnlocked) {
+        this.io.emit('user-achievement-unlocked', {
+          userId: userId,
+          username: username,
+          achievement: this.presentAchievement(achievement, false),
+          timestamp: new Date()
+        });
+      }
+    }
+    
+    // Update user's achievement points
+    const db = this.ensureDb();
+    const totalPoints = newlyUnlocked.reduce((sum, a) => sum + (a.points || 0), 0);
+    await db.collection('users').doc(userId).set({
+      achievementPoints: this.admin.firestore.FieldValue.increment(totalPoints),
+      totalAchievements: this.admin.firestore.FieldValue.increment(newlyUnlocked.length),
+      lastAchievementUnlockedAt: this.admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+  }
+  
+  deliverProgress(userId, progressUpdates) {
+    if (!this.io || !progressUpdates) return;
+    
+    for (const update of progressUpdates) {
+      this.io.to(`user_${userId}`).emit('achievement-progress-updated', update);
+    }
+  }
+  
+  // Payload for achievement-progress-updated; tiers report their own progress
+  toProgressUpdate(achievement, progress, unlocked) {
+    return {
+      achievementId: achievement.achievementId,
+      progress: progress,
+      unlocked: unlocked,
+      baseAchievementId: achievement.baseAchievementId || achievement.achievementId,
+      tier: achievement.tier || null,
+      tierLevel: achievement.tierLevel || null
+    };
+  }
+  
+  // ============ PRESENTATION ============
+  
+  // Hidden achievements show only a placeholder until the viewer unlocks them
+  presentAchievement(achievement, unlocked) {
+    if (!achievement || !achievement.hidden || unlocked) {
+      return achievement;
+    }
+    
+    const { criteria, description, icon, name, tiers, ...visible } = achievement;
+    return {
+      ...visible,
+      ...HIDDEN_PLACEHOLDER,
+      hidden: true
+    };
+  }
+  
+  // The achievement list as one viewer sees it; unlockedIds: Set of their unlocked ids.
+  // Unlocking any tier reveals every tier of a hidden achievement.
+  presentAchievements(achievements, unlockedIds = new Set()) {
+    const revealedBases = new Set(achievements
+      .filter(a => a.baseAchievementId && unlockedIds.has(a.achievementId))
+      .map(a => a.baseAchievementId));
+    
+    return achievements.map(achievement => this.presentAchievement(
+      achievement,
+      unlockedIds.has(achievement.achievementId) || revealedBases.has(achievement.baseAchievementId)
+    ));
+  }
+  
+  presentUserAchievements(userAchievements) {
+    return userAchievements.map(ua => ({
+      ...ua,
+      achievement: this.presentAchievement(ua.achievement, !!ua.unlockedAt)
+    }));
+  }
+  
+  // Per-tier progress for every tiered achievement:
+  // [{ baseAchievementId, name, description, currentTier, nextTier, tiers: [{ tier, achievementId, points, progress, unlocked, unlockedAt }] }]
+  async getTierProgress(userId, userAchievements = null) {
+    const achievements = await this.getAllAchievements();
+    const owned = userAchievements || await this.getUserAchievements(userId);
+    const byId = new Map(owned.map(ua => [ua.achievementId, ua]));
+    
+    const groups = new Map();
+    for (const achievement of achievements) {
+      if (!achievement.baseAchievementId) continue;
+      
+      if (!groups.has(achievement.baseAchievementId)) {
+        groups.set(achievement.baseAchievementId, { source: achievement, tiers: [] });
+      }
+      
+      const ua = byId.get(achievement.achievementId);
+      const unlocked = !!ua?.unlockedAt;
+      groups.get(achievement.baseAchievementId).tiers.push({
+        tier: achievement.tier,
+        tierLevel: achievement.tierLevel,
+        achievementId: achievement.achievementId,
+        points: achievement.points,
+        progress: unlocked ? 100 : (ua?.progress || 0),
+        unlocked: unlocked,
+        unlockedAt: ua?.unlockedAt || null
+      });
+    }
+    
+    // Retired achievements only stay listed for players who earned a tier
+    const shownGroups = [...groups.entries()]
+      .filter(([, { source, tiers }]) => !source.retired || tiers.some(t => t.unlocked));
+    
+    return shownGroups.map(([baseAchievementId, { source, tiers }]) => {
+      tiers.sort((a, b) => a.tierLevel - b.tierLevel);
+      // Unlocking any tier reveals a hidden achievement
+      const shown = this.presentAchievement(source, tiers.some(t => t.unlocked));
       
       return {
-        success: true,
-        newlyUnlocked: newlyUnlocked,
-        count: newlyUnlocked.length
+        baseAchievementId,
+        name: shown.name,
+        description: shown.description,
+        hidden: !!shown.hidden,
+        tiers,
+        currentTier: [...tiers].reverse().find(t => t.unlocked)?.tier || null,
+        nextTier: tiers.find(t => !t.unlocked)?.tier || null
       };
-      
+    });
+  }
+  
+  // ============ ACHIEVEMENT CHECKING ============
+  
+  // Evaluate every achievement against the player's stats (a full resync,
+  // where events only evaluate the achievements they can affect)
+  async checkAndUnlockAchievements(userId, userStats, context = {}) {
+    try {
+      const activeAchievements = await this.getActiveAchievements();
+      return await this.evaluateAchievements(userId, activeAchievements, { ...context, stats: userStats });
     } catch (error) {
       console.error('Error checking achievements:', error);
       return {
@@ -680,70 +820,349 @@ class AchievementService {
     }
   }
   
-  checkAchievementCriteria(achievement, userStats) {
-    const { criteria } = achievement;
+  // Game results from the last `days` days, in the shape achievement rules expect.
+  // Only results written by gameService when a game finishes; older rows
+  // reported by clients themselves don't count. Uses the (userId, source,
+  // timestamp) index from firestore.indexes.json.
+  async getRecentGames(userId, days) {
+    const db = this.ensureDb();
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    
+    const snapshot = await db.collection('gameResults')
+      .where('userId', '==', userId)
+      .where('source', '==', 'game')
+      .where('timestamp', '>=', since)
+      .get();
+    
+    return snapshot.docs.map(doc => {
+      const data = doc.data();
+      return {
+        gameType: data.gameType,
+        finalScore: data.finalScore || 0,
+        result: data.result,
+        perfect: data.perfect || false,
+        hintsUsed: data.hintsUsed || 0,
+        timestamp: data.timestamp?.toMillis ? data.timestamp.toMillis() : Date.now()
+      };
+    });
+  }
+  
+  // ============ ADMIN ============
+  
+  // Problems with a complete achievement definition, as a list of messages
+  validateDefinition(definition) {
+    const errors = [];
+    
+    if (typeof definition.achievementId !== 'string' || !/^[a-z0-9_]+$/.test(definition.achievementId)) {
+      errors.push('achievementId must contain only lowercase letters, digits and underscores');
+    }
+    for (const field of ['name', 'description']) {
+      if (typeof definition[field] !== 'string' || !definition[field].trim()) {
+        errors.push(`${field} is required`);
+      }
+    }
+    if (definition.points !== undefined && typeof definition.points !== 'number') {
+      errors.push('points must be a number');
+    }
+    if (definition.tiers === undefined && definition.points === undefined) {
+      errors.push('points is required');
+    }
+    if (definition.hidden !== undefined && typeof definition.hidden !== 'boolean') {
+      errors.push('hidden must be true or false');
+    }
+    
+    if (!definition.criteria || typeof definition.criteria !== 'object') {
+      errors.push('criteria is required');
+    } else {
+      errors.push(...achievementRules.validateAchievement(definition));
+    }
+    
+    return errors;
+  }
+  
+  pickEditableFields(data) {
+    return EDITABLE_FIELDS.reduce((fields, field) => {
+      if (data[field] !== undefined) fields[field] = data[field];
+      return fields;
+    }, {});
+  }
+  
+  async findAchievementDoc(achievementId) {
+    const db = this.ensureDb();
+    const snapshot = await db.collection('achievements')
+      .where('achievementId', '==', achievementId)
+      .limit(1)
+      .get();
+    
+    return snapshot.empty ? null : snapshot.docs[0];
+  }
+  
+  // Reload the cache here and on every other instance after an admin change.
+  // achievementIds: ids (including tier ids) whose single-entry cache is stale
+  async publishAchievementChange(achievementIds) {
+    if (isRedisAvailable()) {
+      await Promise.all(achievementIds.map(id => redisClient.del(`achievement:${id}`)));
+    }
+    
+    await this.refreshAchievementsCache();
+    
+    if (this.io) {
+      this.io.serverSideEmit(ACHIEVEMENTS_CHANGED);
+    }
+  }
+  
+  async createAchievement(data, adminId) {
+    const db = this.ensureDb();
+    const definition = {
+      achievementId: data.achievementId,
+      ...this.pickEditableFields(data)
+    };
+    
+    const errors = this.validateDefinition(definition);
+    if (errors.length > 0) {
+      return { success: false, message: 'Invalid achievement', errors: errors };
+    }
+    
+    // Ids stay reserved after retirement, since players may still hold them
+    const existing = await this.getAllAchievements(false);
+    const takenIds = new Set(existing.flatMap(a => [a.achievementId, a.baseAchievementId]));
+    const newIds = achievementRules.expandTiers(definition).map(a => a.achievementId);
+    if ([definition.achievementId, ...newIds].some(id => takenIds.has(id))) {
+      return {
+        success: false,
+        conflict: true,
+        message: `Achievement ${definition.achievementId} already exists`
+      };
+    }
+    
+    const docRef = db.collection('achievements').doc();
+    await docRef.set({
+      ...definition,
+      retired: false,
+      createdBy: adminId,
+      createdAt: this.admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: this.admin.firestore.FieldValue.serverTimestamp()
+    });
+    
+    await this.publishAchievementChange(newIds);
+    
+    return {
+      success: true,
+      achievement: { id: docRef.id, ...definition, retired: false }
+    };
+  }
+  
+  // Partial update; `tiers: null` turns a tiered achievement back into a single one.
+  // Players keep unlocks of tiers that are renamed or removed.
+  async updateAchievement(achievementId, changes, adminId) {
+    if (changes.achievementId !== undefined && changes.achievementId !== achievementId) {
+      return { success: false, message: 'achievementId cannot be changed' };
+    }
+    
+    const doc = await this.findAchievementDoc(achievementId);
+    if (!doc) {
+      return { success: false, notFound: true, message: 'Achievement not found' };
+    }
+    
+    const current = doc.data();
+    const updates = this.pickEditableFields(changes);
+    if (Object.keys(updates).length === 0) {
+      return { success: false, message: `Nothing to update; editable fields are ${EDITABLE_FIELDS.join(', ')}` };
+    }
+    
+    const definition = { ...current, ...updates };
+    if (updates.tiers === null) {
+      delete definition.tiers;
+      updates.tiers = this.admin.firestore.FieldValue.delete();
+    }
+    
+    const errors = this.validateDefinition(definition);
+    if (errors.length > 0) {
+      return { success: false, message: 'Invalid achievement', errors: errors };
+    }
+    
+    await doc.ref.update({
+      ...updates,
+      updatedBy: adminId,
+      updatedAt: this.admin.firestore.FieldValue.serverTimestamp()
+    });
+    
+    const affectedIds = [
+      ...achievementRules.expandTiers(current),
+      ...achievementRules.expandTiers(definition)
+    ].map(a => a.achievementId);
+    await this.publishAchievementChange([...new Set(affectedIds)]);
+    
+    return {
+      success: true,
+      achievement: { id: doc.id, ...definition }
+    };
+  }
+  
+  // Retired achievements stop unlocking and leave the public list; players
+  // who already earned them keep them
+  async retireAchievement(achievementId, adminId) {
+    const doc = await this.findAchievementDoc(achievementId);
+    if (!doc) {
+      return { success: false, notFound: true, message: 'Achievement not found' };
+    }
+    
+    if (doc.data().retired) {
+      return { success: true, alreadyRetired: true };
+    }
+    
+    await doc.ref.update({
+      retired: true,
+      retiredBy: adminId,
+      retiredAt: this.admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: this.admin.firestore.FieldValue.serverTimestamp()
+    });
+    
+    await this.publishAchievementChange(achievementRules.expandTiers(doc.data()).map(a => a.achievementId));
+    
+    return { success: true, alreadyRetired: false };
+  }
+  
+  // ============ RETROACTIVE GRANTS ============
+  
+  // Grant an achievement (every tier, if tiered) to players who already meet it.
+  // Scans everyone with a leaderboard entry in the background; progress is kept
+  // in achievementGrantJobs/{jobId} and pushed to the admin who started it.
+  async startRetroactiveGrant(achievementId, adminId) {
+    const db = this.ensureDb();
     
-    if (!criteria || !criteria.type) {
-      return { met: false };
+    const achievements = await this.getActiveAchievements(false);
+    const targets = achievements.filter(a => a.achievementId === achievementId || a.baseAchievementId === achievementId);
+    if (targets.length === 0) {
+      return { success: false, notFound: true, message: 'Achievement not found or retired' };
     }
     
-    const { type, target, metric } = criteria;
+    // The lock that keeps it to one grant at a time needs Redis
+    if (!isRedisAvailable()) {
+      return { success: false, unavailable: true, message: 'Retroactive grants are unavailable while Redis is down' };
+    }
+    
+    // One grant per achievement at a time, across instances. The job id owns
+    // the lock, so a second request on this instance doesn't re-enter it.
+    const lockName = `achievement-grant:${achievementId}`;
+    const jobRef = db.collection('achievementGrantJobs').doc();
+    if (!(await redisService.acquireLock(lockName, GRANT_LOCK_MS, jobRef.id))) {
+      return { success: false, conflict: true, message: 'A grant for this achievement is already running' };
+    }
+    
+    try {
+      const countSnapshot = await db.collection('leaderboard').count().get();
+      const job = {
+        jobId: jobRef.id,
+        achievementId: achievementId,
+        achievementIds: targets.map(a => a.achievementId),
+        status: 'running',
+        total: countSnapshot.data().count,
+        scanned: 0,
+        playersGranted: 0,
+        unlocks: 0,
+        error: null,
+        startedBy: adminId,
+        startedAt: new Date(),
+        finishedAt: null
+      };
+      await jobRef.set(job);
+      
+      this.runRetroactiveGrant(job, targets, lockName);
+      
+      return { success: true, job: job };
+    } catch (error) {
+      await redisService.releaseLock(lockName, jobRef.id);
+      throw error;
+    }
+  }
+  
+  async runRetroactiveGrant(job, targets, lockName) {
+    const db = this.ensureDb();
+    const jobRef = db.collection('achievementGrantJobs').doc(job.jobId);
+    let lastDoc = null;
     
-    switch (type) {
-      case 'total_score':
-        const score = userStats.totalScore || 0;
-        if (score >= target) {
-          return { met: true, progress: 100 };
+    try {
+      while (true) {
+        let query = db.collection('leaderboard')
+          .orderBy(this.admin.firestore.FieldPath.documentId())
+          .limit(GRANT_PAGE_SIZE);
+        if (lastDoc) {
+          query = query.startAfter(lastDoc);
         }
-        return { met: false, progress: Math.min((score / target) * 100, 99) };
         
-      case 'games_played':
-        const games = userStats.gamesPlayed || 0;
-        if (games >= target) {
-          return { met: true, progress: 100 };
-        }
-        return { met: false, progress: Math.min((games / target) * 100, 99) };
+        const snapshot = await query.get();
+        if (snapshot.empty) break;
         
-      case 'win_streak':
-        const streak = userStats.currentWinStreak || 0;
-        if (streak >= target) {
-          return { met: true, progress: 100 };
+        for (const doc of snapshot.docs) {
+          const stats = doc.data();
+          const result = await this.evaluateAchievements(doc.id, targets, { stats });
+          
+          if (result.count > 0) {
+            job.playersGranted++;
+            job.unlocks += result.count;
+            // Only the player hears about it; announcing every backfilled
+            // unlock to everyone online would flood them
+            await this.deliverUnlocks(doc.id, stats.username, result.newlyUnlocked, { broadcast: false });
+          }
+          
+          // Don't keep every scanned player in memory
+          this.userAchievementsCache.delete(doc.id);
         }
-        return { met: false, progress: Math.min((streak / target) * 100, 99) };
         
-      case 'wins':
-        const wins = userStats.wins || 0;
-        if (wins >= target) {
-          return { met: true, progress: 100 };
-        }
-        return { met: false, progress: Math.min((wins / target) * 100, 99) };
+        job.scanned += snapshot.size;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
         
-      case 'achievements_unlocked':
-        // Assumes userStats.unlockedAchievementCount is the number of achievements the user has
-        const unlockedCount = userStats.unlockedAchievementCount || 0;
-        return {
-          met: unlockedCount >= target,
-          progress: Math.floor(Math.min((unlockedCount / target) * 100, 100))
-        };
-      
-      case 'perfect_score':
-        const perfectGames = userStats.perfectGames || 0;
-        if (perfectGames >= target) {
-          return { met: true, progress: 100 };
-        }
-        return { met: false, progress: Math.min((perfectGames / target) * 100, 99) };
-      
-      case 'game_type_mastery':
-        const gameTypeStats = userStats.gameTypeScores?.[metric] || {};
-        const gameTypeScore = gameTypeStats.score || 0;
-        if (gameTypeScore >= target) {
-          return { met: true, progress: 100 };
+        if (!(await redisService.acquireLock(lockName, GRANT_LOCK_MS, job.jobId))) {
+          throw new Error('Lost the grant lock; another grant may be running');
         }
-        return { met: false, progress: Math.min((gameTypeScore / target) * 100, 99) };
+        await this.reportGrantProgress(jobRef, job);
         
-      default:
-        return { met: false };
+        if (snapshot.size < GRANT_PAGE_SIZE) break;
+      }
+      
+      job.status = 'completed';
+    } catch (error) {
+      console.error('Error running retroactive grant:', error);
+      job.status = 'failed';
+      job.error = error.message;
     }
+    
+    job.finishedAt = new Date();
+    try {
+      await this.reportGrantProgress(jobRef, job);
+    } catch (error) {
+      console.error('Error saving retroactive grant result:', error);
+    }
+    await redisService.releaseLock(lockName, job.jobId);
+    
+    console.log(`Retroactive grant of ${job.achievementId} ${job.status}: ${job.unlocks} unlocks for ${job.playersGranted}/${job.scanned} players`);
+  }
+  
+  async reportGrantProgress(jobRef, job) {
+    const { status, scanned, playersGranted, unlocks, error, finishedAt } = job;
+    await jobRef.update({ status, scanned, playersGranted, unlocks, error, finishedAt, updatedAt: new Date() });
+    
+    if (this.io) {
+      this.io.to(`user_${job.startedBy}`).emit('achievement-grant-progress', job);
+    }
+  }
+  
+  async getGrantJob(jobId) {
+    const db = this.ensureDb();
+    const doc = await db.collection('achievementGrantJobs').doc(jobId).get();
+    
+    if (!doc.exists) {
+      return null;
+    }
+    
+    const data = doc.data();
+    return {
+      ...data,
+      startedAt: data.startedAt?.toDate ? data.startedAt.toDate() : data.startedAt,
+      finishedAt: data.finishedAt?.toDate ? data.finishedAt.toDate() : data.finishedAt,
+      updatedAt: data.updatedAt?.toDate ? data.updatedAt.toDate() : data.updatedAt
+    };
   }
   
   // ============ REFRESH CACHE ============
@@ -0,0 +1,135 @@
+// services/authService.js - Firebase ID Token Verification for Socket Handshakes
+
+// Error codes sent back to the client in `connect_error.data.code`
+const AUTH_ERROR_CODES = {
+  TOKEN_MISSING: 'auth/token-missing',
+  TOKEN_EXPIRED: 'auth/token-expired',
+  TOKEN_REVOKED: 'auth/token-revoked',
+  TOKEN_MALFORMED: 'auth/token-malformed',
+  USER_DISABLED: 'auth/user-disabled',
+  USER_NOT_FOUND: 'auth/user-not-found',
+  VERIFICATION_FAILED: 'auth/verification-failed'
+};
+
+// Map firebase-admin error codes onto the codes we expose to clients
+const FIREBASE_ERROR_MAP = {
+  'auth/id-token-expired': AUTH_ERROR_CODES.TOKEN_EXPIRED,
+  'auth/id-token-revoked': AUTH_ERROR_CODES.TOKEN_REVOKED,
+  'auth/argument-error': AUTH_ERROR_CODES.TOKEN_MALFORMED,
+  'auth/invalid-id-token': AUTH_ERROR_CODES.TOKEN_MALFORMED,
+  'auth/user-disabled': AUTH_ERROR_CODES.USER_DISABLED,
+  'auth/user-not-found': AUTH_ERROR_CODES.USER_NOT_FOUND
+};
+
+class AuthError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+  }
+}
+
+class AuthService {
+
+  constructor() {
+    this.admin = null;
+    this.db = null;
+    // Verifier can be swapped for a local stand-in (tests, offline dev).
+    // Setting FIREBASE_AUTH_EMULATOR_HOST also works with the default one.
+    this.verifier = null;
+  }
+
+  // Initialize Firebase connection
+  initializeFirebase(adminInstance) {
+    if (!adminInstance) {
+      throw new Error("Firebase Admin SDK instance must be provided.");
+    }
+    this.admin = adminInstance;
+    this.db = adminInstance.firestore();
+    console.log("AuthService initialized with Firebase.");
+  }
+
+  // Replace the token verifier: (idToken) => Promise<decodedClaims>
+  setTokenVerifier(verifier) {
+    this.verifier = verifier;
+  }
+
+  async verifyIdToken(idToken) {
+    if (this.verifier) {
+      return this.verifier(idToken);
+    }
+    if (!this.admin) {
+      throw new Error('Firebase is not initialized. Call initializeFirebase() first.');
+    }
+    // checkRevoked = true so signed-out / disabled sessions are rejected
+    return this.admin.auth().verifyIdToken(idToken, true);
+  }
+
+  // Verify a handshake token and resolve the user it belongs to
+  async authenticate(idToken) {
+    if (!idToken || typeof idToken !== 'string') {
+      throw new AuthError(AUTH_ERROR_CODES.TOKEN_MISSING, 'Authentication token is required');
+    }
+
+    let decoded;
+    try {
+      decoded = await this.verifyIdToken(idToken);
+    } catch (error) {
+      const code = FIREBASE_ERROR_MAP[error.code] || AUTH_ERROR_CODES.VERIFICATION_FAILED;
+      throw new AuthError(code, error.message || 'Invalid authentication token');
+    }
+
+    if (!decoded || !decoded.uid) {
+      throw new AuthError(AUTH_ERROR_CODES.TOKEN_MALFORMED, 'Token does not contain a user id');
+    }
+
+    const username = await this.getUsername(decoded);
+
+    return {
+      userId: decoded.uid,
+      username: username,
+      isAdmin: decoded.admin === true,
+      claims: decoded
+    };
+  }
+
+  // Username comes from the users collection, falling back to token claims
+  async getUsername(decoded) {
+    if (this.db) {
+      try {
+        const userDoc = await this.db.collection('users').doc(decoded.uid).get();
+        if (userDoc.exists && userDoc.data().username) {
+          return userDoc.data().username;
+        }
+      } catch (error) {
+        console.error('Error loading username for token:', error);
+      }
+    }
+
+    return decoded.name || (decoded.email ? decoded.email.split('@')[0] : 'Player');
+  }
+
+  // Socket.IO middleware: verify the handshake token and attach the user to the socket
+  async authenticateSocket(socket, next) {
+    try {
+      const { userId, username, isAdmin } = await this.authenticate(socket.handshake.auth?.token);
+
+      socket.userId = userId;
+      socket.username = username;
+      socket.isAdmin = isAdmin;
+      next();
+    } catch (error) {
+      const code = error.code || AUTH_ERROR_CODES.VERIFICATION_FAILED;
+      console.warn(`Socket authentication rejected (${code}):`, error.message);
+
+      // Clients read the code from connect_error.data
+      const authError = new Error('Authentication error');
+      authError.data = { code, message: error.message };
+      next(authError);
+    }
+  }
+}
+
+module.exports = new AuthService();
+module.exports.AuthError = AuthError;
+module.exports.AUTH_ERROR_CODES = AUTH_ERROR_CODES;
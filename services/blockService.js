@@ -0,0 +1,112 @@
+// services/blockService.js - Per-User Block Lists
+const { redisClient, isRedisAvailable, KEY_PREFIXES, TTL } = require('../config/redis.config');
+
+class BlockService {
+
+  constructor() {
+    this.db = null;
+  }
+
+  // Initialize Firebase connection
+  initializeFirebase(adminInstance) {
+    if (!adminInstance) {
+      throw new Error("Firebase Admin SDK instance must be provided.");
+    }
+    this.admin = adminInstance;
+    this.db = adminInstance.firestore();
+    console.log("BlockService initialized with Firebase.");
+  }
+
+  // Helper to ensure db is initialized
+  ensureDb() {
+    if (!this.db) {
+      throw new Error('Firebase is not initialized. Call initializeFirebase() first.');
+    }
+    return this.db;
+  }
+
+  blocksKey(userId) {
+    return `${KEY_PREFIXES.USER_BLOCKS}${userId}`;
+  }
+
+  // ============ READS ============
+
+  // userBlocks/{userId} maps each blocked user's id to { blockedAt },
+  // cached in Redis since every message and request checks it. Read
+  // straight from Firestore while Redis is down.
+  async getBlocks(userId) {
+    const useRedis = isRedisAvailable();
+    if (useRedis) {
+      const cached = await redisClient.get(this.blocksKey(userId));
+      if (cached) {
+        return JSON.parse(cached);
+      }
+    }
+
+    const db = this.ensureDb();
+    const doc = await db.collection('userBlocks').doc(userId).get();
+    const blocks = {};
+    for (const [blockedId, data] of Object.entries(doc.exists ? doc.data() : {})) {
+      blocks[blockedId] = { blockedAt: data.blockedAt?.toMillis ? data.blockedAt.toMillis() : data.blockedAt };
+    }
+
+    if (useRedis) {
+      await redisClient.set(this.blocksKey(userId), JSON.stringify(blocks), 'EX', TTL.PLAYER_SESSION);
+    }
+    return blocks;
+  }
+
+  async hasBlocked(userId, otherUserId) {
+    const blocks = await this.getBlocks(userId);
+    return !!blocks[otherUserId];
+  }
+
+  // Both directions: blockedByMe (userId blocked the other) and blockedMe
+  async getBlockStatus(userId, otherUserId) {
+    const [blockedByMe, blockedMe] = await Promise.all([
+      this.hasBlocked(userId, otherUserId),
+      this.hasBlocked(otherUserId, userId)
+    ]);
+    return { blockedByMe, blockedMe };
+  }
+
+  // ============ UPDATES ============
+
+  async clearCache(userId) {
+    if (isRedisAvailable()) {
+      await redisClient.del(this.blocksKey(userId));
+    }
+  }
+
+  // Returns false if the user was already blocked
+  async blockUser(userId, targetUserId) {
+    const db = this.ensureDb();
+    if (await this.hasBlocked(userId, targetUserId)) {
+      return false;
+    }
+
+    await db.collection('userBlocks').doc(userId).set({
+      [targetUserId]: { blockedAt: Date.now() }
+    }, { merge: true });
+    await this.clearCache(userId);
+
+    return true;
+  }
+
+  // Returns false if the user wasn't blocked
+  async unblockUser(userId, targetUserId) {
+    const db = this.ensureDb();
+    if (!(await this.hasBlocked(userId, targetUserId))) {
+      return false;
+    }
+
+    await db.collection('userBlocks').doc(userId).update({
+      [targetUserId]: this.admin.firestore.FieldValue.delete()
+    });
+    await this.clearCache(userId);
+
+    return true;
+  }
+}
+
+module.exports = new BlockService();
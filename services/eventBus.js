@@ -0,0 +1,46 @@
+// services/eventBus.js - In-Process Domain Events
+//
+// Handlers publish what happened; services that care (achievements, for now)
+// subscribe. Events are delivered on the instance that published them.
+
+const EVENT_TYPES = {
+  GAME_FINISHED: 'game-finished',                // { userId, username, roomId, stats, game }
+  FRIEND_ADDED: 'friend-added',                  // { userId, username, friendId }
+  MESSAGE_SENT: 'message-sent',                  // { userId, username, roomId } or { ..., friendId }
+  HINT_USED: 'hint-used',                        // { userId, username, roomId, questionId }
+  DAILY_STREAK_UPDATED: 'daily-streak-updated'   // { userId, username, currentStreak }
+};
+
+class EventBus {
+
+  constructor() {
+    // event type -> Set of handlers
+    this.handlers = new Map();
+  }
+
+  // Returns a function that removes the handler again
+  subscribe(type, handler) {
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set());
+    }
+    this.handlers.get(type).add(handler);
+
+    return () => this.handlers.get(type).delete(handler);
+  }
+
+  // Handlers run after the publisher's current work; a failing handler is
+  // logged and never breaks the publisher or the other handlers. The returned
+  // promise settles once every handler has finished, for callers that care.
+  publish(type, payload) {
+    const handlers = [...(this.handlers.get(type) || [])];
+
+    return Promise.all(handlers.map(handler => new Promise(resolve => setImmediate(resolve))
+      .then(() => handler(payload))
+      .catch(error => {
+        console.error(`Error handling ${type} event:`, error);
+      })));
+  }
+}
+
+module.exports = new EventBus();
+module.exports.EVENT_TYPES = EVENT_TYPES;
@@ -0,0 +1,182 @@
+// services/gameClockService.js - Server-Owned Game Clocks Stored in Redis
+const { redisClient, KEY_PREFIXES, TTL } = require('../config/redis.config');
+
+const DEFAULT_TIME_LIMIT = 600;      // seconds, matches rankedMatch
+const DEFAULT_MAX_PAUSES = 2;        // per game
+const DEFAULT_MAX_PAUSE_SECONDS = 120;
+
+// Clock transitions check the current state and change it in one step, so a
+// host and the auto-resume (or two instances) can't both apply one.
+// ARGV[1] is the current time in every script.
+
+// 1 paused, 0 not running, -1 no pauses left
+const PAUSE_CLOCK_SCRIPT = `
+local clock = redis.call('HMGET', KEYS[1], 'status', 'pauseCount', 'maxPauses')
+if clock[1] ~= 'running' then return 0 end
+local pauseCount = tonumber(clock[2]) or 0
+if pauseCount >= (tonumber(clock[3]) or 0) then return -1 end
+redis.call('HSET', KEYS[1], 'status', 'paused', 'pausedAt', ARGV[1], 'pauseCount', pauseCount + 1)
+return 1
+`;
+
+// Push the end time back by however long the game sat paused. 1 resumed, 0 not paused
+const RESUME_CLOCK_SCRIPT = `
+local clock = redis.call('HMGET', KEYS[1], 'status', 'pausedAt', 'pausedTotalMs', 'endsAt')
+if clock[1] ~= 'paused' then return 0 end
+local pausedFor = tonumber(ARGV[1]) - tonumber(clock[2])
+redis.call('HSET', KEYS[1], 'status', 'running', 'pausedAt', 0,
+  'pausedTotalMs', (tonumber(clock[3]) or 0) + pausedFor,
+  'endsAt', tonumber(clock[4]) + pausedFor)
+return 1
+`;
+
+// 1 started, 0 if there is no overtime or it was already used
+const START_OVERTIME_SCRIPT = `
+local clock = redis.call('HMGET', KEYS[1], 'overtimeMs', 'overtimeUsed')
+local overtimeMs = tonumber(clock[1]) or 0
+if overtimeMs <= 0 or clock[2] == 'true' then return 0 end
+redis.call('HSET', KEYS[1], 'status', 'overtime', 'overtimeUsed', 'true', 'endsAt', tonumber(ARGV[1]) + overtimeMs)
+return 1
+`;
+
+class GameClockService {
+
+  clockKey(roomId) {
+    return `${KEY_PREFIXES.GAME_CLOCK}${roomId}`;
+  }
+
+  parseClock(data, now = Date.now()) {
+    if (!data || Object.keys(data).length === 0) {
+      return null;
+    }
+
+    const clock = {
+      roomId: data.roomId,
+      status: data.status,
+      timeLimitMs: parseInt(data.timeLimitMs),
+      startedAt: parseInt(data.startedAt),
+      endsAt: parseInt(data.endsAt),
+      pausedAt: parseInt(data.pausedAt) || null,
+      pausedTotalMs: parseInt(data.pausedTotalMs) || 0,
+      pauseCount: parseInt(data.pauseCount) || 0,
+      maxPauses: parseInt(data.maxPauses),
+      maxPauseMs: parseInt(data.maxPauseMs),
+      overtimeMs: parseInt(data.overtimeMs) || 0,
+      overtimeUsed: data.overtimeUsed === 'true',
+    };
+
+    // While paused the clock is frozen at the moment it was paused
+    const reference = clock.status === 'paused' ? clock.pausedAt : now;
+    clock.remainingMs = Math.max(clock.endsAt - reference, 0);
+    clock.elapsedMs = Math.max(reference - clock.startedAt - clock.pausedTotalMs, 0);
+
+    return clock;
+  }
+
+  // Shape sent to clients in timer-updated / snapshots
+  toPayload(clock) {
+    return {
+      roomId: clock.roomId,
+      status: clock.status,
+      timeRemaining: Math.ceil(clock.remainingMs / 1000),
+      totalTime: Math.round(clock.timeLimitMs / 1000),
+      isOvertime: clock.status === 'overtime',
+      pausesRemaining: Math.max(clock.maxPauses - clock.pauseCount, 0),
+      serverTime: Date.now()
+    };
+  }
+
+  // ============ LIFECYCLE ============
+
+  async startClock(roomId, gameSettings = {}) {
+    const now = Date.now();
+    const timeLimitMs = (parseInt(gameSettings.timeLimit) || DEFAULT_TIME_LIMIT) * 1000;
+    const overtimeSeconds = parseInt(gameSettings.overtimeSeconds) || 0;
+    const maxPauses = gameSettings.maxPauses !== undefined ? parseInt(gameSettings.maxPauses) : DEFAULT_MAX_PAUSES;
+    const maxPauseSeconds = parseInt(gameSettings.maxPauseSeconds) || DEFAULT_MAX_PAUSE_SECONDS;
+
+    const clockKey = this.clockKey(roomId);
+    await redisClient.hset(clockKey, {
+      roomId,
+      status: 'running',
+      timeLimitMs,
+      startedAt: now,
+      endsAt: now + timeLimitMs,
+      pausedAt: 0,
+      pausedTotalMs: 0,
+      pauseCount: 0,
+      maxPauses,
+      maxPauseMs: maxPauseSeconds * 1000,
+      overtimeMs: overtimeSeconds * 1000,
+      overtimeUsed: 'false'
+    });
+    await redisClient.expire(clockKey, TTL.GAME_STATE);
+    await redisClient.sadd(KEY_PREFIXES.GAME_CLOCKS_ACTIVE, roomId);
+
+    return this.getClock(roomId);
+  }
+
+  async getClock(roomId) {
+    try {
+      const data = await redisClient.hgetall(this.clockKey(roomId));
+      return this.parseClock(data);
+    } catch (error) {
+      console.error('Error getting game clock:', error);
+      return null;
+    }
+  }
+
+  async stopClock(roomId) {
+    await Promise.all([
+      redisClient.del(this.clockKey(roomId)),
+      redisClient.srem(KEY_PREFIXES.GAME_CLOCKS_ACTIVE, roomId)
+    ]);
+  }
+
+  async getActiveRoomIds() {
+    return redisClient.smembers(KEY_PREFIXES.GAME_CLOCKS_ACTIVE);
+  }
+
+  // ============ PAUSE / RESUME ============
+
+  async pauseClock(roomId) {
+    const paused = await redisClient.eval(PAUSE_CLOCK_SCRIPT, 1, this.clockKey(roomId), Date.now());
+
+    if (paused === 0) {
+      return { success: false, message: 'Game clock is not running' };
+    }
+
+    if (paused === -1) {
+      return { success: false, message: 'No pauses remaining' };
+    }
+
+    return { success: true, clock: await this.getClock(roomId) };
+  }
+
+  async resumeClock(roomId) {
+    const resumed = await redisClient.eval(RESUME_CLOCK_SCRIPT, 1, this.clockKey(roomId), Date.now());
+
+    if (resumed !== 1) {
+      return { success: false, message: 'Game is not paused' };
+    }
+
+    return { success: true, clock: await this.getClock(roomId) };
+  }
+
+  // ============ OVERTIME ============
+
+  canStartOvertime(clock) {
+    return clock.overtimeMs > 0 && !clock.overtimeUsed;
+  }
+
+  async startOvertime(roomId) {
+    const started = await redisClient.eval(START_OVERTIME_SCRIPT, 1, this.clockKey(roomId), Date.now());
+    if (started !== 1) {
+      return null;
+    }
+
+    return this.getClock(roomId);
+  }
+}
+
+module.exports = new GameClockService();
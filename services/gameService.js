@@ -0,0 +1,1013 @@
+// services/gameService.js - Game Lifecycle Shared by Handlers and Background Jobs
+const admin = require('firebase-admin');
+const redisService = require('./redisService');
+const eventBus = require('./eventBus');
+const presenceService = require('./presenceService');
+const gameClockService = require('./gameClockService');
+const ratingService = require('./ratingService');
+const partyService = require('./partyService');
+const matchmakingService = require('./matchmakingService');
+const penaltyService = require('./penaltyService');
+const seasonService = require('./seasonService');
+const leaderboardService = require('./leaderboardService');
+const scoringService = require('./scoringService');
+const { PENALTY_TYPES } = penaltyService;
+const { EVENT_TYPES } = eventBus;
+const { redisClient, isRedisAvailable, KEY_PREFIXES, TTL } = require('../config/redis.config');
+
+// How long a player who drops mid-game keeps their seat
+const RECONNECT_GRACE_SECONDS = parseInt(process.env.RECONNECT_GRACE_SECONDS) || 60;
+
+const GAME_START_COUNTDOWN_SECONDS = 5;
+
+// Rooms created by matchmaking; leaving one before it starts is a dodge
+const { MATCHMADE_ROOM_TYPES } = ratingService;
+
+class GameService {
+  
+  constructor() {
+    // Set once the Socket.IO server and Firestore are ready
+    this.io = null;
+    this.db = null;
+  }
+  
+  initialize({ io, db }) {
+    if (!io || !db) {
+      throw new Error('Socket.IO server and Firestore instance must be provided.');
+    }
+    this.io = io;
+    this.db = db;
+    console.log('GameService initialized.');
+  }
+  
+  // Helper to ensure io and db are initialized
+  ensureInitialized() {
+    if (!this.io || !this.db) {
+      throw new Error('GameService is not initialized. Call initialize() first.');
+    }
+    return { io: this.io, db: this.db };
+  }
+  
+  // Spectators get their own socket room so they only receive the events we forward to them
+  getSpectatorRoom(roomId) {
+    return `spectate_${roomId}`;
+  }
+  
+  // ============ GAME START ============
+  
+  // Announce the countdown to the room, then start the game and its clock
+  startGameCountdown(roomId, countdown = GAME_START_COUNTDOWN_SECONDS) {
+    const { io } = this.ensureInitialized();
+    
+    io.to(roomId).emit('game-starting-countdown', {
+      roomId: roomId,
+      countdown: countdown
+    });
+    
+    setTimeout(() => {
+      this.startGame(roomId).catch(error => {
+        console.error('Error starting game:', error);
+      });
+    }, countdown * 1000);
+  }
+  
+  async startGame(roomId) {
+    const { io } = this.ensureInitialized();
+    
+    const room = await redisService.getRoom(roomId);
+    if (!room || room.status !== 'waiting') {
+      return null;
+    }
+    
+    await redisService.updateRoom(roomId, {
+      status: 'playing',
+      gameStartedAt: Date.now()
+    });
+    const clock = await gameClockService.startClock(roomId, room.gameSettings);
+    
+    io.to(roomId).to(this.getSpectatorRoom(roomId)).emit('game-started', {
+      roomId: roomId,
+      participants: room.participantDetails,
+      clock: gameClockService.toPayload(clock)
+    });
+    
+    return room;
+  }
+  
+  // ============ MATCHMAKING ============
+  
+  // Ask every player in a proposed match to accept it before the deadline
+  announceProposal(proposal) {
+    const { io } = this.ensureInitialized();
+    
+    for (const player of proposal.players) {
+      io.to(`user_${player.userId}`).emit('match-proposed', {
+        proposalId: proposal.id,
+        mode: proposal.mode,
+        players: proposal.players.map(p => ({
+          userId: p.userId,
+          username: p.username,
+          skillLevel: p.skillLevel,
+          partyId: p.partyId || null
+        })),
+        deadline: proposal.deadline,
+        serverTime: Date.now()
+      });
+    }
+  }
+  
+  // Everyone accepted and the room exists: bring the players in and start
+  async startProposedMatch(proposal, roomData) {
+    if (proposal.parties) {
+      await this.announceTeamMatch({
+        roomId: roomData.id,
+        teams: roomData.teams,
+        parties: proposal.parties,
+        participantDetails: roomData.participantDetails,
+        gameSettings: roomData.gameSettings,
+        skillDifference: proposal.skillDifference
+      });
+      return;
+    }
+    
+    await this.announceMatch({
+      roomId: roomData.id,
+      players: proposal.players,
+      participantDetails: roomData.participantDetails,
+      gameSettings: roomData.gameSettings,
+      skillDifference: proposal.skillDifference
+    });
+  }
+  
+  async notifyProposalCancelled(proposal, { requeued, penalized, penalties = {}, dropped = [], droppedParties = [] }, reason) {
+    const { io } = this.ensureInitialized();
+    
+    for (const userId of requeued) {
+      io.to(`user_${userId}`).emit('match-cancelled', {
+        proposalId: proposal.id,
+        reason: reason,
+        requeued: true
+      });
+    }
+    
+    for (const userId of penalized) {
+      io.to(`user_${userId}`).emit('match-cancelled', {
+        proposalId: proposal.id,
+        reason: reason,
+        requeued: false,
+        penalty: penalties[userId] || null
+      });
+    }
+    
+    // Teammates of whoever backed out leave matchmaking with their party
+    for (const userId of dropped) {
+      io.to(`user_${userId}`).emit('match-cancelled', {
+        proposalId: proposal.id,
+        reason: reason,
+        requeued: false,
+        penalty: null
+      });
+    }
+    
+    for (const partyId of droppedParties) {
+      await partyService.setStatus(partyId, 'idle');
+      io.to(partyService.getPartyRoom(partyId)).emit('party-queue-cancelled', {
+        partyId,
+        reason: 'match-cancelled'
+      });
+    }
+  }
+  
+  // Cancel proposals that ran out of time
+  async processExpiredProposals() {
+    const expired = await matchmakingService.claimExpiredProposals();
+    
+    for (const { proposal, ...outcome } of expired) {
+      await this.notifyProposalCancelled(proposal, outcome, 'timeout');
+    }
+    
+    return { expired: expired.length };
+  }
+  
+  // Tell every player in a match, wherever they are connected
+  async announceMatch(match) {
+    const { io } = this.ensureInitialized();
+    
+    for (const player of match.players) {
+      const opponent = match.players.find(p => p.userId !== player.userId);
+      
+      await presenceService.setCurrentRoom(player.userId, match.roomId);
+      io.in(`user_${player.userId}`).socketsJoin(match.roomId);
+      io.to(`user_${player.userId}`).emit('match-found', {
+        matched: true,
+        roomId: match.roomId,
+        opponentId: opponent.userId,
+        opponent: {
+          userId: opponent.userId,
+          username: opponent.username,
+          skillLevel: opponent.skillLevel
+        },
+        participantDetails: match.participantDetails,
+        gameSettings: match.gameSettings,
+        skillDifference: match.skillDifference,
+        message: 'Match found! Room created.'
+      });
+    }
+    
+    this.startGameCountdown(match.roomId);
+  }
+  
+  // Same as announceMatch, for two parties put into a team room
+  async announceTeamMatch(match) {
+    const { io } = this.ensureInitialized();
+    
+    for (const team of match.teams) {
+      await partyService.setStatus(team.partyId, 'in-game');
+      
+      for (const userId of team.members) {
+        await presenceService.setCurrentRoom(userId, match.roomId);
+        io.in(`user_${userId}`).socketsJoin(match.roomId);
+        io.to(`user_${userId}`).emit('match-found', {
+          matched: true,
+          roomId: match.roomId,
+          team: team.id,
+          teams: match.teams,
+          participantDetails: match.participantDetails,
+          gameSettings: match.gameSettings,
+          skillDifference: match.skillDifference,
+          message: 'Team match found!'
+        });
+      }
+    }
+    
+    this.startGameCountdown(match.roomId);
+  }
+  
+  // ============ TEAMS ============
+  
+  isTeamGame(roomData) {
+    return Array.isArray(roomData?.teams) && roomData.teams.length > 0;
+  }
+  
+  // Total score per team id
+  getTeamScores(roomData) {
+    const teamScores = {};
+    roomData.teams.forEach(team => {
+      teamScores[team.id] = 0;
+    });
+    roomData.participantDetails.forEach(p => {
+      if (p.team !== undefined) {
+        teamScores[p.team] = (teamScores[p.team] || 0) + (p.score || 0);
+      }
+    });
+    return teamScores;
+  }
+  
+  getWinningTeams(teamScores) {
+    const highestScore = Math.max(...Object.values(teamScores));
+    return Object.keys(teamScores).filter(teamId => teamScores[teamId] === highestScore);
+  }
+  
+  // ============ GAME CLOCK ============
+  
+  // Broadcast every running clock and end the games whose time is up.
+  // Only the instance holding the game-clock lock calls this; renewLock is
+  // called before each room and the tick stops if the lock was lost.
+  async tickClocks(renewLock = null) {
+    const { io } = this.ensureInitialized();
+    const roomIds = await gameClockService.getActiveRoomIds();
+    
+    for (const roomId of roomIds) {
+      if (renewLock && !(await renewLock())) {
+        return;
+      }
+      
+      try {
+        const clock = await gameClockService.getClock(roomId);
+        if (!clock) {
+          await gameClockService.stopClock(roomId);
+          continue;
+        }
+        
+        if (clock.status === 'paused') {
+          // A host can't hold the game hostage; long pauses resume on their own
+          if (Date.now() - clock.pausedAt >= clock.maxPauseMs) {
+            const resumed = await gameClockService.resumeClock(roomId);
+            if (resumed.success) {
+              io.to(roomId).to(this.getSpectatorRoom(roomId)).emit('game-resumed', {
+                roomId: roomId,
+                resumedBy: null,
+                reason: 'pause-limit',
+                clock: gameClockService.toPayload(resumed.clock)
+              });
+            }
+          }
+          continue;
+        }
+        
+        if (clock.remainingMs > 0) {
+          io.to(roomId).to(this.getSpectatorRoom(roomId)).emit('timer-updated', gameClockService.toPayload(clock));
+          continue;
+        }
+        
+        await this.handleClockExpired(roomId, clock);
+      } catch (error) {
+        console.error(`Error ticking game clock for ${roomId}:`, error);
+      }
+    }
+  }
+  
+  // Time is up: go to sudden-death overtime on a tie (if the room allows it), otherwise end the game
+  async handleClockExpired(roomId, clock) {
+    const { io } = this.ensureInitialized();
+    
+    const room = await redisService.getRoom(roomId);
+    if (!room || room.status !== 'playing') {
+      await gameClockService.stopClock(roomId);
+      return;
+    }
+    
+    const leaders = this.getLeaders(room);
+    
+    if (clock.status === 'running' && this.isTied(room) && gameClockService.canStartOvertime(clock)) {
+      const overtimeClock = await gameClockService.startOvertime(roomId);
+      
+      io.to(roomId).to(this.getSpectatorRoom(roomId)).emit('overtime-started', {
+        roomId: roomId,
+        tiedPlayers: leaders.map(p => p.userId),
+        duration: Math.round(overtimeClock.overtimeMs / 1000),
+        clock: gameClockService.toPayload(overtimeClock)
+      });
+      return;
+    }
+    
+    await this.handleGameFinished(roomId, room, {
+      reason: clock.status === 'overtime' ? 'overtime-expired' : 'time-expired',
+      triggeredBy: 'server-clock'
+    });
+  }
+  
+  // During overtime the first score that breaks the tie wins the game
+  async checkSuddenDeath(roomId) {
+    const clock = await gameClockService.getClock(roomId);
+    if (!clock || clock.status !== 'overtime') {
+      return false;
+    }
+    
+    const room = await redisService.getRoom(roomId);
+    if (!room || room.status !== 'playing' || this.isTied(room)) {
+      return false;
+    }
+    
+    await this.handleGameFinished(roomId, room, {
+      reason: 'sudden-death',
+      triggeredBy: 'server-clock'
+    });
+    return true;
+  }
+  
+  // Players sharing the top score; in team games, everyone on the leading team(s)
+  getLeaders(room) {
+    const participants = room.participantDetails || [];
+    
+    if (this.isTeamGame(room)) {
+      const winningTeams = this.getWinningTeams(this.getTeamScores(room));
+      return participants.filter(p => winningTeams.includes(p.team));
+    }
+    
+    const highestScore = Math.max(...participants.map(p => p.score || 0));
+    return participants.filter(p => (p.score || 0) === highestScore);
+  }
+  
+  isTied(room) {
+    if (this.isTeamGame(room)) {
+      return this.getWinningTeams(this.getTeamScores(room)).length > 1;
+    }
+    return this.getLeaders(room).length > 1;
+  }
+  
+  // ============ GAME FINISHED ============
+  
+  async handleGameFinished(roomId, roomData, finishContext = {}) {
+    const { io, db } = this.ensureInitialized();
+    const useRedis = isRedisAvailable();
+    
+    // The clock, sudden death and forfeits can all end a game; only the first one counts
+    if (useRedis) {
+      const claimed = await redisClient.set(`${KEY_PREFIXES.GAME_FINISHING}${roomId}`, Date.now(), 'EX', TTL.ROOM_FINISHED, 'NX');
+      if (!claimed) {
+        return;
+      }
+      await gameClockService.stopClock(roomId);
+    }
+    
+    try {
+      // Update room status in Redis
+      if (useRedis) {
+        await redisService.updateRoom(roomId, {
+          status: 'finished',
+          gameFinishedAt: Date.now()
+        });
+      }
+      
+      // If room is empty or has no valid participants, just clean up
+      if (!roomData || !roomData.participantDetails || roomData.participantDetails.length === 0) {
+        
+        // Clean up room
+        if (useRedis) {
+          await redisService.deleteRoom(roomId);
+        }
+        io.emit('room-deleted', { roomId: roomId });
+        return;
+      }
+
+      // Team games are won on team totals (or by the team left standing after a forfeit)
+      const isTeamGame = this.isTeamGame(roomData);
+      const teamScores = isTeamGame ? this.getTeamScores(roomData) : null;
+      const winningTeams = isTeamGame
+        ? (finishContext.winningTeam ? [finishContext.winningTeam] : this.getWinningTeams(teamScores))
+        : [];
+
+      // Players who abandoned (earlier, or the forfeit that ended the game) always lose
+      const abandonedPlayers = (roomData.abandonedPlayers || [])
+        .filter(a => !roomData.participantDetails.some(p => p.userId === a.userId));
+      const abandonedIds = [
+        ...abandonedPlayers.map(p => p.userId),
+        ...(finishContext.forfeitedBy ? [finishContext.forfeitedBy] : [])
+      ];
+
+      // Sort participants by score (winning team first in team games, abandoners last)
+      const finalScores = [...roomData.participantDetails, ...abandonedPlayers]
+        .map(p => ({ ...p, abandoned: abandonedIds.includes(p.userId) }))
+        .sort((a, b) => {
+          if (a.abandoned !== b.abandoned) {
+            return a.abandoned ? 1 : -1;
+          }
+          if (isTeamGame && winningTeams.includes(a.team) !== winningTeams.includes(b.team)) {
+            return winningTeams.includes(a.team) ? -1 : 1;
+          }
+          return (b.score || 0) - (a.score || 0);
+        })
+        .map((p, index) => ({
+          ...p,
+          rank: index + 1,
+          isWinner: !p.abandoned && (isTeamGame ? winningTeams.includes(p.team) : index === 0)
+        }));
+
+      // Determine winners (handle ties)
+      const highestScore = finalScores[0]?.score || 0;
+      const winners = isTeamGame
+        ? finalScores.filter(p => !p.abandoned && winningTeams.includes(p.team))
+        : finalScores.filter(p => !p.abandoned && p.score === highestScore);
+      const isDraw = isTeamGame ? winningTeams.length > 1 : winners.length > 1;
+
+      const gameType = roomData.gameSettings?.mode || 'quiz';
+      console.log(gameType)
+      // Prepare all player results
+      const playerResults = finalScores.map(participant => {
+        let result = 'loss';
+        if (winners.some(w => w.userId === participant.userId)) {
+          result = isDraw ? 'draw' : 'win';
+        }
+
+        return {
+          userId: participant.userId,
+          username: participant.username,
+          result: result,
+          finalScore: participant.score || 0,
+          rank: participant.rank,
+          totalParticipants: finalScores.length,
+          points: participant.score || 0,
+          abandoned: participant.abandoned
+        };
+      });
+
+      // Hints are tracked in Redis per room; results keep each player's total
+      const gameHints = useRedis ? await scoringService.getGameHints(roomId) : {};
+
+      // Use a single batch for ALL Firebase operations
+      const batch = db.batch();
+      const leaderboardUpdates = [];
+
+      for (const participant of finalScores) {
+        const userId = participant.userId;
+        const userScore = participant.score || 0;
+
+        // Determine result for this participant
+        let result = 'loss';
+        if (winners.some(w => w.userId === userId)) {
+          result = isDraw ? 'draw' : 'win';
+        }
+
+        // 1. GET CURRENT LEADERBOARD DATA
+        const userLeaderboardRef = db.collection('leaderboard').doc(userId);
+        const userDoc = await userLeaderboardRef.get();
+        
+        let currentLeaderboardData = {
+          userId: userId,
+          username: participant.username,
+          totalScore: 0,
+          gamesPlayed: 0,
+          wins: 0, losses: 0,
+          gameTypeScores: {},
+          currentWinStreak: 0,
+          perfectGames: 0,
+        };
+        
+        if (userDoc.exists) {
+          currentLeaderboardData = { ...currentLeaderboardData, ...userDoc.data() };
+        }
+
+        // Calculate new leaderboard values
+        const newTotalScore = currentLeaderboardData.totalScore + userScore;
+        const newGamesPlayed = currentLeaderboardData.gamesPlayed + 1;
+        const newAverageScore = newTotalScore / newGamesPlayed;
+
+        // Update game type scores
+        const gameTypeScores = currentLeaderboardData.gameTypeScores || {};
+        gameTypeScores[gameType] = {
+          score: (gameTypeScores[gameType]?.score || 0) + userScore,
+          gamesPlayed: (gameTypeScores[gameType]?.gamesPlayed || 0) + 1
+        };
+
+        // Update wins/losses and currentWinStreak
+        let wins = currentLeaderboardData.wins || 0;
+        let losses = currentLeaderboardData.losses || 0;
+        let currentWinStreak = currentLeaderboardData.currentWinStreak || 0;
+        
+        if (result === 'win') {
+          wins += 1;
+          currentWinStreak += 1;
+        } else if (result === 'loss') {
+          losses += 1;
+          currentWinStreak = 0;
+        }
+        
+        // Update perfect game 
+        let perfectGames = currentLeaderboardData.perfectGames || 0;
+        if(roomData.perfectScore === userScore){
+          perfectGames+=1
+        }
+
+        // Add leaderboard update to batch
+        const leaderboardData = {
+          userId: userId,
+          username: participant.username,
+          totalScore: newTotalScore,
+          gamesPlayed: newGamesPlayed,
+          averageScore: Math.round(newAverageScore * 100) / 100,
+          wins: wins, losses: losses,
+          currentWinStreak: currentWinStreak,
+          gameTypeScores: gameTypeScores,
+          perfectGames: perfectGames
+        };
+        batch.set(userLeaderboardRef, {
+          ...leaderboardData,
+          lastPlayed: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+        leaderboardUpdates.push({
+          ...leaderboardData,
+          achievements: currentLeaderboardData.achievements,
+          lastPlayed: Date.now()
+        });
+
+        // 2. GET CURRENT USER STATS
+        const userRef = db.collection('users').doc(userId);
+        const userSnapshot = await userRef.get();
+        
+        let currentUserStats = {
+          battlesWon: 0, quizzesTaken: 0, streak: 0, xp: 0
+        };
+
+        if (userSnapshot.exists && userSnapshot.data().stats) {
+          currentUserStats = { ...currentUserStats, ...userSnapshot.data().stats };
+        }
+
+        // Calculate streak
+        let newStreak = currentUserStats.streak || 0;
+        if (result === 'win') {
+          newStreak += 1;
+        } else if (result === 'loss') {
+          newStreak = 0;
+        }
+
+        // Add user stats update to batch
+        batch.set(userRef, {
+          stats: {
+            battlesWon: (currentUserStats.battlesWon || 0) + (result === 'win' ? 1 : 0),
+            quizzesTaken: (currentUserStats.quizzesTaken || 0) + 1,
+            streak: newStreak,
+            xp: (currentUserStats.xp || 0) + userScore
+          },
+          lastPlayedAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+
+        // 3. ADD GAME RESULT TO BATCH
+        const gameResultRef = db.collection('gameResults').doc();
+        batch.set(gameResultRef, {
+          userId: participant.userId,
+          username: participant.username,
+          result: result,
+          roomId: roomId,
+          finalScore: participant.score || 0,
+          rank: participant.rank,
+          gameType: gameType,
+          abandoned: participant.abandoned,
+          perfect: roomData.perfectScore === userScore,
+          hintsUsed: gameHints[userId] || 0,
+          // Leaderboard periods and achievements only count results we wrote
+          source: 'game',
+          timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+      }
+
+      await batch.commit();
+
+      // Keep the Redis boards in step with Firestore
+      if (useRedis) {
+        try {
+          await leaderboardService.updateEntries(leaderboardUpdates);
+          await leaderboardService.addPeriodPoints(finalScores.map(p => ({ userId: p.userId, points: p.score || 0 })));
+        } catch (redisError) {
+          console.error('Redis leaderboard update failed (non-critical):', redisError);
+        }
+      }
+
+      // Update Glicko-2 ratings from the final standings
+      let ratingChanges = [];
+      let tierChanges = [];
+      const isSeasonGame = seasonService.isSeasonGame(roomData);
+      if (isSeasonGame) {
+        try {
+          await seasonService.preparePlacements(finalScores.map(p => p.userId));
+        } catch (error) {
+          console.error('Error preparing placement ratings:', error);
+        }
+      }
+      if (ratingService.isRatedGame(roomData)) {
+        // Team members are rated against the opposing team on the team result;
+        // abandoners are rated as losing to everyone
+        const standings = finalScores.map(p => {
+          if (p.abandoned) return { ...p, score: -1 };
+          return isTeamGame ? { ...p, score: winningTeams.includes(p.team) ? 1 : 0 } : p;
+        });
+        ratingChanges = await ratingService.updateRatingsForGame(roomId, standings);
+      }
+
+      // Ranked games count towards the season: placements, tiers and divisions
+      if (isSeasonGame && ratingChanges.length > 0) {
+        try {
+          tierChanges = await seasonService.recordRankedResults(roomId, playerResults, ratingChanges);
+        } catch (error) {
+          console.error('Error updating season standings:', error);
+        }
+      }
+
+      // Broadcast game finished to all players and spectators in room
+      io.to(roomId).to(this.getSpectatorRoom(roomId)).emit('game-finished', {
+        roomId: roomId,
+        finalScores: finalScores,
+        winners: winners.map(w => w.userId),
+        gameType: gameType,
+        allPlayerResults: playerResults,
+        teams: isTeamGame ? roomData.teams.map(team => ({
+          ...team,
+          score: teamScores[team.id],
+          isWinner: winningTeams.includes(team.id)
+        })) : null,
+        ratingChanges: ratingChanges,
+        tierChanges: tierChanges,
+        finishReason: finishContext.reason || 'completed',
+        timestamp: Date.now()
+      });
+
+      // ============ ACHIEVEMENTS ============
+      // Evaluated by subscribers against each player's updated stats and this result
+      for (const playerResult of playerResults) {
+        eventBus.publish(EVENT_TYPES.GAME_FINISHED, {
+          userId: playerResult.userId,
+          username: playerResult.username,
+          roomId: roomId,
+          stats: leaderboardUpdates.find(update => update.userId === playerResult.userId),
+          game: {
+            gameType: gameType,
+            finalScore: playerResult.finalScore,
+            result: playerResult.result,
+            perfect: roomData.perfectScore === playerResult.finalScore,
+            hintsUsed: gameHints[playerResult.userId] || 0,
+            timestamp: Date.now()
+          }
+        });
+      }
+
+      // Clean up room from Redis and notify lobby
+      if (useRedis) {
+        await redisService.deleteRoom(roomId);
+      }
+      io.emit('room-deleted', { roomId: roomId });
+      io.in(this.getSpectatorRoom(roomId)).socketsLeave(this.getSpectatorRoom(roomId));
+
+      // Parties can queue again
+      if (isTeamGame) {
+        for (const team of roomData.teams) {
+          const party = await partyService.setStatus(team.partyId, 'idle');
+          if (party) {
+            partyService.notifyParty(party);
+          }
+        }
+      }
+
+    } catch (error) {
+      console.error('Error handling game-finished:', error);
+      
+      // Notify players about error
+      io.to(roomId).emit('game-error', {
+        message: 'Error finalizing game results',
+        error: error.message
+      });
+    }
+  }
+  
+  // ============ SEASONS ============
+  
+  // Close ended seasons and tell each rewarded player what they earned
+  async processEndedSeasons() {
+    const { io } = this.ensureInitialized();
+    const closed = await seasonService.closeEndedSeasons();
+    
+    for (const { season, rewards } of closed) {
+      io.emit('season-ended', {
+        seasonId: season.id,
+        name: season.name,
+        endsAt: season.endsAt
+      });
+      
+      for (const reward of rewards) {
+        io.to(`user_${reward.userId}`).emit('season-reward', {
+          seasonId: season.id,
+          tier: reward.tier,
+          achievement: reward.achievement,
+          timestamp: new Date()
+        });
+      }
+    }
+    
+    return { closed: closed.length };
+  }
+  
+  // ============ LEADERBOARD PERIODS ============
+  
+  // Archive weekly/monthly boards that just ended and announce their winners
+  async processLeaderboardRollover() {
+    const { io } = this.ensureInitialized();
+    const archived = await leaderboardService.archiveEndedPeriods();
+    
+    for (const archive of archived) {
+      io.emit('leaderboard-period-ended', {
+        type: archive.type,
+        periodId: archive.periodId,
+        winners: archive.standings.slice(0, 3),
+        totalPlayers: archive.totalPlayers,
+        timestamp: new Date()
+      });
+    }
+    
+    return { archived: archived.length };
+  }
+  
+  // Push what changed on subscribed boards since the last push
+  async pushLeaderboardDiffs() {
+    const { io } = this.ensureInitialized();
+    const diffs = await leaderboardService.collectDiffs();
+    
+    for (const diff of diffs) {
+      io.to(leaderboardService.subscriptionRoom(diff.subscriptionId)).emit('leaderboard-diff', {
+        ...diff,
+        timestamp: new Date()
+      });
+    }
+    
+    return { pushed: diffs.length };
+  }
+  
+  // ============ PLAYER REMOVAL ============
+  
+  // Remove a player from a room; if a game in progress is left with one player, they win by forfeit
+  async removePlayerFromGame(roomId, roomData, userId, username, finishContext = {}) {
+    let roomDeleted = false;
+    let remainingPlayers = [];
+    // roomData was read before the player left; other players may have
+    // abandoned since, so the forfeit below uses the refreshed list
+    let abandonedPlayers = roomData.abandonedPlayers || [];
+    
+    if (isRedisAvailable()) {
+      const result = await redisService.removePlayerFromRoom(roomId, userId);
+      roomDeleted = result.roomDeleted;
+      
+      // Refresh room data if not deleted
+      if (!roomDeleted) {
+        const updatedRoom = await redisService.getRoom(roomId);
+        remainingPlayers = updatedRoom.participantDetails;
+        abandonedPlayers = updatedRoom.abandonedPlayers;
+      }
+    }
+    
+    await presenceService.setCurrentRoom(userId, null);
+    
+    // Room was deleted (last player left) OR only 1 player remains
+    // In multiplayer, if one player leaves, the other should win by forfeit
+    // In team games the game ends once only one team has players left
+    const isTeamGame = this.isTeamGame(roomData);
+    const remainingTeams = new Set(remainingPlayers.map(p => p.team));
+    const gameEnded = roomData.status === 'playing' && (
+      roomDeleted || (isTeamGame ? remainingTeams.size === 1 : remainingPlayers.length === 1)
+    );
+    
+    // Walking out on other players goes in the penalty ledger: mid-game it is an
+    // abandon, in a freshly matched room that hasn't started yet it is a dodge
+    const leftOthers = roomData.participantDetails.length > 1;
+    let penaltyType = null;
+    if (leftOthers && roomData.status === 'playing') {
+      penaltyType = PENALTY_TYPES.ABANDON;
+    } else if (leftOthers && roomData.status === 'waiting' && MATCHMADE_ROOM_TYPES.includes(roomData.type)) {
+      penaltyType = PENALTY_TYPES.DODGE;
+    }
+    
+    if (penaltyType) {
+      const { io } = this.ensureInitialized();
+      const penalty = await penaltyService.recordPenalty(userId, penaltyType, { username, roomId });
+      io.to(`user_${userId}`).emit('penalty-applied', { roomId, ...penalty });
+    }
+    
+    // The game goes on without them, but they still take a loss when it finishes
+    if (penaltyType === PENALTY_TYPES.ABANDON && !gameEnded && !roomDeleted && isRedisAvailable()) {
+      const leaver = roomData.participantDetails.find(p => p.userId === userId) || { userId, username };
+      await redisService.addAbandonedPlayer(roomId, leaver);
+    }
+    
+    if (gameEnded) {
+      console.log(`Player left room ${roomId} - ending game (${roomDeleted ? 'room empty' : 'only 1 player left'})`);
+      
+      if (isTeamGame && remainingPlayers.length > 0) {
+        const winningTeam = remainingPlayers[0].team;
+        
+        // Everyone keeps their score; the team left standing wins by forfeit
+        await this.handleGameFinished(roomId, {
+          ...roomData,
+          abandonedPlayers,
+          participantDetails: roomData.participantDetails.map(p => 
+            remainingPlayers.find(r => r.userId === p.userId) || p
+          )
+        }, {
+          reason: 'team-forfeit',
+          forfeitedBy: userId,
+          winningTeam: winningTeam,
+          ...finishContext
+        });
+      } else if (remainingPlayers.length === 1) {
+        // If there's still 1 player, they win by forfeit
+        const winner = remainingPlayers[0];
+        
+        // Give winner their points
+        await this.handleGameFinished(roomId, {
+          ...roomData,
+          abandonedPlayers,
+          participantDetails: [
+            { ...winner, score: winner.score || 50 }, // Winner gets points
+            { 
+              userId: userId, 
+              username: username, 
+              score: 0 // Leaving player gets 0
+            }
+          ]
+        }, {
+          reason: 'player-forfeit',
+          forfeitedBy: userId,
+          winnerId: winner.userId,
+          ...finishContext
+        });
+      }
+    }
+    
+    return { roomDeleted, remainingPlayers, gameEnded };
+  }
+  
+  // ============ RECONNECT GRACE WINDOW ============
+  
+  reconnectKey(userId) {
+    return `${KEY_PREFIXES.RECONNECT}${userId}`;
+  }
+  
+  // Keep a dropped player's seat, score and ready state until the grace window runs out
+  async markDisconnected(roomId, userId) {
+    const room = await redisService.getRoom(roomId);
+    if (!room) return null;
+    
+    const now = Date.now();
+    const expiresAt = now + RECONNECT_GRACE_SECONDS * 1000;
+    
+    await redisService.updateParticipant(roomId, userId, { connected: false, disconnectedAt: now });
+    
+    await redisClient.set(
+      this.reconnectKey(userId),
+      JSON.stringify({ roomId, disconnectedAt: now, expiresAt }),
+      'EX',
+      RECONNECT_GRACE_SECONDS + 60
+    );
+    await redisClient.zadd(KEY_PREFIXES.RECONNECT_DEADLINES, expiresAt, `${roomId}|${userId}`);
+    
+    return { roomId, expiresAt, graceSeconds: RECONNECT_GRACE_SECONDS };
+  }
+  
+  async getPendingReconnect(userId) {
+    const data = await redisClient.get(this.reconnectKey(userId));
+    if (!data) return null;
+    
+    const pending = JSON.parse(data);
+    return pending.expiresAt > Date.now() ? pending : null;
+  }
+  
+  // Give a returning player their seat back and build the snapshot they need to resume
+  async resumePlayer(roomId, userId) {
+    await redisClient.del(this.reconnectKey(userId));
+    await redisClient.zrem(KEY_PREFIXES.RECONNECT_DEADLINES, `${roomId}|${userId}`);
+    
+    if (!(await redisService.updateParticipant(roomId, userId, { connected: true }, ['disconnectedAt']))) {
+      return null;
+    }
+    await presenceService.setCurrentRoom(userId, roomId);
+    
+    const room = await redisService.getRoom(roomId);
+    if (!room) return null;
+    
+    const [gameState, recentEvents, clock] = await Promise.all([
+      redisService.getGameState(roomId),
+      redisService.getGameEvents(roomId, 50),
+      gameClockService.getClock(roomId)
+    ]);
+    
+    return {
+      room,
+      gameState,
+      recentEvents,
+      clock: clock ? gameClockService.toPayload(clock) : null,
+      serverTime: Date.now()
+    };
+  }
+  
+  // Forfeit players whose grace window has run out. Safe to run on every node:
+  // ZREM only succeeds on one of them, so each expiry is processed once.
+  async processExpiredReconnects() {
+    const { io } = this.ensureInitialized();
+    const expired = await redisClient.zrangebyscore(KEY_PREFIXES.RECONNECT_DEADLINES, '-inf', Date.now());
+    let forfeited = 0;
+    
+    for (const member of expired) {
+      const claimed = await redisClient.zrem(KEY_PREFIXES.RECONNECT_DEADLINES, member);
+      if (!claimed) continue;
+      
+      const [roomId, userId] = member.split('|');
+      await redisClient.del(this.reconnectKey(userId));
+      
+      try {
+        const room = await redisService.getRoom(roomId);
+        const participant = room?.participantDetails.find(p => p.userId === userId);
+        
+        // Player came back, or the game already ended
+        if (!room || room.status !== 'playing' || !participant || participant.connected !== false) {
+          continue;
+        }
+        
+        const { remainingPlayers, gameEnded } = await this.removePlayerFromGame(
+          roomId, room, userId, participant.username,
+          { triggeredBy: 'disconnect-timeout' }
+        );
+        forfeited++;
+        
+        io.to(roomId).to(this.getSpectatorRoom(roomId)).emit('player-forfeited', {
+          roomId,
+          userId,
+          username: participant.username,
+          reason: 'disconnect-timeout',
+          gameEnded
+        });
+        
+        if (!gameEnded) {
+          io.emit('room-updated', {
+            roomId: roomId,
+            currentPlayers: remainingPlayers.length,
+            maxPlayers: room.maxPlayers
+          });
+        }
+      } catch (error) {
+        console.error(`Error forfeiting disconnected player ${userId} in ${roomId}:`, error);
+      }
+    }
+    
+    return { forfeited };
+  }
+}
+
+module.exports = new GameService();
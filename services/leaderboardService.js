@@ -0,0 +1,840 @@
+// services/leaderboardService.js - Leaderboards Served from Redis Sorted Sets
+const { redisClient, KEY_PREFIXES } = require('../config/redis.config');
+const redisService = require('./redisService');
+
+// Players need this many games before they appear on the win-rate board
+const MIN_WIN_RATE_GAMES = parseInt(process.env.MIN_WIN_RATE_GAMES) || 10;
+
+const REBUILD_PAGE_SIZE = 500;
+const REBUILD_LOCK_MS = 5 * 60 * 1000;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Weekly and monthly boards roll over at midnight in this timezone
+const LEADERBOARD_TIMEZONE = process.env.LEADERBOARD_TIMEZONE || 'UTC';
+const PERIOD_TYPES = ['weekly', 'monthly'];
+const PERIOD_KEY_GRACE_SECONDS = 7 * 86400; // Keep ended period boards around until archived
+const ARCHIVE_SIZE = 100;                   // Final standings kept per period
+
+// Live subscriptions are to the top N of a board; requested sizes round up to one of these
+const SUBSCRIPTION_SIZES = [10, 25, 50, 100];
+const SNAPSHOT_TTL_SECONDS = 86400;
+
+class LeaderboardService {
+
+  constructor() {
+    this.db = null;
+    // Rebuild running on this instance, if any
+    this.rebuildPromise = null;
+  }
+
+  // Initialize Firebase connection
+  initializeFirebase(adminInstance) {
+    if (!adminInstance) {
+      throw new Error("Firebase Admin SDK instance must be provided.");
+    }
+    this.admin = adminInstance;
+    this.db = adminInstance.firestore();
+    console.log("LeaderboardService initialized with Firebase.");
+  }
+
+  // Helper to ensure db is initialized
+  ensureDb() {
+    if (!this.db) {
+      throw new Error('Firebase is not initialized. Call initializeFirebase() first.');
+    }
+    return this.db;
+  }
+
+  // ============ KEYS ============
+
+  // board: 'global', 'winRate' or a game type
+  boardKey(board, prefix = '') {
+    if (board === 'global') return `${prefix}${KEY_PREFIXES.LEADERBOARD_GLOBAL}`;
+    if (board === 'winRate') return `${prefix}${KEY_PREFIXES.LEADERBOARD_WIN_RATE}`;
+    return `${prefix}${KEY_PREFIXES.LEADERBOARD_GAME_TYPE}${board}`;
+  }
+
+  entryKey(userId) {
+    return `${KEY_PREFIXES.LEADERBOARD_ENTRY}${userId}`;
+  }
+
+  // Pick the board for the request shape get-leaderboard has always accepted
+  resolveBoard(gameType = 'all', sortBy = 'totalScore') {
+    if (sortBy === 'winRate') return 'winRate';
+    if (gameType && gameType !== 'all') return gameType;
+    return 'global';
+  }
+
+  // Win rate (to 0.01%) first, games played breaks ties
+  winRateScore(wins, gamesPlayed) {
+    const winRate = gamesPlayed > 0 ? wins / gamesPlayed : 0;
+    return Math.round(winRate * 10000) * 1000000 + Math.min(gamesPlayed, 999999);
+  }
+
+  // ============ WRITES ============
+
+  // Queue the ZADDs/HSET for one player's leaderboard document
+  writeEntry(client, data, prefix = '') {
+    const gamesPlayed = data.gamesPlayed || 0;
+    const wins = data.wins || 0;
+    const gameTypeScores = data.gameTypeScores || {};
+    const lastPlayed = data.lastPlayed?.toMillis ? data.lastPlayed.toMillis() : (data.lastPlayed || '');
+
+    client.hset(this.entryKey(data.userId), {
+      userId: data.userId,
+      username: data.username || '',
+      totalScore: data.totalScore || 0,
+      gamesPlayed,
+      wins,
+      losses: data.losses || 0,
+      averageScore: data.averageScore || 0,
+      currentWinStreak: data.currentWinStreak || 0,
+      perfectGames: data.perfectGames || 0,
+      gameTypeScores: JSON.stringify(gameTypeScores),
+      achievements: JSON.stringify(data.achievements || []),
+      lastPlayed
+    });
+
+    client.zadd(this.boardKey('global', prefix), data.totalScore || 0, data.userId);
+
+    for (const [gameType, stats] of Object.entries(gameTypeScores)) {
+      client.zadd(this.boardKey(gameType, prefix), stats.score || 0, data.userId);
+      client.sadd(`${prefix}${KEY_PREFIXES.LEADERBOARD_GAME_TYPES}`, gameType);
+    }
+
+    if (gamesPlayed >= MIN_WIN_RATE_GAMES) {
+      client.zadd(this.boardKey('winRate', prefix), this.winRateScore(wins, gamesPlayed), data.userId);
+    } else {
+      client.zrem(this.boardKey('winRate', prefix), data.userId);
+    }
+
+    // Staged rebuild writes are published once the rebuild swaps in
+    if (!prefix) {
+      client.sadd(KEY_PREFIXES.LEADERBOARD_DIRTY, 'global', 'winRate', ...Object.keys(gameTypeScores));
+    }
+  }
+
+  // Mirror the latest leaderboard values for these players into Redis.
+  // entries: leaderboard documents as written to Firestore (plain values)
+  async updateEntries(entries) {
+    const pipeline = redisClient.pipeline();
+    const rebuildPrefix = await redisClient.get(KEY_PREFIXES.LEADERBOARD_REBUILDING);
+
+    for (const entry of entries) {
+      this.writeEntry(pipeline, entry);
+      // A rebuild in progress would otherwise swap in its older copy
+      if (rebuildPrefix) {
+        this.writeEntry(pipeline, entry, rebuildPrefix);
+      }
+    }
+
+    await pipeline.exec();
+  }
+
+  // Re-read one player from Firestore (for writes made with FieldValue transforms)
+  async syncUser(userId) {
+    const db = this.ensureDb();
+    const doc = await db.collection('leaderboard').doc(userId).get();
+    if (doc.exists) {
+      await this.updateEntries([{ userId, ...doc.data() }]);
+    }
+  }
+
+  // ============ REBUILD ============
+
+  async isReady() {
+    return (await redisClient.exists(KEY_PREFIXES.LEADERBOARD_READY)) === 1;
+  }
+
+  // Rebuild if Redis has lost the boards (startup, flush, eviction). Only the
+  // instance holding the lock does the work; returns true if it rebuilt.
+  async ensureBuilt() {
+    if (await this.isReady()) return false;
+    if (this.rebuildPromise) return this.rebuildPromise;
+    if (!(await redisService.acquireLock('leaderboard-rebuild', REBUILD_LOCK_MS))) return false;
+
+    this.rebuildPromise = this.rebuildFromFirestore()
+      .then(() => true)
+      .finally(() => {
+        this.rebuildPromise = null;
+      });
+    return this.rebuildPromise;
+  }
+
+  // Stream the Firestore leaderboard into staging keys, then swap them in
+  async rebuildFromFirestore() {
+    const db = this.ensureDb();
+    const startedAt = Date.now();
+    const prefix = `rebuild:${startedAt}:`;
+    let lastDoc = null;
+    let count = 0;
+
+    await redisClient.set(KEY_PREFIXES.LEADERBOARD_REBUILDING, prefix, 'PX', REBUILD_LOCK_MS);
+
+    try {
+      while (true) {
+        let query = db.collection('leaderboard')
+          .orderBy(this.admin.firestore.FieldPath.documentId())
+          .limit(REBUILD_PAGE_SIZE);
+        if (lastDoc) {
+          query = query.startAfter(lastDoc);
+        }
+
+        const snapshot = await query.get();
+        if (snapshot.empty) break;
+
+        const pipeline = redisClient.pipeline();
+        snapshot.docs.forEach(doc => this.writeEntry(pipeline, { userId: doc.id, ...doc.data() }, prefix));
+        await pipeline.exec();
+
+        count += snapshot.size;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        if (snapshot.size < REBUILD_PAGE_SIZE) break;
+      }
+
+      // Swap staged boards in; boards with no players left are dropped
+      const [liveGameTypes, stagedGameTypes] = await Promise.all([
+        redisClient.smembers(KEY_PREFIXES.LEADERBOARD_GAME_TYPES),
+        redisClient.smembers(`${prefix}${KEY_PREFIXES.LEADERBOARD_GAME_TYPES}`)
+      ]);
+      const boards = ['global', 'winRate', ...new Set([...liveGameTypes, ...stagedGameTypes])];
+
+      for (const board of boards) {
+        const stagedKey = this.boardKey(board, prefix);
+        if (await redisClient.exists(stagedKey)) {
+          await redisClient.rename(stagedKey, this.boardKey(board));
+        } else {
+          await redisClient.del(this.boardKey(board));
+        }
+      }
+
+      const stagedTypesKey = `${prefix}${KEY_PREFIXES.LEADERBOARD_GAME_TYPES}`;
+      if (stagedGameTypes.length > 0) {
+        await redisClient.rename(stagedTypesKey, KEY_PREFIXES.LEADERBOARD_GAME_TYPES);
+      } else {
+        await redisClient.del(KEY_PREFIXES.LEADERBOARD_GAME_TYPES);
+      }
+
+      // Period boards come back from this period's game results
+      await this.rebuildPeriodBoards(prefix);
+      await redisClient.sadd(KEY_PREFIXES.LEADERBOARD_DIRTY, ...boards, ...PERIOD_TYPES);
+
+      await redisClient.set(KEY_PREFIXES.LEADERBOARD_READY, startedAt);
+      console.log(`✅ Rebuilt leaderboards from Firestore (${count} players, ${Date.now() - startedAt}ms)`);
+      return { players: count };
+    } finally {
+      await redisClient.del(KEY_PREFIXES.LEADERBOARD_REBUILDING);
+    }
+  }
+
+  // Only results written when a game finishes count, the same ones that add
+  // period points live; results reported by clients are left out. The query
+  // needs the (source, timestamp) index from firestore.indexes.json.
+  async rebuildPeriodBoards(prefix) {
+    const db = this.ensureDb();
+    const periods = PERIOD_TYPES.map(type => this.getPeriod(type));
+    const since = new Date(Math.min(...periods.map(p => p.startsAt)));
+    let lastDoc = null;
+
+    while (true) {
+      let query = db.collection('gameResults')
+        .where('source', '==', 'game')
+        .where('timestamp', '>=', since)
+        .orderBy('timestamp')
+        .limit(REBUILD_PAGE_SIZE);
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+
+      const snapshot = await query.get();
+      if (snapshot.empty) break;
+
+      const pipeline = redisClient.pipeline();
+      snapshot.docs.forEach(doc => {
+        const result = doc.data();
+        this.writePeriodPoints(pipeline, result.userId, result.finalScore || 0, result.timestamp.toMillis(), prefix);
+      });
+      await pipeline.exec();
+
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      if (snapshot.size < REBUILD_PAGE_SIZE) break;
+    }
+
+    for (const period of periods) {
+      const stagedKey = this.periodKey(period.type, period.id, prefix);
+      if (await redisClient.exists(stagedKey)) {
+        await redisClient.rename(stagedKey, this.periodKey(period.type, period.id));
+      }
+    }
+  }
+
+  // ============ READS ============
+
+  parseEntry(data) {
+    if (!data || Object.keys(data).length === 0) {
+      return null;
+    }
+
+    const gamesPlayed = parseInt(data.gamesPlayed) || 0;
+    const wins = parseInt(data.wins) || 0;
+
+    return {
+      userId: data.userId,
+      username: data.username,
+      totalScore: parseInt(data.totalScore) || 0,
+      gamesPlayed,
+      averageScore: parseFloat(data.averageScore) || 0,
+      wins,
+      losses: parseInt(data.losses) || 0,
+      winRate: gamesPlayed > 0 ? Math.round((wins / gamesPlayed) * 100) : 0,
+      currentWinStreak: parseInt(data.currentWinStreak) || 0,
+      perfectGames: parseInt(data.perfectGames) || 0,
+      lastPlayed: data.lastPlayed ? new Date(parseInt(data.lastPlayed)) : null,
+      achievements: JSON.parse(data.achievements || '[]'),
+      gameTypeScores: JSON.parse(data.gameTypeScores || '{}')
+    };
+  }
+
+  async getEntries(userIds) {
+    const pipeline = redisClient.pipeline();
+    userIds.forEach(uid => pipeline.hgetall(this.entryKey(uid)));
+    const results = await pipeline.exec();
+
+    return results.reduce((map, [err, data], index) => {
+      map[userIds[index]] = err ? null : this.parseEntry(data);
+      return map;
+    }, {});
+  }
+
+  // Score shown for a row on this board
+  getDisplayScore(board, entry) {
+    if (board === 'global' || board === 'winRate') return entry.totalScore;
+    return entry.gameTypeScores[board]?.score || 0;
+  }
+
+  // Cursors point at the last row of the previous page: { s: score, u: userId }
+  encodeCursor(score, userId) {
+    return Buffer.from(JSON.stringify({ s: score, u: userId })).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const { s, u } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+      return typeof s === 'number' && typeof u === 'string' ? { score: s, userId: u } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Offset of the first row after the cursor. If the cursor's player hasn't
+  // moved we continue right after them, otherwise after everyone who still
+  // outscores the cursor's score.
+  async resolveCursorOffset(boardKey, cursor) {
+    const position = this.decodeCursor(cursor);
+    if (!position) return 0;
+
+    const currentScore = await redisClient.zscore(boardKey, position.userId);
+    if (currentScore !== null && parseFloat(currentScore) === position.score) {
+      return (await redisClient.zrevrank(boardKey, position.userId)) + 1;
+    }
+
+    return redisClient.zcount(boardKey, `(${position.score}`, '+inf');
+  }
+
+  // One page of a board: { entries, nextCursor, total }
+  async getPage(board, options = {}) {
+    return this.readPage(this.boardKey(board), options, entry => this.getDisplayScore(board, entry));
+  }
+
+  // displayScore(entry, row) picks the score shown for each row
+  async readPage(boardKey, { limit = DEFAULT_PAGE_SIZE, cursor = null } = {}, displayScore) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const offset = cursor ? await this.resolveCursorOffset(boardKey, cursor) : 0;
+
+    const [results, total] = await Promise.all([
+      redisClient.zrevrange(boardKey, offset, offset + pageSize - 1, 'WITHSCORES'),
+      redisClient.zcard(boardKey)
+    ]);
+
+    const rows = [];
+    for (let i = 0; i < results.length; i += 2) {
+      rows.push({ userId: results[i], score: parseFloat(results[i + 1]) });
+    }
+
+    const details = await this.getEntries(rows.map(r => r.userId));
+    const entries = rows
+      .map((row, index) => {
+        const entry = details[row.userId];
+        if (!entry) return null;
+        return {
+          rank: offset + index + 1,
+          ...entry,
+          displayScore: displayScore(entry, row)
+        };
+      })
+      .filter(Boolean);
+
+    const lastRow = rows[rows.length - 1];
+    const hasMore = offset + rows.length < total;
+
+    return {
+      entries,
+      nextCursor: hasMore && lastRow ? this.encodeCursor(lastRow.score, lastRow.userId) : null,
+      total
+    };
+  }
+
+  // A player's rank on a board, or null if they aren't on it
+  async getPosition(board, userId) {
+    return this.readPosition(this.boardKey(board), userId, entry => this.getDisplayScore(board, entry));
+  }
+
+  async readPosition(boardKey, userId, displayScore) {
+    const [rank, score, entries, total] = await Promise.all([
+      redisClient.zrevrank(boardKey, userId),
+      redisClient.zscore(boardKey, userId),
+      this.getEntries([userId]),
+      redisClient.zcard(boardKey)
+    ]);
+    const entry = entries[userId];
+
+    return {
+      position: rank !== null ? rank + 1 : null,
+      total,
+      entry,
+      displayScore: entry ? displayScore(entry, { userId, score: parseFloat(score) || 0 }) : 0
+    };
+  }
+
+  // ============ VIEWS ============
+
+  // A view is { board } for an all-time board or { periodType, periodId } for a period board
+  viewKey(view) {
+    return view.periodType ? this.periodKey(view.periodType, view.periodId) : this.boardKey(view.board);
+  }
+
+  viewScore(view) {
+    return view.periodType ? (entry, row) => row.score : entry => this.getDisplayScore(view.board, entry);
+  }
+
+  // How a group of players (e.g. someone's friends) rank against each other
+  async getGroupStanding(view, userIds) {
+    const boardKey = this.viewKey(view);
+    const displayScore = this.viewScore(view);
+
+    const pipeline = redisClient.pipeline();
+    userIds.forEach(uid => {
+      pipeline.zscore(boardKey, uid);
+      pipeline.zrevrank(boardKey, uid);
+    });
+    const results = await pipeline.exec();
+
+    // Same order as the board itself: score, then member descending
+    const rows = userIds
+      .map((userId, index) => ({
+        userId,
+        score: results[index * 2][1],
+        globalRank: results[index * 2 + 1][1]
+      }))
+      .filter(row => row.score !== null)
+      .map(row => ({ ...row, score: parseFloat(row.score) }))
+      .sort((a, b) => b.score - a.score || (a.userId < b.userId ? 1 : -1));
+
+    const details = await this.getEntries(rows.map(r => r.userId));
+    return rows
+      .filter(row => details[row.userId])
+      .map((row, index) => ({
+        rank: index + 1,
+        globalRank: row.globalRank + 1,
+        ...details[row.userId],
+        displayScore: displayScore(details[row.userId], row)
+      }));
+  }
+
+  // The player's row with up to `range` rows above and below it
+  async getAroundPlayer(view, userId, range) {
+    const boardKey = this.viewKey(view);
+    const displayScore = this.viewScore(view);
+
+    const [rank, total] = await Promise.all([
+      redisClient.zrevrank(boardKey, userId),
+      redisClient.zcard(boardKey)
+    ]);
+    if (rank === null) {
+      return { position: null, total, entries: [] };
+    }
+
+    const start = Math.max(rank - range, 0);
+    const results = await redisClient.zrevrange(boardKey, start, rank + range, 'WITHSCORES');
+
+    const rows = [];
+    for (let i = 0; i < results.length; i += 2) {
+      rows.push({ userId: results[i], score: parseFloat(results[i + 1]) });
+    }
+
+    const details = await this.getEntries(rows.map(r => r.userId));
+    const entries = rows
+      .map((row, index) => {
+        const entry = details[row.userId];
+        if (!entry) return null;
+        return {
+          rank: start + index + 1,
+          ...entry,
+          displayScore: displayScore(entry, row),
+          isCurrentUser: row.userId === userId
+        };
+      })
+      .filter(Boolean);
+
+    return { position: rank + 1, total, entries };
+  }
+
+  // ============ PERIOD BOARDS ============
+
+  // Calendar fields of a timestamp in the leaderboard timezone
+  getLocalParts(ts) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: LEADERBOARD_TIMEZONE,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(ts));
+
+    return parts.reduce((fields, part) => {
+      if (part.type !== 'literal') fields[part.type] = parseInt(part.value);
+      return fields;
+    }, {});
+  }
+
+  // Milliseconds the leaderboard timezone is ahead of UTC at this instant
+  getTimezoneOffset(ts) {
+    const p = this.getLocalParts(ts);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ts / 1000) * 1000;
+  }
+
+  // Timestamp of local midnight on a calendar date (day may overflow the month)
+  getLocalMidnight(year, month, day) {
+    const utcMidnight = Date.UTC(year, month - 1, day);
+    const guess = utcMidnight - this.getTimezoneOffset(utcMidnight);
+    // Second pass in case the offset differs at the real instant (DST change)
+    return utcMidnight - this.getTimezoneOffset(guess);
+  }
+
+  // The weekly (ISO week, Monday start) or monthly period containing ts
+  getPeriod(type, ts = Date.now()) {
+    const { year, month, day } = this.getLocalParts(ts);
+    const pad = (n) => String(n).padStart(2, '0');
+
+    if (type === 'monthly') {
+      return {
+        type,
+        id: `${year}-${pad(month)}`,
+        startsAt: this.getLocalMidnight(year, month, 1),
+        endsAt: this.getLocalMidnight(year, month + 1, 1),
+        timezone: LEADERBOARD_TIMEZONE
+      };
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    const weekday = (date.getUTCDay() + 6) % 7; // Monday = 0
+    const monday = new Date(Date.UTC(year, month - 1, day - weekday));
+    const thursday = new Date(Date.UTC(year, month - 1, day - weekday + 3));
+    const isoYear = thursday.getUTCFullYear();
+    const week = Math.ceil(((thursday - Date.UTC(isoYear, 0, 1)) / 86400000 + 1) / 7);
+
+    return {
+      type,
+      id: `${isoYear}-W${pad(week)}`,
+      startsAt: this.getLocalMidnight(monday.getUTCFullYear(), monday.getUTCMonth() + 1, monday.getUTCDate()),
+      endsAt: this.getLocalMidnight(monday.getUTCFullYear(), monday.getUTCMonth() + 1, monday.getUTCDate() + 7),
+      timezone: LEADERBOARD_TIMEZONE
+    };
+  }
+
+  getPreviousPeriod(type, ts = Date.now()) {
+    return this.getPeriod(type, this.getPeriod(type, ts).startsAt - 1);
+  }
+
+  periodKey(type, periodId, prefix = '') {
+    const base = type === 'monthly' ? KEY_PREFIXES.LEADERBOARD_MONTHLY : KEY_PREFIXES.LEADERBOARD_WEEKLY;
+    return `${prefix}${base}:${periodId}`;
+  }
+
+  // Queue ZINCRBYs for points earned now; period keys outlive their period
+  // long enough to be archived
+  writePeriodPoints(client, userId, points, ts = Date.now(), prefix = '') {
+    for (const type of PERIOD_TYPES) {
+      const period = this.getPeriod(type, ts);
+      const periodKey = this.periodKey(type, period.id, prefix);
+      client.zincrby(periodKey, points, userId);
+      client.expireat(periodKey, Math.ceil(period.endsAt / 1000) + PERIOD_KEY_GRACE_SECONDS);
+    }
+
+    if (!prefix) {
+      client.sadd(KEY_PREFIXES.LEADERBOARD_DIRTY, ...PERIOD_TYPES);
+    }
+  }
+
+  // awards: [{ userId, points }]. Not staged during a rebuild: the game
+  // result is already written, so rebuildPeriodBoards picks it up itself.
+  async addPeriodPoints(awards) {
+    const pipeline = redisClient.pipeline();
+
+    for (const { userId, points } of awards) {
+      this.writePeriodPoints(pipeline, userId, points || 0);
+    }
+
+    await pipeline.exec();
+  }
+
+  async getPeriodPage(type, periodId, options = {}) {
+    return this.readPage(this.periodKey(type, periodId), options, (entry, row) => row.score);
+  }
+
+  async getPeriodPosition(type, periodId, userId) {
+    return this.readPosition(this.periodKey(type, periodId), userId, (entry, row) => row.score);
+  }
+
+  // ============ ARCHIVES ============
+
+  archiveDocId(type, periodId) {
+    return `${type}_${periodId}`;
+  }
+
+  // Write the final standings of every period that has ended and isn't
+  // archived yet. Returns the archives written.
+  async archiveEndedPeriods() {
+    const db = this.ensureDb();
+    const archived = [];
+
+    for (const type of PERIOD_TYPES) {
+      const period = this.getPreviousPeriod(type);
+      const archiveRef = db.collection('leaderboardArchives').doc(this.archiveDocId(type, period.id));
+
+      const existing = await archiveRef.get();
+      if (existing.exists) continue;
+
+      // No board means nobody scored or it already expired; there is
+      // nothing to archive or announce
+      const periodKey = this.periodKey(type, period.id);
+      if (!(await redisClient.exists(periodKey))) continue;
+
+      const [results, totalPlayers] = await Promise.all([
+        redisClient.zrevrange(periodKey, 0, ARCHIVE_SIZE - 1, 'WITHSCORES'),
+        redisClient.zcard(periodKey)
+      ]);
+
+      const rows = [];
+      for (let i = 0; i < results.length; i += 2) {
+        rows.push({ userId: results[i], score: parseFloat(results[i + 1]) });
+      }
+      const details = await this.getEntries(rows.map(r => r.userId));
+
+      const archive = {
+        type,
+        periodId: period.id,
+        startsAt: period.startsAt,
+        endsAt: period.endsAt,
+        timezone: period.timezone,
+        totalPlayers,
+        standings: rows.map((row, index) => ({
+          rank: index + 1,
+          userId: row.userId,
+          username: details[row.userId]?.username || null,
+          score: row.score
+        }))
+      };
+
+      try {
+        // create() fails if another instance archived this period first
+        await archiveRef.create({
+          ...archive,
+          archivedAt: this.admin.firestore.FieldValue.serverTimestamp()
+        });
+      } catch (error) {
+        if (error.code !== 6) throw error; // ALREADY_EXISTS
+        continue;
+      }
+
+      console.log(`📦 Archived ${type} leaderboard ${period.id} (${totalPlayers} players)`);
+      archived.push(archive);
+
+      // Subscribers move on to the new, empty period board
+      await redisClient.sadd(KEY_PREFIXES.LEADERBOARD_DIRTY, type);
+    }
+
+    return archived;
+  }
+
+  async getArchivedPeriod(type, periodId) {
+    const db = this.ensureDb();
+    const doc = await db.collection('leaderboardArchives').doc(this.archiveDocId(type, periodId)).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  // Most recent archives first; doc ids sort chronologically within a type
+  async listArchivedPeriods(type, limit = 10) {
+    const db = this.ensureDb();
+    const documentId = this.admin.firestore.FieldPath.documentId();
+    const snapshot = await db.collection('leaderboardArchives')
+      .where(documentId, '>=', `${type}_`)
+      .where(documentId, '<', `${type}_\uf8ff`)
+      .orderBy(documentId, 'desc')
+      .limit(Math.min(parseInt(limit) || 10, 52))
+      .get();
+
+    return snapshot.docs.map(doc => {
+      const { standings, ...archive } = doc.data();
+      return { ...archive, winners: standings.slice(0, 3) };
+    });
+  }
+
+  // ============ LIVE SUBSCRIPTIONS ============
+
+  // Boards are subscribed to by name: 'global', 'winRate', a game type, or
+  // 'weekly'/'monthly' for whichever period is current when a diff is pushed
+  viewName(view) {
+    return view.periodType || view.board;
+  }
+
+  viewFromName(name) {
+    if (PERIOD_TYPES.includes(name)) {
+      return { periodType: name, periodId: this.getPeriod(name).id };
+    }
+    return { board: name };
+  }
+
+  getSubscriptionSize(limit) {
+    const requested = parseInt(limit) || SUBSCRIPTION_SIZES[0];
+    return SUBSCRIPTION_SIZES.find(size => size >= requested) || SUBSCRIPTION_SIZES[SUBSCRIPTION_SIZES.length - 1];
+  }
+
+  subscriptionId(view, size) {
+    return `${this.viewName(view)}:top${size}`;
+  }
+
+  parseSubscriptionId(subscriptionId) {
+    const index = subscriptionId.lastIndexOf(':top');
+    return {
+      name: subscriptionId.slice(0, index),
+      size: parseInt(subscriptionId.slice(index + 4))
+    };
+  }
+
+  // Socket.IO room the diffs for a subscription are sent to
+  subscriptionRoom(subscriptionId) {
+    return `leaderboard_${subscriptionId}`;
+  }
+
+  snapshotKey(subscriptionId) {
+    return `${KEY_PREFIXES.LEADERBOARD_SNAPSHOT}${subscriptionId}`;
+  }
+
+  // Last pushed state of a subscription: { version, rows: [{ userId, score }] }
+  async getSnapshot(subscriptionId) {
+    const snapshot = await redisClient.get(this.snapshotKey(subscriptionId));
+    return snapshot ? JSON.parse(snapshot) : null;
+  }
+
+  async saveSnapshot(subscriptionId, snapshot) {
+    await redisClient.set(this.snapshotKey(subscriptionId), JSON.stringify(snapshot), 'EX', SNAPSHOT_TTL_SECONDS);
+  }
+
+  async readTop(view, size) {
+    const results = await redisClient.zrevrange(this.viewKey(view), 0, size - 1, 'WITHSCORES');
+
+    const rows = [];
+    for (let i = 0; i < results.length; i += 2) {
+      rows.push({ userId: results[i], score: parseFloat(results[i + 1]) });
+    }
+    return rows;
+  }
+
+  // Count a new subscriber. Returns the version the next diff will build on.
+  async addSubscriber(subscriptionId) {
+    await redisClient.hincrby(KEY_PREFIXES.LEADERBOARD_SUBSCRIPTIONS, subscriptionId, 1);
+
+    const snapshot = await this.getSnapshot(subscriptionId);
+    if (snapshot) return snapshot.version;
+
+    const { name, size } = this.parseSubscriptionId(subscriptionId);
+    const rows = await this.readTop(this.viewFromName(name), size);
+    await this.saveSnapshot(subscriptionId, { version: 0, rows });
+    return 0;
+  }
+
+  async removeSubscriber(subscriptionId) {
+    const remaining = await redisClient.hincrby(KEY_PREFIXES.LEADERBOARD_SUBSCRIPTIONS, subscriptionId, -1);
+    if (remaining <= 0) {
+      await redisClient.hdel(KEY_PREFIXES.LEADERBOARD_SUBSCRIPTIONS, subscriptionId);
+      await redisClient.del(this.snapshotKey(subscriptionId));
+    }
+  }
+
+  // Compare a subscription's top N with what was last pushed. Rows carry
+  // absolute ranks and scores, so a client can apply a diff on top of any
+  // newer copy of the board it already has.
+  async diffSubscription(subscriptionId, view, size) {
+    const [previous, rows] = await Promise.all([
+      this.getSnapshot(subscriptionId),
+      this.readTop(view, size)
+    ]);
+
+    const before = new Map((previous?.rows || []).map((row, index) => [row.userId, { rank: index + 1, score: row.score }]));
+    const changedRows = rows
+      .map((row, index) => ({ ...row, rank: index + 1, previous: before.get(row.userId) }))
+      .filter(row => !row.previous || row.previous.rank !== row.rank || row.previous.score !== row.score);
+
+    const current = new Set(rows.map(row => row.userId));
+    const removed = [...before.keys()].filter(userId => !current.has(userId));
+
+    if (changedRows.length === 0 && removed.length === 0) return null;
+
+    const version = (previous?.version || 0) + 1;
+    await this.saveSnapshot(subscriptionId, { version, rows });
+
+    const details = await this.getEntries(changedRows.map(row => row.userId));
+    const displayScore = this.viewScore(view);
+
+    return {
+      subscriptionId,
+      version,
+      changes: changedRows
+        .filter(row => details[row.userId])
+        .map(row => ({
+          userId: row.userId,
+          username: details[row.userId].username,
+          rank: row.rank,
+          previousRank: row.previous ? row.previous.rank : null,
+          displayScore: displayScore(details[row.userId], row)
+        })),
+      removed
+    };
+  }
+
+  // Diffs for every subscribed board written to since the last call.
+  // Boards only get one diff per call however often they change in between.
+  async collectDiffs() {
+    const dirty = await redisClient.spop(KEY_PREFIXES.LEADERBOARD_DIRTY, 1000);
+    if (!dirty || dirty.length === 0) return [];
+
+    const subscriptions = await redisClient.hgetall(KEY_PREFIXES.LEADERBOARD_SUBSCRIPTIONS);
+    const diffs = [];
+
+    for (const [subscriptionId, count] of Object.entries(subscriptions || {})) {
+      if (parseInt(count) <= 0) continue;
+
+      const { name, size } = this.parseSubscriptionId(subscriptionId);
+      if (!dirty.includes(name)) continue;
+
+      const diff = await this.diffSubscription(subscriptionId, this.viewFromName(name), size);
+      if (diff) diffs.push(diff);
+    }
+
+    return diffs;
+  }
+}
+
+module.exports = new LeaderboardService();
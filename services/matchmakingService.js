@@ -1,33 +1,76 @@
 // services/matchmakingService.js - Matchmaking Logic
 const { redisClient, KEY_PREFIXES, TTL } = require('../config/redis.config');
 const redisService = require('./redisService');
+const ratingService = require('./ratingService');
+const penaltyService = require('./penaltyService');
+const scoringService = require('./scoringService');
+const presenceService = require('./presenceService');
+const { PENALTY_TYPES } = penaltyService;
+
+// Acceptable rating difference per mode: starts at `base` and grows by `step`
+// every WINDOW_WIDEN_SECONDS spent in the queue, up to `max`
+const SKILL_WINDOWS = {
+  quick: { base: 100, step: 50, max: 1000 },
+  ranked: { base: 50, step: 25, max: 400 },
+  team: { base: 100, step: 50, max: 800 },
+};
+const WINDOW_WIDEN_SECONDS = 10;
+
+// Ready check: how long matched players have to accept
+const MATCH_ACCEPT_SECONDS = parseInt(process.env.MATCH_ACCEPT_SECONDS) || 15;
+
+const RANKED_GAME_SETTINGS = {
+  mode: 'ranked',
+  timeLimit: 600, // 10 minutes
+  difficulty: 'hard',
+  rankAffected: true,
+};
+
+// What a player may choose for a matchmade game; mode, time limit,
+// questions and whether it is rated are always the server's
+const QUEUE_DIFFICULTIES = ['easy', 'medium', 'hard'];
 
 class MatchmakingService {
+  // Keep only the settings a player may pick from a queue request
+  pickQueueSettings(gameSettings) {
+    const settings = {};
+    if (QUEUE_DIFFICULTIES.includes(gameSettings?.difficulty)) {
+      settings.difficulty = gameSettings.difficulty;
+    }
+    return settings;
+  }
+  
   async addToQueue(userId, userProfile) {
     try {
       const queueKey = KEY_PREFIXES.MATCHMAKING_QUEUE;
       const playerKey = `${KEY_PREFIXES.PLAYER}${userId}`;
       
+      // Queue on the server-side Glicko-2 rating, never a client-supplied value
+      const { rating } = await ratingService.getRating(userId);
+      const skillLevel = Math.round(rating);
+      
       // Store player data
       await redisClient.hset(playerKey, {
         userId: userId,
         username: userProfile.username,
-        skillLevel: userProfile.skillLevel || 1000, // ELO-like rating
+        skillLevel: skillLevel,
         preferredMode: userProfile.preferredMode || 'quick',
+        gameSettings: JSON.stringify(userProfile.gameSettings || {}),
+        perfectScore: userProfile.perfectScore || 50,
         joinedQueueAt: Date.now(),
       });
       
       // Add to matchmaking queue (sorted by skill level)
       await redisClient.zadd(
         queueKey, 
-        userProfile.skillLevel || 1000, 
+        skillLevel, 
         userId
       );
       
       // Set TTL for queue entry
       await redisClient.expire(playerKey, TTL.MATCHMAKING_QUEUE);
       
-      return { success: true, message: 'Added to matchmaking queue' };
+      return { success: true, message: 'Added to matchmaking queue', skillLevel };
     } catch (error) {
       console.error('Error adding to queue:', error);
       throw error;
@@ -62,21 +105,19 @@ class MatchmakingService {
         return { found: false, message: 'Player not in queue' };
       }
       
-      const skillLevel = parseInt(playerData.skillLevel);
-      const skillRange = options.skillRange || 1000; // Skill range for matching
+      const now = Date.now();
+      const player = this.parseQueuedPlayer(userId, playerData);
+      const skillLevel = player.skillLevel;
+      const skillRange = options.skillRange || this.getSkillWindow(player.preferredMode, now - player.joinedQueueAt);
       
       // Find players within skill range
       const minSkill = skillLevel - skillRange;
       const maxSkill = skillLevel + skillRange;
 
-      // remove for temperary because limited users
-      // const potentialMatches = await redisClient.zrangebyscore(
-      //   queueKey,
-      //   minSkill,
-      //   maxSkill
-      // );
-      const potentialMatches = await redisClient.zrange(
-        queueKey, 0, -1
+      const potentialMatches = await redisClient.zrangebyscore(
+        queueKey,
+        minSkill,
+        maxSkill
       );
       
       // Remove self from potential matches
@@ -95,9 +136,14 @@ class MatchmakingService {
         const matchData = await redisClient.hgetall(matchKey);
         
         if (matchData && Object.keys(matchData).length > 0) {
-          const matchSkill = parseInt(matchData.skillLevel);
+          const candidate = this.parseQueuedPlayer(matchId, matchData);
+          const matchSkill = candidate.skillLevel;
           const diff = Math.abs(skillLevel - matchSkill);
           
+          // Same queue only, and the opponent must be willing to accept us too
+          if (candidate.preferredMode !== player.preferredMode) continue;
+          if (!options.skillRange && diff > this.getSkillWindow(candidate.preferredMode, now - candidate.joinedQueueAt)) continue;
+          
           if (diff < smallestDiff) {
             smallestDiff = diff;
             bestMatch = {
@@ -152,6 +198,7 @@ class MatchmakingService {
         totalInQueue: totalInQueue,
         waitTime: Math.floor(waitTime / 1000), // in seconds
         skillLevel: parseInt(playerData.skillLevel),
+        skillWindow: this.getSkillWindow(playerData.preferredMode, waitTime),
       };
     } catch (error) {
       console.error('Error getting queue status:', error);
@@ -161,59 +208,375 @@ class MatchmakingService {
   
   // ============ AUTO MATCHMAKING ============
   
-  async autoMatchPlayers(minPlayers = 2, maxPlayers = 4) {
+  getSkillWindow(mode, waitMs) {
+    const skillWindow = SKILL_WINDOWS[mode] || SKILL_WINDOWS.quick;
+    const widenings = Math.floor(Math.max(waitMs, 0) / (WINDOW_WIDEN_SECONDS * 1000));
+    return Math.min(skillWindow.base + widenings * skillWindow.step, skillWindow.max);
+  }
+  
+  parseQueuedPlayer(userId, playerData) {
+    return {
+      userId: userId,
+      username: playerData.username,
+      skillLevel: parseInt(playerData.skillLevel),
+      preferredMode: playerData.preferredMode || 'quick',
+      gameSettings: JSON.parse(playerData.gameSettings || '{}'),
+      perfectScore: parseInt(playerData.perfectScore) || 50,
+      joinedQueueAt: parseInt(playerData.joinedQueueAt) || Date.now(),
+    };
+  }
+  
+  // Closest rating among queue entries in the same mode (and, for parties, of the
+  // same size) whose skill windows both cover the difference
+  pickOpponent(entry, entries, matched, idField) {
+    let opponent = null;
+    let smallestDiff = Infinity;
+    
+    for (const candidate of entries) {
+      if (candidate[idField] === entry[idField] || matched.has(candidate[idField])) continue;
+      if (candidate.preferredMode !== entry.preferredMode) continue;
+      if (candidate.teamSize !== entry.teamSize) continue;
+      
+      const diff = Math.abs(entry.skillLevel - candidate.skillLevel);
+      if (diff > entry.skillWindow || diff > candidate.skillWindow) continue;
+      
+      if (diff < smallestDiff) {
+        smallestDiff = diff;
+        opponent = candidate;
+      }
+    }
+    
+    return { opponent, skillDifference: smallestDiff };
+  }
+  
+  // Take both players out of the queue. ZREM succeeds for only one caller,
+  // so a player can't end up in two rooms when matchers race each other.
+  // Returns both queue entries (kept so they can be re-queued), or null.
+  async claimPair(player, opponent) {
+    const queueKey = KEY_PREFIXES.MATCHMAKING_QUEUE;
+    
+    const claimedPlayer = await redisClient.zrem(queueKey, player.userId);
+    if (!claimedPlayer) return null;
+    
+    const claimedOpponent = await redisClient.zrem(queueKey, opponent.userId);
+    if (!claimedOpponent) {
+      // Put the first player back where they were
+      await redisClient.zadd(queueKey, player.skillLevel, player.userId);
+      return null;
+    }
+    
+    const entries = await Promise.all([player, opponent].map(async (p) => {
+      const playerKey = `${KEY_PREFIXES.PLAYER}${p.userId}`;
+      const playerData = await redisClient.hgetall(playerKey);
+      await redisClient.del(playerKey);
+      return playerData && Object.keys(playerData).length > 0 ? this.parseQueuedPlayer(p.userId, playerData) : p;
+    }));
+    return entries;
+  }
+  
+  // Create the room for a matched pair; the first player hosts
+  async createMatchRoom(mode, player, opponent) {
+    const isRanked = mode === 'ranked';
+    
+    const roomData = {
+      id: `${isRanked ? 'ranked' : 'quick'}_${Date.now()}_${player.userId}`,
+      name: isRanked ? `Ranked Match` : `Quick Match`,
+      type: isRanked ? 'ranked' : 'quick',
+      createdBy: player.userId,
+      creatorUsername: player.username,
+      maxPlayers: 2,
+      currentPlayers: 2,
+      participants: [player.userId, opponent.userId],
+      perfectScore: player.perfectScore,
+      participantDetails: [player, opponent].map(p => ({
+        userId: p.userId,
+        username: p.username,
+        joinedAt: Date.now(),
+        isReady: true,
+        score: 0,
+        skillLevel: p.skillLevel,
+      })),
+      status: 'waiting',
+      gameSettings: isRanked ? RANKED_GAME_SETTINGS : player.gameSettings,
+      createdAt: Date.now(),
+      lastActivity: Date.now(),
+    };
+    
+    roomData.gameSettings = await scoringService.assignQuestions(roomData.id, roomData.gameSettings);
+    await redisService.createRoom(roomData);
+    return roomData;
+  }
+  
+  // Pair up everyone in the queue whose skill windows overlap. Longest waiters
+  // are matched first. Run periodically by one instance (see server.js).
+  async runMatchmakingCycle() {
     try {
       const queueKey = KEY_PREFIXES.MATCHMAKING_QUEUE;
+      const queuedIds = await redisClient.zrange(queueKey, 0, -1);
       
-      // Get all players in queue
-      const playersInQueue = await redisClient.zrange(queueKey, 0, -1, 'WITHSCORES');
-      
-      if (playersInQueue.length < minPlayers * 2) {
-        return { matched: false, message: 'Not enough players in queue' };
+      if (queuedIds.length < 2) {
+        return { proposals: [] };
       }
       
-      // Group players by skill level
-      const groups = [];
-      let currentGroup = [];
+      const pipeline = redisClient.pipeline();
+      queuedIds.forEach(id => pipeline.hgetall(`${KEY_PREFIXES.PLAYER}${id}`));
+      const results = await pipeline.exec();
+      
+      const now = Date.now();
+      const players = queuedIds
+        .map((id, index) => {
+          const [err, data] = results[index];
+          if (err || !data || Object.keys(data).length === 0) return null;
+          const player = this.parseQueuedPlayer(id, data);
+          player.skillWindow = this.getSkillWindow(player.preferredMode, now - player.joinedQueueAt);
+          return player;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.joinedQueueAt - b.joinedQueueAt);
+      
+      const matched = new Set();
+      const proposals = [];
       
-      for (let i = 0; i < playersInQueue.length; i += 2) {
-        const userId = playersInQueue[i];
-        const skillLevel = parseInt(playersInQueue[i + 1]);
+      for (const player of players) {
+        if (matched.has(player.userId)) continue;
         
-        currentGroup.push({ userId, skillLevel });
+        const { opponent, skillDifference } = this.pickOpponent(player, players, matched, 'userId');
+        if (!opponent) continue;
         
-        if (currentGroup.length >= maxPlayers) {
-          groups.push(currentGroup);
-          currentGroup = [];
-        }
+        const entries = await this.claimPair(player, opponent);
+        if (!entries) continue;
+        
+        matched.add(player.userId);
+        matched.add(opponent.userId);
+        
+        proposals.push(await this.createProposal(player.preferredMode, entries, skillDifference));
       }
       
-      // Add remaining players to last group if minimum met
-      if (currentGroup.length >= minPlayers) {
-        groups.push(currentGroup);
+      return { proposals };
+    } catch (error) {
+      console.error('Error running matchmaking cycle:', error);
+      return { proposals: [] };
+    }
+  }
+  
+  // ============ READY CHECK ============
+  // A match is only a proposal until every player accepts it
+  
+  proposalKey(proposalId) {
+    return `${KEY_PREFIXES.MATCH_PROPOSAL}${proposalId}`;
+  }
+  
+  proposalAcceptedKey(proposalId) {
+    return `${KEY_PREFIXES.MATCH_PROPOSAL_ACCEPTED}${proposalId}`;
+  }
+  
+  userProposalKey(userId) {
+    return `${KEY_PREFIXES.USER_MATCH_PROPOSAL}${userId}`;
+  }
+  
+  // parties is set for team matches: the two party queue entries, whose
+  // members are the players
+  async createProposal(mode, players, skillDifference, parties = null) {
+    const now = Date.now();
+    const proposal = {
+      id: `proposal_${now}_${players[0].userId}`,
+      mode: mode,
+      players: players,
+      skillDifference: skillDifference,
+      createdAt: now,
+      deadline: now + MATCH_ACCEPT_SECONDS * 1000,
+    };
+    if (parties) {
+      proposal.parties = parties;
+    }
+    const ttl = MATCH_ACCEPT_SECONDS + 60;
+    
+    await redisClient.set(this.proposalKey(proposal.id), JSON.stringify(proposal), 'EX', ttl);
+    await redisClient.zadd(KEY_PREFIXES.MATCH_PROPOSAL_DEADLINES, proposal.deadline, proposal.id);
+    for (const player of players) {
+      await redisClient.set(this.userProposalKey(player.userId), proposal.id, 'EX', ttl);
+    }
+    
+    return proposal;
+  }
+  
+  async getProposal(proposalId) {
+    const data = await redisClient.get(this.proposalKey(proposalId));
+    return data ? JSON.parse(data) : null;
+  }
+  
+  async getUserProposal(userId) {
+    const proposalId = await redisClient.get(this.userProposalKey(userId));
+    return proposalId ? this.getProposal(proposalId) : null;
+  }
+  
+  async clearProposal(proposal) {
+    await Promise.all([
+      redisClient.del(this.proposalKey(proposal.id)),
+      redisClient.del(this.proposalAcceptedKey(proposal.id)),
+      ...proposal.players.map(p => redisClient.del(this.userProposalKey(p.userId))),
+    ]);
+  }
+  
+  async acceptProposal(proposalId, userId) {
+    const proposal = await this.getProposal(proposalId);
+    if (!proposal || proposal.deadline < Date.now()) {
+      return { success: false, message: 'This match is no longer available' };
+    }
+    
+    if (!proposal.players.some(p => p.userId === userId)) {
+      return { success: false, message: 'You are not part of this match' };
+    }
+    
+    const acceptedKey = this.proposalAcceptedKey(proposalId);
+    await redisClient.sadd(acceptedKey, userId);
+    await redisClient.expire(acceptedKey, MATCH_ACCEPT_SECONDS + 60);
+    const acceptedIds = await redisClient.smembers(acceptedKey);
+    
+    if (acceptedIds.length < proposal.players.length) {
+      return { success: true, ready: false, proposal, acceptedIds };
+    }
+    
+    // Everyone accepted; whoever removes the deadline creates the room
+    const claimed = await redisClient.zrem(KEY_PREFIXES.MATCH_PROPOSAL_DEADLINES, proposalId);
+    if (!claimed) {
+      return { success: true, ready: false, proposal, acceptedIds };
+    }
+    
+    let roomData;
+    try {
+      if (proposal.parties) {
+        const [party, opponent] = proposal.parties;
+        roomData = await this.createTeamRoom(party, opponent);
+      } else {
+        const [player, opponent] = proposal.players;
+        roomData = await this.createMatchRoom(proposal.mode, player, opponent);
       }
+    } catch (error) {
+      // Nobody did anything wrong: put everyone back in the queue
+      console.error('Error creating room for accepted match:', error);
+      const outcome = await this.cancelProposal(proposal, [], null);
+      return { success: true, ready: false, cancelled: true, proposal, acceptedIds, ...outcome };
+    }
+    
+    await this.clearProposal(proposal);
+    return { success: true, ready: true, proposal, acceptedIds, roomData };
+  }
+  
+  // penaltyType is DODGE when the player backs out through cancel-matchmaking
+  // or by disconnecting
+  async declineProposal(proposalId, userId, penaltyType = PENALTY_TYPES.MATCH_DECLINED) {
+    const proposal = await this.getProposal(proposalId);
+    if (!proposal || !proposal.players.some(p => p.userId === userId)) {
+      return { success: false, message: 'This match is no longer available' };
+    }
+    
+    const claimed = await redisClient.zrem(KEY_PREFIXES.MATCH_PROPOSAL_DEADLINES, proposalId);
+    if (!claimed) {
+      return { success: false, message: 'This match is no longer available' };
+    }
+    
+    // Only the player who backed out is penalized; everyone else, accepted
+    // or not yet, goes back into the queue
+    const outcome = await this.cancelProposal(proposal, [userId], penaltyType);
+    
+    return { success: true, proposal, ...outcome };
+  }
+  
+  // Proposals whose deadline passed without everyone accepting. Safe to run
+  // on every node: ZREM only succeeds on one of them.
+  async claimExpiredProposals() {
+    const proposalIds = await redisClient.zrangebyscore(KEY_PREFIXES.MATCH_PROPOSAL_DEADLINES, '-inf', Date.now());
+    const expired = [];
+    
+    for (const proposalId of proposalIds) {
+      const claimed = await redisClient.zrem(KEY_PREFIXES.MATCH_PROPOSAL_DEADLINES, proposalId);
+      if (!claimed) continue;
       
-      // Create matches
-      const matches = [];
-      for (const group of groups) {
-        if (group.length >= minPlayers) {
-          matches.push({
-            players: group,
-            averageSkill: group.reduce((sum, p) => sum + p.skillLevel, 0) / group.length,
-            timestamp: Date.now(),
-          });
-        }
-      }
+      const proposal = await this.getProposal(proposalId);
+      if (!proposal) continue;
       
-      return {
-        matched: matches.length > 0,
-        matches: matches,
-        totalMatches: matches.length,
-      };
-    } catch (error) {
-      console.error('Error auto matching players:', error);
-      throw error;
+      // Anyone who hadn't accepted by the deadline let it run out
+      const acceptedIds = await redisClient.smembers(this.proposalAcceptedKey(proposalId));
+      const penalizedIds = proposal.players
+        .map(p => p.userId)
+        .filter(id => !acceptedIds.includes(id));
+      const outcome = await this.cancelProposal(proposal, penalizedIds, PENALTY_TYPES.MATCH_TIMEOUT);
+      expired.push({ proposal, ...outcome });
+    }
+    
+    return expired;
+  }
+  
+  // penalizedIds go in the penalty ledger; every other player who is still
+  // online goes back into the queue. Parties only requeue as a whole, so the
+  // teammates of a penalized or offline player are dropped from matchmaking
+  // (without a penalty) along with their party.
+  async cancelProposal(proposal, penalizedIds, penaltyType) {
+    await this.clearProposal(proposal);
+    
+    const requeued = [];
+    const penalized = [];
+    const dropped = [];
+    const droppedParties = [];
+    const penalties = {};
+    
+    const online = {};
+    for (const player of proposal.players) {
+      online[player.userId] = await presenceService.isOnline(player.userId);
     }
+    
+    for (const party of proposal.parties || []) {
+      const memberIds = party.members.map(m => m.userId);
+      if (memberIds.some(id => penalizedIds.includes(id) || !online[id])) {
+        droppedParties.push(party.partyId);
+        dropped.push(...memberIds.filter(id => !penalizedIds.includes(id)));
+      } else {
+        await this.requeueParty(party);
+        requeued.push(...memberIds);
+      }
+    }
+    
+    for (const player of proposal.players) {
+      if (penalizedIds.includes(player.userId)) {
+        penalties[player.userId] = await penaltyService.recordPenalty(player.userId, penaltyType, {
+          username: player.username,
+          proposalId: proposal.id
+        });
+        penalized.push(player.userId);
+      } else if (!proposal.parties && online[player.userId]) {
+        await this.requeuePlayer(player);
+        requeued.push(player.userId);
+      } else if (!proposal.parties) {
+        dropped.push(player.userId);
+      }
+    }
+    
+    return { requeued, penalized, penalties, dropped, droppedParties };
+  }
+  
+  // Restore a queue entry as it was, keeping the original join time so the
+  // player keeps their place (and their widened skill window)
+  async requeuePlayer(player) {
+    const playerKey = `${KEY_PREFIXES.PLAYER}${player.userId}`;
+    
+    await redisClient.hset(playerKey, {
+      userId: player.userId,
+      username: player.username,
+      skillLevel: player.skillLevel,
+      preferredMode: player.preferredMode || 'quick',
+      gameSettings: JSON.stringify(player.gameSettings || {}),
+      perfectScore: player.perfectScore || 50,
+      joinedQueueAt: player.joinedQueueAt || Date.now(),
+    });
+    await redisClient.expire(playerKey, TTL.MATCHMAKING_QUEUE);
+    await redisClient.zadd(KEY_PREFIXES.MATCHMAKING_QUEUE, player.skillLevel, player.userId);
+  }
+  
+  // Seconds until the player may queue again (0 if they can queue now); the
+  // penalty ledger sets the cooldown, escalating with repeat offenses
+  async getQueueCooldown(userId) {
+    return penaltyService.getCooldown(userId);
   }
   
   // ============ QUICK MATCH ============
@@ -221,60 +584,29 @@ class MatchmakingService {
   async quickMatch(userId, userProfile) {
     try {
       // Add to queue
-      await this.addToQueue(userId, userProfile);
+      const { skillLevel } = await this.addToQueue(userId, userProfile);
       
-      // Try to find immediate match
-      const matchResult = await this.findMatch(userId, { skillRange: 300 });
+      // Try to find immediate match; otherwise the background matcher keeps looking
+      const matchResult = await this.findMatch(userId);
       
-      if (matchResult.found) {
-        // Remove both players from queue
-        await this.removeFromQueue(userId);
-        await this.removeFromQueue(matchResult.opponent.userId);
-        
-        // Create room automatically
-        const roomData = {
-          id: `quick_${Date.now()}_${userId}`,
-          name: `Quick Match`,
-          type: 'quick',
-          createdBy: userId,
-          creatorUsername: userProfile.username,
-          maxPlayers: 2,
-          currentPlayers: 2,
-          participants: [userId, matchResult.opponent.userId],
-          perfectScore: userProfile.perfectScore,
-          gameSettings: userProfile.gameSettings,
-          participantDetails: [
-            {
-              userId: userId,
-              username: userProfile.username,
-              joinedAt: Date.now(),
-              isReady: true,
-              score: 0,
-              skillLevel: userProfile.skillLevel || 1000,
-            },
-            {
-              userId: matchResult.opponent.userId,
-              username: matchResult.opponent.username,
-              joinedAt: Date.now(),
-              isReady: true,
-              score: 0,
-              skillLevel: matchResult.opponent.skillLevel,
-            }
-          ],
-          status: 'waiting',
-          createdAt: Date.now(),
-          lastActivity: Date.now(),
-        };
-
-        await redisService.createRoom(roomData);
+      const player = {
+        userId: userId,
+        username: userProfile.username,
+        skillLevel: skillLevel,
+        perfectScore: userProfile.perfectScore,
+        gameSettings: userProfile.gameSettings,
+      };
+      
+      // Remove both players from queue, unless another matcher got to one of them first
+      const entries = matchResult.found && await this.claimPair(player, matchResult.opponent);
+      if (entries) {
+        // The room is created once both players accept
+        const proposal = await this.createProposal('quick', entries, matchResult.skillDifference);
 
         return {
           matched: true,
-          roomId: roomData.id,
-          opponentId: matchResult.opponent.userId,
-          participantDetails: roomData.participantDetails, 
-          gameSettings: roomData.gameSettings,
-          message: 'Match found! Room created.',
+          proposal: proposal,
+          message: 'Match found! Waiting for both players to accept.',
         };
       }
       
@@ -291,8 +623,9 @@ class MatchmakingService {
   
   // ============ Friend Match Invite ============
 
-  // Create friend invite
-  async createFriendInvite(inviteData) {
+  // Create friend invite. With deliver: false the invite exists for the
+  // sender only (e.g. the receiver blocked them) and simply expires.
+  async createFriendInvite(inviteData, { deliver = true } = {}) {
     const { senderId, senderUsername, receiverId, receiverUsername, gameSettings } = inviteData;
 
     const inviteId = `invite_${Date.now()}_${senderId}_${receiverId}`;
@@ -319,11 +652,12 @@ class MatchmakingService {
 
     // Also store in user's invite lists for easy retrieval
     await redisClient.sadd(`user_sent_invites:${senderId}`, inviteId);
-    await redisClient.sadd(`user_received_invites:${receiverId}`, inviteId);
-
-    // Set expiry for user lists
     await redisClient.expire(`user_sent_invites:${senderId}`, 300);
-    await redisClient.expire(`user_received_invites:${receiverId}`, 300);
+
+    if (deliver) {
+      await redisClient.sadd(`user_received_invites:${receiverId}`, inviteId);
+      await redisClient.expire(`user_received_invites:${receiverId}`, 300);
+    }
 
     return invite;
   }
@@ -419,64 +753,28 @@ class MatchmakingService {
   
   async rankedMatch(userId, userProfile) {
     try {
-      // Similar to quick match but with stricter skill matching
-      await this.addToQueue(userId, {
+      // Similar to quick match but with stricter skill windows (see SKILL_WINDOWS)
+      const { skillLevel } = await this.addToQueue(userId, {
         ...userProfile,
         preferredMode: 'ranked',
       });
       
-      const matchResult = await this.findMatch(userId, { skillRange: 100 }); // Narrower range
+      const matchResult = await this.findMatch(userId);
       
-      if (matchResult.found) {
-        await this.removeFromQueue(userId);
-        await this.removeFromQueue(matchResult.opponent.userId);
-        
-        const roomData = {
-          id: `ranked_${Date.now()}_${userId}`,
-          name: `Ranked Match`,
-          type: 'ranked',
-          createdBy: userId,
-          creatorUsername: userProfile.username,
-          maxPlayers: 2,
-          currentPlayers: 2,
-          participants: [userId, matchResult.opponent.userId],
-          participantDetails: [
-            {
-              userId: userId,
-              username: userProfile.username,
-              joinedAt: Date.now(),
-              isReady: true,
-              score: 0,
-              skillLevel: userProfile.skillLevel || 1000,
-            },
-            {
-              userId: matchResult.opponent.userId,
-              username: matchResult.opponent.username,
-              joinedAt: Date.now(),
-              isReady: true,
-              score: 0,
-              skillLevel: matchResult.opponent.skillLevel,
-            }
-          ],
-          status: 'waiting',
-          gameSettings: {
-            mode: 'ranked',
-            timeLimit: 600, // 10 minutes
-            difficulty: 'hard',
-            rankAffected: true,
-          },
-          createdAt: Date.now(),
-          lastActivity: Date.now(),
-        };
-        
-        await redisService.createRoom(roomData);
+      const player = {
+        userId: userId,
+        username: userProfile.username,
+        skillLevel: skillLevel,
+      };
+      
+      const entries = matchResult.found && await this.claimPair(player, matchResult.opponent);
+      if (entries) {
+        const proposal = await this.createProposal('ranked', entries, matchResult.skillDifference);
         
         return {
           matched: true,
-          roomId: roomData.id,
-          opponent: matchResult.opponent,
-          skillDifference: matchResult.skillDifference,
-          message: 'Ranked match found!',
+          proposal: proposal,
+          message: 'Ranked match found! Waiting for both players to accept.',
         };
       }
       
@@ -492,62 +790,210 @@ class MatchmakingService {
   }
   
   // ============ TEAM MATCH ============
-  // there no need of team match for now but keeping for future use
+  // Parties queue as one unit, rated by the average of their members
   
-  async teamMatch(teamLeaderId, teamMembers, options = {}) {
+  async queueParty(party, options = {}) {
     try {
-      const teamSize = teamMembers.length;
-      const averageSkill = teamMembers.reduce((sum, m) => sum + (m.skillLevel || 1000), 0) / teamSize;
-      
-      // Add team to queue as a single entity
-      const teamKey = `team:${teamLeaderId}:${Date.now()}`;
-      await redisClient.hset(`${KEY_PREFIXES.PLAYER}${teamKey}`, {
-        teamId: teamKey,
-        leaderId: teamLeaderId,
-        members: JSON.stringify(teamMembers),
-        teamSize: teamSize,
+      const ratings = await ratingService.getRatings(party.members.map(m => m.userId));
+      const members = party.members.map(m => ({
+        userId: m.userId,
+        username: m.username,
+        skillLevel: Math.round(ratings[m.userId].rating),
+      }));
+      const averageSkill = Math.round(members.reduce((sum, m) => sum + m.skillLevel, 0) / members.length);
+      
+      // A party member can't also be waiting in the solo queue
+      for (const member of members) {
+        await this.removeFromQueue(member.userId);
+      }
+      
+      const entryKey = `${KEY_PREFIXES.PARTY_QUEUE_ENTRY}${party.id}`;
+      await redisClient.hset(entryKey, {
+        partyId: party.id,
+        leaderId: party.leaderId,
+        members: JSON.stringify(members),
+        teamSize: members.length,
         averageSkill: averageSkill,
+        preferredMode: options.preferredMode || 'team',
+        gameSettings: JSON.stringify(this.pickQueueSettings(options.gameSettings)),
         joinedQueueAt: Date.now(),
       });
+      await redisClient.expire(entryKey, TTL.MATCHMAKING_QUEUE);
       
-      await redisClient.zadd(KEY_PREFIXES.MATCHMAKING_QUEUE, averageSkill, teamKey);
+      await redisClient.zadd(KEY_PREFIXES.PARTY_QUEUE, averageSkill, party.id);
       
-      // Try to find opposing team
-      const skillRange = options.skillRange || 250;
-      const potentialMatches = await redisClient.zrangebyscore(
-        KEY_PREFIXES.MATCHMAKING_QUEUE,
-        averageSkill - skillRange,
-        averageSkill + skillRange
-      );
+      return { success: true, averageSkill, teamSize: members.length };
+    } catch (error) {
+      console.error('Error queueing party:', error);
+      throw error;
+    }
+  }
+  
+  // Put a party back into the queue as it was before its match was proposed
+  async requeueParty(party) {
+    const entryKey = `${KEY_PREFIXES.PARTY_QUEUE_ENTRY}${party.partyId}`;
+    
+    await redisClient.hset(entryKey, {
+      partyId: party.partyId,
+      leaderId: party.leaderId,
+      members: JSON.stringify(party.members),
+      teamSize: party.teamSize,
+      averageSkill: party.skillLevel,
+      preferredMode: party.preferredMode || 'team',
+      gameSettings: JSON.stringify(party.gameSettings || {}),
+      joinedQueueAt: party.joinedQueueAt || Date.now(),
+    });
+    await redisClient.expire(entryKey, TTL.MATCHMAKING_QUEUE);
+    await redisClient.zadd(KEY_PREFIXES.PARTY_QUEUE, party.skillLevel, party.partyId);
+  }
+  
+  async removePartyFromQueue(partyId) {
+    await Promise.all([
+      redisClient.zrem(KEY_PREFIXES.PARTY_QUEUE, partyId),
+      redisClient.del(`${KEY_PREFIXES.PARTY_QUEUE_ENTRY}${partyId}`),
+    ]);
+  }
+  
+  parseQueuedParty(partyId, entryData) {
+    return {
+      partyId: partyId,
+      leaderId: entryData.leaderId,
+      members: JSON.parse(entryData.members || '[]'),
+      teamSize: parseInt(entryData.teamSize),
+      skillLevel: parseInt(entryData.averageSkill),
+      preferredMode: entryData.preferredMode || 'team',
+      gameSettings: JSON.parse(entryData.gameSettings || '{}'),
+      joinedQueueAt: parseInt(entryData.joinedQueueAt) || Date.now(),
+    };
+  }
+  
+  // Same ZREM claim as claimPair, for two queued parties
+  async claimParties(party, opponent) {
+    const queueKey = KEY_PREFIXES.PARTY_QUEUE;
+    
+    const claimedParty = await redisClient.zrem(queueKey, party.partyId);
+    if (!claimedParty) return false;
+    
+    const claimedOpponent = await redisClient.zrem(queueKey, opponent.partyId);
+    if (!claimedOpponent) {
+      await redisClient.zadd(queueKey, party.skillLevel, party.partyId);
+      return false;
+    }
+    
+    await Promise.all([
+      redisClient.del(`${KEY_PREFIXES.PARTY_QUEUE_ENTRY}${party.partyId}`),
+      redisClient.del(`${KEY_PREFIXES.PARTY_QUEUE_ENTRY}${opponent.partyId}`),
+    ]);
+    return true;
+  }
+  
+  // Team room for two parties: team A is the party that waited longest and hosts
+  async createTeamRoom(party, opponent) {
+    const teams = [party, opponent].map((entry, index) => ({
+      id: index === 0 ? 'A' : 'B',
+      partyId: entry.partyId,
+      members: entry.members.map(m => m.userId),
+      averageSkill: entry.skillLevel,
+    }));
+    
+    const participantDetails = [];
+    [party, opponent].forEach((entry, index) => {
+      for (const member of entry.members) {
+        participantDetails.push({
+          userId: member.userId,
+          username: member.username,
+          joinedAt: Date.now(),
+          isReady: true,
+          score: 0,
+          skillLevel: member.skillLevel,
+          team: teams[index].id,
+        });
+      }
+    });
+    
+    const host = party.members.find(m => m.userId === party.leaderId) || party.members[0];
+    
+    const roomData = {
+      id: `team_${Date.now()}_${party.leaderId}`,
+      name: `Team Match`,
+      type: 'team',
+      createdBy: host.userId,
+      creatorUsername: host.username,
+      maxPlayers: participantDetails.length,
+      currentPlayers: participantDetails.length,
+      participants: participantDetails.map(p => p.userId),
+      participantDetails: participantDetails,
+      teams: teams,
+      status: 'waiting',
+      gameSettings: {
+        mode: 'team',
+        timeLimit: 600, // 10 minutes
+        difficulty: 'medium',
+        ...party.gameSettings,
+        teamSize: party.teamSize,
+      },
+      createdAt: Date.now(),
+      lastActivity: Date.now(),
+    };
+    
+    roomData.gameSettings = await scoringService.assignQuestions(roomData.id, roomData.gameSettings);
+    await redisService.createRoom(roomData);
+    return roomData;
+  }
+  
+  // Pair queued parties of equal size whose skill windows overlap. Like solo
+  // matches, every member has to accept before the team room is created.
+  async runPartyMatchmakingCycle() {
+    try {
+      const queueKey = KEY_PREFIXES.PARTY_QUEUE;
+      const queuedIds = await redisClient.zrange(queueKey, 0, -1);
       
-      // Find team with similar size
-      for (const matchKey of potentialMatches) {
-        if (matchKey === teamKey) continue;
-        
-        const matchData = await redisClient.hgetall(`${KEY_PREFIXES.PLAYER}${matchKey}`);
-        if (matchData && parseInt(matchData.teamSize) === teamSize) {
-          // Match found!
-          await redisClient.zrem(KEY_PREFIXES.MATCHMAKING_QUEUE, teamKey);
-          await redisClient.zrem(KEY_PREFIXES.MATCHMAKING_QUEUE, matchKey);
-          
-          const opponentTeam = JSON.parse(matchData.members);
-          
-          return {
-            matched: true,
-            opponentTeam: opponentTeam,
-            teamSize: teamSize,
-            message: 'Team match found!',
-          };
+      if (queuedIds.length < 2) {
+        return { proposals: [] };
+      }
+      
+      const pipeline = redisClient.pipeline();
+      queuedIds.forEach(id => pipeline.hgetall(`${KEY_PREFIXES.PARTY_QUEUE_ENTRY}${id}`));
+      const results = await pipeline.exec();
+      
+      const now = Date.now();
+      const parties = [];
+      for (let i = 0; i < queuedIds.length; i++) {
+        const [err, data] = results[i];
+        if (err || !data || Object.keys(data).length === 0) {
+          // Entry expired; drop it from the queue
+          await redisClient.zrem(queueKey, queuedIds[i]);
+          continue;
         }
+        const party = this.parseQueuedParty(queuedIds[i], data);
+        party.skillWindow = this.getSkillWindow(party.preferredMode, now - party.joinedQueueAt);
+        parties.push(party);
       }
+      parties.sort((a, b) => a.joinedQueueAt - b.joinedQueueAt);
       
-      return {
-        matched: false,
-        message: 'Searching for opponent team...',
-      };
+      const matched = new Set();
+      const proposals = [];
+      
+      for (const party of parties) {
+        if (matched.has(party.partyId)) continue;
+        
+        const { opponent, skillDifference } = this.pickOpponent(party, parties, matched, 'partyId');
+        if (!opponent) continue;
+        if (!(await this.claimParties(party, opponent))) continue;
+        
+        matched.add(party.partyId);
+        matched.add(opponent.partyId);
+        
+        const players = [party, opponent].flatMap(entry =>
+          entry.members.map(m => ({ ...m, partyId: entry.partyId }))
+        );
+        proposals.push(await this.createProposal(party.preferredMode, players, skillDifference, [party, opponent]));
+      }
+      
+      return { proposals };
     } catch (error) {
-      console.error('Error in team match:', error);
-      throw error;
+      console.error('Error running party matchmaking cycle:', error);
+      return { proposals: [] };
     }
   }
   
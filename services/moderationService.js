@@ -0,0 +1,245 @@
+// services/moderationService.js - Chat Moderation Before Messages Are Stored
+const { redisClient, KEY_PREFIXES } = require('../config/redis.config');
+
+// Sent back in `chat-error.code` when a message is not delivered
+const MODERATION_CODES = {
+  MUTED: 'chat/muted',
+  FLOOD: 'chat/flood',
+  DUPLICATE: 'chat/duplicate',
+  BLOCKED_WORDS: 'chat/blocked-words'
+};
+
+// Comma-separated words; matches are masked, or the message is blocked if CHAT_FILTER_MODE=block
+const BLOCKED_WORDS = (process.env.CHAT_BLOCKED_WORDS || '').split(',').map(word => word.trim()).filter(Boolean);
+const FILTER_MODE = process.env.CHAT_FILTER_MODE === 'block' ? 'block' : 'mask';
+
+// At most FLOOD_MAX_MESSAGES per user within FLOOD_WINDOW_SECONDS, across all chats
+const FLOOD_MAX_MESSAGES = parseInt(process.env.CHAT_FLOOD_MAX_MESSAGES) || 5;
+const FLOOD_WINDOW_SECONDS = parseInt(process.env.CHAT_FLOOD_WINDOW_SECONDS) || 5;
+
+// The same text again in the same chat within this window is dropped
+const DUPLICATE_WINDOW_SECONDS = 30;
+
+const DEFAULT_MUTE_SECONDS = 600;
+const MAX_MUTE_SECONDS = 30 * 86400;
+
+class ModerationService {
+
+  constructor() {
+    this.db = null;
+    // Checks run in order on every message: [{ name, check }]
+    this.checks = [];
+    this.setBlockedWords(BLOCKED_WORDS);
+
+    this.use('mute', context => this.checkMute(context));
+    this.use('flood', context => this.checkFlood(context));
+    this.use('duplicate', context => this.checkDuplicate(context));
+    this.use('words', context => this.checkWords(context));
+  }
+
+  // Initialize Firebase connection
+  initializeFirebase(adminInstance) {
+    if (!adminInstance) {
+      throw new Error("Firebase Admin SDK instance must be provided.");
+    }
+    this.admin = adminInstance;
+    this.db = adminInstance.firestore();
+    console.log("ModerationService initialized with Firebase.");
+  }
+
+  // Chat the message goes to, for per-chat state: the room or the friend conversation
+  getChatId({ chatType, roomId, userId, friendId }) {
+    return chatType === 'room' ? `room:${roomId}` : `conversation:${[userId, friendId].sort().join('_')}`;
+  }
+
+  muteKey(userId, roomId = null) {
+    return roomId
+      ? `${KEY_PREFIXES.CHAT_MUTE}room:${roomId}:${userId}`
+      : `${KEY_PREFIXES.CHAT_MUTE}global:${userId}`;
+  }
+
+  // ============ PIPELINE ============
+
+  // Add a check to the pipeline. A check gets { userId, username, message,
+  // chatType, roomId, friendId, isEdit } and returns null to pass, { message }
+  // to pass a rewritten message on, or { code, reason, retryAfter? } to block.
+  use(name, check) {
+    this.checks.push({ name, check });
+  }
+
+  // Returns { allowed: true, message } with the text to store, or
+  // { allowed: false, code, reason, retryAfter }
+  async moderate(context) {
+    const original = context.message;
+    let current = { ...context };
+
+    for (const { name, check } of this.checks) {
+      const verdict = await check(current);
+      if (!verdict) continue;
+
+      if (verdict.code) {
+        await this.logAction('blocked', { ...context, check: name, code: verdict.code, reason: verdict.reason });
+        return { allowed: false, code: verdict.code, reason: verdict.reason, retryAfter: verdict.retryAfter || null };
+      }
+      current = { ...current, message: verdict.message };
+    }
+
+    if (current.message !== original) {
+      await this.logAction('masked', { ...context, masked: current.message });
+    }
+
+    return { allowed: true, message: current.message };
+  }
+
+  // ============ CHECKS ============
+
+  async checkMute({ userId, chatType, roomId }) {
+    const mute = await this.getMute(userId, chatType === 'room' ? roomId : null);
+    if (!mute) return null;
+
+    return {
+      code: MODERATION_CODES.MUTED,
+      reason: mute.scope === 'room' ? 'You are muted in this room' : 'You are muted',
+      retryAfter: mute.remainingSeconds
+    };
+  }
+
+  // Sliding window of the user's recent messages; edits don't count
+  async checkFlood({ userId, isEdit }) {
+    if (isEdit) return null;
+
+    const now = Date.now();
+    const rateKey = `${KEY_PREFIXES.CHAT_RATE}${userId}`;
+    await redisClient.zremrangebyscore(rateKey, '-inf', now - FLOOD_WINDOW_SECONDS * 1000);
+
+    const recent = await redisClient.zrange(rateKey, 0, -1, 'WITHSCORES');
+    if (recent.length / 2 >= FLOOD_MAX_MESSAGES) {
+      const oldest = parseInt(recent[1]);
+      return {
+        code: MODERATION_CODES.FLOOD,
+        reason: 'You are sending messages too fast',
+        retryAfter: Math.max(1, Math.ceil((oldest + FLOOD_WINDOW_SECONDS * 1000 - now) / 1000))
+      };
+    }
+
+    await redisClient.zadd(rateKey, now, `${now}:${Math.random()}`);
+    await redisClient.expire(rateKey, FLOOD_WINDOW_SECONDS);
+    return null;
+  }
+
+  async checkDuplicate(context) {
+    if (context.isEdit) return null;
+
+    const normalized = context.message.toLowerCase().replace(/\s+/g, ' ').trim();
+    const lastKey = `${KEY_PREFIXES.CHAT_LAST_MESSAGE}${context.userId}:${this.getChatId(context)}`;
+
+    const previous = await redisClient.set(lastKey, normalized, 'EX', DUPLICATE_WINDOW_SECONDS, 'GET');
+    if (previous !== normalized) return null;
+
+    return {
+      code: MODERATION_CODES.DUPLICATE,
+      reason: 'You already sent that message'
+    };
+  }
+
+  checkWords({ message }) {
+    if (!this.blockedPattern) return null;
+
+    const masked = message.replace(this.blockedPattern, word => '*'.repeat(word.length));
+    if (masked === message) return null;
+
+    if (FILTER_MODE === 'block') {
+      return {
+        code: MODERATION_CODES.BLOCKED_WORDS,
+        reason: 'Your message contains words that are not allowed'
+      };
+    }
+
+    return { message: masked };
+  }
+
+  // Replace the word list (whole words, case-insensitive)
+  setBlockedWords(words) {
+    const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    this.blockedPattern = escaped.length > 0 ? new RegExp(`\\b(${escaped.join('|')})\\b`, 'gi') : null;
+  }
+
+  // ============ MUTES ============
+
+  // Room mutes (roomId given) come from the room host; global mutes from admins
+  async muteUser(userId, { roomId = null, durationSeconds = DEFAULT_MUTE_SECONDS, reason = null, mutedBy }) {
+    const seconds = Math.min(Math.max(parseInt(durationSeconds) || DEFAULT_MUTE_SECONDS, 1), MAX_MUTE_SECONDS);
+    const mute = {
+      scope: roomId ? 'room' : 'global',
+      roomId: roomId,
+      mutedBy: mutedBy,
+      reason: reason,
+      expiresAt: Date.now() + seconds * 1000
+    };
+
+    await redisClient.set(this.muteKey(userId, roomId), JSON.stringify(mute), 'EX', seconds);
+    await this.logAction('muted', { userId, roomId, actorId: mutedBy, reason, durationSeconds: seconds });
+
+    return { ...mute, durationSeconds: seconds };
+  }
+
+  async unmuteUser(userId, { roomId = null, unmutedBy }) {
+    const removed = await redisClient.del(this.muteKey(userId, roomId));
+    if (removed) {
+      await this.logAction('unmuted', { userId, roomId, actorId: unmutedBy });
+    }
+    return removed === 1;
+  }
+
+  // A global mute wins over a room mute
+  async getMute(userId, roomId = null) {
+    const keys = [this.muteKey(userId), ...(roomId ? [this.muteKey(userId, roomId)] : [])];
+
+    for (const key of keys) {
+      const data = await redisClient.get(key);
+      if (data) {
+        const mute = JSON.parse(data);
+        return {
+          ...mute,
+          remainingSeconds: Math.max(1, Math.ceil((mute.expiresAt - Date.now()) / 1000))
+        };
+      }
+    }
+
+    return null;
+  }
+
+  // ============ LOG ============
+
+  // Every block, mask, mute and unmute, for reviewing moderation later
+  async logAction(action, details) {
+    const { userId, username, chatType, roomId, friendId, actorId, check, code, reason, message, masked, durationSeconds } = details;
+    console.log(`Moderation: ${action} ${userId}${code ? ` (${code})` : ''}${roomId ? ` in ${roomId}` : ''}`);
+
+    if (!this.db) return;
+
+    try {
+      await this.db.collection('moderationLogs').add({
+        action,
+        userId,
+        username: username || null,
+        chatType: chatType || null,
+        roomId: roomId || null,
+        friendId: friendId || null,
+        actorId: actorId || null,
+        check: check || null,
+        code: code || null,
+        reason: reason || null,
+        message: message || null,
+        masked: masked || null,
+        durationSeconds: durationSeconds || null,
+        createdAt: this.admin.firestore.FieldValue.serverTimestamp()
+      });
+    } catch (error) {
+      console.error('Error writing moderation log:', error);
+    }
+  }
+}
+
+module.exports = new ModerationService();
+module.exports.MODERATION_CODES = MODERATION_CODES;
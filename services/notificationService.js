@@ -0,0 +1,286 @@
+// services/notificationService.js - Notification Inbox That Survives Being Offline
+const { redisClient, isRedisAvailable, KEY_PREFIXES, TTL } = require('../config/redis.config');
+
+// Unread notifications kept in Redis per user; older unread ones stay in Firestore
+const MAX_UNREAD = 100;
+
+// Who sent a notification, for the types another player's action creates
+const SENDERS = {
+  'friend-request-received': data => data.from,
+  'friend-invite-received': data => data.invite?.senderId
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// The unread list KEYS[1] is only complete while its marker KEYS[2] exists.
+// Push ARGV[1] onto it, keeping ARGV[2] entries. Returns 0 (and pushes
+// nothing) if the list hasn't been loaded from Firestore.
+const PUSH_UNREAD_SCRIPT = `
+if redis.call('EXISTS', KEYS[2]) == 0 then return 0 end
+redis.call('LPUSH', KEYS[1], ARGV[1])
+redis.call('LTRIM', KEYS[1], 0, tonumber(ARGV[2]) - 1)
+redis.call('EXPIRE', KEYS[1], ARGV[3])
+redis.call('EXPIRE', KEYS[2], ARGV[3])
+return 1
+`;
+
+// Replace the unread list KEYS[1] with ARGV[2..] (newest first) and set its
+// marker KEYS[2], unless another load already did. Returns 1 if loaded.
+const LOAD_UNREAD_SCRIPT = `
+if redis.call('EXISTS', KEYS[2]) == 1 then return 0 end
+redis.call('DEL', KEYS[1])
+if #ARGV > 1 then
+  redis.call('RPUSH', KEYS[1], unpack(ARGV, 2))
+  redis.call('EXPIRE', KEYS[1], ARGV[1])
+end
+redis.call('SET', KEYS[2], 1, 'EX', ARGV[1])
+return 1
+`;
+
+class NotificationService {
+
+  constructor() {
+    this.db = null;
+    // Set once the Socket.IO server is ready
+    this.io = null;
+  }
+
+  // Initialize Firebase connection
+  initializeFirebase(adminInstance) {
+    if (!adminInstance) {
+      throw new Error("Firebase Admin SDK instance must be provided.");
+    }
+    this.admin = adminInstance;
+    this.db = adminInstance.firestore();
+    console.log("NotificationService initialized with Firebase.");
+  }
+
+  initialize({ io }) {
+    if (!io) {
+      throw new Error('Socket.IO server must be provided.');
+    }
+    this.io = io;
+    console.log('NotificationService initialized.');
+  }
+
+  // Helper to ensure db is initialized
+  ensureDb() {
+    if (!this.db) {
+      throw new Error('Firebase is not initialized. Call initializeFirebase() first.');
+    }
+    return this.db;
+  }
+
+  unreadKey(userId) {
+    return `${KEY_PREFIXES.NOTIFICATIONS_UNREAD}${userId}`;
+  }
+
+  hydratedKey(userId) {
+    return `${KEY_PREFIXES.NOTIFICATIONS_HYDRATED}${userId}`;
+  }
+
+  parseNotification(doc) {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      type: data.type,
+      data: data.data,
+      read: data.read,
+      createdAt: data.createdAt?.toDate ? data.createdAt.toDate() : data.createdAt
+    };
+  }
+
+  // ============ SENDING ============
+
+  // Store a notification and emit it to the user's sockets as `type`. The
+  // payload gets a notificationId so the client can mark it read; if the
+  // user is offline it is delivered with the rest of the inbox on reconnect.
+  async notify(userId, type, data) {
+    const db = this.ensureDb();
+    const docRef = db.collection('notifications').doc();
+    // Stored as plain JSON so Redis and Firestore hold the same thing
+    // (Firestore also rejects undefined fields, e.g. a missing avatar)
+    const stored = JSON.parse(JSON.stringify(data));
+    const notification = {
+      id: docRef.id,
+      type: type,
+      data: stored,
+      read: false,
+      createdAt: new Date()
+    };
+
+    await docRef.set({
+      userId: userId,
+      type: type,
+      data: stored,
+      read: false,
+      createdAt: notification.createdAt
+    });
+
+    if (isRedisAvailable()) {
+      try {
+        // An unloaded list is loaded from Firestore instead, which already
+        // has this notification. If another load got there first with an
+        // older read, push onto the list it left.
+        const entry = JSON.stringify(notification);
+        if (!(await this.pushUnread(userId, entry)) && !(await this.loadUnread(userId)).loaded) {
+          await this.pushUnread(userId, entry);
+        }
+      } catch (error) {
+        // Firestore has it; the unread list is rebuilt from there when missing
+        console.error('Error caching notification:', error);
+      }
+    }
+
+    if (this.io) {
+      this.io.to(`user_${userId}`).emit(type, { ...data, notificationId: notification.id });
+    }
+
+    return notification;
+  }
+
+  // ============ READING ============
+
+  unreadQuery(userId) {
+    return this.ensureDb().collection('notifications')
+      .where('userId', '==', userId)
+      .where('read', '==', false);
+  }
+
+  async pushUnread(userId, entry) {
+    const pushed = await redisClient.eval(
+      PUSH_UNREAD_SCRIPT, 2, this.unreadKey(userId), this.hydratedKey(userId),
+      entry, MAX_UNREAD, TTL.NOTIFICATIONS
+    );
+    return pushed === 1;
+  }
+
+  // Read the newest unread notifications from Firestore and, when Redis is
+  // up, cache them as the unread list. { unread, loaded }
+  async loadUnread(userId) {
+    const snapshot = await this.unreadQuery(userId)
+      .orderBy('createdAt', 'desc')
+      .limit(MAX_UNREAD)
+      .get();
+
+    const unread = snapshot.docs.map(doc => this.parseNotification(doc));
+    if (!isRedisAvailable()) {
+      return { unread, loaded: false };
+    }
+
+    const loaded = await redisClient.eval(
+      LOAD_UNREAD_SCRIPT, 2, this.unreadKey(userId), this.hydratedKey(userId),
+      TTL.NOTIFICATIONS, ...unread.map(n => JSON.stringify(n))
+    );
+    return { unread, loaded: loaded === 1 };
+  }
+
+  // The newest MAX_UNREAD unread notifications, newest first
+  async getUnread(userId) {
+    if (isRedisAvailable() && await redisClient.exists(this.hydratedKey(userId))) {
+      const cached = await redisClient.lrange(this.unreadKey(userId), 0, -1);
+      return cached.map(entry => JSON.parse(entry));
+    }
+
+    // Redis is down or lost the list (expiry, flush): read the archive
+    const { unread } = await this.loadUnread(userId);
+    return unread;
+  }
+
+  // Every unread notification, including those beyond the MAX_UNREAD kept in Redis
+  async getUnreadCount(userId) {
+    const snapshot = await this.unreadQuery(userId).count().get();
+    return snapshot.data().count;
+  }
+
+  // Notification history, newest first. `before` is the nextCursor of the
+  // previous page (a createdAt timestamp in ms).
+  async getHistory(userId, { before = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const db = this.ensureDb();
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    let query = db.collection('notifications')
+      .where('userId', '==', userId)
+      .orderBy('createdAt', 'desc');
+    if (before) {
+      query = query.startAfter(new Date(before));
+    }
+
+    // One extra tells us whether there is another page
+    const snapshot = await query.limit(pageSize + 1).get();
+    const notifications = snapshot.docs.slice(0, pageSize).map(doc => this.parseNotification(doc));
+    const hasMore = snapshot.size > pageSize;
+
+    return {
+      notifications: notifications,
+      hasMore: hasMore,
+      nextCursor: hasMore ? notifications[notifications.length - 1].createdAt.getTime() : null
+    };
+  }
+
+  // ============ MARKING READ ============
+
+  // Mark notifications read; with no ids, everything unread is marked.
+  // Returns the ids that were unread and the unread count left.
+  async markRead(userId, notificationIds = null) {
+    const db = this.ensureDb();
+    const unreadKey = this.unreadKey(userId);
+
+    // Remove the matching entries from the unread list one by one, so
+    // notifications pushed meanwhile are left alone
+    const wanted = notificationIds ? new Set(notificationIds) : null;
+    if (isRedisAvailable()) {
+      const cached = await redisClient.lrange(unreadKey, 0, -1);
+      for (const entry of cached) {
+        const { id } = JSON.parse(entry);
+        if (!wanted || wanted.has(id)) {
+          await redisClient.lrem(unreadKey, 1, entry);
+        }
+      }
+    }
+
+    // Firestore also covers unread notifications trimmed from the Redis list
+    let docs;
+    if (wanted) {
+      const refs = [...wanted].map(id => db.collection('notifications').doc(id));
+      docs = refs.length > 0 ? await db.getAll(...refs) : [];
+      docs = docs.filter(doc => doc.exists && doc.data().userId === userId && !doc.data().read);
+    } else {
+      const snapshot = await this.unreadQuery(userId).get();
+      docs = snapshot.docs;
+    }
+
+    // Batches are limited to 500 writes
+    for (let i = 0; i < docs.length; i += 500) {
+      const batch = db.batch();
+      docs.slice(i, i + 500).forEach(doc => batch.update(doc.ref, {
+        read: true,
+        readAt: this.admin.firestore.FieldValue.serverTimestamp()
+      }));
+      await batch.commit();
+    }
+
+    return {
+      notificationIds: docs.map(doc => doc.id),
+      unreadCount: await this.getUnreadCount(userId)
+    };
+  }
+
+  // Mark read everything unread that senderId's requests and invites left in
+  // the user's inbox (e.g. after blocking them). Null if there was nothing.
+  async markReadFrom(userId, senderId) {
+    const snapshot = await this.unreadQuery(userId)
+      .where('type', 'in', Object.keys(SENDERS))
+      .get();
+
+    const notificationIds = snapshot.docs
+      .filter(doc => SENDERS[doc.data().type](doc.data().data || {}) === senderId)
+      .map(doc => doc.id);
+    if (notificationIds.length === 0) return null;
+
+    return this.markRead(userId, notificationIds);
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,259 @@
+// services/partyService.js - Parties of Friends That Queue Together
+const { redisClient, KEY_PREFIXES, TTL } = require('../config/redis.config');
+const matchmakingService = require('./matchmakingService');
+
+const MAX_PARTY_SIZE = parseInt(process.env.MAX_PARTY_SIZE) || 4;
+const PARTY_INVITE_TTL = 300; // 5 minutes
+
+class PartyService {
+
+  constructor() {
+    // Set once the Socket.IO server is ready
+    this.io = null;
+  }
+
+  initialize({ io }) {
+    if (!io) {
+      throw new Error('Socket.IO server must be provided.');
+    }
+    this.io = io;
+    console.log('PartyService initialized.');
+  }
+
+  // Helper to ensure io is initialized
+  ensureInitialized() {
+    if (!this.io) {
+      throw new Error('PartyService is not initialized. Call initialize() first.');
+    }
+    return { io: this.io };
+  }
+
+  partyKey(partyId) {
+    return `${KEY_PREFIXES.PARTY}${partyId}`;
+  }
+
+  userPartyKey(userId) {
+    return `${KEY_PREFIXES.USER_PARTY}${userId}`;
+  }
+
+  inviteKey(partyId, userId) {
+    return `${KEY_PREFIXES.PARTY_INVITE}${partyId}:${userId}`;
+  }
+
+  // Socket room every member's sockets join
+  getPartyRoom(partyId) {
+    return `party_${partyId}`;
+  }
+
+  parseParty(data) {
+    if (!data || Object.keys(data).length === 0) {
+      return null;
+    }
+
+    return {
+      id: data.id,
+      leaderId: data.leaderId,
+      members: JSON.parse(data.members || '[]'),
+      status: data.status || 'idle',
+      maxSize: parseInt(data.maxSize) || MAX_PARTY_SIZE,
+      createdAt: parseInt(data.createdAt)
+    };
+  }
+
+  // ============ PARTY STATE ============
+
+  async saveParty(party) {
+    const partyKey = this.partyKey(party.id);
+    await redisClient.hset(partyKey, {
+      id: party.id,
+      leaderId: party.leaderId,
+      members: JSON.stringify(party.members),
+      status: party.status,
+      maxSize: party.maxSize,
+      createdAt: party.createdAt
+    });
+    await redisClient.expire(partyKey, TTL.PARTY);
+
+    for (const member of party.members) {
+      await redisClient.set(this.userPartyKey(member.userId), party.id, 'EX', TTL.PARTY);
+    }
+  }
+
+  async getParty(partyId) {
+    try {
+      const data = await redisClient.hgetall(this.partyKey(partyId));
+      return this.parseParty(data);
+    } catch (error) {
+      console.error('Error getting party:', error);
+      return null;
+    }
+  }
+
+  async getUserParty(userId) {
+    const partyId = await redisClient.get(this.userPartyKey(userId));
+    if (!partyId) return null;
+
+    const party = await this.getParty(partyId);
+    if (!party || !party.members.some(m => m.userId === userId)) {
+      await redisClient.del(this.userPartyKey(userId));
+      return null;
+    }
+
+    return party;
+  }
+
+  async createParty(userId, username) {
+    const existing = await this.getUserParty(userId);
+    if (existing) {
+      return { success: false, message: 'You are already in a party' };
+    }
+
+    const party = {
+      id: `party_${Date.now()}_${userId}`,
+      leaderId: userId,
+      members: [{ userId, username, joinedAt: Date.now() }],
+      status: 'idle',
+      maxSize: MAX_PARTY_SIZE,
+      createdAt: Date.now()
+    };
+    await this.saveParty(party);
+
+    return { success: true, party };
+  }
+
+  async setStatus(partyId, status) {
+    const party = await this.getParty(partyId);
+    if (!party) return null;
+
+    party.status = status;
+    await this.saveParty(party);
+    return party;
+  }
+
+  // ============ INVITES ============
+
+  async createInvite(party, inviterUsername, targetUserId) {
+    if (party.members.length >= party.maxSize) {
+      return { success: false, message: 'Party is full' };
+    }
+
+    if (party.members.some(m => m.userId === targetUserId)) {
+      return { success: false, message: 'Player is already in your party' };
+    }
+
+    const invite = {
+      partyId: party.id,
+      inviterId: party.leaderId,
+      inviterUsername: inviterUsername,
+      targetUserId: targetUserId,
+      expiresAt: Date.now() + PARTY_INVITE_TTL * 1000
+    };
+    await redisClient.set(this.inviteKey(party.id, targetUserId), JSON.stringify(invite), 'EX', PARTY_INVITE_TTL);
+
+    return { success: true, invite };
+  }
+
+  async getInvite(partyId, userId) {
+    const data = await redisClient.get(this.inviteKey(partyId, userId));
+    return data ? JSON.parse(data) : null;
+  }
+
+  async acceptInvite(partyId, userId, username) {
+    const invite = await this.getInvite(partyId, userId);
+    if (!invite) {
+      return { success: false, message: 'Invite not found or expired' };
+    }
+
+    const currentParty = await this.getUserParty(userId);
+    if (currentParty) {
+      return { success: false, message: 'Leave your current party first' };
+    }
+
+    const party = await this.getParty(partyId);
+    if (!party) {
+      return { success: false, message: 'Party no longer exists' };
+    }
+
+    if (party.status !== 'idle') {
+      return { success: false, message: 'Party is busy, try again once it is out of the queue' };
+    }
+
+    if (party.members.length >= party.maxSize) {
+      return { success: false, message: 'Party is full' };
+    }
+
+    party.members.push({ userId, username, joinedAt: Date.now() });
+    await this.saveParty(party);
+    await redisClient.del(this.inviteKey(partyId, userId));
+
+    return { success: true, party };
+  }
+
+  async declineInvite(partyId, userId) {
+    const invite = await this.getInvite(partyId, userId);
+    await redisClient.del(this.inviteKey(partyId, userId));
+    return invite;
+  }
+
+  // ============ MEMBERSHIP ============
+
+  // Remove a member (leaving, kicked or disconnected). A queued party drops out
+  // of matchmaking, a leaderless party gets the longest-standing member as leader
+  // and an empty party is deleted.
+  async removeMember(partyId, userId, reason = 'left') {
+    const { io } = this.ensureInitialized();
+
+    const party = await this.getParty(partyId);
+    if (!party) return null;
+
+    const member = party.members.find(m => m.userId === userId);
+    if (!member) return null;
+
+    if (party.status === 'queued') {
+      await matchmakingService.removePartyFromQueue(partyId);
+      party.status = 'idle';
+      io.to(this.getPartyRoom(partyId)).emit('party-queue-cancelled', {
+        partyId,
+        reason: 'member-left'
+      });
+    }
+
+    party.members = party.members.filter(m => m.userId !== userId);
+    await redisClient.del(this.userPartyKey(userId));
+    io.in(`user_${userId}`).socketsLeave(this.getPartyRoom(partyId));
+
+    if (party.members.length === 0) {
+      await redisClient.del(this.partyKey(partyId));
+      return { party: null, disbanded: true };
+    }
+
+    if (party.leaderId === userId) {
+      party.leaderId = party.members[0].userId;
+    }
+    await this.saveParty(party);
+
+    io.to(this.getPartyRoom(partyId)).emit('party-member-left', {
+      partyId,
+      userId,
+      username: member.username,
+      reason
+    });
+    this.notifyParty(party);
+
+    return { party, disbanded: false };
+  }
+
+  async leaveParty(userId, reason = 'left') {
+    const party = await this.getUserParty(userId);
+    if (!party) return null;
+    return this.removeMember(party.id, userId, reason);
+  }
+
+  // Push the latest party state to every member
+  notifyParty(party) {
+    const { io } = this.ensureInitialized();
+    io.to(this.getPartyRoom(party.id)).emit('party-updated', { party });
+  }
+}
+
+module.exports = new PartyService();
@@ -0,0 +1,133 @@
+// services/penaltyService.js - Leaver / Dodge Ledger and Matchmaking Cooldowns
+const { redisClient, KEY_PREFIXES } = require('../config/redis.config');
+
+const PENALTY_TYPES = {
+  ABANDON: 'abandon',               // Left or dropped out of a game in progress
+  DODGE: 'dodge',                   // Backed out right after a match was found
+  MATCH_DECLINED: 'match-declined', // Declined a ready check
+  MATCH_TIMEOUT: 'match-timeout',   // Let a ready check run out
+};
+
+// How much each offense counts towards the next cooldown. An abandon ruins a
+// game for everyone else, so it counts double.
+const OFFENSE_WEIGHTS = {
+  [PENALTY_TYPES.ABANDON]: 2,
+  [PENALTY_TYPES.DODGE]: 1,
+  [PENALTY_TYPES.MATCH_DECLINED]: 1,
+  [PENALTY_TYPES.MATCH_TIMEOUT]: 1,
+};
+
+// Cooldown in seconds by total offense weight in the window: the first dodge
+// is only a warning, repeat offenders wait longer each time
+const COOLDOWN_LADDER = [0, 60, 300, 900, 1800, 3600];
+
+// Offenses older than this no longer count
+const OFFENSE_WINDOW_SECONDS = parseInt(process.env.PENALTY_WINDOW_SECONDS) || 86400;
+
+class PenaltyService {
+
+  constructor() {
+    this.db = null;
+  }
+
+  // Initialize Firebase connection
+  initializeFirebase(adminInstance) {
+    if (!adminInstance) {
+      throw new Error("Firebase Admin SDK instance must be provided.");
+    }
+    this.admin = adminInstance;
+    this.db = adminInstance.firestore();
+    console.log("PenaltyService initialized with Firebase.");
+  }
+
+  ledgerKey(userId) {
+    return `${KEY_PREFIXES.PENALTY_LEDGER}${userId}`;
+  }
+
+  // The queue cooldown matchmaking checks before letting a player in
+  cooldownKey(userId) {
+    return `${KEY_PREFIXES.QUEUE_COOLDOWN}${userId}`;
+  }
+
+  getCooldownSeconds(offenses) {
+    const weight = offenses.reduce((sum, offense) => sum + (OFFENSE_WEIGHTS[offense.type] || 1), 0);
+    const step = Math.min(Math.max(weight - 1, 0), COOLDOWN_LADDER.length - 1);
+    return COOLDOWN_LADDER[step];
+  }
+
+  // ============ LEDGER ============
+
+  // Recent offenses, oldest first: [{ type, at, ref }]
+  async getRecentOffenses(userId) {
+    const ledgerKey = this.ledgerKey(userId);
+    await redisClient.zremrangebyscore(ledgerKey, '-inf', Date.now() - OFFENSE_WINDOW_SECONDS * 1000);
+
+    const entries = await redisClient.zrange(ledgerKey, 0, -1);
+    return entries.map(entry => JSON.parse(entry));
+  }
+
+  // Record an offense and put the player on the cooldown it earns.
+  // context: { roomId, proposalId, username } for the Firestore ledger
+  async recordPenalty(userId, type, context = {}) {
+    const now = Date.now();
+    const ledgerKey = this.ledgerKey(userId);
+
+    // The proposal or room makes the member unique, so two offenses in the
+    // same millisecond don't collapse into one
+    const ref = context.proposalId || context.roomId || `${now}:${Math.random()}`;
+    await redisClient.zadd(ledgerKey, now, JSON.stringify({ type, at: now, ref }));
+    await redisClient.expire(ledgerKey, OFFENSE_WINDOW_SECONDS);
+
+    const offenses = await this.getRecentOffenses(userId);
+    const cooldownSeconds = this.getCooldownSeconds(offenses);
+
+    // Never shorten a cooldown that is already running
+    if (cooldownSeconds > await this.getCooldown(userId)) {
+      await redisClient.set(this.cooldownKey(userId), JSON.stringify({ type, since: now }), 'EX', cooldownSeconds);
+    }
+
+    if (this.db) {
+      try {
+        await this.db.collection('penalties').add({
+          userId,
+          username: context.username || null,
+          type,
+          roomId: context.roomId || null,
+          proposalId: context.proposalId || null,
+          recentOffenses: offenses.length,
+          cooldownSeconds,
+          createdAt: this.admin.firestore.FieldValue.serverTimestamp()
+        });
+      } catch (error) {
+        console.error('Error writing penalty ledger:', error);
+      }
+    }
+
+    return { type, offenses: offenses.length, cooldownSeconds };
+  }
+
+  // ============ COOLDOWNS ============
+
+  // Seconds until the player may queue again (0 if they can queue now)
+  async getCooldown(userId) {
+    const ttl = await redisClient.ttl(this.cooldownKey(userId));
+    return ttl > 0 ? ttl : 0;
+  }
+
+  async getPenaltyStatus(userId) {
+    const [offenses, cooldown] = await Promise.all([
+      this.getRecentOffenses(userId),
+      this.getCooldown(userId)
+    ]);
+
+    return {
+      cooldown,
+      offenses,
+      nextCooldown: this.getCooldownSeconds([...offenses, { type: PENALTY_TYPES.DODGE }]),
+      windowSeconds: OFFENSE_WINDOW_SECONDS
+    };
+  }
+}
+
+module.exports = new PenaltyService();
+module.exports.PENALTY_TYPES = PENALTY_TYPES;
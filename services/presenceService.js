@@ -0,0 +1,224 @@
+// services/presenceService.js - Shared Presence State Across Server Instances
+const { redisClient, KEY_PREFIXES, TTL } = require('../config/redis.config');
+
+// A socket that hasn't sent a heartbeat within this window belongs to a dead node
+const STALE_SOCKET_MS = TTL.USER_PRESENCE * 1000;
+
+class PresenceService {
+
+  presenceKey(userId) {
+    return `${KEY_PREFIXES.USER_PRESENCE}${userId}`;
+  }
+
+  socketsKey(userId) {
+    return `${KEY_PREFIXES.USER_SOCKETS}${userId}`;
+  }
+
+  parseUser(data) {
+    if (!data || Object.keys(data).length === 0) {
+      return null;
+    }
+
+    return {
+      id: data.id,
+      username: data.username,
+      presence: data.presence || 'online',
+      joinedAt: parseInt(data.joinedAt) || null,
+      lastActivity: parseInt(data.lastActivity) || null,
+      currentRoom: data.currentRoom || null
+    };
+  }
+
+  // ============ CONNECTION LIFECYCLE ============
+
+  // Register a socket for a user; a user stays online while any socket remains
+  async connect(userId, username, socketId) {
+    try {
+      const now = Date.now();
+      const presenceKey = this.presenceKey(userId);
+
+      await redisClient.hsetnx(presenceKey, 'joinedAt', now);
+      await redisClient.hset(presenceKey, {
+        id: userId,
+        username: username,
+        presence: 'online',
+        lastActivity: now
+      });
+      await redisClient.zadd(this.socketsKey(userId), now, socketId);
+      await redisClient.zadd(KEY_PREFIXES.USERS_ONLINE, now, userId);
+
+      const socketCount = await redisClient.zcard(this.socketsKey(userId));
+      return { success: true, firstConnection: socketCount === 1 };
+    } catch (error) {
+      console.error('Presence connect error:', error);
+      return { success: false, firstConnection: true };
+    }
+  }
+
+  // Remove a socket; returns offline: true once the user's last socket is gone
+  async disconnect(userId, socketId) {
+    try {
+      const socketsKey = this.socketsKey(userId);
+      const userData = await this.getUser(userId);
+
+      await redisClient.zrem(socketsKey, socketId);
+      await redisClient.zremrangebyscore(socketsKey, '-inf', Date.now() - STALE_SOCKET_MS);
+      const remaining = await redisClient.zcard(socketsKey);
+
+      if (remaining === 0) {
+        await this.removeUser(userId);
+        return { offline: true, userData };
+      }
+
+      return { offline: false, userData };
+    } catch (error) {
+      console.error('Presence disconnect error:', error);
+      return { offline: true, userData: null };
+    }
+  }
+
+  async removeUser(userId) {
+    await Promise.all([
+      redisClient.del(this.presenceKey(userId)),
+      redisClient.del(this.socketsKey(userId)),
+      redisClient.zrem(KEY_PREFIXES.USERS_ONLINE, userId)
+    ]);
+  }
+
+  // Refresh heartbeats for the sockets connected to this node
+  async heartbeat(sockets) {
+    if (!sockets || sockets.length === 0) return;
+
+    try {
+      const now = Date.now();
+      const pipeline = redisClient.pipeline();
+      for (const { userId, socketId } of sockets) {
+        pipeline.zadd(this.socketsKey(userId), now, socketId);
+        pipeline.zadd(KEY_PREFIXES.USERS_ONLINE, now, userId);
+      }
+      await pipeline.exec();
+    } catch (error) {
+      console.error('Presence heartbeat error:', error);
+    }
+  }
+
+  // Drop users whose sockets all belonged to nodes that stopped heartbeating
+  async cleanupStale() {
+    try {
+      const cutoff = Date.now() - STALE_SOCKET_MS;
+      const staleUserIds = await redisClient.zrangebyscore(KEY_PREFIXES.USERS_ONLINE, '-inf', cutoff);
+      let removed = 0;
+
+      for (const userId of staleUserIds) {
+        await redisClient.zremrangebyscore(this.socketsKey(userId), '-inf', cutoff);
+        const remaining = await redisClient.zcard(this.socketsKey(userId));
+        if (remaining === 0) {
+          await this.removeUser(userId);
+          removed++;
+        }
+      }
+
+      console.log(`Cleaned up ${removed} stale presence entries`);
+      return { success: true, removed };
+    } catch (error) {
+      console.error('Presence cleanupStale error:', error);
+      return { success: false, removed: 0 };
+    }
+  }
+
+  // ============ READS ============
+
+  async getUser(userId) {
+    try {
+      const data = await redisClient.hgetall(this.presenceKey(userId));
+      return this.parseUser(data);
+    } catch (error) {
+      console.error('Presence getUser error:', error);
+      return null;
+    }
+  }
+
+  async getUsers(userIds) {
+    const users = {};
+    if (!userIds || userIds.length === 0) return users;
+
+    try {
+      const pipeline = redisClient.pipeline();
+      userIds.forEach(uid => pipeline.hgetall(this.presenceKey(uid)));
+      const results = await pipeline.exec();
+
+      userIds.forEach((uid, index) => {
+        const [err, data] = results[index];
+        users[uid] = err ? null : this.parseUser(data);
+      });
+      return users;
+    } catch (error) {
+      console.error('Presence getUsers error:', error);
+      return users;
+    }
+  }
+
+  async isOnline(userId) {
+    const score = await redisClient.zscore(KEY_PREFIXES.USERS_ONLINE, userId);
+    return score !== null;
+  }
+
+  async getActiveUsersCount() {
+    try {
+      return await redisClient.zcard(KEY_PREFIXES.USERS_ONLINE);
+    } catch (error) {
+      console.error('Presence getActiveUsersCount error:', error);
+      return 0;
+    }
+  }
+
+  async getActiveUsers(limit = 500) {
+    const userIds = await redisClient.zrevrange(KEY_PREFIXES.USERS_ONLINE, 0, limit - 1);
+    const users = await this.getUsers(userIds);
+    return userIds.map(uid => users[uid]).filter(Boolean);
+  }
+
+  async getPresenceStats() {
+    const stats = { online: 0, idle: 0, away: 0 };
+    const users = await this.getActiveUsers(10000);
+
+    users.forEach(user => {
+      if (stats[user.presence] !== undefined) {
+        stats[user.presence]++;
+      }
+    });
+
+    return { ...stats, total: users.length };
+  }
+
+  // ============ UPDATES ============
+
+  async updateUser(userId, updates) {
+    try {
+      const presenceKey = this.presenceKey(userId);
+      const exists = await redisClient.exists(presenceKey);
+      if (!exists) return { success: false };
+
+      const processedUpdates = { lastActivity: Date.now() };
+      for (const [key, value] of Object.entries(updates)) {
+        processedUpdates[key] = value === null ? '' : value;
+      }
+
+      await redisClient.hset(presenceKey, processedUpdates);
+      return { success: true };
+    } catch (error) {
+      console.error('Presence updateUser error:', error);
+      return { success: false };
+    }
+  }
+
+  async setPresence(userId, presence) {
+    return this.updateUser(userId, { presence });
+  }
+
+  async setCurrentRoom(userId, roomId) {
+    return this.updateUser(userId, { currentRoom: roomId });
+  }
+}
+
+module.exports = new PresenceService();
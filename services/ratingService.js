@@ -0,0 +1,288 @@
+// services/ratingService.js - Glicko-2 Player Ratings
+const { redisClient, KEY_PREFIXES, TTL } = require('../config/redis.config');
+
+// Glicko-2 defaults (http://www.glicko.net/glicko/glicko2.pdf)
+const DEFAULT_RATING = 1500;
+const DEFAULT_RD = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const TAU = 0.5;              // Constrains how fast volatility can change
+const SCALE = 173.7178;       // Converts between the Glicko and Glicko-2 scales
+const EPSILON = 0.000001;     // Convergence tolerance for the volatility iteration
+
+// Rooms the server creates through matchmaking. Only these are rated: players
+// pick their opponents in every other room, so those could farm rating.
+const MATCHMADE_ROOM_TYPES = ['quick', 'ranked', 'team'];
+
+class RatingService {
+
+  constructor() {
+    this.db = null;
+  }
+
+  // Initialize Firebase connection
+  initializeFirebase(adminInstance) {
+    if (!adminInstance) {
+      throw new Error("Firebase Admin SDK instance must be provided.");
+    }
+    this.admin = adminInstance;
+    this.db = adminInstance.firestore();
+    console.log("RatingService initialized with Firebase.");
+  }
+
+  ratingKey(userId) {
+    return `${KEY_PREFIXES.RATING}${userId}`;
+  }
+
+  getDefaultRating(userId) {
+    return {
+      userId,
+      rating: DEFAULT_RATING,
+      rd: DEFAULT_RD,
+      volatility: DEFAULT_VOLATILITY,
+      gamesRated: 0
+    };
+  }
+
+  parseRating(userId, data) {
+    return {
+      userId,
+      rating: parseFloat(data.rating),
+      rd: parseFloat(data.rd),
+      volatility: parseFloat(data.volatility),
+      gamesRated: parseInt(data.gamesRated) || 0
+    };
+  }
+
+  isRatedGame(roomData) {
+    if (!roomData) return false;
+    if (!MATCHMADE_ROOM_TYPES.includes(roomData.type)) return false;
+    return roomData.gameSettings?.rated !== false;
+  }
+
+  // ============ READS ============
+
+  // Redis first, then Firestore, then a fresh provisional rating
+  async getRating(userId) {
+    try {
+      const cached = await redisClient.hgetall(this.ratingKey(userId));
+      if (cached && Object.keys(cached).length > 0) {
+        return this.parseRating(userId, cached);
+      }
+
+      if (this.db) {
+        const ratingDoc = await this.db.collection('ratings').doc(userId).get();
+        if (ratingDoc.exists) {
+          const rating = this.parseRating(userId, ratingDoc.data());
+          await this.cacheRating(rating);
+          return rating;
+        }
+      }
+    } catch (error) {
+      console.error('Error getting rating:', error);
+    }
+
+    return this.getDefaultRating(userId);
+  }
+
+  async getRatings(userIds) {
+    const ratings = await Promise.all(userIds.map(uid => this.getRating(uid)));
+    return ratings.reduce((map, rating) => {
+      map[rating.userId] = rating;
+      return map;
+    }, {});
+  }
+
+  async cacheRating(rating) {
+    const ratingKey = this.ratingKey(rating.userId);
+    await redisClient.hset(ratingKey, {
+      rating: rating.rating,
+      rd: rating.rd,
+      volatility: rating.volatility,
+      gamesRated: rating.gamesRated
+    });
+    await redisClient.expire(ratingKey, TTL.PLAYER_SESSION);
+  }
+
+  // Widen (or reset) a player's rating deviation, e.g. at the start of a season
+  async setDeviation(userId, rd) {
+    const rating = { ...(await this.getRating(userId)), rd };
+
+    if (this.db) {
+      await this.db.collection('ratings').doc(userId).set({
+        userId,
+        rating: rating.rating,
+        rd: rating.rd,
+        volatility: rating.volatility,
+        gamesRated: rating.gamesRated,
+        updatedAt: this.admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+    }
+    await this.cacheRating(rating);
+
+    return rating;
+  }
+
+  // ============ GLICKO-2 ============
+
+  // One step of Glicko-2 for a player against the opponents faced in a rating period.
+  // results: [{ opponent: { rating, rd }, score }] where score is 1 / 0.5 / 0
+  calculateNewRating(player, results) {
+    const mu = (player.rating - DEFAULT_RATING) / SCALE;
+    const phi = player.rd / SCALE;
+    const sigma = player.volatility;
+
+    // No games: only the deviation grows
+    if (results.length === 0) {
+      const phiStar = Math.sqrt(phi ** 2 + sigma ** 2);
+      return {
+        rating: player.rating,
+        rd: Math.min(phiStar * SCALE, DEFAULT_RD),
+        volatility: sigma
+      };
+    }
+
+    const outcomes = results.map(({ opponent, score }) => {
+      const muJ = (opponent.rating - DEFAULT_RATING) / SCALE;
+      const phiJ = opponent.rd / SCALE;
+      const g = 1 / Math.sqrt(1 + (3 * phiJ ** 2) / (Math.PI ** 2));
+      const expected = 1 / (1 + Math.exp(-g * (mu - muJ)));
+      return { g, expected, score };
+    });
+
+    // Estimated variance and improvement
+    const v = 1 / outcomes.reduce((sum, o) => sum + o.g ** 2 * o.expected * (1 - o.expected), 0);
+    const improvement = outcomes.reduce((sum, o) => sum + o.g * (o.score - o.expected), 0);
+    const delta = v * improvement;
+
+    // New volatility via the Illinois algorithm
+    const a = Math.log(sigma ** 2);
+    const f = (x) => {
+      const ex = Math.exp(x);
+      return (ex * (delta ** 2 - phi ** 2 - v - ex)) / (2 * (phi ** 2 + v + ex) ** 2) - (x - a) / TAU ** 2;
+    };
+
+    let A = a;
+    let B;
+    if (delta ** 2 > phi ** 2 + v) {
+      B = Math.log(delta ** 2 - phi ** 2 - v);
+    } else {
+      let k = 1;
+      while (f(a - k * TAU) < 0) {
+        k++;
+      }
+      B = a - k * TAU;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > EPSILON) {
+      const C = A + ((A - B) * fA) / (fB - fA);
+      const fC = f(C);
+      if (fC * fB <= 0) {
+        A = B;
+        fA = fB;
+      } else {
+        fA = fA / 2;
+      }
+      B = C;
+      fB = fC;
+    }
+
+    const newSigma = Math.exp(A / 2);
+    const phiStar = Math.sqrt(phi ** 2 + newSigma ** 2);
+    const newPhi = 1 / Math.sqrt(1 / phiStar ** 2 + 1 / v);
+    const newMu = mu + newPhi ** 2 * improvement;
+
+    return {
+      rating: newMu * SCALE + DEFAULT_RATING,
+      rd: newPhi * SCALE,
+      volatility: newSigma
+    };
+  }
+
+  // Free-for-all games are rated as a round robin: everyone played everyone,
+  // winning against those they outscored. A 1v1 is the two-player case.
+  // In team games players are only rated against the other team.
+  buildResults(standings, ratings) {
+    const results = {};
+
+    for (const player of standings) {
+      results[player.userId] = standings
+        .filter(other => other.userId !== player.userId)
+        .filter(other => player.team === undefined || other.team !== player.team)
+        .map(other => {
+          const playerScore = player.score || 0;
+          const otherScore = other.score || 0;
+          return {
+            opponent: ratings[other.userId],
+            score: playerScore > otherScore ? 1 : playerScore === otherScore ? 0.5 : 0
+          };
+        });
+    }
+
+    return results;
+  }
+
+  // ============ UPDATES ============
+
+  // Rate a finished game. standings: [{ userId, username, score }]
+  // Each game is its own rating period, so every player is updated from pre-game ratings.
+  async updateRatingsForGame(roomId, standings) {
+    if (!standings || standings.length < 2) return [];
+
+    try {
+      const ratings = await this.getRatings(standings.map(p => p.userId));
+      const results = this.buildResults(standings, ratings);
+
+      const ratingChanges = standings.map(player => {
+        const before = ratings[player.userId];
+        const after = this.calculateNewRating(before, results[player.userId]);
+
+        return {
+          userId: player.userId,
+          username: player.username,
+          before: Math.round(before.rating),
+          after: Math.round(after.rating),
+          change: Math.round(after.rating) - Math.round(before.rating),
+          rd: Math.round(after.rd * 100) / 100,
+          volatility: after.volatility,
+          gamesRated: before.gamesRated + 1,
+          rating: after.rating
+        };
+      });
+
+      if (this.db) {
+        const batch = this.db.batch();
+        for (const change of ratingChanges) {
+          batch.set(this.db.collection('ratings').doc(change.userId), {
+            userId: change.userId,
+            username: change.username,
+            rating: change.rating,
+            rd: change.rd,
+            volatility: change.volatility,
+            gamesRated: change.gamesRated,
+            lastRoomId: roomId,
+            updatedAt: this.admin.firestore.FieldValue.serverTimestamp()
+          }, { merge: true });
+        }
+        await batch.commit();
+      }
+
+      await Promise.all(ratingChanges.map(change => this.cacheRating({
+        userId: change.userId,
+        rating: change.rating,
+        rd: change.rd,
+        volatility: change.volatility,
+        gamesRated: change.gamesRated
+      })));
+
+      return ratingChanges.map(({ rating, ...change }) => change);
+    } catch (error) {
+      console.error('Error updating ratings:', error);
+      return [];
+    }
+  }
+}
+
+module.exports = new RatingService();
+module.exports.MATCHMADE_ROOM_TYPES = MATCHMADE_ROOM_TYPES;
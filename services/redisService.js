@@ -1,6 +1,82 @@
 // services/redisService.js - Core Redis Operations
+const os = require('os');
 const { redisClient, KEY_PREFIXES, TTL } = require('../config/redis.config');
 
+// Identifies this server instance as the owner of distributed locks
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}`;
+
+// How far a chat message's score may be from the timestamp in its id
+// (messages from before ids and scores shared one Date.now() call)
+const MESSAGE_ID_DRIFT_MS = 1000;
+
+// Add a spectator socket (ARGV[1]) unless the room already has ARGV[3] of them;
+// a socket that is already watching just refreshes. Returns 1 if added, 0 if full.
+const ADD_SPECTATOR_SCRIPT = `
+if redis.call('HEXISTS', KEYS[1], ARGV[1]) == 1 or redis.call('HLEN', KEYS[1]) < tonumber(ARGV[3]) then
+  redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+  redis.call('EXPIRE', KEYS[1], ARGV[4])
+  return 1
+end
+return 0
+`;
+
+// Take the lock KEYS[1] for ARGV[1], or extend it if ARGV[1] already holds
+// it, in one step so it can't change hands between the check and the extend
+const ACQUIRE_LOCK_SCRIPT = `
+if redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2], 'NX') then return 1 end
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  redis.call('PEXPIRE', KEYS[1], ARGV[2])
+  return 1
+end
+return 0
+`;
+
+// Delete the lock KEYS[1] only if ARGV[1] still holds it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// Merge ARGV[2] (a JSON object) into the participant whose userId is ARGV[1]
+// and drop the fields listed in ARGV[3], leaving everyone else's entry as it
+// is. Returns 1 if the participant was found.
+const UPDATE_PARTICIPANT_SCRIPT = `
+local raw = redis.call('HGET', KEYS[1], 'participantDetails')
+if not raw then return 0 end
+local participants = cjson.decode(raw)
+local fields = cjson.decode(ARGV[2])
+local removed = cjson.decode(ARGV[3])
+local found = 0
+for _, participant in ipairs(participants) do
+  if participant.userId == ARGV[1] then
+    for key, value in pairs(fields) do participant[key] = value end
+    for _, key in ipairs(removed) do participant[key] = nil end
+    found = 1
+  end
+end
+if found == 1 then
+  redis.call('HSET', KEYS[1], 'participantDetails', cjson.encode(participants), 'lastActivity', ARGV[4])
+end
+return found
+`;
+
+// Append a player to abandonedPlayers unless they are already on it
+const ADD_ABANDONED_PLAYER_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then return 0 end
+local raw = redis.call('HGET', KEYS[1], 'abandonedPlayers')
+local abandoned = {}
+if raw and raw ~= '' then abandoned = cjson.decode(raw) end
+local player = cjson.decode(ARGV[2])
+for _, entry in ipairs(abandoned) do
+  if entry.userId == ARGV[1] then return 0 end
+end
+table.insert(abandoned, player)
+redis.call('HSET', KEYS[1], 'abandonedPlayers', cjson.encode(abandoned), 'lastActivity', ARGV[3])
+return 1
+`;
+
 class RedisService {
 
   // ============ ROOM OPERATIONS ============
@@ -21,6 +97,8 @@ class RedisService {
         currentPlayers: roomData.currentPlayers,
         status: roomData.status,
         gameSettings: JSON.stringify(roomData.gameSettings),
+        allowSpectators: roomData.allowSpectators === false ? 'false' : 'true',
+        teams: JSON.stringify(roomData.teams || []),
         createdAt: Date.now(),
         lastActivity: Date.now(),
       });
@@ -53,18 +131,31 @@ class RedisService {
   async getRoom(roomId) {
     try {
       const roomKey = `${KEY_PREFIXES.ROOM}${roomId}`;
-      const roomData = await redisClient.hgetall(roomKey);
+      const [roomData, scores, spectators] = await Promise.all([
+        redisClient.hgetall(roomKey),
+        redisClient.hgetall(`${KEY_PREFIXES.ROOM_SCORES}${roomId}`),
+        this.getSpectators(roomId)
+      ]);
 
       if (!roomData || Object.keys(roomData).length === 0) {
         return null;
       }
       
+      // Scores are kept in their own hash (see addScore), so they win over
+      // whatever score an older copy of participantDetails carries
+      const withScore = p => scores[p.userId] !== undefined ? { ...p, score: parseInt(scores[p.userId]) } : p;
+      const participantDetails = JSON.parse(roomData.participantDetails || '[]').map(withScore);
+      
       // Parse JSON fields
       return {
         ...roomData,
         gameSettings: JSON.parse(roomData.gameSettings || '{}'),
-        participantDetails: JSON.parse(roomData.participantDetails || '[]'),
+        participantDetails: participantDetails,
         participants: JSON.parse(roomData.participants || '[]'),
+        spectators: spectators,
+        teams: JSON.parse(roomData.teams || '[]'),
+        abandonedPlayers: JSON.parse(roomData.abandonedPlayers || '[]').map(withScore),
+        allowSpectators: roomData.allowSpectators !== 'false',
         maxPlayers: parseInt(roomData.maxPlayers),
         currentPlayers: parseInt(roomData.currentPlayers),
         createdAt: parseInt(roomData.createdAt),
@@ -116,12 +207,18 @@ class RedisService {
       const eventsKey = `${KEY_PREFIXES.ROOM_EVENTS}${roomId}`;
       const gameStateKey = `${KEY_PREFIXES.GAME_STATE}${roomId}`;
       
-      // Delete all room-related keys
+      // Delete all room-related keys (scoring audit is kept until it expires)
       await Promise.all([
         redisClient.del(roomKey),
         redisClient.del(playersKey),
         redisClient.del(eventsKey),
         redisClient.del(gameStateKey),
+        redisClient.del(`${KEY_PREFIXES.ROOM_SCORING}${roomId}`),
+        redisClient.del(`${KEY_PREFIXES.ROOM_SCORING_TIMES}${roomId}`),
+        redisClient.del(`${KEY_PREFIXES.ROOM_HINTS}${roomId}`),
+        redisClient.del(`${KEY_PREFIXES.ROOM_ANSWERS}${roomId}`),
+        redisClient.del(`${KEY_PREFIXES.ROOM_SCORES}${roomId}`),
+        redisClient.del(this.spectatorsKey(roomId)),
         redisClient.srem(KEY_PREFIXES.ROOMS_ACTIVE, roomId),
         redisClient.zrem(KEY_PREFIXES.ROOMS_WAITING, roomId),
       ]);
@@ -133,6 +230,39 @@ class RedisService {
     }
   }
   
+  // Change some fields of one participant without rewriting the others, so
+  // it can't race with other updates to participantDetails
+  async updateParticipant(roomId, userId, fields, removedFields = []) {
+    const found = await redisClient.eval(
+      UPDATE_PARTICIPANT_SCRIPT, 1, `${KEY_PREFIXES.ROOM}${roomId}`,
+      userId,
+      JSON.stringify(fields),
+      JSON.stringify(removedFields),
+      Date.now()
+    );
+    return found === 1;
+  }
+  
+  // Record a player who walked out of a game in progress. Atomic, so two
+  // players leaving at once can't drop each other from the list.
+  async addAbandonedPlayer(roomId, player) {
+    const added = await redisClient.eval(
+      ADD_ABANDONED_PLAYER_SCRIPT, 1, `${KEY_PREFIXES.ROOM}${roomId}`,
+      player.userId,
+      JSON.stringify(player),
+      Date.now()
+    );
+    return added === 1;
+  }
+  
+  // Add points to a player's score atomically; returns the new score
+  async addScore(roomId, userId, points) {
+    const scoresKey = `${KEY_PREFIXES.ROOM_SCORES}${roomId}`;
+    const score = await redisClient.hincrby(scoresKey, userId, points);
+    await redisClient.expire(scoresKey, TTL.ROOM_PLAYING);
+    return score;
+  }
+  
   async addPlayerToRoom(roomId, userId, username, skillLevel) {
     try {
       const roomKey = `${KEY_PREFIXES.ROOM}${roomId}`;
@@ -212,6 +342,76 @@ class RedisService {
     }
   }
   
+  // ============ SPECTATOR OPERATIONS ============
+  
+  // One entry per watching socket, so closing one tab doesn't drop a user
+  // who is still watching in another
+  spectatorsKey(roomId) {
+    return `${KEY_PREFIXES.ROOM_SPECTATORS}${roomId}`;
+  }
+  
+  // Spectating users (a user watching from several tabs is listed once)
+  async getSpectators(roomId) {
+    const entries = await redisClient.hvals(this.spectatorsKey(roomId));
+    const byUser = new Map();
+    for (const entry of entries) {
+      const spectator = JSON.parse(entry);
+      const existing = byUser.get(spectator.userId);
+      if (!existing || spectator.joinedAt < existing.joinedAt) {
+        byUser.set(spectator.userId, spectator);
+      }
+    }
+    return [...byUser.values()];
+  }
+  
+  // Add a spectating socket; the cap is checked and applied atomically.
+  // alreadyWatching is true when the user was watching from another socket.
+  async addSpectator(roomId, socketId, userId, username, maxSpectators) {
+    try {
+      const spectatorsKey = this.spectatorsKey(roomId);
+      const before = await this.getSpectators(roomId);
+      
+      const added = await redisClient.eval(
+        ADD_SPECTATOR_SCRIPT, 1, spectatorsKey,
+        socketId,
+        JSON.stringify({ userId, username, joinedAt: Date.now() }),
+        maxSpectators,
+        TTL.ROOM_PLAYING
+      );
+      
+      return {
+        success: added === 1,
+        alreadyWatching: before.some(s => s.userId === userId),
+        spectators: await this.getSpectators(roomId)
+      };
+    } catch (error) {
+      console.error('Redis addSpectator error:', error);
+      throw error;
+    }
+  }
+  
+  // Remove a spectating socket. stillWatching is true when the user is
+  // watching from another socket.
+  async removeSpectator(roomId, socketId, userId) {
+    try {
+      await redisClient.hdel(this.spectatorsKey(roomId), socketId);
+      const spectators = await this.getSpectators(roomId);
+      
+      return {
+        success: true,
+        stillWatching: spectators.some(s => s.userId === userId),
+        spectators
+      };
+    } catch (error) {
+      console.error('Redis removeSpectator error:', error);
+      throw error;
+    }
+  }
+  
+  async clearSpectators(roomId) {
+    await redisClient.del(this.spectatorsKey(roomId));
+  }
+  
   async getAvailableRooms(limit = 20, roomType = 'all') {
     try {
       // Get waiting rooms sorted by creation time (newest first)
@@ -235,6 +435,15 @@ class RedisService {
     }
   }
   
+  async getActiveRoomCount() {
+    try {
+      return await redisClient.scard(KEY_PREFIXES.ROOMS_ACTIVE);
+    } catch (error) {
+      console.error('Redis getActiveRoomCount error:', error);
+      return 0;
+    }
+  }
+  
   async getRoomPlayers(roomId) {
     try {
       const playersKey = `${KEY_PREFIXES.ROOM_PLAYERS}${roomId}`;
@@ -331,70 +540,6 @@ class RedisService {
     }
   }
   
-  // ============ LEADERBOARD OPERATIONS ============
-  
-  async updateLeaderboard(userId, score, leaderboardType = 'global') {
-    try {
-      const leaderboardKey = leaderboardType === 'global' 
-        ? KEY_PREFIXES.LEADERBOARD_GLOBAL 
-        : KEY_PREFIXES.LEADERBOARD_WEEKLY;
-      
-      await redisClient.zadd(leaderboardKey, score, userId);
-      return { success: true };
-    } catch (error) {
-      console.error('Redis updateLeaderboard error:', error);
-      throw error;
-    }
-  }
-  
-  async getLeaderboard(limit = 10, leaderboardType = 'global') {
-    try {
-      const leaderboardKey = leaderboardType === 'global' 
-        ? KEY_PREFIXES.LEADERBOARD_GLOBAL 
-        : KEY_PREFIXES.LEADERBOARD_WEEKLY;
-      
-      const results = await redisClient.zrevrange(
-        leaderboardKey, 
-        0, 
-        limit - 1, 
-        'WITHSCORES'
-      );
-      
-      const leaderboard = [];
-      for (let i = 0; i < results.length; i += 2) {
-        leaderboard.push({
-          userId: results[i],
-          score: parseInt(results[i + 1]),
-          rank: Math.floor(i / 2) + 1,
-        });
-      }
-      
-      return leaderboard;
-    } catch (error) {
-      console.error('Redis getLeaderboard error:', error);
-      return [];
-    }
-  }
-  
-  async getUserRank(userId, leaderboardType = 'global') {
-    try {
-      const leaderboardKey = leaderboardType === 'global' 
-        ? KEY_PREFIXES.LEADERBOARD_GLOBAL 
-        : KEY_PREFIXES.LEADERBOARD_WEEKLY;
-      
-      const rank = await redisClient.zrevrank(leaderboardKey, userId);
-      const score = await redisClient.zscore(leaderboardKey, userId);
-      
-      return {
-        rank: rank !== null ? rank + 1 : null,
-        score: score ? parseInt(score) : 0,
-      };
-    } catch (error) {
-      console.error('Redis getUserRank error:', error);
-      return { rank: null, score: 0 };
-    }
-  }
-  
   // ============ UTILITY OPERATIONS ============
   
   // Store detailed user leaderboard data
@@ -574,6 +719,207 @@ class RedisService {
     }
   }
 
+  // Reactions & Threads
+  // chatKey is the conversation the message lives in: `room:<roomId>` or
+  // `conversation:<conversationId>`; its messages are at `<chatKey>:messages`
+
+  chatTTL(chatKey) {
+    return chatKey.startsWith('room:') ? 86400 * 7 : 86400 * 30;
+  }
+
+  // Message ids embed their timestamp (msg_<timestamp>_<userId>), which is
+  // the score, so only messages scored around it are looked at. Null if missing.
+  async getChatMessage(chatKey, messageId) {
+    const timestamp = parseInt(String(messageId).split('_')[1]);
+    if (Number.isNaN(timestamp)) return null;
+
+    const entries = await redisClient.zrangebyscore(
+      `${chatKey}:messages`,
+      timestamp - MESSAGE_ID_DRIFT_MS,
+      timestamp + MESSAGE_ID_DRIFT_MS
+    );
+    return entries
+      .map(msg => JSON.parse(msg))
+      .find(msg => msg.id === messageId) || null;
+  }
+
+  // Add or remove one user's reaction; returns whether anything changed and the new count
+  async setMessageReaction(chatKey, messageId, userId, emoji, add) {
+    const countsKey = `${chatKey}:reactions:${messageId}`;
+    const reactorsKey = `${chatKey}:reactors:${messageId}:${emoji}`;
+    const ttl = this.chatTTL(chatKey);
+
+    const changed = add
+      ? await redisClient.sadd(reactorsKey, userId)
+      : await redisClient.srem(reactorsKey, userId);
+
+    let count;
+    if (changed) {
+      count = await redisClient.hincrby(countsKey, emoji, add ? 1 : -1);
+      if (count <= 0) {
+        await redisClient.hdel(countsKey, emoji);
+        count = 0;
+      }
+      await redisClient.expire(countsKey, ttl);
+      await redisClient.expire(reactorsKey, ttl);
+    } else {
+      count = parseInt(await redisClient.hget(countsKey, emoji)) || 0;
+    }
+
+    return { changed: changed === 1, count };
+  }
+
+  // messageId -> { counts: { emoji: count }, mine: [emoji] } for the given viewer
+  async getMessageReactions(chatKey, messageIds, userId) {
+    if (messageIds.length === 0) return {};
+
+    const countsPipeline = redisClient.pipeline();
+    messageIds.forEach(id => countsPipeline.hgetall(`${chatKey}:reactions:${id}`));
+    const countResults = await countsPipeline.exec();
+
+    const reactions = {};
+    const minePipeline = redisClient.pipeline();
+    const lookups = [];
+    messageIds.forEach((id, index) => {
+      const counts = countResults[index][1] || {};
+      reactions[id] = { counts: {}, mine: [] };
+      for (const [emoji, count] of Object.entries(counts)) {
+        reactions[id].counts[emoji] = parseInt(count);
+        minePipeline.sismember(`${chatKey}:reactors:${id}:${emoji}`, userId);
+        lookups.push([id, emoji]);
+      }
+    });
+
+    if (lookups.length > 0) {
+      const mineResults = await minePipeline.exec();
+      lookups.forEach(([id, emoji], index) => {
+        if (mineResults[index][1] === 1) {
+          reactions[id].mine.push(emoji);
+        }
+      });
+    }
+
+    return reactions;
+  }
+
+  async clearMessageReactions(chatKey, messageId) {
+    const countsKey = `${chatKey}:reactions:${messageId}`;
+    const emojis = await redisClient.hkeys(countsKey);
+    await redisClient.del(countsKey, ...emojis.map(emoji => `${chatKey}:reactors:${messageId}:${emoji}`));
+  }
+
+  // Replies stay in the conversation's timeline; the thread only indexes them.
+  // Returns the thread's new reply count.
+  async addThreadReply(chatKey, threadId, messageData) {
+    const threadKey = `${chatKey}:thread:${threadId}`;
+    const countsKey = `${chatKey}:threads`;
+    const ttl = this.chatTTL(chatKey);
+
+    await redisClient.zadd(threadKey, messageData.timestamp, messageData.id);
+    const replyCount = await redisClient.hincrby(countsKey, threadId, 1);
+    await redisClient.expire(threadKey, ttl);
+    await redisClient.expire(countsKey, ttl);
+
+    return replyCount;
+  }
+
+  async removeThreadReply(chatKey, threadId, messageId) {
+    const removed = await redisClient.zrem(`${chatKey}:thread:${threadId}`, messageId);
+    if (!removed) {
+      return parseInt(await redisClient.hget(`${chatKey}:threads`, threadId)) || 0;
+    }
+
+    const replyCount = await redisClient.hincrby(`${chatKey}:threads`, threadId, -1);
+    if (replyCount <= 0) {
+      await redisClient.hdel(`${chatKey}:threads`, threadId);
+      return 0;
+    }
+    return replyCount;
+  }
+
+  // messageId -> reply count, for messages that started a thread
+  async getThreadReplyCounts(chatKey, messageIds) {
+    if (messageIds.length === 0) return {};
+
+    const counts = await redisClient.hmget(`${chatKey}:threads`, ...messageIds);
+    return messageIds.reduce((map, id, index) => {
+      if (counts[index]) map[id] = parseInt(counts[index]);
+      return map;
+    }, {});
+  }
+
+  // Oldest first, like the other history reads
+  async getThreadReplies(chatKey, threadId, limit = 50, before = null) {
+    const max = before ? `(${before}` : '+inf';
+    const ids = await redisClient.zrevrangebyscore(`${chatKey}:thread:${threadId}`, max, '-inf', 'LIMIT', 0, limit);
+
+    const replies = await Promise.all(ids.map(id => this.getChatMessage(chatKey, id)));
+    return replies.filter(Boolean).reverse();
+  }
+
+  // Read Receipts
+  // A participant's read cursor is the timestamp of the last message they have read;
+  // unread counts per friend are kept in `user:<userId>:unread` so the summary is one read
+
+  async getReadCursors(conversationId) {
+    const cursors = await redisClient.hgetall(`conversation:${conversationId}:read`);
+    return Object.entries(cursors || {}).reduce((map, [userId, timestamp]) => {
+      map[userId] = parseInt(timestamp);
+      return map;
+    }, {});
+  }
+
+  // Cursors only move forward; returns the cursor after the update
+  async setReadCursor(conversationId, userId, timestamp) {
+    const key = `conversation:${conversationId}:read`;
+    const current = parseInt(await redisClient.hget(key, userId)) || 0;
+    if (timestamp > current) {
+      await redisClient.hset(key, userId, timestamp);
+      await redisClient.expire(key, 86400 * 30);
+    }
+    return Math.max(current, timestamp);
+  }
+
+  // Messages from friendId that userId hasn't read yet, counted from the cursor
+  // (messages hidden from userId by a block never count)
+  async countUnread(conversationId, userId, friendId) {
+    const cursor = parseInt(await redisClient.hget(`conversation:${conversationId}:read`, userId)) || 0;
+    const messages = await redisClient.zrangebyscore(`conversation:${conversationId}:messages`, `(${cursor}`, '+inf');
+    return messages
+      .map(msg => JSON.parse(msg))
+      .filter(msg => msg.senderId === friendId && msg.hiddenFor !== userId)
+      .length;
+  }
+
+  async incrementUnread(userId, friendId) {
+    const key = `user:${userId}:unread`;
+    const count = await redisClient.hincrby(key, friendId, 1);
+    await redisClient.expire(key, 86400 * 30);
+    return count;
+  }
+
+  async setUnreadCount(userId, friendId, count) {
+    const key = `user:${userId}:unread`;
+    if (count > 0) {
+      await redisClient.hset(key, friendId, count);
+      await redisClient.expire(key, 86400 * 30);
+    } else {
+      await redisClient.hdel(key, friendId);
+    }
+  }
+
+  // { total, conversations: { friendId: unreadCount } }
+  async getUnreadSummary(userId) {
+    const counts = await redisClient.hgetall(`user:${userId}:unread`);
+    const conversations = {};
+    let total = 0;
+    for (const [friendId, count] of Object.entries(counts || {})) {
+      conversations[friendId] = parseInt(count);
+      total += conversations[friendId];
+    }
+    return { total, conversations };
+  }
+
   // ============ FRIENDS OPERATIONS ============
 
   // Friends Management
@@ -615,6 +961,32 @@ class RedisService {
     const keys = await redisClient.keys('player:*');
     return keys.map(key => key.replace('player:', ''));
   }
+
+  // ============ DISTRIBUTED LOCKS ============
+
+  // Acquire (or extend, if we already hold it) a lock that elects one instance
+  // to run a periodic job. Returns true while this instance is the holder.
+  // Pass an owner token to hold it for one job rather than the whole instance.
+  async acquireLock(lockName, ttlMs, owner = INSTANCE_ID) {
+    try {
+      const lockKey = `${KEY_PREFIXES.LOCK}${lockName}`;
+      const acquired = await redisClient.eval(ACQUIRE_LOCK_SCRIPT, 1, lockKey, owner, ttlMs);
+      return acquired === 1;
+    } catch (error) {
+      console.error('Redis acquireLock error:', error);
+      return false;
+    }
+  }
+
+  // Give a lock up before it expires, if this instance (or owner) still holds it
+  async releaseLock(lockName, owner = INSTANCE_ID) {
+    try {
+      const lockKey = `${KEY_PREFIXES.LOCK}${lockName}`;
+      await redisClient.eval(RELEASE_LOCK_SCRIPT, 1, lockKey, owner);
+    } catch (error) {
+      console.error('Redis releaseLock error:', error);
+    }
+  }
 }
 
 
@@ -0,0 +1,369 @@
+// services/scoringService.js - Server-Authoritative Scoring for Game Events
+const { redisClient, KEY_PREFIXES, TTL } = require('../config/redis.config');
+const gameClockService = require('./gameClockService');
+
+// Base points per scoring event type (before multipliers)
+const BASE_POINTS = {
+  'question-answered': 10,
+  'test-case-passed': 10,
+  'bug-solved': 25
+};
+
+const DIFFICULTY_MULTIPLIERS = {
+  easy: 1,
+  medium: 1.5,
+  hard: 2
+};
+
+const MIN_TIME_FACTOR = 0.5;        // Answers at the buzzer still earn half
+const HINT_PENALTY = 0.25;          // Each hint on a question costs 25%
+const MIN_HINT_FACTOR = 0.25;
+const MIN_SOLVE_MS = 3000;          // Nothing can be solved in the first 3 seconds
+const MIN_EVENT_INTERVAL_MS = 1000; // Two scoring events from one player can't be < 1s apart
+const TIME_LIMIT_GRACE_MS = 5000;   // Allow for network latency at the end of the clock
+
+// Questions drawn for a room when its creator doesn't pick them
+const DEFAULT_QUESTION_COUNT = 10;
+const MAX_QUESTION_COUNT = 50;
+const QUESTION_POOL_SIZE = 100;
+
+// Take the player's (ARGV[1]) scoring slot at time ARGV[2] unless their last
+// one was under ARGV[3] ms ago. Check and claim in one step, so parallel
+// events can't all pass. Returns 1 if claimed.
+const CLAIM_EVENT_SLOT_SCRIPT = `
+local last = tonumber(redis.call('HGET', KEYS[1], ARGV[1]) or '0')
+if tonumber(ARGV[2]) - last < tonumber(ARGV[3]) then return 0 end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+redis.call('EXPIRE', KEYS[1], ARGV[4])
+return 1
+`;
+
+const REJECTION_CODES = {
+  GAME_NOT_ACTIVE: 'GAME_NOT_ACTIVE',
+  GAME_PAUSED: 'GAME_PAUSED',
+  NO_QUESTIONS: 'NO_QUESTIONS',
+  MISSING_QUESTION: 'MISSING_QUESTION',
+  UNKNOWN_QUESTION: 'UNKNOWN_QUESTION',
+  MISSING_TEST_CASE: 'MISSING_TEST_CASE',
+  UNKNOWN_TEST_CASE: 'UNKNOWN_TEST_CASE',
+  UNKNOWN_BUG: 'UNKNOWN_BUG',
+  WRONG_OUTPUT: 'WRONG_OUTPUT',
+  TIME_EXPIRED: 'TIME_EXPIRED',
+  TOO_FAST: 'TOO_FAST',
+  DUPLICATE_EVENT: 'DUPLICATE_EVENT'
+};
+
+class ScoringService {
+
+  constructor() {
+    this.db = null;
+  }
+
+  // Initialize Firebase connection (used for the audit trail)
+  initializeFirebase(adminInstance) {
+    if (!adminInstance) {
+      throw new Error("Firebase Admin SDK instance must be provided.");
+    }
+    this.admin = adminInstance;
+    this.db = adminInstance.firestore();
+    console.log("ScoringService initialized with Firebase.");
+  }
+
+  // Helper to ensure db is initialized
+  ensureDb() {
+    if (!this.db) {
+      throw new Error('Firebase is not initialized. Call initializeFirebase() first.');
+    }
+    return this.db;
+  }
+
+  isScoringEvent(eventType) {
+    return Object.prototype.hasOwnProperty.call(BASE_POINTS, eventType);
+  }
+
+  // Identifies the unit of work being scored, used for duplicate detection
+  getScoringKey(eventType, eventData) {
+    switch (eventType) {
+      case 'test-case-passed':
+        return `${eventType}:${eventData.questionId}:${eventData.testCaseId}`;
+      case 'bug-solved':
+        return `${eventType}:${eventData.questionId}:${eventData.bugId || 'default'}`;
+      default:
+        return `${eventType}:${eventData.questionId}`;
+    }
+  }
+
+  reject(code, message) {
+    return { accepted: false, points: 0, code, message };
+  }
+
+  // ============ QUESTION SET ============
+
+  answersKey(roomId) {
+    return `${KEY_PREFIXES.ROOM_ANSWERS}${roomId}`;
+  }
+
+  // Fix the questions a room plays and keep their answer key server-side.
+  // Questions live in the Firestore `questions` collection as
+  // { difficulty, answer, testCases: [{ id, expectedOutput }], bugs: [{ id, expectedOutput }] }.
+  // The creator may pick them with gameSettings.questionIds; otherwise they
+  // are drawn from the bank. Returns gameSettings with the questionIds clients
+  // may score against (answers never leave the server).
+  async assignQuestions(roomId, gameSettings = {}) {
+    const db = this.ensureDb();
+    const questions = db.collection('questions');
+    let docs;
+
+    if (Array.isArray(gameSettings.questionIds) && gameSettings.questionIds.length > 0) {
+      const refs = [...new Set(gameSettings.questionIds.map(String))]
+        .slice(0, MAX_QUESTION_COUNT)
+        .map(id => questions.doc(id));
+      docs = (await db.getAll(...refs)).filter(doc => doc.exists);
+    } else {
+      const count = Math.min(parseInt(gameSettings.questionCount) || DEFAULT_QUESTION_COUNT, MAX_QUESTION_COUNT);
+      let query = questions;
+      if (gameSettings.difficulty) {
+        query = query.where('difficulty', '==', gameSettings.difficulty);
+      }
+
+      const snapshot = await query.limit(QUESTION_POOL_SIZE).get();
+      docs = snapshot.docs
+        .map(doc => ({ doc, sort: Math.random() }))
+        .sort((a, b) => a.sort - b.sort)
+        .slice(0, count)
+        .map(({ doc }) => doc);
+    }
+
+    if (docs.length > 0) {
+      const answersKey = this.answersKey(roomId);
+      await redisClient.hset(answersKey, Object.fromEntries(docs.map(doc => {
+        const { answer = null, testCases = [], bugs = [] } = doc.data();
+        return [doc.id, JSON.stringify({ answer, testCases, bugs })];
+      })));
+      await redisClient.expire(answersKey, TTL.ROOM_WAITING + TTL.ROOM_PLAYING);
+    }
+
+    return { ...gameSettings, questionIds: docs.map(doc => doc.id) };
+  }
+
+  async getAnswerKey(roomId, questionId) {
+    const data = await redisClient.hget(this.answersKey(roomId), String(questionId));
+    return data ? JSON.parse(data) : null;
+  }
+
+  // Answers are compared case-insensitively; program output only ignores
+  // surrounding whitespace and line-ending differences
+  normalizeAnswer(value) {
+    return String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  normalizeOutput(value) {
+    return String(value ?? '').replace(/\r\n/g, '\n').trim();
+  }
+
+  isCorrectAnswer(answerKey, answer) {
+    if (answer === undefined || answer === null || answerKey.answer === null) return false;
+    const accepted = Array.isArray(answerKey.answer) ? answerKey.answer : [answerKey.answer];
+    return accepted.some(a => this.normalizeAnswer(a) === this.normalizeAnswer(answer));
+  }
+
+  // The test case or bug the event claims, or null if the question has none by that id
+  findCheck(answerKey, eventType, eventData) {
+    const checks = eventType === 'test-case-passed' ? answerKey.testCases : answerKey.bugs;
+    const checkId = eventType === 'test-case-passed' ? eventData.testCaseId : eventData.bugId;
+    return (checks || []).find(c => String(c.id) === String(checkId)) || null;
+  }
+
+  // Validate a scoring event and compute its points from the room settings
+  async scoreEvent(roomData, userId, eventType, eventData = {}, now = Date.now()) {
+    const gameSettings = roomData.gameSettings || {};
+
+    if (roomData.status !== 'playing') {
+      return this.reject(REJECTION_CODES.GAME_NOT_ACTIVE, 'Game is not in progress');
+    }
+
+    const { questionId } = eventData;
+    if (questionId === undefined || questionId === null || questionId === '') {
+      return this.reject(REJECTION_CODES.MISSING_QUESTION, 'Question ID is required');
+    }
+
+    // Only the questions fixed when the room was created can score
+    const questionIds = Array.isArray(gameSettings.questionIds) ? gameSettings.questionIds.map(String) : [];
+    if (questionIds.length === 0) {
+      return this.reject(REJECTION_CODES.NO_QUESTIONS, 'This game has no questions to score');
+    }
+
+    const answerKey = questionIds.includes(String(questionId))
+      ? await this.getAnswerKey(roomData.id, questionId)
+      : null;
+    if (!answerKey) {
+      return this.reject(REJECTION_CODES.UNKNOWN_QUESTION, 'Question is not part of this game');
+    }
+
+    if (eventType === 'test-case-passed' && (eventData.testCaseId === undefined || eventData.testCaseId === null)) {
+      return this.reject(REJECTION_CODES.MISSING_TEST_CASE, 'Test case ID is required');
+    }
+
+    let check = null;
+    if (eventType !== 'question-answered') {
+      check = this.findCheck(answerKey, eventType, eventData);
+      if (!check) {
+        return eventType === 'test-case-passed'
+          ? this.reject(REJECTION_CODES.UNKNOWN_TEST_CASE, 'Test case is not part of this question')
+          : this.reject(REJECTION_CODES.UNKNOWN_BUG, 'Bug is not part of this question');
+      }
+    }
+
+    // Timing checks against the game clock and the player's previous event.
+    // The clock excludes paused time; rooms without one fall back to the start time.
+    const clock = await gameClockService.getClock(roomData.id);
+    if (clock && clock.status === 'paused') {
+      return this.reject(REJECTION_CODES.GAME_PAUSED, 'Game is paused');
+    }
+
+    const startedAt = parseInt(roomData.gameStartedAt) || now;
+    const elapsedMs = clock ? clock.elapsedMs : now - startedAt;
+    const timeLimitMs = (parseInt(gameSettings.timeLimit) || 0) * 1000;
+
+    if (clock) {
+      if (now > clock.endsAt + TIME_LIMIT_GRACE_MS) {
+        return this.reject(REJECTION_CODES.TIME_EXPIRED, 'Time limit has passed');
+      }
+    } else if (timeLimitMs > 0 && elapsedMs > timeLimitMs + TIME_LIMIT_GRACE_MS) {
+      return this.reject(REJECTION_CODES.TIME_EXPIRED, 'Time limit has passed');
+    }
+
+    if (elapsedMs < MIN_SOLVE_MS) {
+      return this.reject(REJECTION_CODES.TOO_FAST, 'Event arrived too soon after game start');
+    }
+
+    const timesKey = `${KEY_PREFIXES.ROOM_SCORING_TIMES}${roomData.id}`;
+    const claimed = await redisClient.eval(
+      CLAIM_EVENT_SLOT_SCRIPT, 1, timesKey,
+      userId, now, MIN_EVENT_INTERVAL_MS, TTL.ROOM_PLAYING
+    );
+    if (claimed !== 1) {
+      return this.reject(REJECTION_CODES.TOO_FAST, 'Scoring events are arriving too quickly');
+    }
+
+    // A test case or bug only counts when the output matches; a wrong output
+    // doesn't use it up, so the player can fix their code and try again
+    if (check && this.normalizeOutput(eventData.output) !== this.normalizeOutput(check.expectedOutput)) {
+      return this.reject(REJECTION_CODES.WRONG_OUTPUT, 'Output does not match the expected result');
+    }
+
+    // SADD is atomic, so two racing copies of the same event can't both score
+    const scoringKey = `${KEY_PREFIXES.ROOM_SCORING}${roomData.id}`;
+    const added = await redisClient.sadd(scoringKey, `${userId}|${this.getScoringKey(eventType, eventData)}`);
+    await redisClient.expire(scoringKey, TTL.ROOM_PLAYING);
+    if (added === 0) {
+      return this.reject(REJECTION_CODES.DUPLICATE_EVENT, 'This event has already been scored');
+    }
+
+    // Incorrect answers consume the question but earn nothing
+    if (eventType === 'question-answered' && !this.isCorrectAnswer(answerKey, eventData.answer)) {
+      return { accepted: true, points: 0, isCorrect: false };
+    }
+
+    const hintsUsed = await this.getHintsUsed(roomData.id, userId, questionId);
+    const points = this.calculatePoints(eventType, {
+      difficulty: gameSettings.difficulty,
+      elapsedMs,
+      timeLimitMs,
+      hintsUsed
+    });
+
+    return { accepted: true, points, isCorrect: true };
+  }
+
+  calculatePoints(eventType, { difficulty, elapsedMs, timeLimitMs, hintsUsed }) {
+    const base = BASE_POINTS[eventType] || 0;
+    const difficultyMultiplier = DIFFICULTY_MULTIPLIERS[difficulty] || DIFFICULTY_MULTIPLIERS.medium;
+
+    // Linear decay from full points at the start to MIN_TIME_FACTOR at the limit
+    let timeFactor = 1;
+    if (timeLimitMs > 0) {
+      const used = Math.min(Math.max(elapsedMs / timeLimitMs, 0), 1);
+      timeFactor = 1 - used * (1 - MIN_TIME_FACTOR);
+    }
+
+    const hintFactor = Math.max(1 - hintsUsed * HINT_PENALTY, MIN_HINT_FACTOR);
+
+    return Math.round(base * difficultyMultiplier * timeFactor * hintFactor);
+  }
+
+  // ============ HINTS ============
+
+  // Returns how many hints the player has now taken on this question
+  async recordHint(roomId, userId, questionId) {
+    const hintsKey = `${KEY_PREFIXES.ROOM_HINTS}${roomId}`;
+    const count = await redisClient.hincrby(hintsKey, `${userId}|${questionId ?? '*'}`, 1);
+    await redisClient.expire(hintsKey, TTL.ROOM_PLAYING);
+    return count;
+  }
+
+  async getHintsUsed(roomId, userId, questionId) {
+    const hintsKey = `${KEY_PREFIXES.ROOM_HINTS}${roomId}`;
+    const [questionHints, generalHints] = await redisClient.hmget(
+      hintsKey,
+      `${userId}|${questionId}`,
+      `${userId}|*`
+    );
+    return (parseInt(questionHints) || 0) + (parseInt(generalHints) || 0);
+  }
+
+  // Hints each player took over the whole game: { userId: count }
+  async getGameHints(roomId) {
+    const hints = await redisClient.hgetall(`${KEY_PREFIXES.ROOM_HINTS}${roomId}`);
+    return Object.entries(hints || {}).reduce((totals, [field, count]) => {
+      const userId = field.slice(0, field.lastIndexOf('|'));
+      totals[userId] = (totals[userId] || 0) + (parseInt(count) || 0);
+      return totals;
+    }, {});
+  }
+
+  // ============ AUDIT TRAIL ============
+
+  async recordRejection({ roomId, userId, username, eventType, eventData, code, message }) {
+    const entry = {
+      roomId,
+      userId,
+      username,
+      eventType,
+      eventData: eventData || null,
+      code,
+      message,
+      timestamp: Date.now()
+    };
+
+    try {
+      const auditKey = `${KEY_PREFIXES.ROOM_AUDIT}${roomId}`;
+      await redisClient.rpush(auditKey, JSON.stringify(entry));
+      await redisClient.ltrim(auditKey, -200, -1);
+      await redisClient.expire(auditKey, TTL.GAME_STATE);
+
+      if (this.db) {
+        await this.db.collection('scoringAudit').add({
+          ...entry,
+          createdAt: this.admin.firestore.FieldValue.serverTimestamp()
+        });
+      }
+    } catch (error) {
+      console.error('Error recording scoring rejection:', error);
+    }
+  }
+
+  async getAuditTrail(roomId, limit = 50) {
+    try {
+      const auditKey = `${KEY_PREFIXES.ROOM_AUDIT}${roomId}`;
+      const entries = await redisClient.lrange(auditKey, -limit, -1);
+      return entries.map(e => JSON.parse(e));
+    } catch (error) {
+      console.error('Error getting scoring audit trail:', error);
+      return [];
+    }
+  }
+}
+
+module.exports = new ScoringService();
+module.exports.REJECTION_CODES = REJECTION_CODES;
@@ -0,0 +1,400 @@
+// services/seasonService.js - Ranked Seasons, Tiers and Placement Matches
+const { redisClient, KEY_PREFIXES, isRedisAvailable } = require('../config/redis.config');
+const ratingService = require('./ratingService');
+const achievementService = require('./achievementService');
+
+const SEASON_LENGTH_DAYS = parseInt(process.env.SEASON_LENGTH_DAYS) || 90;
+const PLACEMENT_MATCHES = parseInt(process.env.PLACEMENT_MATCHES) || 5;
+
+// Rating deviation every player starts a season with, so placement games move
+// the rating quickly towards where the player currently stands
+const SEASON_START_RD = 250;
+
+// Tiers by minimum rating, lowest first. Tiers with divisions are split into
+// four equal bands (IV lowest, I highest) up to the next tier.
+const TIERS = [
+  { name: 'Bronze', minRating: 1000, divisions: true, rewardPoints: 100 },
+  { name: 'Silver', minRating: 1200, divisions: true, rewardPoints: 250 },
+  { name: 'Gold', minRating: 1400, divisions: true, rewardPoints: 500 },
+  { name: 'Platinum', minRating: 1600, divisions: true, rewardPoints: 1000 },
+  { name: 'Diamond', minRating: 1800, divisions: true, rewardPoints: 2000 },
+  { name: 'Master', minRating: 2000, divisions: false, rewardPoints: 3500 },
+  { name: 'Grandmaster', minRating: 2200, divisions: false, rewardPoints: 5000 },
+];
+const DIVISIONS = ['IV', 'III', 'II', 'I'];
+
+// Rarity of each tier's end-of-season reward achievement
+const REWARD_RARITY = {
+  Bronze: 'common',
+  Silver: 'common',
+  Gold: 'rare',
+  Platinum: 'rare',
+  Diamond: 'epic',
+  Master: 'legendary',
+  Grandmaster: 'legendary',
+};
+
+class SeasonService {
+
+  constructor() {
+    this.db = null;
+  }
+
+  // Initialize Firebase connection
+  initializeFirebase(adminInstance) {
+    if (!adminInstance) {
+      throw new Error("Firebase Admin SDK instance must be provided.");
+    }
+    this.admin = adminInstance;
+    this.db = adminInstance.firestore();
+    console.log("SeasonService initialized with Firebase.");
+  }
+
+  // Helper to ensure db is initialized
+  ensureDb() {
+    if (!this.db) {
+      throw new Error('Firebase is not initialized. Call initializeFirebase() first.');
+    }
+    return this.db;
+  }
+
+  playerDocId(seasonId, userId) {
+    return `${seasonId}_${userId}`;
+  }
+
+  // Only rated ranked-queue games count towards the season
+  isSeasonGame(roomData) {
+    return roomData?.type === 'ranked' && ratingService.isRatedGame(roomData);
+  }
+
+  // ============ TIERS ============
+
+  // { tier, division, label, rank } where rank orders every tier/division
+  getTier(rating) {
+    let tierIndex = 0;
+    TIERS.forEach((tier, index) => {
+      if (rating >= tier.minRating) tierIndex = index;
+    });
+
+    const tier = TIERS[tierIndex];
+    const nextTier = TIERS[tierIndex + 1];
+    let divisionIndex = DIVISIONS.length - 1;
+
+    if (tier.divisions && nextTier) {
+      const band = (nextTier.minRating - tier.minRating) / DIVISIONS.length;
+      divisionIndex = Math.min(Math.max(Math.floor((rating - tier.minRating) / band), 0), DIVISIONS.length - 1);
+    }
+
+    const division = tier.divisions ? DIVISIONS[divisionIndex] : null;
+    return {
+      tier: tier.name,
+      division,
+      label: division ? `${tier.name} ${division}` : tier.name,
+      rank: tierIndex * DIVISIONS.length + divisionIndex
+    };
+  }
+
+  // ============ SEASONS ============
+
+  parseSeason(doc) {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      number: data.number,
+      name: data.name,
+      startsAt: data.startsAt,
+      endsAt: data.endsAt,
+      status: data.status
+    };
+  }
+
+  // The season running right now. Seasons can be scheduled ahead in the
+  // `seasons` collection; if none is, the next one starts automatically.
+  async getCurrentSeason() {
+    const now = Date.now();
+
+    if (isRedisAvailable()) {
+      const cached = await redisClient.get(KEY_PREFIXES.SEASON_CURRENT);
+      if (cached) {
+        const season = JSON.parse(cached);
+        if (season.startsAt <= now && season.endsAt > now) {
+          return season;
+        }
+      }
+    }
+
+    const db = this.ensureDb();
+    const snapshot = await db.collection('seasons')
+      .where('endsAt', '>', now)
+      .orderBy('endsAt')
+      .limit(5)
+      .get();
+
+    const season = snapshot.docs
+      .map(doc => this.parseSeason(doc))
+      .find(s => s.startsAt <= now) || await this.startNextSeason(now);
+
+    if (isRedisAvailable()) {
+      const ttl = Math.max(Math.min(Math.ceil((season.endsAt - now) / 1000), 300), 1);
+      await redisClient.set(KEY_PREFIXES.SEASON_CURRENT, JSON.stringify(season), 'EX', ttl);
+    }
+
+    return season;
+  }
+
+  async startNextSeason(now = Date.now()) {
+    const db = this.ensureDb();
+    const lastSnapshot = await db.collection('seasons').orderBy('number', 'desc').limit(1).get();
+    const number = lastSnapshot.empty ? 1 : lastSnapshot.docs[0].data().number + 1;
+    const seasonRef = db.collection('seasons').doc(`season_${number}`);
+
+    try {
+      // create() fails if another instance started this season first
+      await seasonRef.create({
+        number,
+        name: `Season ${number}`,
+        startsAt: now,
+        endsAt: now + SEASON_LENGTH_DAYS * 86400000,
+        status: 'active',
+        createdAt: this.admin.firestore.FieldValue.serverTimestamp()
+      });
+      console.log(`🏁 Season ${number} started`);
+    } catch (error) {
+      if (error.code !== 6) throw error; // ALREADY_EXISTS
+    }
+
+    return this.parseSeason(await seasonRef.get());
+  }
+
+  // ============ PLAYER RECORDS ============
+
+  async getPlayerRecord(seasonId, userId) {
+    const db = this.ensureDb();
+    const doc = await db.collection('seasonPlayers').doc(this.playerDocId(seasonId, userId)).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  // Visible ranking for a season record: unranked until placements are done
+  toRankedStanding(record, rating) {
+    const placementGames = record?.placementGames || 0;
+    const placed = placementGames >= PLACEMENT_MATCHES;
+
+    return {
+      placed,
+      placement: {
+        played: Math.min(placementGames, PLACEMENT_MATCHES),
+        total: PLACEMENT_MATCHES,
+        remaining: Math.max(PLACEMENT_MATCHES - placementGames, 0)
+      },
+      tier: placed ? this.getTier(rating) : null
+    };
+  }
+
+  // Players on their first ranked game of the season get their rating
+  // deviation widened, which is what makes placement games count for more
+  async preparePlacements(userIds) {
+    const season = await this.getCurrentSeason();
+
+    for (const userId of userIds) {
+      const record = await this.getPlayerRecord(season.id, userId);
+      if (record) continue;
+
+      const rating = await ratingService.getRating(userId);
+      if (rating.rd < SEASON_START_RD) {
+        await ratingService.setDeviation(userId, SEASON_START_RD);
+      }
+    }
+
+    return season;
+  }
+
+  // Record a finished ranked game for the season and work out tier changes.
+  // playerResults: [{ userId, username, result }], ratingChanges from ratingService
+  async recordRankedResults(roomId, playerResults, ratingChanges) {
+    const db = this.ensureDb();
+    const season = await this.getCurrentSeason();
+    const batch = db.batch();
+    const tierChanges = [];
+
+    for (const player of playerResults) {
+      const ratingChange = ratingChanges.find(c => c.userId === player.userId);
+      if (!ratingChange) continue;
+
+      const record = await this.getPlayerRecord(season.id, player.userId) || {
+        seasonId: season.id,
+        userId: player.userId,
+        gamesPlayed: 0,
+        wins: 0, losses: 0, draws: 0,
+        placementGames: 0,
+        peakRating: 0
+      };
+
+      const before = this.toRankedStanding(record, ratingChange.before);
+      const updated = {
+        ...record,
+        username: player.username,
+        gamesPlayed: record.gamesPlayed + 1,
+        wins: record.wins + (player.result === 'win' ? 1 : 0),
+        losses: record.losses + (player.result === 'loss' ? 1 : 0),
+        draws: record.draws + (player.result === 'draw' ? 1 : 0),
+        placementGames: Math.min(record.placementGames + 1, PLACEMENT_MATCHES),
+        rating: ratingChange.after,
+        lastRoomId: roomId
+      };
+      const after = this.toRankedStanding(updated, ratingChange.after);
+
+      if (after.placed) {
+        updated.peakRating = Math.max(record.peakRating || 0, ratingChange.after);
+        updated.tier = after.tier.tier;
+        updated.division = after.tier.division;
+        updated.tierRank = after.tier.rank;
+      }
+
+      batch.set(db.collection('seasonPlayers').doc(this.playerDocId(season.id, player.userId)), {
+        ...updated,
+        placed: after.placed,
+        updatedAt: this.admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      tierChanges.push({
+        userId: player.userId,
+        username: player.username,
+        seasonId: season.id,
+        before: before.tier,
+        after: after.tier,
+        placement: after.placement,
+        placementCompleted: !before.placed && after.placed,
+        promoted: before.placed && after.tier.rank > before.tier.rank,
+        demoted: before.placed && after.tier.rank < before.tier.rank
+      });
+    }
+
+    await batch.commit();
+    return tierChanges;
+  }
+
+  async getRankedProfile(userId) {
+    const season = await this.getCurrentSeason();
+    const [record, rating] = await Promise.all([
+      this.getPlayerRecord(season.id, userId),
+      ratingService.getRating(userId)
+    ]);
+    const standing = this.toRankedStanding(record, Math.round(rating.rating));
+
+    return {
+      userId,
+      season,
+      rating: standing.placed ? Math.round(rating.rating) : null,
+      peakRating: record?.peakRating || null,
+      ...standing,
+      gamesPlayed: record?.gamesPlayed || 0,
+      wins: record?.wins || 0,
+      losses: record?.losses || 0,
+      draws: record?.draws || 0
+    };
+  }
+
+  // ============ END OF SEASON ============
+
+  rewardAchievementId(season, tierName) {
+    return `${season.id}_${tierName.toLowerCase()}`;
+  }
+
+  // One reward achievement per tier per season, created when the season ends
+  async createRewardAchievements(season) {
+    const db = this.ensureDb();
+    const batch = db.batch();
+
+    for (const tier of TIERS) {
+      const achievementId = this.rewardAchievementId(season, tier.name);
+      batch.set(db.collection('achievements').doc(achievementId), {
+        achievementId,
+        name: `${season.name} ${tier.name}`,
+        description: `Finish ${season.name} of ranked play in ${tier.name}`,
+        icon: 'Trophy',
+        points: tier.rewardPoints,
+        rarity: REWARD_RARITY[tier.name],
+        category: 'seasonal',
+        criteria: { type: 'season_reward', target: 1, metric: season.id },
+        createdAt: this.admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: this.admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+
+    await batch.commit();
+    await achievementService.refreshAchievementsCache();
+  }
+
+  // Close every season whose end date has passed and grant each placed player
+  // the reward for the tier they finished in. Returns [{ season, rewards }].
+  async closeEndedSeasons() {
+    const db = this.ensureDb();
+    const snapshot = await db.collection('seasons')
+      .where('status', '==', 'active')
+      .get();
+
+    const ended = snapshot.docs
+      .map(doc => this.parseSeason(doc))
+      .filter(season => season.endsAt <= Date.now());
+    const closed = [];
+
+    for (const season of ended) {
+      await this.createRewardAchievements(season);
+
+      const playersSnapshot = await db.collection('seasonPlayers')
+        .where('seasonId', '==', season.id)
+        .where('placed', '==', true)
+        .get();
+
+      const rewards = [];
+      for (const doc of playersSnapshot.docs) {
+        const player = doc.data();
+        const rewardRef = db.collection('seasonRewards').doc(this.playerDocId(season.id, player.userId));
+
+        try {
+          // create() fails if this player's reward was already handed out, by
+          // another instance or by an earlier run that stopped part way
+          await rewardRef.create({
+            seasonId: season.id,
+            userId: player.userId,
+            tier: player.tier,
+            grantedAt: this.admin.firestore.FieldValue.serverTimestamp()
+          });
+        } catch (error) {
+          if (error.code !== 6) throw error; // ALREADY_EXISTS
+          continue;
+        }
+
+        const result = await achievementService.unlockAchievement(
+          player.userId,
+          this.rewardAchievementId(season, player.tier)
+        );
+
+        if (result.success) {
+          rewards.push({ userId: player.userId, tier: player.tier, achievement: result.achievement });
+        } else if (!result.alreadyUnlocked) {
+          // Let the next run try this player again
+          await rewardRef.delete();
+        }
+      }
+
+      await db.collection('seasons').doc(season.id).update({
+        status: 'ended',
+        rewardsGranted: this.admin.firestore.FieldValue.increment(rewards.length),
+        endedAt: this.admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      if (isRedisAvailable()) {
+        await redisClient.del(KEY_PREFIXES.SEASON_CURRENT);
+      }
+
+      console.log(`🏆 ${season.name} ended, ${rewards.length} rewards granted`);
+      closed.push({ season, rewards });
+    }
+
+    return closed;
+  }
+}
+
+module.exports = new SeasonService();
+module.exports.TIERS = TIERS;
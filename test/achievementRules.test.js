@@ -0,0 +1,187 @@
+// test/achievementRules.test.js - Declarative Achievement Criteria
+const { test } = require('node:test');
+const assert = require('node:assert');
+const achievementRules = require('../services/achievementRules');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 15, 12);
+
+// Leaderboard document for a player with a few weeks of games
+const STATS = {
+  totalScore: 4200,
+  gamesPlayed: 40,
+  wins: 25,
+  losses: 15,
+  currentWinStreak: 3,
+  perfectGames: 2,
+  gameTypeScores: {
+    quiz: { score: 3000, gamesPlayed: 30 },
+    debug: { score: 1200, gamesPlayed: 10 }
+  }
+};
+
+const game = (daysAgo, gameType, finalScore, result, perfect = false) => ({
+  gameType,
+  finalScore,
+  result,
+  perfect,
+  timestamp: NOW - daysAgo * DAY_MS
+});
+
+// Newest first, as Firestore hands them back; the last one is outside a 7 day window
+const GAMES = [
+  game(1, 'quiz', 800, 'win', true),
+  game(2, 'debug', 300, 'win'),
+  game(3, 'quiz', 500, 'loss'),
+  game(5, 'quiz', 950, 'win'),
+  game(10, 'quiz', 1000, 'win')
+];
+
+const context = (overrides = {}) => ({ stats: STATS, games: GAMES, game: GAMES[0], now: NOW, ...overrides });
+
+test('all-time stats criteria report progress towards the target', () => {
+  assert.deepStrictEqual(achievementRules.evaluate({ metric: 'wins', target: 25 }, context()), { met: true, progress: 100 });
+  assert.deepStrictEqual(achievementRules.evaluate({ metric: 'total_score', target: 5000 }, context()), { met: false, progress: 84 });
+});
+
+test('comparison operators other than >= have no partial progress', () => {
+  assert.deepStrictEqual(achievementRules.evaluate({ metric: 'losses', target: 20, op: '<' }, context()), { met: true, progress: 100 });
+  assert.deepStrictEqual(achievementRules.evaluate({ metric: 'losses', target: 10, op: '<=' }, context()), { met: false, progress: 0 });
+});
+
+test('gameType scopes stats to that game type', () => {
+  assert.strictEqual(achievementRules.evaluate({ metric: 'total_score', target: 3000, gameType: 'quiz' }, context()).met, true);
+  assert.deepStrictEqual(
+    achievementRules.evaluate({ metric: 'games_played', target: 20, gameType: 'debug' }, context()),
+    { met: false, progress: 50 }
+  );
+});
+
+test('withinDays only counts games inside the window', () => {
+  assert.deepStrictEqual(achievementRules.evaluate({ metric: 'wins', target: 3, withinDays: 7 }, context()), { met: true, progress: 100 });
+  assert.deepStrictEqual(achievementRules.evaluate({ metric: 'wins', target: 4, withinDays: 7 }, context()), { met: false, progress: 75 });
+  assert.strictEqual(achievementRules.evaluate({ metric: 'wins', target: 4, withinDays: 14 }, context()).met, true);
+});
+
+test('withinDays combines with gameType', () => {
+  assert.deepStrictEqual(
+    achievementRules.evaluate({ metric: 'total_score', target: 1000, withinDays: 7, gameType: 'debug' }, context()),
+    { met: false, progress: 30 }
+  );
+  // wins per game type aren't on the leaderboard document, but recent games have them
+  assert.strictEqual(achievementRules.evaluate({ metric: 'wins', target: 2, withinDays: 7, gameType: 'quiz' }, context()).met, true);
+});
+
+test('streaks and rates over recent games follow play order, not list order', () => {
+  // Oldest to newest inside the window: win, loss, win, win
+  assert.deepStrictEqual(achievementRules.evaluate({ metric: 'win_streak', target: 2, withinDays: 7 }, context()), { met: true, progress: 100 });
+  assert.deepStrictEqual(achievementRules.evaluate({ metric: 'win_streak', target: 3, withinDays: 7 }, context()), { met: false, progress: 66 });
+  assert.strictEqual(achievementRules.getValue({ metric: 'win_rate', withinDays: 7 }, context()), 75);
+});
+
+test('inSingleGame only looks at the game just played', () => {
+  assert.deepStrictEqual(achievementRules.evaluate({ metric: 'game_score', target: 900, inSingleGame: true }, context()), { met: false, progress: 88 });
+  assert.strictEqual(achievementRules.evaluate({ metric: 'game_score', target: 900, inSingleGame: true }, context({ game: GAMES[3] })).met, true);
+  assert.strictEqual(achievementRules.evaluate({ metric: 'perfect_games', target: 1, inSingleGame: true }, context()).met, true);
+  assert.strictEqual(achievementRules.evaluate({ metric: 'game_score', target: 500, inSingleGame: true, gameType: 'debug' }, context()).met, false);
+});
+
+test('game_hints only counts hints taken in the window, not all-time ones', () => {
+  const criteria = { all: [{ metric: 'wins', target: 2, withinDays: 3 }, { metric: 'game_hints', target: 0, op: '==', withinDays: 3 }] };
+  const hinted = [{ ...GAMES[0], hintsUsed: 0 }, { ...GAMES[1], hintsUsed: 2 }, ...GAMES.slice(2)];
+  assert.strictEqual(achievementRules.evaluate(criteria, context({ hintsUsed: 40 })).met, true);
+  assert.strictEqual(achievementRules.evaluate(criteria, context({ games: hinted })).met, false);
+  assert.strictEqual(achievementRules.getValue({ metric: 'game_hints', withinDays: 1 }, context({ games: hinted })), 0);
+});
+
+test('all (AND) needs every child and averages their progress', () => {
+  const criteria = { all: [{ metric: 'wins', target: 20 }, { metric: 'perfect_games', target: 4 }] };
+
+  assert.deepStrictEqual(achievementRules.evaluate(criteria, context()), { met: false, progress: 75 });
+  assert.deepStrictEqual(achievementRules.evaluate(criteria, context({ stats: { ...STATS, perfectGames: 4 } })), { met: true, progress: 100 });
+});
+
+test('any (OR) needs one child and takes the best progress', () => {
+  assert.deepStrictEqual(
+    achievementRules.evaluate({ any: [{ metric: 'wins', target: 20 }, { metric: 'perfect_games', target: 4 }] }, context()),
+    { met: true, progress: 100 }
+  );
+  assert.deepStrictEqual(
+    achievementRules.evaluate({ any: [{ metric: 'wins', target: 100 }, { metric: 'perfect_games', target: 4 }] }, context()),
+    { met: false, progress: 50 }
+  );
+});
+
+test('combined criteria can nest', () => {
+  const criteria = {
+    all: [
+      { metric: 'games_played', target: 10 },
+      { any: [{ metric: 'wins', target: 5, withinDays: 7 }, { metric: 'game_score', target: 900, inSingleGame: true }] }
+    ]
+  };
+
+  assert.strictEqual(achievementRules.evaluate(criteria, context()).met, false);
+  assert.strictEqual(achievementRules.evaluate(criteria, context({ game: GAMES[3] })).met, true);
+});
+
+test('legacy { type, target, metric } criteria are evaluated through the same metrics', () => {
+  assert.strictEqual(achievementRules.evaluate({ type: 'wins', target: 25 }, context()).met, true);
+  assert.strictEqual(achievementRules.evaluate({ type: 'perfect_score', target: 2 }, context()).met, true);
+  // game_type_mastery keeps the game type in `metric`
+  assert.deepStrictEqual(
+    achievementRules.evaluate({ type: 'game_type_mastery', metric: 'debug', target: 2400 }, context()),
+    { met: false, progress: 50 }
+  );
+  assert.deepStrictEqual(achievementRules.normalize({ type: 'games_played', target: 10 }), {
+    metric: 'games_played',
+    target: 10,
+    gameType: undefined
+  });
+});
+
+test('rules the context cannot answer record no progress', () => {
+  assert.deepStrictEqual(achievementRules.evaluate({ metric: 'wins', target: 3, withinDays: 7 }, { stats: STATS }), { met: false });
+  assert.deepStrictEqual(achievementRules.evaluate({ metric: 'friends', target: 10 }, { stats: STATS }), { met: false });
+  assert.deepStrictEqual(achievementRules.evaluate({ metric: 'friends', target: 10 }, { friendCount: 5 }), { met: false, progress: 50 });
+  // Season rewards are granted directly, never by the engine
+  assert.deepStrictEqual(achievementRules.evaluate({ type: 'season_reward', target: 0 }, context()), { met: false });
+});
+
+test('validate accepts well-formed criteria', () => {
+  const valid = [
+    { metric: 'wins', target: 10 },
+    { metric: 'total_score', target: 5000, gameType: 'quiz' },
+    { metric: 'wins', target: 5, withinDays: 7, gameType: 'quiz' },
+    { metric: 'game_score', target: 900, inSingleGame: true },
+    { metric: 'losses', target: 5, op: '<' },
+    { all: [{ metric: 'wins', target: 10 }, { any: [{ metric: 'friends', target: 5 }, { metric: 'daily_streak', target: 7 }] }] },
+    { type: 'game_type_mastery', metric: 'quiz', target: 1000 },
+    { type: 'season_reward' }
+  ];
+
+  for (const criteria of valid) {
+    assert.deepStrictEqual(achievementRules.validate(criteria), [], JSON.stringify(criteria));
+  }
+});
+
+test('validate explains what is wrong and where', () => {
+  assert.deepStrictEqual(achievementRules.validate(null), ['criteria must be an object']);
+  assert.deepStrictEqual(achievementRules.validate({ metric: 'bogus', target: 1 }), ['criteria.metric "bogus" is not supported']);
+  assert.deepStrictEqual(achievementRules.validate({ metric: 'wins', target: '10' }), ['criteria.target must be a number']);
+  assert.deepStrictEqual(achievementRules.validate({ metric: 'wins', target: 1, op: '!=' }), ['criteria.op "!=" is not supported']);
+  assert.deepStrictEqual(achievementRules.validate({ metric: 'wins', target: 1, withinDays: -1 }), ['criteria.withinDays must be a positive number']);
+  assert.deepStrictEqual(achievementRules.validate({ all: [] }), ['criteria.all must be a non-empty array']);
+  assert.deepStrictEqual(achievementRules.validate({ type: 'mystery', target: 1 }), ['criteria.type "mystery" is not supported']);
+  assert.deepStrictEqual(
+    achievementRules.validate({ any: [{ metric: 'wins', target: 1 }, { all: [{ metric: 'nope', target: 1 }] }] }),
+    ['criteria.any[1].all[0].metric "nope" is not supported']
+  );
+});
+
+test('validate rejects scopes a metric cannot have', () => {
+  assert.match(achievementRules.validate({ metric: 'wins', target: 5, withinDays: 7, inSingleGame: true })[0], /can't use both withinDays and inSingleGame/);
+  assert.match(achievementRules.validate({ metric: 'friends', target: 5, withinDays: 7 })[0], /can't be scoped to games/);
+  assert.match(achievementRules.validate({ metric: 'game_score', target: 900 })[0], /needs withinDays or inSingleGame/);
+  assert.match(achievementRules.validate({ metric: 'game_hints', target: 0, op: '==' })[0], /needs withinDays or inSingleGame/);
+  assert.match(achievementRules.validate({ metric: 'wins', target: 5, gameType: 'quiz' })[0], /isn't tracked per game type/);
+});
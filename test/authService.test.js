@@ -0,0 +1,109 @@
+// test/authService.test.js - Socket Handshake Authentication
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const authService = require('../services/authService');
+const { AUTH_ERROR_CODES } = authService;
+
+// Stand-in for firebase-admin: tokens are looked up in a table instead of
+// being verified, and failures carry the same error codes the SDK uses
+const TOKENS = {
+  'valid-token': { uid: 'user-1', email: 'alice@example.com' },
+  'admin-token': { uid: 'admin-1', name: 'Admin', admin: true },
+  'expired-token': { error: 'auth/id-token-expired' },
+  'revoked-token': { error: 'auth/id-token-revoked' }
+};
+
+const localVerifier = async (idToken) => {
+  const entry = TOKENS[idToken];
+  if (!entry) {
+    throw Object.assign(new Error('Decoding Firebase ID token failed'), { code: 'auth/argument-error' });
+  }
+  if (entry.error) {
+    throw Object.assign(new Error(`Token rejected: ${entry.error}`), { code: entry.error });
+  }
+  return entry;
+};
+
+// Minimal users collection for the username lookup
+const fakeAdmin = (users) => ({
+  firestore: () => ({
+    collection: () => ({
+      doc: (id) => ({
+        get: async () => ({ exists: !!users[id], data: () => users[id] })
+      })
+    })
+  })
+});
+
+// Run the handshake middleware and resolve with the socket and the error passed to next()
+const handshake = (auth) => new Promise((resolve) => {
+  const socket = { handshake: { auth } };
+  authService.authenticateSocket(socket, (error) => resolve({ socket, error }));
+});
+
+beforeEach(() => {
+  authService.setTokenVerifier(localVerifier);
+  authService.initializeFirebase(fakeAdmin({ 'user-1': { username: 'alice_plays' } }));
+});
+
+test('valid token attaches the verified user and username to the socket', async () => {
+  const { socket, error } = await handshake({ token: 'valid-token' });
+
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(socket.userId, 'user-1');
+  assert.strictEqual(socket.username, 'alice_plays');
+  assert.strictEqual(socket.isAdmin, false);
+});
+
+test('client-supplied userId and username are ignored', async () => {
+  const { socket } = await handshake({ token: 'valid-token', userId: 'someone-else', username: 'mallory' });
+
+  assert.strictEqual(socket.userId, 'user-1');
+  assert.strictEqual(socket.username, 'alice_plays');
+});
+
+test('username falls back to token claims when there is no user doc', async () => {
+  const { socket, error } = await handshake({ token: 'admin-token' });
+
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(socket.userId, 'admin-1');
+  assert.strictEqual(socket.username, 'Admin');
+  assert.strictEqual(socket.isAdmin, true);
+});
+
+test('expired token is rejected with auth/token-expired', async () => {
+  const { socket, error } = await handshake({ token: 'expired-token' });
+
+  assert.ok(error instanceof Error);
+  assert.strictEqual(error.data.code, AUTH_ERROR_CODES.TOKEN_EXPIRED);
+  assert.strictEqual(socket.userId, undefined);
+});
+
+test('revoked token is rejected with auth/token-revoked', async () => {
+  const { error } = await handshake({ token: 'revoked-token' });
+
+  assert.strictEqual(error.data.code, AUTH_ERROR_CODES.TOKEN_REVOKED);
+});
+
+test('missing token is rejected with auth/token-missing', async () => {
+  for (const auth of [{}, { token: '' }, { userId: 'user-1' }, undefined]) {
+    const { socket, error } = await handshake(auth);
+
+    assert.strictEqual(error.data.code, AUTH_ERROR_CODES.TOKEN_MISSING);
+    assert.strictEqual(socket.userId, undefined);
+  }
+});
+
+test('malformed token is rejected with auth/token-malformed', async () => {
+  const { error } = await handshake({ token: 'not-a-jwt' });
+
+  assert.strictEqual(error.data.code, AUTH_ERROR_CODES.TOKEN_MALFORMED);
+});
+
+test('unexpected verifier failures are reported as auth/verification-failed', async () => {
+  authService.setTokenVerifier(async () => { throw new Error('network down'); });
+
+  const { error } = await handshake({ token: 'valid-token' });
+
+  assert.strictEqual(error.data.code, AUTH_ERROR_CODES.VERIFICATION_FAILED);
+});